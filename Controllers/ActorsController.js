@@ -173,7 +173,7 @@ const buildActorResponse = ({ slug, identity, tmdb, localTotal }) => {
 
 const localSort = (sort = 'latest') => {
   if (sort === 'best') {
-    return { rate: -1, numberOfReviews: -1, year: -1, createdAt: -1 };
+    return { weightedRate: -1, numberOfReviews: -1, year: -1, createdAt: -1 };
   }
 
   if (sort === 'popular') {
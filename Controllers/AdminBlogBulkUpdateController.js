@@ -9,6 +9,8 @@ import {
   isValidBlogTemplateType,
 } from '../utils/blogCategories.js';
 import { afterBulkBlogUpdate } from '../utils/blogIndexing.js';
+import { recordAuditForDocs } from '../utils/auditLog.js';
+import { resolvePublishSchedule } from '../utils/publishScheduler.js';
 
 const MAX_BLOG_SECTIONS = 50;
 const MAX_BLOG_FAQS = 8;
@@ -226,7 +228,10 @@ const generateUniqueBlogSlug = async (
     const query = { categorySlug, slug };
     if (existingId) query._id = { $ne: existingId };
 
-    const exists = await BlogPost.findOne(query).select('_id').lean();
+    const exists = await BlogPost.findOne(query)
+      .setOptions({ withDeleted: true })
+      .select('_id')
+      .lean();
     if (!exists) break;
 
     slug = `${baseSlug}-${counter}`;
@@ -332,8 +337,14 @@ const buildPayloadFromInput = (body = {}, existing = null) => {
   const isTrending =
     body.isTrending !== undefined ? !!body.isTrending : !!existing?.isTrending;
 
-  const isPublished =
-    body.isPublished !== undefined ? !!body.isPublished : !!existing?.isPublished;
+  // publishAt in the future keeps the post unpublished until the scheduler runs
+  const schedule = resolvePublishSchedule({
+    publishAt: body.publishAt,
+    unpublishAt: body.unpublishAt,
+    isPublished: body.isPublished,
+    existing,
+  });
+  const isPublished = !!schedule.isPublished;
 
   const publishedAtMaybe =
     body.publishedAt !== undefined
@@ -385,6 +396,8 @@ const buildPayloadFromInput = (body = {}, existing = null) => {
     isTrending,
     isPublished,
     publishedAt,
+    publishAt: schedule.publishAt,
+    unpublishAt: schedule.unpublishAt,
     templateType,
   };
 };
@@ -477,6 +490,7 @@ export const bulkExactUpdateBlogPosts = asyncHandler(async (req, res) => {
   const updated = [];
   const errors = [];
   const indexingUpdates = [];
+  const auditBeforeDocs = [];
 
   for (let i = 0; i < postsInput.length; i += 1) {
     const item = postsInput[i] || {};
@@ -484,6 +498,7 @@ export const bulkExactUpdateBlogPosts = asyncHandler(async (req, res) => {
     try {
       const post = await resolveExistingBlogPostForBulkUpdate(item);
       const before = snapshotBlogForIndexing(post);
+      const auditBefore = post.toObject();
 
       const payload = buildPayloadFromInput(item, post);
 
@@ -509,6 +524,7 @@ export const bulkExactUpdateBlogPosts = asyncHandler(async (req, res) => {
       const saved = await post.save();
 
       updated.push(saved);
+      auditBeforeDocs.push(auditBefore);
       indexingUpdates.push({
         before,
         after: snapshotBlogForIndexing(saved),
@@ -536,6 +552,14 @@ export const bulkExactUpdateBlogPosts = asyncHandler(async (req, res) => {
     });
   }
 
+  await recordAuditForDocs({
+    req,
+    action: 'blog.bulk_update',
+    targetModel: 'BlogPost',
+    beforeDocs: auditBeforeDocs,
+    afterDocs: updated,
+  });
+
   let indexing = null;
   try {
     indexing = await afterBulkBlogUpdate({ updates: indexingUpdates });
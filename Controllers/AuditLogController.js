@@ -0,0 +1,141 @@
+// backend/Controllers/AuditLogController.js
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+
+import AuditLog from '../Models/AuditLogModel.js';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const TARGET_MODELS = ['Movie', 'BlogPost', 'User'];
+
+const clean = (v) => String(v ?? '').trim();
+
+const isValidObjectId = (id) =>
+  /^[a-f\d]{24}$/i.test(clean(id)) && mongoose.Types.ObjectId.isValid(id);
+
+const clampLimit = (value, fallback = DEFAULT_LIMIT, max = MAX_LIMIT) => {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) return fallback;
+  return Math.min(Math.floor(n), max);
+};
+
+const parseDateOrThrow = (value, name) => {
+  const raw = clean(value);
+  if (!raw) return null;
+
+  const d = new Date(raw);
+  if (Number.isNaN(d.getTime())) throw new Error(`Invalid ${name} date`);
+  return d;
+};
+
+/**
+ * ADMIN
+ * GET /api/audit-logs?userId=&model=Movie&action=movie.update&targetId=&from=&to=&pageNumber=1&limit=50
+ *
+ * - action: exact ("movie.update"), comma list, or prefix ("movie." / "movie.*")
+ * - from/to: ISO dates (to is inclusive when only a day is given)
+ */
+export const getAuditLogs = asyncHandler(async (req, res) => {
+  const page = Math.max(1, Number(req.query.pageNumber) || 1);
+  const limit = clampLimit(req.query.limit);
+  const skip = (page - 1) * limit;
+
+  const filter = {};
+
+  const userId = clean(req.query.userId);
+  if (userId) {
+    if (!isValidObjectId(userId)) {
+      res.status(400);
+      throw new Error('Invalid userId');
+    }
+    filter['actor.userId'] = userId;
+  }
+
+  const targetId = clean(req.query.targetId);
+  if (targetId) {
+    if (!isValidObjectId(targetId)) {
+      res.status(400);
+      throw new Error('Invalid targetId');
+    }
+    filter.targetId = targetId;
+  }
+
+  const model = clean(req.query.model || req.query.targetModel);
+  if (model) {
+    if (!TARGET_MODELS.includes(model)) {
+      res.status(400);
+      throw new Error(`model must be one of: ${TARGET_MODELS.join(', ')}`);
+    }
+    filter.targetModel = model;
+  }
+
+  const action = clean(req.query.action);
+  if (action) {
+    if (action.endsWith('.') || action.endsWith('.*')) {
+      const prefix = action.replace(/\*$/, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.action = { $regex: `^${prefix}` };
+    } else {
+      const actions = action.split(',').map(clean).filter(Boolean);
+      filter.action = actions.length > 1 ? { $in: actions } : actions[0];
+    }
+  }
+
+  let from;
+  let to;
+  try {
+    from = parseDateOrThrow(req.query.from, 'from');
+    to = parseDateOrThrow(req.query.to, 'to');
+  } catch (e) {
+    res.status(400);
+    throw e;
+  }
+
+  // "to=2026-01-31" means the whole day
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(clean(req.query.to))) {
+    to = new Date(to.getTime() + 24 * 60 * 60 * 1000 - 1);
+  }
+
+  if (from || to) {
+    filter.createdAt = {
+      ...(from && { $gte: from }),
+      ...(to && { $lte: to }),
+    };
+  }
+
+  const [logs, total] = await Promise.all([
+    AuditLog.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+    AuditLog.countDocuments(filter),
+  ]);
+
+  res.json({
+    logs,
+    page,
+    pages: Math.ceil(total / limit) || 1,
+    total,
+  });
+});
+
+/**
+ * ADMIN
+ * GET /api/audit-logs/:id
+ */
+export const getAuditLogById = asyncHandler(async (req, res) => {
+  const id = clean(req.params.id);
+
+  if (!isValidObjectId(id)) {
+    res.status(400);
+    throw new Error('Invalid audit log id');
+  }
+
+  const log = await AuditLog.findById(id).lean();
+
+  if (!log) {
+    res.status(404);
+    throw new Error('Audit log entry not found');
+  }
+
+  res.json(log);
+});
+
+export default { getAuditLogs, getAuditLogById };
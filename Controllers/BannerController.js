@@ -2,6 +2,11 @@
 import asyncHandler from 'express-async-handler';
 import mongoose from 'mongoose';
 import Movie from '../Models/MoviesModel.js';
+import { recordAuditForDocs } from '../utils/auditLog.js';
+import {
+  recordMovieRevisions,
+  snapshotMovieBaselines,
+} from '../utils/movieRevisions.js';
 
 const BANNER_LIMIT = 10;
 
@@ -85,7 +90,25 @@ export const setBannerMovies = asyncHandler(async (req, res) => {
     ? { $set: { banner: true, bannerAt: now } }
     : { $set: { banner: false, bannerAt: null } };
 
+  const auditSelect = '_id name banner';
+  const beforeDocs = await Movie.find({ _id: { $in: validIds } })
+    .select(auditSelect)
+    .lean();
+  await snapshotMovieBaselines(validIds);
+
   const result = await Movie.updateMany({ _id: { $in: validIds } }, update);
+  await recordMovieRevisions({ ids: validIds, action: 'curate', req });
+
+  await recordAuditForDocs({
+    req,
+    action: 'movie.banner',
+    targetModel: 'Movie',
+    beforeDocs,
+    afterDocs: () =>
+      Movie.find({ _id: { $in: validIds } })
+        .select(auditSelect)
+        .lean(),
+  });
 
   res.status(200).json({
     message: boolValue ? 'Added to Banner' : 'Removed from Banner',
@@ -13,6 +13,8 @@ import {
   afterBlogMutation,
   afterBulkBlogCreate,
 } from '../utils/blogIndexing.js';
+import { recordAuditForDocs } from '../utils/auditLog.js';
+import { resolvePublishSchedule } from '../utils/publishScheduler.js';
 
 const PUBLIC_BLOG_PAGE_LIMIT = 12;
 const ADMIN_BLOG_PAGE_LIMIT = 20;
@@ -284,7 +286,11 @@ const generateUniqueBlogSlug = async (
     const query = { categorySlug, slug };
     if (existingId) query._id = { $ne: existingId };
 
-    const exists = await BlogPost.findOne(query).select('_id').lean();
+    // Trashed posts keep their slug until purged
+    const exists = await BlogPost.findOne(query)
+      .setOptions({ withDeleted: true })
+      .select('_id')
+      .lean();
 
     if (!exists) break;
 
@@ -391,8 +397,14 @@ const buildPayloadFromInput = (body = {}, existing = null) => {
   const isTrending =
     body.isTrending !== undefined ? !!body.isTrending : !!existing?.isTrending;
 
-  const isPublished =
-    body.isPublished !== undefined ? !!body.isPublished : !!existing?.isPublished;
+  // publishAt in the future keeps the post unpublished until the scheduler runs
+  const schedule = resolvePublishSchedule({
+    publishAt: body.publishAt,
+    unpublishAt: body.unpublishAt,
+    isPublished: body.isPublished,
+    existing,
+  });
+  const isPublished = !!schedule.isPublished;
 
   const publishedAtMaybe =
     body.publishedAt !== undefined
@@ -444,6 +456,8 @@ const buildPayloadFromInput = (body = {}, existing = null) => {
     isTrending,
     isPublished,
     publishedAt,
+    publishAt: schedule.publishAt,
+    unpublishAt: schedule.unpublishAt,
     templateType,
   };
 };
@@ -789,6 +803,7 @@ export const createBlogPost = asyncHandler(async (req, res) => {
     await afterBlogMutation({
       action: 'create',
       after: created,
+      audit: { req },
     });
   } catch (e) {
     console.warn('[blog-indexing] createBlogPost:', e?.message || e);
@@ -863,6 +878,15 @@ export const bulkCreateBlogPosts = asyncHandler(async (req, res) => {
     });
   }
 
+  await recordAuditForDocs({
+    req,
+    action: 'blog.bulk_create',
+    targetModel: 'BlogPost',
+    // Nothing existed before: empty "before" so every field shows as added
+    beforeDocs: created.map((doc) => ({ _id: doc._id })),
+    afterDocs: created,
+  });
+
   let indexing = null;
   try {
     indexing = await afterBulkBlogCreate({ createdPosts: created });
@@ -896,6 +920,7 @@ export const updateBlogPost = asyncHandler(async (req, res) => {
   }
 
   const before = snapshotBlogForIndexing(post);
+  const auditBefore = post.toObject();
 
   let payload;
   try {
@@ -931,6 +956,7 @@ export const updateBlogPost = asyncHandler(async (req, res) => {
       action: 'update',
       before,
       after: updated,
+      audit: { req, before: auditBefore },
     });
   } catch (e) {
     console.warn('[blog-indexing] updateBlogPost:', e?.message || e);
@@ -955,17 +981,22 @@ export const deleteBlogPost = asyncHandler(async (req, res) => {
   }
 
   const before = snapshotBlogForIndexing(post);
+  const auditBefore = post.toObject();
 
-  await post.deleteOne();
+  // Soft delete: goes to the trash (restorable until purged)
+  post.deletedAt = new Date();
+  post.deletedBy = req.user?._id || null;
+  await post.save();
 
   try {
     await afterBlogMutation({
       action: 'delete',
       before,
+      audit: { req, before: auditBefore, after: post },
     });
   } catch (e) {
     console.warn('[blog-indexing] deleteBlogPost:', e?.message || e);
   }
 
-  res.json({ message: 'Blog post removed' });
+  res.json({ message: 'Blog post moved to trash' });
 });
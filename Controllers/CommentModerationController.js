@@ -0,0 +1,483 @@
+// backend/Controllers/CommentModerationController.js
+// Admin queues for rating comments / replies: user flags (hide, restore,
+// ban the commenter) and posts held by the content filter (approve, reject).
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+
+import CommentFlag, {
+  COMMENT_FLAG_STATUSES,
+  COMMENT_FLAG_TARGETS,
+} from '../Models/CommentFlagModel.js';
+import Movie from '../Models/MoviesModel.js';
+import Rating from '../Models/RatingModel.js';
+import RatingReply from '../Models/RatingReplyModel.js';
+import User from '../Models/UserModel.js';
+import { isStaff } from '../config/roles.js';
+import { recordAudit } from '../utils/auditLog.js';
+import { refreshMovieRating } from '../utils/ratingAggregates.js';
+import { notifyRatingReply, recountRatingReplies } from '../utils/ratingReplies.js';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const clean = (v) => String(v ?? '').trim();
+
+const isValidObjectId = (id) =>
+  /^[a-f\d]{24}$/i.test(clean(id)) && mongoose.Types.ObjectId.isValid(id);
+
+const clampLimit = (value, fallback = DEFAULT_LIMIT, max = MAX_LIMIT) => {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) return fallback;
+  return Math.min(Math.floor(n), max);
+};
+
+const loadFlag = async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidObjectId(id)) {
+    res.status(400);
+    throw new Error('Invalid flag id');
+  }
+
+  const flag = await CommentFlag.findById(id).lean();
+  if (!flag) {
+    res.status(404);
+    throw new Error('Flag not found');
+  }
+
+  return flag;
+};
+
+/**
+ * Hides or shows one flagged comment and keeps the movie score /
+ * reply count in step. Returns false when the comment is gone.
+ */
+const setCommentStatus = async ({ targetType, targetId }, status, moderatorId) => {
+  const hidden = status === 'hidden';
+  const update = {
+    $set: {
+      status,
+      hiddenBy: hidden ? moderatorId : null,
+      hiddenAt: hidden ? new Date() : null,
+    },
+  };
+
+  if (targetType === 'rating') {
+    const rating = await Rating.findOneAndUpdate({ _id: targetId }, update, {
+      projection: '_id movieId',
+      timestamps: false,
+    }).lean();
+    if (!rating) return false;
+
+    await refreshMovieRating(rating.movieId);
+    return true;
+  }
+
+  const reply = await RatingReply.findOneAndUpdate({ _id: targetId }, update, {
+    projection: '_id ratingId',
+    timestamps: false,
+  }).lean();
+  if (!reply) return false;
+
+  await recountRatingReplies([reply.ratingId]);
+  return true;
+};
+
+// Closes the flag and any other open flag on the same comment
+const resolveFlags = async (flag, status, req) => {
+  const note = clean(req.body?.note).substring(0, 500);
+  const resolved = {
+    status,
+    resolvedBy: req.user._id,
+    resolvedAt: new Date(),
+    ...(note && { resolutionNote: note }),
+  };
+
+  await CommentFlag.updateMany(
+    {
+      targetType: flag.targetType,
+      targetId: flag.targetId,
+      status: 'open',
+      _id: { $ne: flag._id },
+    },
+    { $set: resolved }
+  );
+
+  return CommentFlag.findByIdAndUpdate(flag._id, { $set: resolved }, { new: true }).lean();
+};
+
+/**
+ * ADMIN
+ * GET /api/moderation/flags?status=open|hidden|restored|all&targetType=rating|reply&pageNumber=1&limit=20
+ * Most-flagged first. Each flag carries the comment as it is now.
+ */
+export const getCommentFlags = asyncHandler(async (req, res) => {
+  const status = clean(req.query.status).toLowerCase() || 'open';
+  const targetType = clean(req.query.targetType);
+
+  if (status !== 'all' && !COMMENT_FLAG_STATUSES.includes(status)) {
+    res.status(400);
+    throw new Error(`status must be one of: all, ${COMMENT_FLAG_STATUSES.join(', ')}`);
+  }
+
+  if (targetType && !COMMENT_FLAG_TARGETS.includes(targetType)) {
+    res.status(400);
+    throw new Error(`targetType must be one of: ${COMMENT_FLAG_TARGETS.join(', ')}`);
+  }
+
+  const page = Math.max(1, Number(req.query.pageNumber) || 1);
+  const limit = clampLimit(req.query.limit);
+  const filter = {
+    ...(status !== 'all' && { status }),
+    ...(targetType && { targetType }),
+  };
+
+  const [flags, total] = await Promise.all([
+    CommentFlag.find(filter)
+      .sort(
+        status === 'open'
+          ? { flagCount: -1, lastFlaggedAt: -1 }
+          : { updatedAt: -1 }
+      )
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('movieId', 'name slug')
+      .populate('authorId', 'fullName email image commentsBanned')
+      .populate('resolvedBy', 'fullName email')
+      .lean(),
+    CommentFlag.countDocuments(filter),
+  ]);
+
+  const idsOf = (type) => flags.filter((f) => f.targetType === type).map((f) => f.targetId);
+  const [ratings, replies] = await Promise.all([
+    Rating.find({ _id: { $in: idsOf('rating') } })
+      .select('_id rating comment status likeCount replyCount')
+      .lean(),
+    RatingReply.find({ _id: { $in: idsOf('reply') } })
+      .select('_id ratingId comment status')
+      .lean(),
+  ]);
+  const targets = new Map([...ratings, ...replies].map((t) => [String(t._id), t]));
+
+  res.json({
+    flags: flags.map((f) => ({ ...f, target: targets.get(String(f.targetId)) || null })),
+    page,
+    pages: Math.ceil(total / limit) || 1,
+    total,
+  });
+});
+
+/**
+ * ADMIN
+ * POST /api/moderation/flags/:id/hide
+ * body: { note? }
+ */
+export const hideFlaggedComment = asyncHandler(async (req, res) => {
+  const flag = await loadFlag(req, res);
+
+  const found = await setCommentStatus(flag, 'hidden', req.user._id);
+  const updated = await resolveFlags(flag, 'hidden', req);
+
+  res.json({
+    message: found ? 'Comment hidden' : 'Comment no longer exists; flag closed',
+    flag: updated,
+  });
+});
+
+/**
+ * ADMIN
+ * POST /api/moderation/flags/:id/restore
+ * body: { note? }
+ * Keeps (or brings back) the comment and closes the flag.
+ */
+export const restoreFlaggedComment = asyncHandler(async (req, res) => {
+  const flag = await loadFlag(req, res);
+
+  const found = await setCommentStatus(flag, 'visible', req.user._id);
+  if (!found) {
+    res.status(404);
+    throw new Error('Comment no longer exists');
+  }
+
+  const updated = await resolveFlags(flag, 'restored', req);
+
+  res.json({ message: 'Comment restored', flag: updated });
+});
+
+/**
+ * ADMIN
+ * POST /api/moderation/flags/:id/ban-commenter
+ * body: { reason?, note?, hideAll?: true }
+ * Bans the author from commenting, hides the flagged comment and,
+ * with hideAll, every other comment and reply they wrote.
+ */
+export const banFlaggedCommenter = asyncHandler(async (req, res) => {
+  const flag = await loadFlag(req, res);
+
+  if (!flag.authorId) {
+    res.status(400);
+    throw new Error('Guest comments have no account to ban');
+  }
+
+  const author = await User.findById(flag.authorId)
+    .select('_id fullName email role isAdmin commentsBanned commentsBannedReason')
+    .lean();
+
+  if (!author) {
+    res.status(404);
+    throw new Error('Commenter not found');
+  }
+
+  if (isStaff(author)) {
+    res.status(400);
+    throw new Error('Staff accounts cannot be banned from commenting');
+  }
+
+  const reason = clean(req.body?.reason).substring(0, 300);
+  const hideAll = req.body?.hideAll !== false;
+
+  await User.updateOne(
+    { _id: author._id },
+    {
+      $set: {
+        commentsBanned: true,
+        commentsBannedAt: new Date(),
+        commentsBannedReason: reason,
+      },
+    }
+  );
+
+  await setCommentStatus(flag, 'hidden', req.user._id);
+  const updated = await resolveFlags(flag, 'hidden', req);
+
+  let hiddenRatings = 0;
+  let hiddenReplies = 0;
+
+  if (hideAll) {
+    const hide = {
+      $set: { status: 'hidden', hiddenBy: req.user._id, hiddenAt: new Date() },
+    };
+
+    // Star-only ratings stay: the ban is about what they wrote
+    const ratingFilter = {
+      userId: author._id,
+      isGuest: { $ne: true },
+      status: { $ne: 'hidden' },
+      comment: { $nin: ['', null] },
+    };
+    const [ratings, replies] = await Promise.all([
+      Rating.find(ratingFilter).select('_id movieId').lean(),
+      RatingReply.find({ userId: author._id, status: { $ne: 'hidden' } })
+        .select('_id ratingId')
+        .lean(),
+    ]);
+
+    if (ratings.length) {
+      await Rating.updateMany({ _id: { $in: ratings.map((r) => r._id) } }, hide, {
+        timestamps: false,
+      });
+      const movieIds = Array.from(new Set(ratings.map((r) => String(r.movieId))));
+      for (const movieId of movieIds) {
+        // eslint-disable-next-line no-await-in-loop
+        await refreshMovieRating(movieId);
+      }
+    }
+
+    if (replies.length) {
+      await RatingReply.updateMany({ _id: { $in: replies.map((r) => r._id) } }, hide, {
+        timestamps: false,
+      });
+      await recountRatingReplies(replies.map((r) => r.ratingId));
+    }
+
+    await CommentFlag.updateMany(
+      { authorId: author._id, status: 'open' },
+      { $set: { status: 'hidden', resolvedBy: req.user._id, resolvedAt: new Date() } }
+    );
+
+    hiddenRatings = ratings.length;
+    hiddenReplies = replies.length;
+  }
+
+  await recordAudit({
+    req,
+    action: 'user.comments_ban',
+    targetModel: 'User',
+    targetId: author._id,
+    targetLabel: author.email,
+    before: {
+      commentsBanned: !!author.commentsBanned,
+      commentsBannedReason: author.commentsBannedReason || '',
+    },
+    after: { commentsBanned: true, commentsBannedReason: reason },
+    meta: { flagId: flag._id, hideAll, hiddenRatings, hiddenReplies },
+  });
+
+  res.json({
+    message: 'Commenter banned',
+    userId: author._id,
+    flag: updated,
+    hiddenRatings,
+    hiddenReplies,
+  });
+});
+
+const PENDING_MODELS = { rating: Rating, reply: RatingReply };
+
+const loadPending = async (req, res) => {
+  const { type, id } = req.params;
+
+  if (!PENDING_MODELS[type]) {
+    res.status(400);
+    throw new Error(`type must be one of: ${Object.keys(PENDING_MODELS).join(', ')}`);
+  }
+
+  if (!isValidObjectId(id)) {
+    res.status(400);
+    throw new Error('Invalid comment id');
+  }
+
+  const doc = await PENDING_MODELS[type].findOne({ _id: id, status: 'pending' })
+    .select('-likedBy')
+    .lean();
+
+  if (!doc) {
+    res.status(404);
+    throw new Error('No pending comment found');
+  }
+
+  return doc;
+};
+
+/**
+ * ADMIN
+ * GET /api/moderation/pending?type=rating|reply&pageNumber=1&limit=20
+ * Posts held by the content filter, oldest first.
+ */
+export const getPendingComments = asyncHandler(async (req, res) => {
+  const type = clean(req.query.type) || 'rating';
+
+  if (!PENDING_MODELS[type]) {
+    res.status(400);
+    throw new Error(`type must be one of: ${Object.keys(PENDING_MODELS).join(', ')}`);
+  }
+
+  const page = Math.max(1, Number(req.query.pageNumber) || 1);
+  const limit = clampLimit(req.query.limit);
+  const filter = { status: 'pending' };
+
+  const [items, total] = await Promise.all([
+    PENDING_MODELS[type].find(filter)
+      .sort({ createdAt: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('-likedBy')
+      .populate('movieId', 'name slug')
+      .populate('userId', 'fullName email image commentsBanned')
+      .lean(),
+    PENDING_MODELS[type].countDocuments(filter),
+  ]);
+
+  res.json({
+    type,
+    items,
+    page,
+    pages: Math.ceil(total / limit) || 1,
+    total,
+  });
+});
+
+/**
+ * ADMIN
+ * POST /api/moderation/pending/:type/:id/approve
+ * Publishes a held rating / reply (a reply also notifies the rating's author).
+ */
+export const approvePendingComment = asyncHandler(async (req, res) => {
+  const doc = await loadPending(req, res);
+  const { type } = req.params;
+
+  await setCommentStatus({ targetType: type, targetId: doc._id }, 'visible', req.user._id);
+
+  if (type === 'reply') {
+    try {
+      const [movie, rating, replier] = await Promise.all([
+        Movie.findById(doc.movieId).select('_id name slug').lean(),
+        Rating.findById(doc.ratingId).select('_id userId isGuest guestName').lean(),
+        User.findById(doc.userId).select('_id fullName').lean(),
+      ]);
+      if (movie && rating && replier) {
+        await notifyRatingReply({ movie, rating, reply: doc, replier });
+      }
+    } catch (e) {
+      console.warn('[moderation] reply notification:', e?.message || e);
+    }
+  }
+
+  res.json({ message: 'Comment approved', type, id: doc._id });
+});
+
+/**
+ * ADMIN
+ * POST /api/moderation/pending/:type/:id/reject
+ * Keeps a held rating / reply out of public view (status "hidden").
+ */
+export const rejectPendingComment = asyncHandler(async (req, res) => {
+  const doc = await loadPending(req, res);
+  const { type } = req.params;
+
+  await setCommentStatus({ targetType: type, targetId: doc._id }, 'hidden', req.user._id);
+
+  res.json({ message: 'Comment rejected', type, id: doc._id });
+});
+
+/**
+ * ADMIN
+ * POST /api/moderation/commenters/:userId/unban
+ * Hidden comments stay hidden (restore them one by one from the queue).
+ */
+export const unbanCommenter = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  if (!isValidObjectId(userId)) {
+    res.status(400);
+    throw new Error('Invalid user id');
+  }
+
+  const user = await User.findOneAndUpdate(
+    { _id: userId, commentsBanned: true },
+    {
+      $set: { commentsBanned: false, commentsBannedAt: null, commentsBannedReason: '' },
+    }
+  )
+    .select('_id email commentsBannedReason')
+    .lean();
+
+  if (!user) {
+    const exists = await User.exists({ _id: userId });
+    res.status(exists ? 400 : 404);
+    throw new Error(exists ? 'User is not banned from commenting' : 'User not found');
+  }
+
+  await recordAudit({
+    req,
+    action: 'user.comments_unban',
+    targetModel: 'User',
+    targetId: user._id,
+    targetLabel: user.email,
+    before: { commentsBanned: true, commentsBannedReason: user.commentsBannedReason || '' },
+    after: { commentsBanned: false, commentsBannedReason: '' },
+  });
+
+  res.json({ message: 'Commenter unbanned', userId: user._id });
+});
+
+export default {
+  getCommentFlags,
+  hideFlaggedComment,
+  restoreFlaggedComment,
+  banFlaggedCommenter,
+  getPendingComments,
+  approvePendingComment,
+  rejectPendingComment,
+  unbanCommenter,
+};
@@ -0,0 +1,92 @@
+// backend/Controllers/CronController.js
+// Scheduled jobs. On Vercel these are hit by Vercel Cron (see vercel.json);
+// elsewhere server.js also runs them on timers.
+import asyncHandler from 'express-async-handler';
+
+import { runPublishScheduler } from '../utils/publishScheduler.js';
+import { purgeExpiredTrash } from '../utils/trashService.js';
+import { runLinkHealthCheck } from '../utils/linkHealth.js';
+import { runDueCampaigns } from '../utils/campaignSender.js';
+import { runOutboundWorker } from '../utils/outboundQueue.js';
+import { backfillWeightedRates } from '../utils/ratingAggregates.js';
+
+/**
+ * CRON
+ * GET /api/cron/publish-scheduler
+ * Publishes / unpublishes movies and blog posts whose publishAt / unpublishAt is due.
+ */
+export const runPublishSchedulerCron = asyncHandler(async (_req, res) => {
+  const startedAt = Date.now();
+  const result = await runPublishScheduler();
+
+  res.json({ ok: true, ...result, tookMs: Date.now() - startedAt });
+});
+
+/**
+ * CRON
+ * GET /api/cron/trash-purge
+ * Permanently deletes trash older than TRASH_RETENTION_DAYS.
+ */
+export const runTrashPurgeCron = asyncHandler(async (_req, res) => {
+  const purged = await purgeExpiredTrash();
+
+  res.json({ ok: true, purged });
+});
+
+/**
+ * CRON
+ * GET /api/cron/link-check
+ * Probes the video servers of the titles checked longest ago (LINK_CHECK_BATCH),
+ * within LINK_CHECK_BUDGET_MS and LINK_CHECK_MAX_LINKS per run.
+ */
+export const runLinkCheckCron = asyncHandler(async (_req, res) => {
+  const startedAt = Date.now();
+  const { results, ...summary } = await runLinkHealthCheck();
+
+  res.json({ ok: true, ...summary, tookMs: Date.now() - startedAt });
+});
+
+/**
+ * CRON
+ * GET /api/cron/push-campaigns
+ * Starts scheduled push campaigns that are due and resumes unfinished batches.
+ */
+export const runPushCampaignsCron = asyncHandler(async (_req, res) => {
+  const startedAt = Date.now();
+  const result = await runDueCampaigns();
+
+  res.json({ ok: true, ...result, tookMs: Date.now() - startedAt });
+});
+
+/**
+ * CRON
+ * GET /api/cron/outbound-queue
+ * Sends due email/push jobs; failures are retried with backoff or dead-lettered.
+ */
+export const runOutboundQueueCron = asyncHandler(async (_req, res) => {
+  const startedAt = Date.now();
+  const result = await runOutboundWorker();
+
+  res.json({ ok: true, ...result, tookMs: Date.now() - startedAt });
+});
+
+/**
+ * CRON
+ * GET /api/cron/rating-backfill
+ * Fills Movie.weightedRate on titles that don't have one yet (remaining > 0: more next run).
+ */
+export const runRatingBackfillCron = asyncHandler(async (_req, res) => {
+  const startedAt = Date.now();
+  const result = await backfillWeightedRates();
+
+  res.json({ ok: true, ...result, tookMs: Date.now() - startedAt });
+});
+
+export default {
+  runPublishSchedulerCron,
+  runTrashPurgeCron,
+  runLinkCheckCron,
+  runPushCampaignsCron,
+  runOutboundQueueCron,
+  runRatingBackfillCron,
+};
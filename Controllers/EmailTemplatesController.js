@@ -0,0 +1,59 @@
+// backend/Controllers/EmailTemplatesController.js
+// Admin preview of the email templates (utils/emailTemplates.js).
+import asyncHandler from 'express-async-handler';
+
+import {
+  EMAIL_LOCALES,
+  EMAIL_TEMPLATE_NAMES,
+  getEmailTemplateSample,
+  listEmailTemplates,
+  renderEmailTemplate,
+} from '../utils/emailTemplates.js';
+
+/**
+ * ADMIN
+ * GET /api/email-templates
+ */
+export const getEmailTemplates = asyncHandler(async (_req, res) => {
+  res.json({ templates: listEmailTemplates(), locales: EMAIL_LOCALES });
+});
+
+/**
+ * ADMIN
+ * GET|POST /api/email-templates/:name/preview?locale=hi&format=html
+ * Renders the template with sample data; a POST body { data: {...} }
+ * overrides sample fields. format=html returns the email itself,
+ * format=text the plain-text part, otherwise JSON with both.
+ */
+export const previewEmailTemplate = asyncHandler(async (req, res) => {
+  const name = String(req.params.name || '').trim();
+  const locale = String(req.query.locale || req.body?.locale || 'en').trim().toLowerCase();
+  const format = String(req.query.format || 'json').trim().toLowerCase();
+
+  if (!EMAIL_TEMPLATE_NAMES.includes(name)) {
+    res.status(404);
+    throw new Error(`Unknown template. Available: ${EMAIL_TEMPLATE_NAMES.join(', ')}`);
+  }
+
+  if (!EMAIL_LOCALES.includes(locale)) {
+    res.status(400);
+    throw new Error(`locale must be one of: ${EMAIL_LOCALES.join(', ')}`);
+  }
+
+  const overrides =
+    req.body?.data && typeof req.body.data === 'object' ? req.body.data : {};
+  const data = { ...getEmailTemplateSample(name), ...overrides };
+  const email = renderEmailTemplate(name, data, { locale });
+
+  res.set('Cache-Control', 'no-store');
+
+  if (format === 'html') return res.type('html').send(email.html);
+  if (format === 'text') return res.type('text').send(email.text);
+
+  res.json({ template: name, data, ...email });
+});
+
+export default {
+  getEmailTemplates,
+  previewEmailTemplate,
+};
@@ -0,0 +1,215 @@
+// backend/Controllers/LinkHealthController.js
+// Admin report for dead / failing video servers (see utils/linkHealth.js).
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+
+import Movie from '../Models/MoviesModel.js';
+import VideoLinkCheck from '../Models/VideoLinkCheckModel.js';
+import { runLinkHealthCheck } from '../utils/linkHealth.js';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Manual runs probe every server of each title: keep them small
+const MAX_MANUAL_CHECK = 25;
+
+const REPORT_MOVIE_SELECT = '_id name slug type isPublished image titleImage linksCheckedAt';
+
+const clean = (v) => String(v ?? '').trim();
+
+const isValidObjectId = (id) =>
+  /^[a-f\d]{24}$/i.test(clean(id)) && mongoose.Types.ObjectId.isValid(id);
+
+const clampLimit = (value, fallback = DEFAULT_LIMIT, max = MAX_LIMIT) => {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) return fallback;
+  return Math.min(Math.floor(n), max);
+};
+
+// ?status=dead (default) | error | broken (dead + error)
+const parseStatusFilter = (value) => {
+  const status = clean(value).toLowerCase() || 'dead';
+  if (status === 'broken') return { $in: ['dead', 'error'] };
+  if (['dead', 'error', 'ok'].includes(status)) return status;
+  return null;
+};
+
+const toServerRow = (row) => ({
+  episodeId: row.episodeId,
+  seasonNumber: row.seasonNumber,
+  episodeNumber: row.episodeNumber,
+  field: row.field,
+  url: row.url,
+  status: row.status,
+  httpStatus: row.httpStatus,
+  error: row.error,
+  consecutiveFailures: row.consecutiveFailures,
+  checkedAt: row.checkedAt,
+  lastOkAt: row.lastOkAt,
+});
+
+// Rows of trashed titles stay until purge: stages (on docs whose _id is the
+// movie id) that drop them from the report
+const onlyLiveMovies = [
+  {
+    $lookup: {
+      from: Movie.collection.name,
+      let: { movieId: '$_id' },
+      pipeline: [
+        { $match: { $expr: { $eq: ['$_id', '$$movieId'] }, deletedAt: null } },
+        { $project: { _id: 1 } },
+      ],
+      as: 'liveMovie',
+    },
+  },
+  { $match: { 'liveMovie.0': { $exists: true } } },
+  { $unset: 'liveMovie' },
+];
+
+/**
+ * ADMIN
+ * GET /api/movies/admin/link-health?status=dead|error|broken&pageNumber=1&limit=20
+ * Titles with broken servers (most dead servers first) + overall summary.
+ */
+export const getLinkHealthReport = asyncHandler(async (req, res) => {
+  const status = parseStatusFilter(req.query.status);
+
+  if (!status) {
+    res.status(400);
+    throw new Error('status must be one of: dead, error, broken, ok');
+  }
+
+  const page = Math.max(1, Number(req.query.pageNumber) || 1);
+  const limit = clampLimit(req.query.limit);
+  const skip = (page - 1) * limit;
+
+  const [grouped, summaryRows, neverChecked] = await Promise.all([
+    VideoLinkCheck.aggregate([
+      { $match: { status } },
+      { $sort: { seasonNumber: 1, episodeNumber: 1, field: 1 } },
+      {
+        $group: {
+          _id: '$movieId',
+          servers: { $push: '$$ROOT' },
+          deadCount: { $sum: { $cond: [{ $eq: ['$status', 'dead'] }, 1, 0] } },
+          lastCheckedAt: { $max: '$checkedAt' },
+        },
+      },
+      ...onlyLiveMovies,
+      { $sort: { deadCount: -1, lastCheckedAt: -1, _id: 1 } },
+      {
+        $facet: {
+          items: [{ $skip: skip }, { $limit: limit }],
+          total: [{ $count: 'count' }],
+        },
+      },
+    ]),
+    VideoLinkCheck.aggregate([
+      { $group: { _id: { movieId: '$movieId', status: '$status' }, count: { $sum: 1 } } },
+      { $set: { _id: '$_id.movieId', status: '$_id.status' } },
+      ...onlyLiveMovies,
+      { $group: { _id: '$status', count: { $sum: '$count' } } },
+    ]),
+    Movie.countDocuments({ linksCheckedAt: null }),
+  ]);
+
+  const items = grouped[0]?.items || [];
+  const total = grouped[0]?.total?.[0]?.count || 0;
+
+  const movies = await Movie.find({ _id: { $in: items.map((i) => i._id) } })
+    .select(REPORT_MOVIE_SELECT)
+    .lean();
+  const movieById = new Map(movies.map((m) => [String(m._id), m]));
+
+  const titles = items
+    .map((item) => {
+      const movie = movieById.get(String(item._id));
+      if (!movie) return null;
+
+      return {
+        movie,
+        deadCount: item.deadCount,
+        lastCheckedAt: item.lastCheckedAt,
+        servers: item.servers.map(toServerRow),
+      };
+    })
+    .filter(Boolean);
+
+  const summary = { ok: 0, dead: 0, error: 0, neverCheckedTitles: neverChecked };
+  summaryRows.forEach((row) => {
+    summary[row._id] = row.count;
+  });
+
+  res.json({
+    titles,
+    summary,
+    page,
+    pages: Math.ceil(total / limit) || 1,
+    total,
+  });
+});
+
+/**
+ * ADMIN
+ * GET /api/movies/admin/:id/link-health
+ * Latest result for every server of one title.
+ */
+export const getMovieLinkHealth = asyncHandler(async (req, res) => {
+  const id = clean(req.params.id);
+
+  if (!isValidObjectId(id)) {
+    res.status(400);
+    throw new Error('Invalid movie id');
+  }
+
+  const movie = await Movie.findById(id).select(REPORT_MOVIE_SELECT).lean();
+
+  if (!movie) {
+    res.status(404);
+    throw new Error('Movie not found');
+  }
+
+  const servers = await VideoLinkCheck.find({ movieId: movie._id })
+    .sort({ seasonNumber: 1, episodeNumber: 1, field: 1 })
+    .lean();
+
+  res.json({ movie, servers: servers.map(toServerRow) });
+});
+
+/**
+ * ADMIN
+ * POST /api/movies/admin/link-health/check
+ * body: { movieIds?: string[], limit?: number, autoUnpublish?: boolean }
+ * Without movieIds, checks the titles checked longest ago.
+ */
+export const runLinkHealthCheckAdmin = asyncHandler(async (req, res) => {
+  const rawIds = Array.isArray(req.body?.movieIds) ? req.body.movieIds : [];
+  const movieIds = Array.from(new Set(rawIds.map(clean).filter(Boolean)));
+
+  const invalid = movieIds.filter((id) => !isValidObjectId(id));
+  if (invalid.length) {
+    res.status(400);
+    throw new Error(`Invalid movie id(s): ${invalid.slice(0, 5).join(', ')}`);
+  }
+
+  if (movieIds.length > MAX_MANUAL_CHECK) {
+    res.status(400);
+    throw new Error(`At most ${MAX_MANUAL_CHECK} titles per manual check`);
+  }
+
+  const result = await runLinkHealthCheck({
+    movieIds,
+    limit: clampLimit(req.body?.limit, 10, MAX_MANUAL_CHECK),
+    ...(typeof req.body?.autoUnpublish === 'boolean' && {
+      autoUnpublish: req.body.autoUnpublish,
+    }),
+  });
+
+  res.json(result);
+});
+
+export default {
+  getLinkHealthReport,
+  getMovieLinkHealth,
+  runLinkHealthCheckAdmin,
+};
@@ -0,0 +1,399 @@
+// backend/Controllers/LinkReportsController.js
+// Viewer "broken link" reports + admin triage queue.
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+import { createHash } from 'crypto';
+
+import LinkReport, {
+  LINK_REPORT_STATUSES,
+  MAX_REPORTERS,
+} from '../Models/LinkReportModel.js';
+import Movie from '../Models/MoviesModel.js';
+import { enqueuePush } from '../utils/outboundQueue.js';
+import { createInAppNotifications } from '../utils/notificationPreferences.js';
+import {
+  EPISODE_SERVER_FIELDS,
+  MOVIE_SERVER_FIELDS,
+} from '../utils/linkHealth.js';
+
+const FRONTEND_BASE_URL = String(
+  process.env.PUBLIC_FRONTEND_URL || 'https://www.moviefrost.com'
+).replace(/\/+$/, '');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Per reporter (user or IP), across all titles
+const REPORTS_PER_HOUR = Math.max(
+  1,
+  Number(process.env.LINK_REPORTS_PER_HOUR || 20)
+);
+
+const SERVER_LABELS = {
+  video: 'Server 1',
+  videoUrl2: 'Server 2',
+  videoUrl3: 'Server 3',
+  videoUrl7: 'Server 4',
+  downloadUrl: 'Download link',
+};
+
+const clean = (v) => String(v ?? '').trim();
+
+const isValidObjectId = (id) =>
+  /^[a-f\d]{24}$/i.test(clean(id)) && mongoose.Types.ObjectId.isValid(id);
+
+const clampLimit = (value, fallback = DEFAULT_LIMIT, max = MAX_LIMIT) => {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) return fallback;
+  return Math.min(Math.floor(n), max);
+};
+
+const clientIpHash = (req) => {
+  const ip = String(req?.ip || req?.headers?.['x-forwarded-for'] || '')
+    .split(',')[0]
+    .trim();
+  return ip ? createHash('sha256').update(ip).digest('hex') : '';
+};
+
+// "Mirzapur S2E5 · Server 2"
+const describeTarget = (report) => {
+  const episode =
+    report.episodeId && report.episodeNumber != null
+      ? ` S${report.seasonNumber || 1}E${report.episodeNumber}`
+      : '';
+  return `${report.movieName || 'Title'}${episode} · ${
+    SERVER_LABELS[report.field] || report.field
+  }`;
+};
+
+const notifyReporters = async (report, movie) => {
+  const userIds = Array.from(
+    new Set(
+      (report.reporters || [])
+        .map((r) => (r.userId ? String(r.userId) : ''))
+        .filter(Boolean)
+    )
+  );
+  if (!userIds.length) return 0;
+
+  const fixed = report.status === 'fixed';
+  const target = describeTarget(report);
+  const link = `/movie/${String(movie?.slug || report.movieId)}`;
+
+  const title = fixed ? 'Broken link fixed' : 'Link report reviewed';
+  const message =
+    report.resolutionNote ||
+    (fixed
+      ? `Thanks for reporting! ${target} is working again.`
+      : `We checked ${target} and it is working. Try another server or refresh the page.`);
+
+  await createInAppNotifications(
+    userIds.map((userId) => ({
+      recipient: userId,
+      forAdmin: false,
+      type: fixed ? 'link_report_fixed' : 'link_report_invalid',
+      title,
+      message,
+      link,
+      meta: {
+        reportId: report._id,
+        movieId: report.movieId,
+        episodeId: report.episodeId,
+        field: report.field,
+      },
+    }))
+  );
+
+  await enqueuePush(userIds, {
+    title: `MovieFrost: ${title}`,
+    body: message,
+    url: `${FRONTEND_BASE_URL}${link}`,
+    icon: `${FRONTEND_BASE_URL}/images/MOVIEFROST.png`,
+    badge: `${FRONTEND_BASE_URL}/images/MOVIEFROST.png`,
+    tag: `link-report:${String(report._id)}`,
+    data: {
+      reportId: String(report._id),
+      type: fixed ? 'link_report_fixed' : 'link_report_invalid',
+    },
+  });
+
+  return userIds.length;
+};
+
+/**
+ * PUBLIC (login optional; signed-in reporters are notified on resolution)
+ * POST /api/link-reports
+ * body: { movieId, field: "video"|"videoUrl2"|..., episodeId?, note? }
+ */
+export const createLinkReport = asyncHandler(async (req, res) => {
+  const movieId = clean(req.body?.movieId);
+  const field = clean(req.body?.field);
+  const episodeId = clean(req.body?.episodeId) || null;
+  const note = clean(req.body?.note).substring(0, 300);
+
+  if (!isValidObjectId(movieId)) {
+    res.status(400);
+    throw new Error('Invalid movie id');
+  }
+
+  if (episodeId && !isValidObjectId(episodeId)) {
+    res.status(400);
+    throw new Error('Invalid episode id');
+  }
+
+  const allowedFields = episodeId ? EPISODE_SERVER_FIELDS : MOVIE_SERVER_FIELDS;
+  if (!allowedFields.includes(field)) {
+    res.status(400);
+    throw new Error(`field must be one of: ${allowedFields.join(', ')}`);
+  }
+
+  const movie = await Movie.findOne({ _id: movieId, isPublished: { $ne: false } })
+    .select(`_id name slug ${MOVIE_SERVER_FIELDS.join(' ')} episodes`)
+    .lean();
+
+  if (!movie) {
+    res.status(404);
+    throw new Error('Movie not found');
+  }
+
+  const episode = episodeId
+    ? (movie.episodes || []).find((ep) => String(ep._id) === episodeId)
+    : null;
+
+  if (episodeId && !episode) {
+    res.status(404);
+    throw new Error('Episode not found');
+  }
+
+  const url = clean((episode || movie)[field]);
+  if (!url) {
+    res.status(400);
+    throw new Error('This server has no link to report');
+  }
+
+  const reporter = {
+    userId: req.user?._id || null,
+    ipHash: clientIpHash(req),
+    reportedAt: new Date(),
+  };
+  // Same account, or same IP when signed out
+  const reporterMatch = reporter.userId
+    ? { userId: reporter.userId }
+    : { userId: null, ipHash: reporter.ipHash };
+
+  const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+  const recentByReporter = await LinkReport.countDocuments({
+    reporters: { $elemMatch: { ...reporterMatch, reportedAt: { $gte: hourAgo } } },
+  });
+
+  if (recentByReporter >= REPORTS_PER_HOUR) {
+    res.status(429);
+    throw new Error('Too many reports, please try again later.');
+  }
+
+  const target = { movieId: movie._id, episodeId: episode?._id || null, field };
+
+  // Two passes: a concurrent first report may win the unique open index
+  for (let attempt = 0; attempt < 2; attempt += 1) {
+    // eslint-disable-next-line no-await-in-loop
+    const added = await LinkReport.findOneAndUpdate(
+      {
+        ...target,
+        status: 'open',
+        reporters: { $not: { $elemMatch: reporterMatch } },
+      },
+      {
+        $inc: { reportCount: 1 },
+        $set: { lastReportedAt: reporter.reportedAt, ...(note && { note }) },
+        $push: { reporters: { $each: [reporter], $slice: -MAX_REPORTERS } },
+      },
+      { new: true, projection: '_id reportCount' }
+    ).lean();
+
+    if (added) {
+      return res.json({ message: 'Thanks! Report received', reportId: added._id });
+    }
+
+    // eslint-disable-next-line no-await-in-loop
+    const existing = await LinkReport.findOne({ ...target, status: 'open' })
+      .select('_id')
+      .lean();
+
+    if (existing) {
+      return res.json({ message: 'You already reported this link', reportId: existing._id });
+    }
+
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const created = await LinkReport.create({
+        ...target,
+        movieName: movie.name,
+        seasonNumber: episode?.seasonNumber ?? null,
+        episodeNumber: episode?.episodeNumber ?? null,
+        url,
+        note,
+        lastReportedAt: reporter.reportedAt,
+        reporters: [reporter],
+      });
+
+      return res
+        .status(201)
+        .json({ message: 'Thanks! Report received', reportId: created._id });
+    } catch (e) {
+      if (e?.code !== 11000) throw e;
+    }
+  }
+
+  res.status(409);
+  throw new Error('Report is being processed, please try again');
+});
+
+/**
+ * ADMIN
+ * GET /api/link-reports/admin?status=open&movieId=&pageNumber=1&limit=20
+ * Most-reported first.
+ */
+export const getLinkReportsAdmin = asyncHandler(async (req, res) => {
+  const status = clean(req.query.status).toLowerCase() || 'open';
+  const movieId = clean(req.query.movieId);
+
+  if (status !== 'all' && !LINK_REPORT_STATUSES.includes(status)) {
+    res.status(400);
+    throw new Error(`status must be one of: all, ${LINK_REPORT_STATUSES.join(', ')}`);
+  }
+
+  if (movieId && !isValidObjectId(movieId)) {
+    res.status(400);
+    throw new Error('Invalid movie id');
+  }
+
+  const page = Math.max(1, Number(req.query.pageNumber) || 1);
+  const limit = clampLimit(req.query.limit);
+  const skip = (page - 1) * limit;
+
+  const filter = {
+    ...(status !== 'all' && { status }),
+    ...(movieId && { movieId }),
+  };
+
+  const [reports, total, countRows] = await Promise.all([
+    LinkReport.find(filter)
+      .sort(
+        status === 'open'
+          ? { reportCount: -1, lastReportedAt: -1 }
+          : { updatedAt: -1 }
+      )
+      .skip(skip)
+      .limit(limit)
+      .select('-reporters')
+      .populate('resolvedBy', 'fullName email')
+      .lean(),
+    LinkReport.countDocuments(filter),
+    LinkReport.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+  ]);
+
+  const counts = LINK_REPORT_STATUSES.reduce((acc, s) => ({ ...acc, [s]: 0 }), {});
+  countRows.forEach((row) => {
+    counts[row._id] = row.count;
+  });
+
+  res.json({
+    reports,
+    counts,
+    page,
+    pages: Math.ceil(total / limit) || 1,
+    total,
+  });
+});
+
+/**
+ * ADMIN
+ * PUT /api/link-reports/admin/:id
+ * body: { status: "fixed"|"invalid"|"open", note? }
+ * Closing a report notifies every signed-in reporter.
+ */
+export const updateLinkReportStatus = asyncHandler(async (req, res) => {
+  const id = clean(req.params.id);
+  const status = clean(req.body?.status).toLowerCase();
+  const note = clean(req.body?.note).substring(0, 240);
+
+  if (!isValidObjectId(id)) {
+    res.status(400);
+    throw new Error('Invalid report id');
+  }
+
+  if (!LINK_REPORT_STATUSES.includes(status)) {
+    res.status(400);
+    throw new Error(`status must be one of: ${LINK_REPORT_STATUSES.join(', ')}`);
+  }
+
+  const current = await LinkReport.findById(id).select('status').lean();
+
+  if (!current) {
+    res.status(404);
+    throw new Error('Report not found');
+  }
+
+  if (current.status === status) {
+    res.status(400);
+    throw new Error(`Report is already ${status}`);
+  }
+
+  const update =
+    status === 'open'
+      ? { status, resolvedBy: null, resolvedAt: null, resolutionNote: '' }
+      : {
+          status,
+          resolvedBy: req.user._id,
+          resolvedAt: new Date(),
+          resolutionNote: note,
+        };
+
+  let report;
+  try {
+    // Conditional on the old status: two admins can't both resolve it
+    report = await LinkReport.findOneAndUpdate(
+      { _id: id, status: current.status },
+      { $set: update },
+      { new: true }
+    ).lean();
+  } catch (e) {
+    if (e?.code === 11000) {
+      res.status(409);
+      throw new Error('Another open report already exists for this server');
+    }
+    throw e;
+  }
+
+  if (!report) {
+    res.status(409);
+    throw new Error('Report was updated by someone else, reload and try again');
+  }
+
+  let notified = 0;
+  if (status !== 'open') {
+    try {
+      const movie = await Movie.findById(report.movieId)
+        .setOptions({ withDeleted: true })
+        .select('slug')
+        .lean();
+      notified = await notifyReporters(report, movie);
+    } catch (e) {
+      console.warn('[link-reports] notify:', e?.message || e);
+    }
+  }
+
+  const { reporters, ...rest } = report;
+
+  res.json({
+    message: `Report marked as ${status}`,
+    report: rest,
+    notified,
+  });
+});
+
+export default {
+  createLinkReport,
+  getLinkReportsAdmin,
+  updateLinkReportStatus,
+};
@@ -3,6 +3,7 @@ import asyncHandler from 'express-async-handler';
 import mongoose from 'mongoose';
 
 import Movie from '../Models/MoviesModel.js';
+import { getLegacyReviews } from '../utils/reviewMigration.js';
 
 const publicVisibilityFilter = { isPublished: { $ne: false } };
 
@@ -13,9 +14,13 @@ const isValidObjectId = (value) => {
   return /^[a-f\d]{24}$/i.test(id) && mongoose.Types.ObjectId.isValid(id);
 };
 
-const populateReviews = {
-  path: 'reviews.userId',
-  select: 'fullName image',
+// `reviews` is served from Rating only (embedded reviews are moved there by
+// migrateReviews.js); read routes never write
+const attachReviews = async (movie) => {
+  if (!movie) return movie;
+
+  movie.reviews = await getLegacyReviews(movie._id);
+  return movie;
 };
 
 const findMovieByIdOrSlugReadOnly = async (param, extraFilter = {}) => {
@@ -25,16 +30,14 @@ const findMovieByIdOrSlugReadOnly = async (param, extraFilter = {}) => {
   const baseFilter = { ...extraFilter };
 
   if (isValidObjectId(safe)) {
-    const byId = await Movie.findOne({ _id: safe, ...baseFilter })
-      .populate(populateReviews)
-      .lean();
+    const byId = await Movie.findOne({ _id: safe, ...baseFilter }).lean();
 
-    if (byId) return byId;
+    if (byId) return attachReviews(byId);
   }
 
-  return Movie.findOne({ slug: safe, ...baseFilter })
-    .populate(populateReviews)
-    .lean();
+  const bySlug = await Movie.findOne({ slug: safe, ...baseFilter }).lean();
+
+  return attachReviews(bySlug);
 };
 
 /**
@@ -0,0 +1,258 @@
+// backend/Controllers/MovieRevisionsController.js
+// Admin revision history for movies: list, diff, rollback.
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+
+import Movie from '../Models/MoviesModel.js';
+import MovieRevision from '../Models/MovieRevisionModel.js';
+import { afterMovieMutation } from '../utils/movieIndexing.js';
+import { fulfillWatchRequestsOnPublish } from '../utils/watchRequests.js';
+import { notifyNewEpisodesOnPublish } from '../utils/newEpisodeAlerts.js';
+import { diffSnapshots } from '../utils/auditLog.js';
+import {
+  buildMovieSnapshot,
+  recordMovieRevisions,
+  snapshotMovieBaselines,
+} from '../utils/movieRevisions.js';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const clean = (v) => String(v ?? '').trim();
+
+const isValidObjectId = (id) =>
+  /^[a-f\d]{24}$/i.test(clean(id)) && mongoose.Types.ObjectId.isValid(id);
+
+const clampLimit = (value, fallback = DEFAULT_LIMIT, max = MAX_LIMIT) => {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) return fallback;
+  return Math.min(Math.floor(n), max);
+};
+
+const parseVersion = (value) => {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : null;
+};
+
+const requireMovieId = (req, res) => {
+  const id = clean(req.params.id);
+
+  if (!isValidObjectId(id)) {
+    res.status(400);
+    throw new Error('Invalid movie id');
+  }
+
+  return id;
+};
+
+const findRevisionOrThrow = async (movieId, versionParam, res) => {
+  const version = parseVersion(versionParam);
+
+  if (!version) {
+    res.status(400);
+    throw new Error('Invalid revision version');
+  }
+
+  const revision = await MovieRevision.findOne({ movieId, version }).lean();
+
+  if (!revision) {
+    res.status(404);
+    throw new Error(`Revision ${version} not found`);
+  }
+
+  return revision;
+};
+
+/**
+ * ADMIN
+ * GET /api/movies/admin/:id/revisions?pageNumber=1&limit=20
+ * Newest first, without snapshots.
+ */
+export const getMovieRevisions = asyncHandler(async (req, res) => {
+  const movieId = requireMovieId(req, res);
+  const page = Math.max(1, Number(req.query.pageNumber) || 1);
+  const limit = clampLimit(req.query.limit);
+  const skip = (page - 1) * limit;
+
+  const movie = await Movie.findById(movieId)
+    .setOptions({ withDeleted: true })
+    .select('_id name slug type deletedAt')
+    .lean();
+
+  if (!movie) {
+    res.status(404);
+    throw new Error('Movie not found');
+  }
+
+  const [revisions, total] = await Promise.all([
+    MovieRevision.find({ movieId })
+      .sort({ version: -1 })
+      .skip(skip)
+      .limit(limit)
+      .select('-snapshot -hash')
+      .lean(),
+    MovieRevision.countDocuments({ movieId }),
+  ]);
+
+  res.json({
+    movie,
+    revisions,
+    page,
+    pages: Math.ceil(total / limit) || 1,
+    total,
+  });
+});
+
+/**
+ * ADMIN
+ * GET /api/movies/admin/:id/revisions/diff?from=3&to=5
+ * `to` defaults to the live document ("current").
+ */
+export const diffMovieRevisions = asyncHandler(async (req, res) => {
+  const movieId = requireMovieId(req, res);
+
+  const from = await findRevisionOrThrow(movieId, req.query.from, res);
+
+  const toParam = clean(req.query.to || 'current');
+  let to;
+
+  if (toParam === 'current') {
+    const movie = await Movie.findById(movieId)
+      .setOptions({ withDeleted: true })
+      .lean();
+
+    if (!movie) {
+      res.status(404);
+      throw new Error('Movie not found');
+    }
+
+    to = { version: 'current', snapshot: buildMovieSnapshot(movie) };
+  } else {
+    to = await findRevisionOrThrow(movieId, toParam, res);
+  }
+
+  res.json({
+    from: from.version,
+    to: to.version,
+    changes: diffSnapshots(from.snapshot, to.snapshot),
+  });
+});
+
+/**
+ * ADMIN
+ * GET /api/movies/admin/:id/revisions/:version
+ */
+export const getMovieRevision = asyncHandler(async (req, res) => {
+  const movieId = requireMovieId(req, res);
+  const revision = await findRevisionOrThrow(movieId, req.params.version, res);
+
+  res.json(revision);
+});
+
+/**
+ * ADMIN
+ * POST /api/movies/admin/:id/revisions/:version/rollback
+ *
+ * Restores the movie's fields to that revision (counters, reviews and
+ * order are left alone), stores the result as a new "rollback" revision
+ * and re-runs revalidation/IndexNow.
+ */
+export const rollbackMovieRevision = asyncHandler(async (req, res) => {
+  const movieId = requireMovieId(req, res);
+  const revision = await findRevisionOrThrow(movieId, req.params.version, res);
+
+  const movie = await Movie.findById(movieId);
+
+  if (!movie) {
+    res.status(404);
+    throw new Error('Movie not found (restore it from the trash first)');
+  }
+
+  const snapshot = revision.snapshot || {};
+
+  if (snapshot.slug && snapshot.slug !== movie.slug) {
+    const taken = await Movie.findOne({
+      slug: snapshot.slug,
+      _id: { $ne: movie._id },
+    })
+      .setOptions({ withDeleted: true })
+      .select('_id')
+      .lean();
+
+    if (taken) {
+      res.status(409);
+      throw new Error(
+        `Slug "${snapshot.slug}" is now used by another title; rename it first`
+      );
+    }
+  }
+
+  await snapshotMovieBaselines([movie._id]);
+
+  const beforeIndexing = {
+    _id: movie._id,
+    slug: movie.slug,
+    isPublished: movie.isPublished,
+    latestNew: movie.latestNew,
+    banner: movie.banner,
+    latest: movie.latest,
+    previousHit: movie.previousHit,
+  };
+  const auditBefore = movie.toObject();
+
+  // Fields missing from the snapshot did not exist then: unset them
+  const current = buildMovieSnapshot(movie);
+  Object.keys({ ...current, ...snapshot }).forEach((key) => {
+    movie.set(key, key in snapshot ? snapshot[key] : undefined);
+  });
+
+  let updatedMovie;
+  try {
+    updatedMovie = await movie.save();
+  } catch (e) {
+    res.status(400);
+    throw new Error(`Rollback failed: ${e?.message || e}`);
+  }
+
+  await recordMovieRevisions({
+    ids: [updatedMovie._id],
+    action: 'rollback',
+    req,
+    meta: { rolledBackTo: revision.version },
+  });
+
+  try {
+    await afterMovieMutation({
+      action: 'rollback',
+      before: beforeIndexing,
+      after: updatedMovie,
+      audit: { req, before: auditBefore, meta: { rolledBackTo: revision.version } },
+    });
+  } catch (e) {
+    console.warn('[indexing] rollbackMovieRevision:', e?.message || e);
+  }
+
+  try {
+    await fulfillWatchRequestsOnPublish({ before: beforeIndexing, after: updatedMovie });
+  } catch (e) {
+    console.warn('[watch-requests] rollbackMovieRevision:', e?.message || e);
+  }
+
+  try {
+    await notifyNewEpisodesOnPublish({ before: beforeIndexing, after: updatedMovie });
+  } catch (e) {
+    console.warn('[new-episodes] rollbackMovieRevision:', e?.message || e);
+  }
+
+  res.json({
+    message: `Movie rolled back to revision ${revision.version}`,
+    movie: updatedMovie,
+  });
+});
+
+export default {
+  getMovieRevisions,
+  diffMovieRevisions,
+  getMovieRevision,
+  rollbackMovieRevision,
+};
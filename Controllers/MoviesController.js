@@ -1,6 +1,7 @@
 // backend/Controllers/MoviesController.js
 import { MoviesData } from '../Data/MoviesData.js';
 import Movie from '../Models/MoviesModel.js';
+import Rating from '../Models/RatingModel.js';
 import Categories from '../Models/CategoriesModel.js';
 import asyncHandler from 'express-async-handler';
 import mongoose from 'mongoose';
@@ -9,16 +10,34 @@ import { ensureMovieTmdbCredits, fetchTmdbCreditsForMovie } from '../utils/tmdbS
 import { ensureMovieExternalRatings } from '../utils/externalRatingsService.js';
 import { revalidateFrontend } from '../utils/frontendRevalidateService.js';
 import { afterMovieMutation } from '../utils/movieIndexing.js';
+import {
+  fulfillWatchRequestsForMovie,
+  fulfillWatchRequestsOnPublish,
+} from '../utils/watchRequests.js';
+import { recordAudit, recordAuditForDocs } from '../utils/auditLog.js';
+import { resolvePublishSchedule } from '../utils/publishScheduler.js';
+import {
+  recordMovieRevisions,
+  snapshotMovieBaselines,
+} from '../utils/movieRevisions.js';
+import {
+  notifyNewEpisodes,
+  notifyNewEpisodesOnPublish,
+  snapshotEpisodes,
+} from '../utils/newEpisodeAlerts.js';
 import { slugify } from '../utils/slugify.js';
+import { screenContent } from '../utils/contentFilter.js';
+import { refreshMovieRating } from '../utils/ratingAggregates.js';
+import { toLegacyReview } from '../utils/reviewMigration.js';
 
 const REORDER_PAGE_LIMIT = 50;
 const LATEST_NEW_LIMIT = 100;
 const MAX_FAQS = 5;
 const PUBLIC_MOVIE_CARD_SELECT =
-  '_id slug name image titleImage thumbnailInfo type category browseBy time year language latest previousHit latestNew banner isPublished orderIndex rate numberOfReviews';
+  '_id slug name image titleImage thumbnailInfo type category browseBy time year language latest previousHit latestNew banner isPublished orderIndex rate weightedRate numberOfReviews';
 
 const ADMIN_MOVIE_CARD_SELECT =
-  '_id slug name image titleImage thumbnailInfo type category browseBy time year language latest previousHit latestNew latestNewAt banner bannerAt isPublished orderIndex createdAt updatedAt';
+  '_id slug name image titleImage thumbnailInfo type category browseBy time year language latest previousHit latestNew latestNewAt banner bannerAt isPublished publishAt unpublishAt orderIndex createdAt updatedAt';
 
 
 // Treat "missing isPublished" as published
@@ -94,7 +113,11 @@ const generateUniqueSlug = async (name, year, existingId = null) => {
     const query = { slug };
     if (existingId) query._id = { $ne: existingId };
 
-    const existing = await Movie.findOne(query).select('_id').lean();
+    // Trashed titles keep their slug until purged
+    const existing = await Movie.findOne(query)
+      .setOptions({ withDeleted: true })
+      .select('_id')
+      .lean();
     if (!existing) break;
 
     slug = `${baseSlug}-${counter}`;
@@ -718,7 +741,7 @@ const getMovieByIdAdmin = asyncHandler(async (req, res) => {
 const getTopRatedMovies = asyncHandler(async (req, res) => {
   try {
     const movies = await Movie.find(publicVisibilityFilter)
-      .sort({ rate: -1, numberOfReviews: -1, viewCount: -1, createdAt: -1 })
+      .sort({ weightedRate: -1, numberOfReviews: -1, viewCount: -1, createdAt: -1 })
       .limit(10)
       .select(PUBLIC_MOVIE_CARD_SELECT)
       .lean();
@@ -745,51 +768,80 @@ const getRandomMovies = asyncHandler(async (req, res) => {
 });
 
 // PRIVATE: create review
+// Compatibility layer for the old reviews endpoint: reviews are Rating docs
+// now (see RatingsController); the response keeps the old review shape.
 const createMovieReview = asyncHandler(async (req, res) => {
   const { rating, comment } = req.body;
   try {
-    const movie = await Movie.findById(req.params.id);
-    if (movie) {
-      const alreadyReviewed = movie.reviews.find(
-        (r) => r.userId.toString() === req.user._id.toString()
-      );
-      if (alreadyReviewed) {
-        res.status(400);
-        throw new Error('You already reviewed this movie');
-      }
+    const movie = await Movie.findById(req.params.id).select(
+      '_id name slug rate numberOfReviews'
+    );
+    if (!movie) {
+      res.status(404);
+      throw new Error('Movie not found');
+    }
 
-      const review = {
-        userName: req.user.fullName,
-        userId: req.user._id,
-        userImage: req.user.image,
-        rating: Number(rating),
-        comment,
-      };
-      movie.reviews.push(review);
-      movie.numberOfReviews = movie.reviews.length;
-      movie.rate =
-        movie.reviews.reduce((acc, item) => item.rating + acc, 0) /
-        movie.reviews.length;
+    const ratingValue = Number(rating);
+    if (!Number.isFinite(ratingValue) || ratingValue < 0 || ratingValue > 5) {
+      res.status(400);
+      throw new Error('Rating must be a number between 0 and 5');
+    }
 
-      await movie.save();
+    const text = typeof comment === 'string' ? comment.trim().substring(0, 500) : '';
+    if (!text) {
+      res.status(400);
+      throw new Error('Comment is required');
+    }
 
-      const newReview = movie.reviews[movie.reviews.length - 1];
-      const reviewWithMovieName = {
-        ...newReview.toObject(),
-        movieName: movie.name,
-        movieSlug: movie.slug || null,
-      };
+    if (req.user.commentsBanned) {
+      res.status(403);
+      throw new Error('You are not allowed to post comments');
+    }
 
-      res.status(201).json({
-        message: 'Review added',
-        review: reviewWithMovieName,
-      });
-    } else {
-      res.status(404);
-      throw new Error('Movie not found');
+    if (await Rating.exists({ movieId: movie._id, userId: req.user._id })) {
+      res.status(400);
+      throw new Error('You already reviewed this movie');
     }
+
+    const screen = await screenContent({
+      req,
+      scope: 'review',
+      texts: { comment: text },
+      targetId: movie._id,
+    });
+
+    if (screen.action === 'reject') {
+      res.status(429);
+      throw new Error(screen.message);
+    }
+
+    const created = await Rating.create({
+      movieId: movie._id,
+      userId: req.user._id,
+      rating: ratingValue,
+      comment: text,
+      status: screen.status,
+      ...(screen.reasons.length && { filterReasons: screen.reasons }),
+    });
+
+    // Held reviews don't count until a moderator approves them
+    if (created.status === 'visible') await refreshMovieRating(movie._id);
+
+    res.status(created.status === 'visible' ? 201 : 202).json({
+      message: screen.message || 'Review added',
+      review: {
+        ...toLegacyReview({
+          ...created.toObject(),
+          userId: { _id: req.user._id, fullName: req.user.fullName, image: req.user.image },
+        }),
+        movieName: movie.name,
+        movieSlug: movie.slug || null,
+      },
+    });
   } catch (error) {
-    res.status(400).json({ message: error.message });
+    res
+      .status(res.statusCode >= 400 ? res.statusCode : 400)
+      .json({ message: error.message });
   }
 });
 
@@ -827,6 +879,8 @@ const updateMovie = asyncHandler(async (req, res) => {
       latest,
       previousHit,
       isPublished,
+      publishAt,
+      unpublishAt,
     } = req.body;
 
     const movie = await Movie.findById(req.params.id);
@@ -835,6 +889,7 @@ const updateMovie = asyncHandler(async (req, res) => {
       res.status(404);
       throw new Error('Movie not found');
     }
+    await snapshotMovieBaselines([movie._id]);
     const beforeIndexing = {
       _id: movie._id,
       slug: movie.slug,
@@ -844,6 +899,8 @@ const updateMovie = asyncHandler(async (req, res) => {
       latest: movie.latest,
       previousHit: movie.previousHit,
     };
+    const beforeEpisodes = snapshotEpisodes(movie.episodes);
+    const auditBefore = movie.toObject();
 
     if (
       latest !== undefined &&
@@ -923,9 +980,26 @@ const updateMovie = asyncHandler(async (req, res) => {
     movie.previousHit =
       previousHit !== undefined ? !!previousHit : movie.previousHit;
 
-    // toggle visibility
-    if (isPublished !== undefined) {
-      movie.isPublished = !!isPublished;
+    // toggle visibility (+ optional publish/unpublish schedule)
+    if (
+      isPublished !== undefined ||
+      publishAt !== undefined ||
+      unpublishAt !== undefined
+    ) {
+      const schedule = resolvePublishSchedule({
+        publishAt,
+        unpublishAt,
+        isPublished,
+        existing: {
+          publishAt: movie.publishAt,
+          unpublishAt: movie.unpublishAt,
+          isPublished: movie.isPublished !== false,
+        },
+      });
+
+      movie.isPublished = !!schedule.isPublished;
+      movie.publishAt = schedule.publishAt;
+      movie.unpublishAt = schedule.unpublishAt;
     }
 
     if (type === 'Movie') {
@@ -984,15 +1058,36 @@ const updateMovie = asyncHandler(async (req, res) => {
     }
 
     const updatedMovie = await movie.save();
+    await recordMovieRevisions({ ids: [updatedMovie._id], action: 'update', req });
     try {
       await afterMovieMutation({
         action: 'update',
         before: beforeIndexing,
         after: updatedMovie,
+        audit: { req, before: auditBefore },
       });
     } catch (e) {
       console.warn('[indexing] updateMovie:', e?.message || e);
     }
+    // ✅ A draft that just went live may be what someone requested
+    try {
+      await fulfillWatchRequestsOnPublish({ before: beforeIndexing, after: updatedMovie });
+    } catch (e) {
+      console.warn('[watch-requests] updateMovie:', e?.message || e);
+    }
+    // ✅ Tell followers about newly added episodes (best effort);
+    // a draft going live announces everything added while it was hidden
+    try {
+      const onPublish = await notifyNewEpisodesOnPublish({
+        before: beforeIndexing,
+        after: updatedMovie,
+      });
+      if (onPublish.reason === 'not_published_now') {
+        await notifyNewEpisodes({ movie: updatedMovie, beforeEpisodes });
+      }
+    } catch (e) {
+      console.warn('[new-episodes] updateMovie:', e?.message || e);
+    }
     res.status(201).json(updatedMovie);
   } catch (error) {
     res.status(400).json({ message: error.message });
@@ -1013,13 +1108,22 @@ const deleteMovie = asyncHandler(async (req, res) => {
         latest: movie.latest,
         previousHit: movie.previousHit,
       };
-      await movie.deleteOne();
+      const auditBefore = movie.toObject();
+
+      // Soft delete: goes to the trash (restorable until purged)
+      movie.deletedAt = new Date();
+      movie.deletedBy = req.user?._id || null;
+      await movie.save();
       try {
-        await afterMovieMutation({ action: 'delete', before: beforeIndexing });
+        await afterMovieMutation({
+          action: 'delete',
+          before: beforeIndexing,
+          audit: { req, before: auditBefore, after: movie },
+        });
       } catch (e) {
         console.warn('[indexing] deleteMovie:', e?.message || e);
       }
-      res.json({ message: 'Movie removed' });
+      res.json({ message: 'Movie moved to trash' });
     } else {
       res.status(404);
       throw new Error('Movie not found');
@@ -1029,11 +1133,24 @@ const deleteMovie = asyncHandler(async (req, res) => {
   }
 });
 
-// ADMIN: delete all movies
+// ADMIN: delete all movies (moves the whole catalog to the trash)
 const deleteAllMovies = asyncHandler(async (req, res) => {
   try {
-    await Movie.deleteMany({});
-    res.json({ message: 'All movies removed' });
+    const result = await Movie.updateMany(
+      {},
+      { $set: { deletedAt: new Date(), deletedBy: req.user?._id || null } }
+    );
+    const deletedCount = result.modifiedCount ?? result.nModified ?? 0;
+
+    await recordAudit({
+      req,
+      action: 'movie.delete_all',
+      targetModel: 'Movie',
+      changes: {},
+      meta: { deletedCount },
+    });
+
+    res.json({ message: 'All movies moved to trash', deletedCount });
   } catch (error) {
     res.status(400).json({ message: error.message });
   }
@@ -1073,6 +1190,8 @@ const createMovie = asyncHandler(async (req, res) => {
       latest = false,
       previousHit = false,
       isPublished = false,
+      publishAt,
+      unpublishAt,
     } = req.body;
 
     if (
@@ -1096,6 +1215,15 @@ const createMovie = asyncHandler(async (req, res) => {
       throw new Error('Movie cannot be both Latest and PreviousHit');
     }
 
+    // publishAt in the future keeps the title hidden until the scheduler runs
+    let schedule;
+    try {
+      schedule = resolvePublishSchedule({ publishAt, unpublishAt, isPublished });
+    } catch (e) {
+      res.status(400);
+      throw e;
+    }
+
     // Decide initial orderIndex
     let newOrderIndex;
 
@@ -1167,7 +1295,9 @@ const createMovie = asyncHandler(async (req, res) => {
       viewCount: 0,
       latest: !!latest,
       previousHit: !!previousHit,
-      isPublished: !!isPublished,
+      isPublished: !!schedule.isPublished,
+      publishAt: schedule.publishAt,
+      unpublishAt: schedule.unpublishAt,
       orderIndex: newOrderIndex,
       slug,
     };
@@ -1234,12 +1364,23 @@ const createMovie = asyncHandler(async (req, res) => {
 
     const movie = new Movie(movieData);
     const createdMovie = await movie.save();
+    await recordMovieRevisions({ ids: [createdMovie._id], action: 'create', req });
     // ✅ Revalidate Next ISR + IndexNow (best effort)
     try {
-      await afterMovieMutation({ action: 'create', after: createdMovie });
+      await afterMovieMutation({
+        action: 'create',
+        after: createdMovie,
+        audit: { req },
+      });
     } catch (e) {
       console.warn('[indexing] createMovie:', e?.message || e);
     }
+    // ✅ Notify users who requested this title (best effort)
+    try {
+      await fulfillWatchRequestsForMovie(createdMovie);
+    } catch (e) {
+      console.warn('[watch-requests] createMovie:', e?.message || e);
+    }
     res.status(201).json(createdMovie);
   } catch (error) {
     res
@@ -1334,7 +1475,25 @@ const setLatestNewMovies = asyncHandler(async (req, res) => {
       ? { $set: { latestNew: true, latestNewAt: now } }
       : { $set: { latestNew: false, latestNewAt: null } };
 
+    const auditSelect = '_id name latestNew';
+    const beforeDocs = await Movie.find({ _id: { $in: validIds } })
+      .select(auditSelect)
+      .lean();
+    await snapshotMovieBaselines(validIds);
+
     const result = await Movie.updateMany({ _id: { $in: validIds } }, update);
+    await recordMovieRevisions({ ids: validIds, action: 'curate', req });
+
+    await recordAuditForDocs({
+      req,
+      action: 'movie.latest_new',
+      targetModel: 'Movie',
+      beforeDocs,
+      afterDocs: () =>
+        Movie.find({ _id: { $in: validIds } })
+          .select(auditSelect)
+          .lean(),
+    });
 
     res.status(200).json({
       message: boolValue ? 'Added to Latest New' : 'Removed from Latest New',
@@ -1360,6 +1519,7 @@ const getDistinctBrowseBy = asyncHandler(async (req, res) => {
 });
 
 // ADMIN: reply to review
+// :reviewId is a Rating id, or the id of an old embedded review
 const adminReplyReview = asyncHandler(async (req, res) => {
   try {
     const { id, reviewId } = req.params;
@@ -1370,27 +1530,44 @@ const adminReplyReview = asyncHandler(async (req, res) => {
       throw new Error('Reply text cannot be empty');
     }
 
-    const movie = await Movie.findById(id);
+    if (!isValidObjectId(reviewId)) {
+      res.status(400);
+      throw new Error('Invalid review id');
+    }
+
+    const movie = await Movie.findById(id).select('_id slug');
     if (!movie) {
       res.status(404);
       throw new Error('Movie not found');
     }
 
-    const review = movie.reviews.find(
-      (r) => r._id.toString() === reviewId.toString()
-    );
+    const review = await Rating.findOneAndUpdate(
+      {
+        movieId: movie._id,
+        $or: [{ _id: reviewId }, { legacyReviewId: reviewId }],
+      },
+      {
+        $set: {
+          adminReply: reply.trim().substring(0, 2000),
+          adminReplyBy: req.user._id,
+          adminReplyAt: new Date(),
+        },
+      },
+      { new: true, timestamps: false }
+    )
+      .select('-likedBy')
+      .populate('userId', 'fullName image')
+      .lean();
+
     if (!review) {
       res.status(404);
       throw new Error('Review not found');
     }
 
-    review.adminReply = reply.trim();
-    await movie.save();
-
     const replyResponse = {
       message: 'Admin reply added',
       review: {
-        ...review.toObject(),
+        ...toLegacyReview(review),
         movieId: movie._id,
         movieSlug: movie.slug || null,
         reviewId: review._id,
@@ -1537,6 +1714,13 @@ const bulkExactUpdateMovies = asyncHandler(async (req, res) => {
   const operations = [];
   const errors = [];
 
+  // Filters of WebSeries rows that touch episodes (for new-episode alerts)
+  const episodeFilters = [];
+
+  // Every targeted row + touched top-level fields (for the audit log)
+  const auditFilters = [];
+  const auditFields = new Set(['name']);
+
   for (let i = 0; i < movies.length; i++) {
     const item = movies[i];
     try {
@@ -1552,8 +1736,8 @@ const bulkExactUpdateMovies = asyncHandler(async (req, res) => {
       }
 
       let filter;
-      if (_id) filter = { _id };
-      else filter = { name: name.trim(), type };
+      if (_id) filter = { _id, deletedAt: null };
+      else filter = { name: name.trim(), type, deletedAt: null };
 
       const updateSet = { type };
       const updateUnset = {};
@@ -1596,6 +1780,23 @@ const bulkExactUpdateMovies = asyncHandler(async (req, res) => {
         updateUnset['downloadUrl'] = '';
       }
 
+      // Publish schedule (same rules as updateMovie)
+      if ('publishAt' in item || 'unpublishAt' in item) {
+        const schedule = resolvePublishSchedule({
+          publishAt: item.publishAt,
+          unpublishAt: item.unpublishAt,
+          isPublished: item.isPublished,
+        });
+
+        if ('publishAt' in item) updateSet.publishAt = schedule.publishAt;
+        if ('unpublishAt' in item) updateSet.unpublishAt = schedule.unpublishAt;
+        if (schedule.isPublished !== undefined) {
+          updateSet.isPublished = !!schedule.isPublished;
+        }
+      } else if ('isPublished' in item && item.isPublished) {
+        updateSet.publishAt = null;
+      }
+
       const updateDoc = { $set: updateSet };
       if (Object.keys(updateUnset).length) updateDoc.$unset = updateUnset;
 
@@ -1619,6 +1820,15 @@ const bulkExactUpdateMovies = asyncHandler(async (req, res) => {
           upsert: false,
         },
       });
+
+      if (type === 'WebSeries' && 'episodes' in item) {
+        episodeFilters.push(filter);
+      }
+
+      auditFilters.push(filter);
+      [...Object.keys(updateSet), ...Object.keys(updateUnset)].forEach((f) =>
+        auditFields.add(f.split('.')[0])
+      );
     } catch (err) {
       errors.push({
         index: i,
@@ -1637,14 +1847,119 @@ const bulkExactUpdateMovies = asyncHandler(async (req, res) => {
     });
   }
 
+  // Episode snapshots BEFORE the write, keyed by movie _id
+  const episodesBefore = new Map();
+  if (episodeFilters.length) {
+    try {
+      const docs = await Movie.find({ $or: episodeFilters })
+        .select('_id episodes.seasonNumber episodes.episodeNumber')
+        .lean();
+      docs.forEach((d) =>
+        episodesBefore.set(String(d._id), snapshotEpisodes(d.episodes))
+      );
+    } catch (e) {
+      console.warn('[new-episodes] bulk snapshot skipped:', e?.message || e);
+    }
+  }
+
+  const auditSelect = ['_id', ...auditFields].join(' ');
+  let auditBeforeDocs = [];
+  try {
+    auditBeforeDocs = await Movie.find({ $or: auditFilters })
+      .select(auditSelect)
+      .lean();
+  } catch (e) {
+    console.warn('[audit] bulk snapshot skipped:', e?.message || e);
+  }
+
+  const auditIds = auditBeforeDocs.map((d) => d._id);
+  await snapshotMovieBaselines(auditIds);
+
+  // Drafts this update may publish (watch requests are matched afterwards)
+  let draftIds = [];
+  if (auditFields.has('isPublished')) {
+    try {
+      draftIds = await Movie.distinct('_id', { $or: auditFilters, isPublished: false });
+    } catch (e) {
+      console.warn('[watch-requests] bulk snapshot skipped:', e?.message || e);
+    }
+  }
+
   const result = await Movie.bulkWrite(operations, { ordered: false });
 
+  await recordMovieRevisions({ ids: auditIds, action: 'bulk_update', req });
+
+  if (auditBeforeDocs.length) {
+    await recordAuditForDocs({
+      req,
+      action: 'movie.bulk_update',
+      targetModel: 'Movie',
+      beforeDocs: auditBeforeDocs,
+      afterDocs: () =>
+        Movie.find({ _id: { $in: auditIds } })
+          .select(auditSelect)
+          .lean(),
+    });
+  }
+
   // ✅ Make Next.js show updates instantly (ISR cache purge)
   const revalidateResult = await revalidateFrontend({
     tags: ['movies', 'home'],
     paths: ['/', '/movies'],
   });
 
+  const publishedDraftIds = new Set();
+  if (draftIds.length) {
+    try {
+      const published = await Movie.find({ _id: { $in: draftIds }, ...publicVisibilityFilter })
+        .select('_id name slug isPublished')
+        .lean();
+
+      for (const movie of published) {
+        publishedDraftIds.add(String(movie._id));
+        // eslint-disable-next-line no-await-in-loop
+        await fulfillWatchRequestsOnPublish({ before: { isPublished: false }, after: movie });
+      }
+    } catch (e) {
+      console.warn('[watch-requests] bulkExactUpdateMovies:', e?.message || e);
+    }
+
+    // Series that went live announce everything added while they were drafts
+    for (const id of publishedDraftIds) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await notifyNewEpisodesOnPublish({
+          before: { isPublished: false },
+          after: { _id: id, isPublished: true },
+        });
+      } catch (e) {
+        console.warn('[new-episodes] bulkExactUpdateMovies:', e?.message || e);
+      }
+    }
+  }
+
+  // ✅ Tell followers about newly added episodes (best effort)
+  if (episodesBefore.size) {
+    try {
+      const updatedSeries = await Movie.find({
+        _id: { $in: Array.from(episodesBefore.keys()) },
+      })
+        .select('_id slug name image type isPublished episodes')
+        .lean();
+
+      for (const movie of updatedSeries) {
+        if (publishedDraftIds.has(String(movie._id))) continue;
+        // eslint-disable-next-line no-await-in-loop
+        await notifyNewEpisodes({
+          movie,
+          beforeEpisodes: episodesBefore.get(String(movie._id)),
+        });
+      }
+    } catch (e) {
+      console.warn('[new-episodes] bulkExactUpdateMovies:', e?.message || e);
+    }
+  }
+
   res.status(200).json({
     message: 'Bulk exact update executed',
     matched: result.matchedCount ?? result.result?.nMatched ?? 0,
@@ -1701,11 +2016,30 @@ const bulkDeleteByName = asyncHandler(async (req, res) => {
     });
   }
 
-  const result = await Movie.deleteMany({ $or: filters });
+  const auditBeforeDocs = await Movie.find({ $or: filters })
+    .select('-reviews')
+    .lean();
+
+  const result = await Movie.updateMany(
+    { $or: filters },
+    { $set: { deletedAt: new Date(), deletedBy: req.user?._id || null } }
+  );
+
+  await recordAuditForDocs({
+    req,
+    action: 'movie.bulk_delete',
+    targetModel: 'Movie',
+    beforeDocs: auditBeforeDocs,
+    afterDocs: () =>
+      Movie.find({ _id: { $in: auditBeforeDocs.map((d) => d._id) } })
+        .setOptions({ withDeleted: true })
+        .select('-reviews')
+        .lean(),
+  });
 
   res.status(200).json({
-    message: 'Bulk delete executed',
-    deletedCount: result.deletedCount,
+    message: 'Bulk delete executed (moved to trash)',
+    deletedCount: result.modifiedCount ?? result.nModified ?? 0,
     errorsCount: errors.length,
     errors,
   });
@@ -1869,6 +2203,12 @@ const bulkCreateMovies = asyncHandler(async (req, res) => {
     ordered: false,
   });
 
+  await recordMovieRevisions({
+    ids: insertedMovies.map((m) => m._id),
+    action: 'create',
+    req,
+  });
+
   try {
     const published = insertedMovies.filter((m) => m?.isPublished !== false);
 
@@ -0,0 +1,228 @@
+// backend/Controllers/NotificationPreferencesController.js
+// Per-user notification preferences + login-free email unsubscribe.
+import asyncHandler from 'express-async-handler';
+
+import NotificationPreference, {
+  PREFERENCE_CATEGORIES,
+  PREFERENCE_CHANNELS,
+} from '../Models/NotificationPreferenceModel.js';
+import { EMAIL_LOCALES } from '../utils/emailTemplates.js';
+import {
+  applyUnsubscribe,
+  getPreferencesForUser,
+  isValidTimeOfDay,
+  isValidTimeZone,
+  verifyUnsubscribeToken,
+} from '../utils/notificationPreferences.js';
+
+const FRONTEND_BASE_URL = String(
+  process.env.PUBLIC_FRONTEND_URL || 'https://www.moviefrost.com'
+).replace(/\/+$/, '');
+
+const UNSUBSCRIBE_LABELS = {
+  all: 'any more emails',
+  campaign: 'campaign emails',
+  watch_requests: 'watch request emails',
+  new_episodes: 'new episode emails',
+  link_reports: 'broken link report emails',
+};
+
+const escapeHtml = (value = '') =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * USER
+ * GET /api/notifications/preferences
+ */
+export const getNotificationPreferences = asyncHandler(async (req, res) => {
+  const preferences = await getPreferencesForUser(req.user._id);
+
+  res.json({
+    ...preferences,
+    categories: PREFERENCE_CATEGORIES,
+    availableChannels: PREFERENCE_CHANNELS,
+    emailLocales: EMAIL_LOCALES,
+  });
+});
+
+/**
+ * USER
+ * PUT /api/notifications/preferences
+ * Partial update, e.g.
+ * {
+ *   channels: { campaign: { email: false, push: false } },
+ *   quietHours: { enabled: true, start: "23:00", end: "07:30", timezone: "Asia/Kolkata" },
+ *   emailOptOut: false,
+ *   emailLocale: "hi"            // "en" | "hi" | null (browser language)
+ * }
+ */
+export const updateNotificationPreferences = asyncHandler(async (req, res) => {
+  const body = req.body || {};
+  const set = {};
+
+  if (body.channels !== undefined) {
+    if (!body.channels || typeof body.channels !== 'object') {
+      res.status(400);
+      throw new Error('channels must be an object');
+    }
+
+    Object.entries(body.channels).forEach(([category, toggles]) => {
+      if (!PREFERENCE_CATEGORIES.includes(category)) {
+        res.status(400);
+        throw new Error(`Unknown category "${category}"`);
+      }
+
+      Object.entries(toggles || {}).forEach(([channel, value]) => {
+        if (!PREFERENCE_CHANNELS.includes(channel) || typeof value !== 'boolean') {
+          res.status(400);
+          throw new Error(`channels.${category}.${channel} must be a boolean`);
+        }
+        set[`channels.${category}.${channel}`] = value;
+      });
+    });
+  }
+
+  if (body.quietHours !== undefined) {
+    const { enabled, start, end, timezone } = body.quietHours || {};
+
+    if (enabled !== undefined) set['quietHours.enabled'] = !!enabled;
+
+    [
+      ['start', start],
+      ['end', end],
+    ].forEach(([key, value]) => {
+      if (value === undefined) return;
+      if (!isValidTimeOfDay(value)) {
+        res.status(400);
+        throw new Error(`quietHours.${key} must be HH:MM (24h)`);
+      }
+      set[`quietHours.${key}`] = value;
+    });
+
+    if (timezone !== undefined) {
+      if (!timezone || !isValidTimeZone(timezone)) {
+        res.status(400);
+        throw new Error('quietHours.timezone must be an IANA time zone');
+      }
+      set['quietHours.timezone'] = String(timezone);
+    }
+  }
+
+  if (body.emailOptOut !== undefined) {
+    set.emailOptOut = !!body.emailOptOut;
+    set.emailOptOutAt = body.emailOptOut ? new Date() : null;
+  }
+
+  if (body.emailLocale !== undefined) {
+    if (body.emailLocale !== null && !EMAIL_LOCALES.includes(body.emailLocale)) {
+      res.status(400);
+      throw new Error(`emailLocale must be one of: ${EMAIL_LOCALES.join(', ')} (or null)`);
+    }
+    set.emailLocale = body.emailLocale;
+  }
+
+  if (!Object.keys(set).length) {
+    res.status(400);
+    throw new Error('Nothing to update');
+  }
+
+  await NotificationPreference.updateOne(
+    { userId: req.user._id },
+    { $set: set },
+    { upsert: true }
+  );
+
+  res.json({
+    message: 'Notification preferences saved',
+    ...(await getPreferencesForUser(req.user._id)),
+  });
+});
+
+const renderPage = ({ title, body }) => `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><meta name="robots" content="noindex"><title>${escapeHtml(title)}</title></head>
+<body style="margin:0;padding:0;background:#080A1A;font-family:Arial,sans-serif;">
+  <div style="max-width:480px;margin:48px auto;background:#0B0F29;border:1px solid #4b5563;border-radius:12px;padding:24px;color:#fff;text-align:center;">
+    <h2 style="margin:0 0 12px 0;">${escapeHtml(title)}</h2>
+    ${body}
+  </div>
+</body>
+</html>`;
+
+const BUTTON_STYLE =
+  'display:inline-block;background:#1B82FF;color:#fff;text-decoration:none;border:0;cursor:pointer;font-size:14px;padding:10px 16px;border-radius:8px;font-weight:bold;';
+
+const parseUnsubscribeRequest = (req, res) => {
+  const parsed = verifyUnsubscribeToken(req.query.token || req.body?.token);
+
+  if (!parsed) {
+    res.status(400);
+    throw new Error('Invalid or broken unsubscribe link');
+  }
+
+  return parsed;
+};
+
+/**
+ * PUBLIC (signed token, no login)
+ * GET /api/notifications/unsubscribe?token=...
+ * The link in the email. Only shows a confirmation page: mail scanners and
+ * link prefetchers open GET links, so nothing changes until the POST.
+ */
+export const showUnsubscribePage = asyncHandler(async (req, res) => {
+  const parsed = parseUnsubscribeRequest(req, res);
+  const what = UNSUBSCRIBE_LABELS[parsed.scope] || 'these emails';
+
+  res.set('Cache-Control', 'no-store');
+  res.type('html').send(
+    renderPage({
+      title: 'Unsubscribe?',
+      body: `<p style="color:#C0C0C0;line-height:1.6;">Stop receiving ${escapeHtml(what)} from MovieFrost?</p>
+    <form method="POST">
+      <input type="hidden" name="token" value="${escapeHtml(req.query.token)}">
+      <input type="hidden" name="confirm" value="1">
+      <button type="submit" style="${BUTTON_STYLE}">Unsubscribe</button>
+    </form>`,
+    })
+  );
+});
+
+/**
+ * PUBLIC (signed token, no login)
+ * POST /api/notifications/unsubscribe?token=...
+ * Applies the unsubscribe: the confirmation page's button, or the mail
+ * client's one-click unsubscribe (List-Unsubscribe-Post, RFC 8058).
+ */
+export const unsubscribeFromEmails = asyncHandler(async (req, res) => {
+  const parsed = parseUnsubscribeRequest(req, res);
+
+  await applyUnsubscribe(parsed.userId, parsed.scope);
+
+  // One-click from the mail client: no page to show
+  if (req.body?.confirm !== '1') {
+    return res.json({ message: 'Unsubscribed', scope: parsed.scope });
+  }
+
+  const what = UNSUBSCRIBE_LABELS[parsed.scope] || 'these emails';
+
+  res.set('Cache-Control', 'no-store');
+  res.type('html').send(
+    renderPage({
+      title: "You're unsubscribed",
+      body: `<p style="color:#C0C0C0;line-height:1.6;">You won't receive ${escapeHtml(what)} from MovieFrost. You can change this any time in your notification settings.</p>
+    <a href="${escapeHtml(FRONTEND_BASE_URL)}" style="${BUTTON_STYLE}">Back to MovieFrost</a>`,
+    })
+  );
+});
+
+export default {
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  showUnsubscribePage,
+  unsubscribeFromEmails,
+};
@@ -1,17 +1,151 @@
 import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
 import Notification from '../Models/NotificationModel.js';
+import {
+  POLL_INTERVAL_MS,
+  isRealtimeAvailable,
+  publishUnreadCount,
+} from '../utils/realtime.js';
 
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const clampLimit = (value, fallback = DEFAULT_LIMIT, max = MAX_LIMIT) => {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) return fallback;
+  return Math.min(Math.floor(n), max);
+};
+
+// ?type=watch_request_reply,campaign
+const parseTypeFilter = (value) => {
+  const types = String(value || '')
+    .split(',')
+    .map((t) => t.trim())
+    .filter((t) => /^[\w:-]{1,60}$/.test(t))
+    .slice(0, 20);
+
+  if (!types.length) return {};
+  return { type: types.length === 1 ? types[0] : { $in: types } };
+};
+
+// Opaque cursor = base64url("<createdAt ms>_<id>") of the last row returned
+const encodeCursor = (doc) =>
+  Buffer.from(`${new Date(doc.createdAt).getTime()}_${doc._id}`).toString(
+    'base64url'
+  );
+
+const decodeCursor = (cursor) => {
+  const [ms, id] = Buffer.from(String(cursor), 'base64url').toString('utf8').split('_');
+  const createdAt = new Date(Number(ms));
+
+  if (!id || !/^[a-f\d]{24}$/i.test(id) || Number.isNaN(createdAt.getTime())) {
+    return null;
+  }
+
+  return { createdAt, id: new mongoose.Types.ObjectId(id) };
+};
+
+const countUnread = (userId, extra = {}) =>
+  Notification.countDocuments({ recipient: userId, read: false, ...extra });
+
+// GET /api/notifications?limit=50&cursor=<nextCursor>&type=campaign
+// Newest first. unreadCount is always the user's total (badge).
 export const getMyNotifications = asyncHandler(async (req, res) => {
-  const limit = Math.min(Number(req.query.limit) || 50, 200);
+  const limit = clampLimit(req.query.limit);
+  const cursorRaw = String(req.query.cursor || '').trim();
+  const cursor = cursorRaw ? decodeCursor(cursorRaw) : null;
+
+  if (cursorRaw && !cursor) {
+    res.status(400);
+    throw new Error('Invalid cursor');
+  }
+
+  const filter = {
+    recipient: req.user._id,
+    ...parseTypeFilter(req.query.type),
+    ...(cursor && {
+      $or: [
+        { createdAt: { $lt: cursor.createdAt } },
+        { createdAt: cursor.createdAt, _id: { $lt: cursor.id } },
+      ],
+    }),
+  };
+
+  const [rows, unreadCount] = await Promise.all([
+    Notification.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .lean(),
+    countUnread(req.user._id),
+  ]);
 
-  const notifications = await Notification.find({ recipient: req.user._id })
-    .sort({ createdAt: -1 })
-    .limit(limit)
-    .lean();
+  const hasMore = rows.length > limit;
+  const notifications = hasMore ? rows.slice(0, limit) : rows;
 
-  const unreadCount = notifications.reduce((acc, n) => acc + (n.read ? 0 : 1), 0);
+  res.json({
+    notifications,
+    unreadCount,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(notifications[notifications.length - 1]) : null,
+  });
+});
+
+// GET /api/notifications/unread-count?type=
+export const getUnreadNotificationCount = asyncHandler(async (req, res) => {
+  const unreadCount = await countUnread(req.user._id, parseTypeFilter(req.query.type));
+
+  res.set('Cache-Control', 'no-store');
+  res.json({ unreadCount });
+});
+
+// PUT /api/notifications/read-all?type=  (type filter optional)
+export const markAllNotificationsRead = asyncHandler(async (req, res) => {
+  const result = await Notification.updateMany(
+    {
+      recipient: req.user._id,
+      read: false,
+      ...parseTypeFilter(req.query.type || req.body?.type),
+    },
+    { $set: { read: true } }
+  );
 
-  res.json({ notifications, unreadCount });
+  publishUnreadCount(req.user._id);
+
+  res.json({
+    message: 'Notifications marked as read',
+    modified: result.modifiedCount ?? 0,
+  });
+});
+
+// Polling fallback when sockets aren't available (Vercel):
+// GET /api/notifications/poll?since=<ISO date of the newest one the client has>
+export const pollNotifications = asyncHandler(async (req, res) => {
+  const sinceRaw = String(req.query.since || '').trim();
+  const since = sinceRaw ? new Date(sinceRaw) : null;
+
+  if (since && Number.isNaN(since.getTime())) {
+    res.status(400);
+    throw new Error('Invalid since date');
+  }
+
+  const [notifications, unreadCount] = await Promise.all([
+    since
+      ? Notification.find({ recipient: req.user._id, createdAt: { $gt: since } })
+          .sort({ createdAt: -1 })
+          .limit(50)
+          .lean()
+      : [],
+    countUnread(req.user._id),
+  ]);
+
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    notifications,
+    unreadCount,
+    transport: isRealtimeAvailable() ? 'socket' : 'polling',
+    pollIntervalMs: POLL_INTERVAL_MS,
+    serverTime: new Date(),
+  });
 });
 
 export const markNotificationAsRead = asyncHandler(async (req, res) => {
@@ -27,6 +161,7 @@ export const markNotificationAsRead = asyncHandler(async (req, res) => {
 
   notif.read = true;
   await notif.save();
+  publishUnreadCount(req.user._id);
 
   res.json({ message: 'Notification marked as read' });
 });
@@ -43,10 +178,12 @@ export const deleteNotification = asyncHandler(async (req, res) => {
   }
 
   await notif.deleteOne();
+  publishUnreadCount(req.user._id);
   res.json({ message: 'Notification removed' });
 });
 
 export const clearNotifications = asyncHandler(async (req, res) => {
   await Notification.deleteMany({ recipient: req.user._id });
+  publishUnreadCount(req.user._id);
   res.json({ message: 'Notifications cleared' });
 });
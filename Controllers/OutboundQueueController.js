@@ -0,0 +1,165 @@
+// backend/Controllers/OutboundQueueController.js
+// Admin view of the outbound email/push queue (utils/outboundQueue.js).
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+
+import OutboundJob, {
+  OUTBOUND_CHANNELS,
+  OUTBOUND_STATUSES,
+} from '../Models/OutboundJobModel.js';
+import { getOutboundQueueStats, reportCampaignRetry } from '../utils/outboundQueue.js';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Rendered bodies are large and not needed to triage a failure
+const LIST_SELECT = '-payload.html -payload.text -payload.headers -result';
+
+const clean = (v) => String(v ?? '').trim();
+
+const isValidObjectId = (id) =>
+  /^[a-f\d]{24}$/i.test(clean(id)) && mongoose.Types.ObjectId.isValid(id);
+
+const clampLimit = (value, fallback = DEFAULT_LIMIT, max = MAX_LIMIT) => {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) return fallback;
+  return Math.min(Math.floor(n), max);
+};
+
+const requireJobId = (req, res) => {
+  const id = clean(req.params.id);
+  if (!isValidObjectId(id)) {
+    res.status(400);
+    throw new Error('Invalid job id');
+  }
+  return id;
+};
+
+/**
+ * ADMIN
+ * GET /api/outbound-queue/stats
+ * Queue depth per channel/status, due jobs, retry backlog and recent dead letters.
+ */
+export const getOutboundQueueStatsAdmin = asyncHandler(async (_req, res) => {
+  const [stats, recentFailures] = await Promise.all([
+    getOutboundQueueStats(),
+    OutboundJob.find({ status: 'dead' })
+      .sort({ completedAt: -1 })
+      .limit(10)
+      .select(LIST_SELECT)
+      .lean(),
+  ]);
+
+  res.json({ ...stats, recentFailures });
+});
+
+/**
+ * ADMIN
+ * GET /api/outbound-queue?status=dead&channel=email&type=&pageNumber=1&limit=20
+ */
+export const getOutboundJobs = asyncHandler(async (req, res) => {
+  const status = clean(req.query.status).toLowerCase();
+  const channel = clean(req.query.channel).toLowerCase();
+  const type = clean(req.query.type);
+
+  if (status && !OUTBOUND_STATUSES.includes(status)) {
+    res.status(400);
+    throw new Error(`status must be one of: ${OUTBOUND_STATUSES.join(', ')}`);
+  }
+
+  if (channel && !OUTBOUND_CHANNELS.includes(channel)) {
+    res.status(400);
+    throw new Error(`channel must be one of: ${OUTBOUND_CHANNELS.join(', ')}`);
+  }
+
+  const page = Math.max(1, Number(req.query.pageNumber) || 1);
+  const limit = clampLimit(req.query.limit);
+
+  const filter = {
+    ...(status && { status }),
+    ...(channel && { channel }),
+    ...(type && { type }),
+  };
+
+  const [jobs, total] = await Promise.all([
+    OutboundJob.find(filter)
+      .sort({ updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select(LIST_SELECT)
+      .lean(),
+    OutboundJob.countDocuments(filter),
+  ]);
+
+  res.json({
+    jobs,
+    page,
+    pages: Math.ceil(total / limit) || 1,
+    total,
+  });
+});
+
+/**
+ * ADMIN
+ * POST /api/outbound-queue/:id/retry
+ * Puts a dead letter back in the queue with a fresh set of attempts.
+ */
+export const retryOutboundJob = asyncHandler(async (req, res) => {
+  const id = requireJobId(req, res);
+
+  const job = await OutboundJob.findOneAndUpdate(
+    { _id: id, status: 'dead' },
+    {
+      $set: {
+        status: 'pending',
+        attempts: 0,
+        runAt: new Date(),
+        lockedUntil: null,
+        completedAt: null,
+        expiresAt: null,
+      },
+    },
+    { new: true, projection: LIST_SELECT }
+  ).lean();
+
+  if (!job) {
+    const exists = await OutboundJob.exists({ _id: id });
+    res.status(exists ? 400 : 404);
+    throw new Error(exists ? 'Only dead jobs can be retried' : 'Job not found');
+  }
+
+  await reportCampaignRetry(job);
+
+  res.json({ message: 'Job queued for retry', job });
+});
+
+/**
+ * ADMIN
+ * DELETE /api/outbound-queue/:id
+ * Drops a pending or dead job (never one that is being sent).
+ */
+export const deleteOutboundJob = asyncHandler(async (req, res) => {
+  const id = requireJobId(req, res);
+
+  const deleted = await OutboundJob.findOneAndDelete({
+    _id: id,
+    status: { $in: ['pending', 'dead'] },
+  })
+    .select('_id')
+    .lean();
+
+  if (!deleted) {
+    const exists = await OutboundJob.exists({ _id: id });
+    res.status(exists ? 400 : 404);
+    throw new Error(exists ? 'Only pending or dead jobs can be deleted' : 'Job not found');
+  }
+
+  res.json({ message: 'Job deleted', id });
+});
+
+export default {
+  getOutboundQueueStatsAdmin,
+  getOutboundJobs,
+  retryOutboundJob,
+  deleteOutboundJob,
+};
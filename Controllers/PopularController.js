@@ -3,6 +3,11 @@ import asyncHandler from 'express-async-handler';
 import mongoose from 'mongoose';
 
 import Movie from '../Models/MoviesModel.js';
+import { recordAuditForDocs } from '../utils/auditLog.js';
+import {
+  recordMovieRevisions,
+  snapshotMovieBaselines,
+} from '../utils/movieRevisions.js';
 
 const POPULAR_PAGE_LIMIT = 30;
 const POPULAR_REORDER_MAX = 1000;
@@ -170,7 +175,25 @@ export const setPopularMovies = asyncHandler(async (req, res) => {
     ? { $set: { popular: true, popularAt: now } }
     : { $set: { popular: false, popularAt: null } };
 
+  const auditSelect = '_id name popular';
+  const beforeDocs = await Movie.find({ _id: { $in: validIds } })
+    .select(auditSelect)
+    .lean();
+  await snapshotMovieBaselines(validIds);
+
   const result = await Movie.updateMany({ _id: { $in: validIds } }, update);
+  await recordMovieRevisions({ ids: validIds, action: 'curate', req });
+
+  await recordAuditForDocs({
+    req,
+    action: 'movie.popular',
+    targetModel: 'Movie',
+    beforeDocs,
+    afterDocs: () =>
+      Movie.find({ _id: { $in: validIds } })
+        .select(auditSelect)
+        .lean(),
+  });
 
   res.status(200).json({
     message: boolValue ? 'Added to Popular' : 'Removed from Popular',
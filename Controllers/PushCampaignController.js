@@ -1,24 +1,73 @@
 import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
 import User from '../Models/UserModel.js';
-import Notification from '../Models/NotificationModel.js';
-import PushCampaign from '../Models/PushCampaignModel.js';
-import { sendPushToUserIds } from '../utils/pushService.js';
+import PushCampaign, { CAMPAIGN_STATUSES } from '../Models/PushCampaignModel.js';
+import CampaignClick from '../Models/CampaignClickModel.js';
+import { isEmailEnabled } from '../utils/emailService.js';
+import { normalizeSegment, previewAudience } from '../utils/campaignAudience.js';
+import { runCampaign } from '../utils/campaignSender.js';
+import { staffUserFilter } from '../config/roles.js';
 import {
-  isEmailEnabled,
-  sendEmail,
-  buildMovieCampaignHtml,
-} from '../utils/emailService.js';
+  buildChannelReport,
+  hashIp,
+  recordCampaignClick,
+  resolveCampaignTarget,
+  verifyTrackedToken,
+} from '../utils/campaignTracking.js';
 
-const FRONTEND_BASE_URL =
-  process.env.PUBLIC_FRONTEND_URL || 'https://www.moviefrost.com';
+// Furthest a campaign can be scheduled ahead
+const MAX_SCHEDULE_DAYS = 90;
 
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const FRONTEND_BASE_URL = String(
+  process.env.PUBLIC_FRONTEND_URL || 'https://www.moviefrost.com'
+).replace(/\/+$/, '');
+
+// Internal sending state, not useful to admins
+const HIDDEN_FIELDS = '-recipientIds -cursor -lockedUntil';
+
+const clampLimit = (value, fallback = DEFAULT_LIMIT, max = MAX_LIMIT) => {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) return fallback;
+  return Math.min(Math.floor(n), max);
+};
+
+const parseAudience = (req, res) => {
+  try {
+    return normalizeSegment(req.body?.segment, req.body?.userIds);
+  } catch (e) {
+    res.status(400);
+    throw e;
+  }
+};
+
+// Hand-picked users: only existing non-staff accounts are kept
+const findSelectedUserIds = async (userIds) =>
+  (
+    await User.find({ _id: { $in: userIds }, $nor: [staffUserFilter()] })
+      .select('_id')
+      .lean()
+  ).map((u) => u._id);
+
+// ADMIN: audience size before sending
+// body: { segment: { type, category?, language?, days? }, userIds? }
+export const previewPushCampaignAudience = asyncHandler(async (req, res) => {
+  const { segment, userIds } = parseAudience(req, res);
+  const { audienceSize, sample } = await previewAudience(segment, userIds);
+
+  res.json({ segment, audienceSize, sample });
+});
+
+// ADMIN: send now, or later with scheduledAt (ISO date)
 export const createPushCampaign = asyncHandler(async (req, res) => {
   const {
     title,
     message = '',
     link = '',
     imageUrl = '',
-    userIds = [],
+    scheduledAt = null,
     sendEmail: sendEmailFlag = true,
     sendPush: sendPushFlag = true,
     sendInApp: sendInAppFlag = true,
@@ -29,10 +78,23 @@ export const createPushCampaign = asyncHandler(async (req, res) => {
     throw new Error('Title is required');
   }
 
-  if (!Array.isArray(userIds) || userIds.length === 0) {
-    res.status(400);
-    throw new Error('Select at least one user');
+  const { segment, userIds } = parseAudience(req, res);
+
+  let sendAt = new Date();
+  if (scheduledAt) {
+    sendAt = new Date(scheduledAt);
+
+    if (Number.isNaN(sendAt.getTime())) {
+      res.status(400);
+      throw new Error('scheduledAt must be a valid date');
+    }
+
+    if (sendAt.getTime() > Date.now() + MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000) {
+      res.status(400);
+      throw new Error(`Campaigns can be scheduled at most ${MAX_SCHEDULE_DAYS} days ahead`);
+    }
   }
+  const isScheduled = sendAt.getTime() > Date.now();
 
   const cleanedTitle = title.trim().substring(0, 120);
   const cleanedMessage =
@@ -41,74 +103,14 @@ export const createPushCampaign = asyncHandler(async (req, res) => {
   const cleanedImageUrl =
     typeof imageUrl === 'string' ? imageUrl.trim().substring(0, 2048) : '';
 
-  const users = await User.find({
-    _id: { $in: userIds },
-    isAdmin: { $ne: true },
-  })
-    .select('_id email fullName')
-    .lean();
-
-  if (!users.length) {
-    res.status(404);
-    throw new Error('No users found for selected IDs');
-  }
-
-  // In-app notifications
-  let inAppCreated = 0;
-  if (sendInAppFlag) {
-    const notifs = users.map((u) => ({
-      recipient: u._id,
-      forAdmin: false,
-      type: 'campaign',
-      title: cleanedTitle,
-      message: cleanedMessage || 'New update from MovieFrost',
-      link: cleanedLink || '',
-      meta: { imageUrl: cleanedImageUrl, link: cleanedLink },
-    }));
-    await Notification.insertMany(notifs);
-    inAppCreated = notifs.length;
-  }
-
-  // Push notifications
-  const pushResult = sendPushFlag
-    ? await sendPushToUserIds(
-        users.map((u) => u._id),
-        {
-          title: cleanedTitle,
-          body: cleanedMessage || 'New update from MovieFrost',
-          url: cleanedLink || FRONTEND_BASE_URL,
-          icon: `${FRONTEND_BASE_URL}/images/MOVIEFROST.png`,
-          image: cleanedImageUrl || undefined,
-        }
-      )
-    : { skipped: true, sent: 0, failed: 0 };
-
-  // Emails
-  let emailSent = 0;
-  let emailFailed = 0;
-
-  if (sendEmailFlag && isEmailEnabled()) {
-    const html = buildMovieCampaignHtml({
-      title: cleanedTitle,
-      message: cleanedMessage,
-      link: cleanedLink || FRONTEND_BASE_URL,
-      imageUrl: cleanedImageUrl,
-    });
+  let recipientIds = [];
+  if (segment.type === 'users') {
+    recipientIds = await findSelectedUserIds(userIds);
 
-    const emailResults = await Promise.allSettled(
-      users
-        .filter((u) => u.email)
-        .map((u) =>
-          sendEmail({
-            to: u.email,
-            subject: cleanedTitle,
-            html,
-          })
-        )
-    );
-
-    emailSent = emailResults.filter((r) => r.status === 'fulfilled').length;
-    emailFailed = emailResults.length - emailSent;
+    if (!recipientIds.length) {
+      res.status(404);
+      throw new Error('No users found for selected IDs');
+    }
   }
 
   const campaignDoc = await PushCampaign.create({
@@ -117,22 +119,205 @@ export const createPushCampaign = asyncHandler(async (req, res) => {
     message: cleanedMessage,
     link: cleanedLink,
     imageUrl: cleanedImageUrl,
-    recipientIds: users.map((u) => u._id),
-    stats: {
-      inAppCreated,
-      pushSent: pushResult.sent || 0,
-      pushFailed: pushResult.failed || 0,
-      emailSent,
-      emailFailed,
+    recipientIds,
+    segment,
+    channels: {
+      inApp: !!sendInAppFlag,
+      push: !!sendPushFlag,
+      email: !!sendEmailFlag,
     },
+    status: 'scheduled',
+    scheduledAt: sendAt,
   });
 
+  if (isScheduled) {
+    const { audienceSize } = await previewAudience(segment, recipientIds);
+
+    return res.status(201).json({
+      message: 'Campaign scheduled',
+      campaignId: campaignDoc._id,
+      status: campaignDoc.status,
+      scheduledAt: campaignDoc.scheduledAt,
+      audienceSize,
+    });
+  }
+
+  // Only the first batch is sent inside this request (serverless time
+  // limits); /api/cron/push-campaigns sends the rest
+  const campaign =
+    (await runCampaign(campaignDoc._id, { maxBatches: 1 })) || campaignDoc.toObject();
+  const stats = campaign.stats || {};
+
   res.status(201).json({
-    message: 'Campaign sent',
-    campaignId: campaignDoc._id,
-    recipients: users.length,
-    inAppCreated,
-    push: pushResult,
-    email: { enabled: isEmailEnabled(), sent: emailSent, failed: emailFailed },
+    message:
+      campaign.status === 'sent'
+        ? 'Campaign sent'
+        : campaign.status === 'sending'
+          ? 'Campaign is sending in batches'
+          : `Campaign ${campaign.status}`,
+    campaignId: campaign._id,
+    status: campaign.status,
+    recipients: stats.audienceSize || 0,
+    processed: stats.processed || 0,
+    inAppCreated: stats.inAppCreated || 0,
+    // Push and email are delivered by the outbound queue worker
+    push: {
+      skipped: !sendPushFlag,
+      queued: stats.pushQueued || 0,
+      sent: stats.pushSent || 0,
+      failed: stats.pushFailed || 0,
+    },
+    email: {
+      enabled: isEmailEnabled(),
+      queued: stats.emailQueued || 0,
+      sent: stats.emailSent || 0,
+      failed: stats.emailFailed || 0,
+      skipped: stats.emailSkipped || 0,
+    },
+  });
+});
+
+// ADMIN: cancel a scheduled campaign, or stop one that is still sending
+export const cancelPushCampaign = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400);
+    throw new Error('Invalid campaign id');
+  }
+
+  const campaign = await PushCampaign.findOneAndUpdate(
+    { _id: id, status: { $in: ['scheduled', 'sending'] } },
+    {
+      $set: {
+        status: 'cancelled',
+        cancelledBy: req.user._id,
+        completedAt: new Date(),
+        lockedUntil: null,
+      },
+    },
+    { new: true }
+  )
+    .select(HIDDEN_FIELDS)
+    .lean();
+
+  if (!campaign) {
+    const exists = await PushCampaign.exists({ _id: id });
+    res.status(exists ? 400 : 404);
+    throw new Error(exists ? 'Only scheduled or sending campaigns can be cancelled' : 'Campaign not found');
+  }
+
+  res.json({ message: 'Campaign cancelled', campaign });
+});
+
+// ADMIN: campaign history, newest first
+// ?status=sent|scheduled|...&pageNumber=1&limit=20
+export const getPushCampaigns = asyncHandler(async (req, res) => {
+  const status = String(req.query.status || '').trim().toLowerCase();
+
+  if (status && !CAMPAIGN_STATUSES.includes(status)) {
+    res.status(400);
+    throw new Error(`status must be one of: ${CAMPAIGN_STATUSES.join(', ')}`);
+  }
+
+  const page = Math.max(1, Number(req.query.pageNumber) || 1);
+  const limit = clampLimit(req.query.limit);
+  const filter = status ? { status } : {};
+
+  const [campaigns, total] = await Promise.all([
+    PushCampaign.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select(HIDDEN_FIELDS)
+      .populate('sentBy', 'fullName email')
+      .lean(),
+    PushCampaign.countDocuments(filter),
+  ]);
+
+  res.json({
+    campaigns: campaigns.map((c) => ({ ...c, report: buildChannelReport(c.stats) })),
+    page,
+    pages: Math.ceil(total / limit) || 1,
+    total,
+  });
+});
+
+// ADMIN: one campaign with per-channel delivery, clicks and CTR
+export const getPushCampaignById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400);
+    throw new Error('Invalid campaign id');
+  }
+
+  const campaign = await PushCampaign.findById(id)
+    .select(HIDDEN_FIELDS)
+    .populate('sentBy', 'fullName email')
+    .populate('cancelledBy', 'fullName email')
+    .lean();
+
+  if (!campaign) {
+    res.status(404);
+    throw new Error('Campaign not found');
+  }
+
+  // First clicks per day and channel (unique clicks over time)
+  const clicksByDay = await CampaignClick.aggregate([
+    { $match: { campaignId: campaign._id } },
+    {
+      $group: {
+        _id: {
+          day: { $dateToString: { format: '%Y-%m-%d', date: '$firstClickedAt' } },
+          channel: '$channel',
+        },
+        uniqueClicks: { $sum: 1 },
+        clicks: { $sum: '$count' },
+      },
+    },
+    { $sort: { '_id.day': 1 } },
+    {
+      $project: {
+        _id: 0,
+        day: '$_id.day',
+        channel: '$_id.channel',
+        uniqueClicks: 1,
+        clicks: 1,
+      },
+    },
+  ]);
+
+  res.json({
+    campaign,
+    report: buildChannelReport(campaign.stats),
+    clicksByDay,
   });
 });
+
+// PUBLIC: tracked campaign link => records the click, redirects to the target
+export const trackCampaignClick = asyncHandler(async (req, res) => {
+  const parsed = verifyTrackedToken(req.params.token);
+  res.set('Cache-Control', 'no-store');
+
+  if (!parsed) return res.redirect(302, FRONTEND_BASE_URL);
+
+  const campaign = await PushCampaign.findById(parsed.campaignId).select('_id link').lean();
+  if (!campaign) return res.redirect(302, FRONTEND_BASE_URL);
+
+  // Link scanners often HEAD first; only real visits count
+  if (req.method === 'GET') {
+    try {
+      await recordCampaignClick({
+        campaignId: campaign._id,
+        channel: parsed.channel,
+        userId: parsed.userId,
+        ipHash: hashIp(req.ip || req.headers['x-forwarded-for']),
+      });
+    } catch (e) {
+      console.warn('[campaigns] click:', e?.message || e);
+    }
+  }
+
+  res.redirect(302, resolveCampaignTarget(campaign.link));
+});
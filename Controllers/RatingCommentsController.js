@@ -0,0 +1,453 @@
+// backend/Controllers/RatingCommentsController.js
+// Review threads: "helpful" likes, replies and abuse flags on ratings.
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+
+import Movie from '../Models/MoviesModel.js';
+import Rating from '../Models/RatingModel.js';
+import RatingReply from '../Models/RatingReplyModel.js';
+import CommentFlag, {
+  COMMENT_FLAG_REASONS,
+  MAX_FLAG_REPORTERS,
+} from '../Models/CommentFlagModel.js';
+import { hasPermission } from '../config/roles.js';
+import { VISIBLE_RATING_FILTER } from '../utils/ratingAggregates.js';
+import { notifyRatingReply } from '../utils/ratingReplies.js';
+import { screenContent } from '../utils/contentFilter.js';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Per user, across all titles
+const FLAGS_PER_HOUR = Math.max(1, Number(process.env.COMMENT_FLAGS_PER_HOUR || 30));
+
+// Treat "missing isPublished" as published
+const publicVisibilityFilter = { isPublished: { $ne: false } };
+
+const clean = (v) => String(v ?? '').trim();
+
+const isValidObjectId = (id) =>
+  /^[a-f\d]{24}$/i.test(clean(id)) && mongoose.Types.ObjectId.isValid(id);
+
+const clampLimit = (value, fallback = DEFAULT_LIMIT, max = MAX_LIMIT) => {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) return fallback;
+  return Math.min(Math.floor(n), max);
+};
+
+const findPublicMovie = async (param) => {
+  const p = clean(param);
+  if (!p) return null;
+
+  if (isValidObjectId(p)) {
+    const byId = await Movie.findOne({ _id: p, ...publicVisibilityFilter })
+      .select('_id name slug')
+      .lean();
+    if (byId) return byId;
+  }
+
+  return Movie.findOne({ slug: p, ...publicVisibilityFilter })
+    .select('_id name slug')
+    .lean();
+};
+
+// Movie (by id or slug) + one of its visible ratings, or a 404
+const loadRatingInMovie = async (req, res, select = '-likedBy') => {
+  const ratingId = clean(req.params.ratingId);
+  if (!isValidObjectId(ratingId)) {
+    res.status(400);
+    throw new Error('Invalid ratingId');
+  }
+
+  const movie = await findPublicMovie(req.params.id);
+  if (!movie) {
+    res.status(404);
+    throw new Error('Movie not found');
+  }
+
+  const rating = await Rating.findOne({
+    _id: ratingId,
+    movieId: movie._id,
+    ...VISIBLE_RATING_FILTER,
+  })
+    .select(select)
+    .lean();
+
+  if (!rating) {
+    res.status(404);
+    throw new Error('Rating not found');
+  }
+
+  return { movie, rating };
+};
+
+const loadVisibleReply = async (req, res, rating) => {
+  const replyId = clean(req.params.replyId);
+  if (!isValidObjectId(replyId)) {
+    res.status(400);
+    throw new Error('Invalid replyId');
+  }
+
+  const reply = await RatingReply.findOne({
+    _id: replyId,
+    ratingId: rating._id,
+    status: 'visible',
+  }).lean();
+
+  if (!reply) {
+    res.status(404);
+    throw new Error('Reply not found');
+  }
+
+  return reply;
+};
+
+const shapeReply = (reply, viewerId = null) => ({
+  _id: reply._id,
+  ratingId: reply.ratingId,
+  comment: reply.comment,
+  createdAt: reply.createdAt,
+  user:
+    reply.userId && typeof reply.userId === 'object'
+      ? {
+        _id: reply.userId._id,
+        fullName: reply.userId.fullName,
+        image: reply.userId.image,
+      }
+      : null,
+  isMine: !!viewerId && String(reply.userId?._id || reply.userId) === String(viewerId),
+});
+
+const authorNameOf = (rating) =>
+  rating.isGuest || rating.guestName ? clean(rating.guestName) || 'Guest' : '';
+
+/**
+ * PRIVATE
+ * POST /api/movies/:id/ratings/:ratingId/like
+ */
+export const likeRating = asyncHandler(async (req, res) => {
+  const { rating } = await loadRatingInMovie(req, res, '_id userId isGuest');
+
+  if (!rating.isGuest && String(rating.userId) === String(req.user._id)) {
+    res.status(400);
+    throw new Error('You cannot like your own review');
+  }
+
+  const updated = await Rating.findOneAndUpdate(
+    { _id: rating._id, likedBy: { $ne: req.user._id } },
+    { $addToSet: { likedBy: req.user._id }, $inc: { likeCount: 1 } },
+    { new: true, projection: '_id likeCount', timestamps: false }
+  ).lean();
+
+  const likeCount = updated
+    ? updated.likeCount
+    : (await Rating.findById(rating._id).select('likeCount').lean())?.likeCount || 0;
+
+  res.json({ ratingId: rating._id, liked: true, likeCount });
+});
+
+/**
+ * PRIVATE
+ * DELETE /api/movies/:id/ratings/:ratingId/like
+ */
+export const unlikeRating = asyncHandler(async (req, res) => {
+  const { rating } = await loadRatingInMovie(req, res, '_id');
+
+  const updated = await Rating.findOneAndUpdate(
+    { _id: rating._id, likedBy: req.user._id },
+    { $pull: { likedBy: req.user._id }, $inc: { likeCount: -1 } },
+    { new: true, projection: '_id likeCount', timestamps: false }
+  ).lean();
+
+  const likeCount = updated
+    ? updated.likeCount
+    : (await Rating.findById(rating._id).select('likeCount').lean())?.likeCount || 0;
+
+  res.json({ ratingId: rating._id, liked: false, likeCount: Math.max(0, likeCount) });
+});
+
+/**
+ * PUBLIC (optional auth => isMine)
+ * GET /api/movies/:id/ratings/:ratingId/replies?limit=20&page=1
+ * Oldest first, like a conversation.
+ */
+export const getRatingReplies = asyncHandler(async (req, res) => {
+  const { rating } = await loadRatingInMovie(req, res, '_id');
+
+  const limit = clampLimit(req.query.limit);
+  const page = Math.max(1, Number(req.query.page) || 1);
+  const filter = { ratingId: rating._id, status: 'visible' };
+
+  const [replies, total] = await Promise.all([
+    RatingReply.find(filter)
+      .sort({ createdAt: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('userId', 'fullName image')
+      .lean(),
+    RatingReply.countDocuments(filter),
+  ]);
+
+  res.json({
+    ratingId: rating._id,
+    page,
+    pages: Math.ceil(total / limit) || 1,
+    total,
+    replies: replies.map((r) => shapeReply(r, req.user?._id)),
+  });
+});
+
+/**
+ * PRIVATE
+ * POST /api/movies/:id/ratings/:ratingId/replies
+ * body: { comment }
+ */
+export const createRatingReply = asyncHandler(async (req, res) => {
+  const comment = clean(req.body?.comment).substring(0, 500);
+
+  if (!comment) {
+    res.status(400);
+    throw new Error('Reply cannot be empty');
+  }
+
+  if (req.user.commentsBanned) {
+    res.status(403);
+    throw new Error('You are not allowed to post comments');
+  }
+
+  const { movie, rating } = await loadRatingInMovie(
+    req,
+    res,
+    '_id movieId userId isGuest guestName replyCount'
+  );
+
+  const screen = await screenContent({
+    req,
+    scope: 'reply',
+    texts: { comment },
+    targetId: rating._id,
+  });
+
+  if (screen.action === 'reject') {
+    res.status(429);
+    throw new Error(screen.message);
+  }
+
+  const reply = await RatingReply.create({
+    ratingId: rating._id,
+    movieId: movie._id,
+    userId: req.user._id,
+    comment,
+    status: screen.status,
+    ...(screen.reasons.length && { filterReasons: screen.reasons }),
+  });
+
+  // Held replies are counted and announced once a moderator approves them
+  let replyCount = rating.replyCount || 0;
+  if (reply.status === 'visible') {
+    const updated = await Rating.findOneAndUpdate(
+      { _id: rating._id },
+      { $inc: { replyCount: 1 } },
+      { new: true, projection: '_id replyCount', timestamps: false }
+    ).lean();
+    replyCount = updated?.replyCount || 0;
+
+    try {
+      await notifyRatingReply({ movie, rating, reply, replier: req.user });
+    } catch (e) {
+      console.warn('[ratings] reply notification:', e?.message || e);
+    }
+  }
+
+  res.status(201).json({
+    message: screen.message || 'Reply posted',
+    reply: {
+      ...shapeReply(
+        {
+          ...reply.toObject(),
+          userId: { _id: req.user._id, fullName: req.user.fullName, image: req.user.image },
+        },
+        req.user._id
+      ),
+      status: reply.status,
+    },
+    replyCount,
+  });
+});
+
+/**
+ * PRIVATE (reply author, or ratings:moderate)
+ * DELETE /api/movies/:id/ratings/:ratingId/replies/:replyId
+ */
+export const deleteRatingReply = asyncHandler(async (req, res) => {
+  const replyId = clean(req.params.replyId);
+  if (!isValidObjectId(replyId)) {
+    res.status(400);
+    throw new Error('Invalid replyId');
+  }
+
+  const ratingId = clean(req.params.ratingId);
+  const reply = isValidObjectId(ratingId)
+    ? await RatingReply.findOne({ _id: replyId, ratingId }).lean()
+    : null;
+
+  if (!reply) {
+    res.status(404);
+    throw new Error('Reply not found');
+  }
+
+  const isAuthor = String(reply.userId) === String(req.user._id);
+  if (!isAuthor && !hasPermission(req.user, 'ratings:moderate')) {
+    res.status(403);
+    throw new Error('You can only delete your own replies');
+  }
+
+  const deleted = await RatingReply.findOneAndDelete({ _id: reply._id }).lean();
+
+  if (deleted?.status === 'visible') {
+    await Rating.updateOne(
+      { _id: reply.ratingId, replyCount: { $gt: 0 } },
+      { $inc: { replyCount: -1 } },
+      { timestamps: false }
+    );
+  }
+
+  await CommentFlag.deleteMany({ targetType: 'reply', targetId: reply._id, status: 'open' });
+
+  res.json({ message: 'Reply deleted', replyId: reply._id });
+});
+
+/**
+ * Adds the user to the open flag of a comment (or opens one).
+ * Same two-pass pattern as link reports.
+ */
+const flagComment = async (req, res, { targetType, target, movieId, authorId, authorName }) => {
+  const reason = clean(req.body?.reason).toLowerCase() || 'other';
+  const note = clean(req.body?.note).substring(0, 300);
+
+  if (!COMMENT_FLAG_REASONS.includes(reason)) {
+    res.status(400);
+    throw new Error(`reason must be one of: ${COMMENT_FLAG_REASONS.join(', ')}`);
+  }
+
+  if (!clean(target.comment)) {
+    res.status(400);
+    throw new Error('Only written comments can be flagged');
+  }
+
+  if (authorId && String(authorId) === String(req.user._id)) {
+    res.status(400);
+    throw new Error('You cannot flag your own comment');
+  }
+
+  const reporter = { userId: req.user._id, reason, note, flaggedAt: new Date() };
+
+  const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+  const recentByUser = await CommentFlag.countDocuments({
+    reporters: { $elemMatch: { userId: req.user._id, flaggedAt: { $gte: hourAgo } } },
+  });
+
+  if (recentByUser >= FLAGS_PER_HOUR) {
+    res.status(429);
+    throw new Error('Too many reports, please try again later.');
+  }
+
+  const key = { targetType, targetId: target._id };
+
+  for (let attempt = 0; attempt < 2; attempt += 1) {
+    // eslint-disable-next-line no-await-in-loop
+    const added = await CommentFlag.findOneAndUpdate(
+      { ...key, status: 'open', 'reporters.userId': { $ne: req.user._id } },
+      {
+        $inc: { flagCount: 1 },
+        $set: { lastFlaggedAt: reporter.flaggedAt },
+        $push: { reporters: { $each: [reporter], $slice: -MAX_FLAG_REPORTERS } },
+      },
+      { new: true, projection: '_id flagCount' }
+    ).lean();
+
+    if (added) {
+      return res.json({ message: 'Thanks! Our moderators will take a look', flagId: added._id });
+    }
+
+    // eslint-disable-next-line no-await-in-loop
+    const existing = await CommentFlag.findOne({ ...key, status: 'open' }).select('_id').lean();
+
+    if (existing) {
+      return res.json({ message: 'You already reported this comment', flagId: existing._id });
+    }
+
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const created = await CommentFlag.create({
+        ...key,
+        movieId,
+        authorId: authorId || null,
+        authorName,
+        excerpt: clean(target.comment).substring(0, 500),
+        lastFlaggedAt: reporter.flaggedAt,
+        reporters: [reporter],
+      });
+
+      return res
+        .status(201)
+        .json({ message: 'Thanks! Our moderators will take a look', flagId: created._id });
+    } catch (e) {
+      if (e?.code !== 11000) throw e;
+    }
+  }
+
+  res.status(409);
+  throw new Error('Report is being processed, please try again');
+};
+
+/**
+ * PRIVATE
+ * POST /api/movies/:id/ratings/:ratingId/flag
+ * body: { reason: "spam"|"abuse"|"spoiler"|"other", note? }
+ */
+export const flagRating = asyncHandler(async (req, res) => {
+  const { movie, rating } = await loadRatingInMovie(
+    req,
+    res,
+    '_id userId isGuest guestName comment'
+  );
+
+  const isGuestRating = !!(rating.isGuest || rating.guestName);
+
+  await flagComment(req, res, {
+    targetType: 'rating',
+    target: rating,
+    movieId: movie._id,
+    authorId: isGuestRating ? null : rating.userId,
+    authorName: authorNameOf(rating),
+  });
+});
+
+/**
+ * PRIVATE
+ * POST /api/movies/:id/ratings/:ratingId/replies/:replyId/flag
+ * body: { reason, note? }
+ */
+export const flagRatingReply = asyncHandler(async (req, res) => {
+  const { movie, rating } = await loadRatingInMovie(req, res, '_id');
+  const reply = await loadVisibleReply(req, res, rating);
+
+  await flagComment(req, res, {
+    targetType: 'reply',
+    target: reply,
+    movieId: movie._id,
+    authorId: reply.userId,
+    authorName: '',
+  });
+});
+
+export default {
+  likeRating,
+  unlikeRating,
+  getRatingReplies,
+  createRatingReply,
+  deleteRatingReply,
+  flagRating,
+  flagRatingReply,
+};
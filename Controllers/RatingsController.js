@@ -5,6 +5,14 @@ import { randomInt } from 'crypto';
 
 import Movie from '../Models/MoviesModel.js';
 import Rating from '../Models/RatingModel.js';
+import RatingReply from '../Models/RatingReplyModel.js';
+import CommentFlag from '../Models/CommentFlagModel.js';
+import {
+  VISIBLE_RATING_FILTER,
+  computeRatingAggregate as computeAggregate,
+  refreshMovieRating,
+} from '../utils/ratingAggregates.js';
+import { screenContent } from '../utils/contentFilter.js';
 
 // Treat "missing isPublished" as published (same as your public endpoints)
 const publicVisibilityFilter = { isPublished: { $ne: false } };
@@ -26,13 +34,10 @@ const normalizeNewRating = (value) => {
   return n;
 };
 
-// Old Movie.reviews allowed 0..5; keep for migration
-const normalizeLegacyRating = (value) => {
-  const n = Number(value);
-  if (!Number.isFinite(n)) return null;
-  if (n < 0) return 0;
-  if (n > 5) return 5;
-  return n;
+// ?sort= for getMovieRatings ("helpful": most liked, then most discussed)
+const RATING_SORTS = {
+  newest: { createdAt: -1 },
+  helpful: { likeCount: -1, replyCount: -1, createdAt: -1 },
 };
 
 const safeComment = (value) => {
@@ -47,86 +52,17 @@ const findMovieByIdOrSlugLean = async (param, extraFilter = {}) => {
   // Try ObjectId first
   if (isValidObjectId(p)) {
     const byId = await Movie.findOne({ _id: p, ...extraFilter })
-      .select('_id slug reviews rate numberOfReviews')
+      .select('_id slug rate weightedRate numberOfReviews')
       .lean();
     if (byId) return byId;
   }
 
   // Fallback to slug
   return Movie.findOne({ slug: p, ...extraFilter })
-    .select('_id slug reviews rate numberOfReviews')
+    .select('_id slug rate weightedRate numberOfReviews')
     .lean();
 };
 
-/**
- * Legacy compatibility:
- * Your old system stores reviews inside Movie.reviews[].
- * This migrates those legacy reviews into the new Rating collection
- * (best-effort, never overwrites existing Rating docs).
- */
-const migrateLegacyReviewsToRatings = async (movieDoc) => {
-  try {
-    const reviews = Array.isArray(movieDoc?.reviews) ? movieDoc.reviews : [];
-    if (!reviews.length) return { migrated: 0 };
-
-    const ops = reviews
-      .filter((r) => r?.userId)
-      .map((r) => {
-        const legacyRating = normalizeLegacyRating(r?.rating);
-        if (legacyRating === null) return null;
-
-        const createdAt = r?.createdAt ? new Date(r.createdAt) : new Date();
-        const updatedAt = r?.updatedAt ? new Date(r.updatedAt) : createdAt;
-
-        return {
-          updateOne: {
-            filter: { movieId: movieDoc._id, userId: r.userId },
-            update: {
-              $setOnInsert: {
-                movieId: movieDoc._id,
-                userId: r.userId,
-                rating: legacyRating,
-                comment: safeComment(r?.comment),
-                createdAt,
-                updatedAt,
-              },
-            },
-            upsert: true,
-          },
-        };
-      })
-      .filter(Boolean);
-
-    if (!ops.length) return { migrated: 0 };
-
-    const result = await Rating.bulkWrite(ops, { ordered: false });
-    return { migrated: result?.upsertedCount || 0 };
-  } catch (e) {
-    console.warn('[ratings] legacy migration failed:', e?.message || e);
-    return { migrated: 0 };
-  }
-};
-
-const computeAggregate = async (movieId) => {
-  const oid = new mongoose.Types.ObjectId(String(movieId));
-
-  const agg = await Rating.aggregate([
-    { $match: { movieId: oid } },
-    {
-      $group: {
-        _id: '$movieId',
-        avg: { $avg: '$rating' },
-        count: { $sum: 1 },
-      },
-    },
-  ]);
-
-  const avg = agg?.[0]?.avg ? Number(agg[0].avg) : 0;
-  const count = agg?.[0]?.count ? Number(agg[0].count) : 0;
-
-  return { avg, count };
-};
-
 /* ============================================================
    ✅ Guest rating helpers (UPDATED)
    ============================================================ */
@@ -225,6 +161,7 @@ const syncMovieAggregateReadOnly = async (movieDoc, aggregate) => {
 
   const nextRate = toFiniteNumber(aggregate?.avg, 0);
   const nextCount = Math.max(0, Math.round(toFiniteNumber(aggregate?.count, 0)));
+  const nextWeighted = toFiniteNumber(aggregate?.weightedRate, 0);
 
   const prevRate = toFiniteNumber(movieDoc?.rate, 0);
   const prevCount = Math.max(
@@ -232,7 +169,13 @@ const syncMovieAggregateReadOnly = async (movieDoc, aggregate) => {
     Math.round(toFiniteNumber(movieDoc?.numberOfReviews, 0))
   );
 
-  if (almostEqual(prevRate, nextRate) && prevCount === nextCount) {
+  const prevWeighted = toFiniteNumber(movieDoc?.weightedRate, 0);
+
+  if (
+    almostEqual(prevRate, nextRate) &&
+    prevCount === nextCount &&
+    almostEqual(prevWeighted, nextWeighted)
+  ) {
     return { updated: false, reason: 'unchanged' };
   }
 
@@ -242,6 +185,7 @@ const syncMovieAggregateReadOnly = async (movieDoc, aggregate) => {
       $set: {
         rate: nextRate,
         numberOfReviews: nextCount,
+        weightedRate: nextWeighted,
       },
     }
   );
@@ -264,6 +208,12 @@ export const upsertMovieRating = asyncHandler(async (req, res) => {
 
   const comment = safeComment(req.body?.comment);
 
+  // Banned commenters can still rate, just not write
+  if (comment && req.user?.commentsBanned) {
+    res.status(403);
+    throw new Error('You are not allowed to post comments');
+  }
+
   const movie = await findMovieByIdOrSlugLean(req.params.id, publicVisibilityFilter);
 
   if (!movie) {
@@ -271,32 +221,50 @@ export const upsertMovieRating = asyncHandler(async (req, res) => {
     throw new Error('Movie not found');
   }
 
-  await migrateLegacyReviewsToRatings(movie);
+  const screen = await screenContent({
+    req,
+    scope: 'rating',
+    texts: { comment },
+    targetId: movie._id,
+  });
+
+  if (screen.action === 'reject') {
+    res.status(429);
+    throw new Error(screen.message);
+  }
+
+  // A moderator's "hidden" sticks; otherwise the filter decides
+  const existing = await Rating.findOne({ movieId: movie._id, userId: req.user._id })
+    .select('status')
+    .lean();
+  const status = existing?.status === 'hidden' ? 'hidden' : screen.status;
 
   const doc = await Rating.findOneAndUpdate(
     { movieId: movie._id, userId: req.user._id },
     {
-      $set: { rating: ratingValue, comment, isGuest: false },
-      $unset: { guestName: '' },
+      $set: {
+        rating: ratingValue,
+        comment,
+        isGuest: false,
+        status,
+        ...(screen.reasons.length && { filterReasons: screen.reasons }),
+      },
+      $unset: { guestName: '', ...(!screen.reasons.length && { filterReasons: '' }) },
     },
     { upsert: true, new: true, setDefaultsOnInsert: true }
   )
     .populate('userId', 'fullName image')
     .lean();
 
-  const aggregate = await computeAggregate(movie._id);
-
-  await Movie.updateOne(
-    { _id: movie._id },
-    { $set: { rate: aggregate.avg, numberOfReviews: aggregate.count } }
-  );
+  const aggregate = await refreshMovieRating(movie._id);
 
   res.status(201).json({
-    message: 'Rating saved',
+    message: screen.message || 'Rating saved',
     rating: {
       _id: doc?._id,
       rating: doc?.rating,
       comment: doc?.comment || '',
+      status: doc?.status || 'visible',
       createdAt: doc?.createdAt,
       updatedAt: doc?.updatedAt,
       user: doc?.userId
@@ -333,7 +301,17 @@ export const createGuestMovieRating = asyncHandler(async (req, res) => {
     throw new Error('Movie not found');
   }
 
-  await migrateLegacyReviewsToRatings(movie);
+  const screen = await screenContent({
+    req,
+    scope: 'guest_rating',
+    texts: { comment },
+    targetId: movie._id,
+  });
+
+  if (screen.action === 'reject') {
+    res.status(429);
+    throw new Error(screen.message);
+  }
 
   let created = null;
   let guestName = await generateUniqueGuestNameForMovie(movie._id);
@@ -351,6 +329,8 @@ export const createGuestMovieRating = asyncHandler(async (req, res) => {
         comment,
         isGuest: true,
         guestName,
+        status: screen.status,
+        ...(screen.reasons.length && { filterReasons: screen.reasons }),
       });
 
       break;
@@ -370,19 +350,15 @@ export const createGuestMovieRating = asyncHandler(async (req, res) => {
     throw new Error('Failed to save guest rating. Please try again.');
   }
 
-  const aggregate = await computeAggregate(movie._id);
-
-  await Movie.updateOne(
-    { _id: movie._id },
-    { $set: { rate: aggregate.avg, numberOfReviews: aggregate.count } }
-  );
+  const aggregate = await refreshMovieRating(movie._id);
 
   res.status(201).json({
-    message: 'Rating saved',
+    message: screen.message || 'Rating saved',
     rating: {
       _id: created._id,
       rating: created.rating,
       comment: created.comment || '',
+      status: created.status,
       createdAt: created.createdAt,
       updatedAt: created.updatedAt,
       user: { _id: null, fullName: guestName, image: GUEST_AVATAR, isGuest: true },
@@ -394,14 +370,20 @@ export const createGuestMovieRating = asyncHandler(async (req, res) => {
 });
 
 /**
- * PUBLIC
- * GET /api/movies/:id/ratings?limit=20&page=1
+ * PUBLIC (optional auth => likedByMe)
+ * GET /api/movies/:id/ratings?limit=20&page=1&sort=newest|helpful
  */
 export const getMovieRatings = asyncHandler(async (req, res) => {
   const limit = clampLimit(req.query.limit, 20, 100);
   const page = Math.max(1, Number(req.query.page) || 1);
   const skip = (page - 1) * limit;
 
+  const sortKey = String(req.query.sort || 'newest').trim().toLowerCase();
+  if (!RATING_SORTS[sortKey]) {
+    res.status(400);
+    throw new Error(`sort must be one of: ${Object.keys(RATING_SORTS).join(', ')}`);
+  }
+
   const movie = await findMovieByIdOrSlugLean(req.params.id, publicVisibilityFilter);
 
   if (!movie) {
@@ -409,29 +391,48 @@ export const getMovieRatings = asyncHandler(async (req, res) => {
     throw new Error('Movie not found');
   }
 
-  await migrateLegacyReviewsToRatings(movie);
+  const filter = { movieId: movie._id, ...VISIBLE_RATING_FILTER };
 
   const [rows, total, aggregate] = await Promise.all([
-    Rating.find({ movieId: movie._id })
-      .sort({ createdAt: -1 })
+    Rating.find(filter)
+      .sort(RATING_SORTS[sortKey])
       .skip(skip)
       .limit(limit)
+      .select('-likedBy')
       .populate('userId', 'fullName image')
       .lean(),
-    Rating.countDocuments({ movieId: movie._id }),
+    Rating.countDocuments(filter),
     computeAggregate(movie._id),
   ]);
 
+  // Which of this page the signed-in user liked
+  const likedIds = new Set();
+  if (req.user?._id && rows.length) {
+    const liked = await Rating.find({
+      _id: { $in: rows.map((r) => r._id) },
+      likedBy: req.user._id,
+    })
+      .select('_id')
+      .lean();
+    liked.forEach((r) => likedIds.add(String(r._id)));
+  }
+
   // Best-effort keep Movie in sync WITHOUT touching updatedAt,
   // because this is a GET/read route.
   syncMovieAggregateReadOnly(movie, aggregate).catch(() => { });
 
   res.json({
     movieId: movie._id,
+    sort: sortKey,
     page,
     pages: Math.ceil(total / limit) || 1,
     total,
-    aggregate,
+    aggregate: {
+      avg: aggregate.avg,
+      count: aggregate.count,
+      weightedRate: aggregate.weightedRate,
+    },
+    histogram: aggregate.histogram,
     ratings: (rows || []).map((r) => ({
       _id: r._id,
       rating: r.rating,
@@ -439,6 +440,10 @@ export const getMovieRatings = asyncHandler(async (req, res) => {
       createdAt: r.createdAt,
       user: shapeUserForResponse(r),
       isGuest: !!(r?.isGuest || r?.guestName),
+      adminReply: r.adminReply || '',
+      likeCount: r.likeCount || 0,
+      replyCount: r.replyCount || 0,
+      likedByMe: likedIds.has(String(r._id)),
     })),
   });
 });
@@ -455,13 +460,11 @@ export const getMyMovieRating = asyncHandler(async (req, res) => {
     throw new Error('Movie not found');
   }
 
-  await migrateLegacyReviewsToRatings(movie);
-
   const doc = await Rating.findOne({
     movieId: movie._id,
     userId: req.user._id,
   })
-    .select('rating comment createdAt updatedAt')
+    .select('rating comment status createdAt updatedAt')
     .lean();
 
   res.json({
@@ -469,6 +472,7 @@ export const getMyMovieRating = asyncHandler(async (req, res) => {
       ? {
         rating: doc.rating,
         comment: doc.comment || '',
+        status: doc.status || 'visible',
         createdAt: doc.createdAt,
         updatedAt: doc.updatedAt,
       }
@@ -504,7 +508,14 @@ export const deleteMovieRatingAdmin = asyncHandler(async (req, res) => {
 
   await Rating.deleteOne({ _id: ratingId });
 
-  // Important: remove from legacy Movie.reviews[] too (prevents re-migration)
+  // Its thread and open flags go with it
+  await Promise.all([
+    RatingReply.deleteMany({ ratingId: rating._id }),
+    CommentFlag.deleteMany({ targetType: 'rating', targetId: rating._id, status: 'open' }),
+  ]).catch(() => { });
+
+  // Also drop a not yet migrated Movie.reviews[] entry, so the review
+  // migration (migrateReviews.js) can't bring it back
   if (rating?.userId) {
     await Movie.updateOne(
       { _id: movie._id },
@@ -512,12 +523,7 @@ export const deleteMovieRatingAdmin = asyncHandler(async (req, res) => {
     ).catch(() => { });
   }
 
-  const aggregate = await computeAggregate(movie._id);
-
-  await Movie.updateOne(
-    { _id: movie._id },
-    { $set: { rate: aggregate.avg, numberOfReviews: aggregate.count } }
-  );
+  const aggregate = await refreshMovieRating(movie._id);
 
   res.json({
     message: 'Rating removed',
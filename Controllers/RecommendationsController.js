@@ -0,0 +1,44 @@
+// backend/Controllers/RecommendationsController.js
+// Personalized "for you" titles (see utils/recommendations.js).
+import asyncHandler from 'express-async-handler';
+
+import { getRecommendationsForUser } from '../utils/recommendations.js';
+
+const MOVIE_TYPES = ['Movie', 'WebSeries'];
+
+const clampLimit = (value, fallback = 20, max = 50) => {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) return fallback;
+  return Math.min(Math.floor(n), max);
+};
+
+/**
+ * PUBLIC (personalized when signed in)
+ * GET /api/movies/for-you?limit=20&type=Movie|WebSeries
+ *
+ * Signed-in users get titles ranked on their likes, ratings and watch
+ * history, without titles they've already seen. Anonymous users (and users
+ * without history yet) get well rated / popular picks: personalized=false.
+ */
+export const getForYouMovies = asyncHandler(async (req, res) => {
+  const limit = clampLimit(req.query.limit, 20, 50);
+
+  const type = String(req.query.type || '').trim() || null;
+  if (type && !MOVIE_TYPES.includes(type)) {
+    res.status(400);
+    throw new Error(`type must be one of: ${MOVIE_TYPES.join(', ')}`);
+  }
+
+  const result = await getRecommendationsForUser(req.user || null, { limit, type });
+
+  res.set('Cache-Control', 'private, max-age=60').json({
+    personalized: result.personalized,
+    ...(result.profile && { profile: result.profile }),
+    total: result.movies.length,
+    movies: result.movies,
+  });
+});
+
+export default {
+  getForYouMovies,
+};
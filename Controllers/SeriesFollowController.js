@@ -0,0 +1,138 @@
+// backend/Controllers/SeriesFollowController.js
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+
+import Movie from '../Models/MoviesModel.js';
+import SeriesFollow from '../Models/SeriesFollowModel.js';
+
+// Treat "missing isPublished" as published (same as your public endpoints)
+const publicVisibilityFilter = { isPublished: { $ne: false } };
+
+const FOLLOW_CARD_SELECT =
+  '_id slug name image titleImage thumbnailInfo type category year language';
+
+const clean = (value = '') => String(value ?? '').trim();
+
+const isValidObjectId = (value) => {
+  const id = clean(value);
+  return /^[a-f\d]{24}$/i.test(id) && mongoose.Types.ObjectId.isValid(id);
+};
+
+const findSeriesByIdOrSlugLean = async (param) => {
+  const p = clean(param);
+  if (!p) return null;
+
+  if (isValidObjectId(p)) {
+    const byId = await Movie.findOne({ _id: p, ...publicVisibilityFilter })
+      .select('_id slug name type')
+      .lean();
+    if (byId) return byId;
+  }
+
+  return Movie.findOne({ slug: p, ...publicVisibilityFilter })
+    .select('_id slug name type')
+    .lean();
+};
+
+/**
+ * PRIVATE
+ * POST /api/movies/:id/follow
+ */
+export const followSeries = asyncHandler(async (req, res) => {
+  const movie = await findSeriesByIdOrSlugLean(req.params.id);
+
+  if (!movie) {
+    res.status(404);
+    throw new Error('Movie not found');
+  }
+
+  if (movie.type !== 'WebSeries') {
+    res.status(400);
+    throw new Error('Only web series can be followed');
+  }
+
+  await SeriesFollow.updateOne(
+    { userId: req.user._id, movieId: movie._id },
+    { $setOnInsert: { userId: req.user._id, movieId: movie._id } },
+    { upsert: true }
+  );
+
+  res.status(201).json({ message: 'Following', movieId: movie._id, following: true });
+});
+
+/**
+ * PRIVATE
+ * DELETE /api/movies/:id/follow
+ */
+export const unfollowSeries = asyncHandler(async (req, res) => {
+  const movie = await findSeriesByIdOrSlugLean(req.params.id);
+
+  if (!movie) {
+    res.status(404);
+    throw new Error('Movie not found');
+  }
+
+  await SeriesFollow.deleteOne({ userId: req.user._id, movieId: movie._id });
+
+  res.json({ message: 'Unfollowed', movieId: movie._id, following: false });
+});
+
+/**
+ * PRIVATE
+ * GET /api/movies/:id/follow
+ */
+export const getSeriesFollowStatus = asyncHandler(async (req, res) => {
+  const movie = await findSeriesByIdOrSlugLean(req.params.id);
+
+  if (!movie) {
+    res.status(404);
+    throw new Error('Movie not found');
+  }
+
+  const exists = await SeriesFollow.exists({
+    userId: req.user._id,
+    movieId: movie._id,
+  });
+
+  res
+    .set('Cache-Control', 'private, no-store')
+    .json({ movieId: movie._id, following: !!exists });
+});
+
+/**
+ * PRIVATE
+ * GET /api/users/following
+ */
+export const getMyFollowedSeries = asyncHandler(async (req, res) => {
+  const follows = await SeriesFollow.find({ userId: req.user._id })
+    .sort({ createdAt: -1 })
+    .select('movieId createdAt')
+    .lean();
+
+  const movies = follows.length
+    ? await Movie.find({
+      _id: { $in: follows.map((f) => f.movieId) },
+      ...publicVisibilityFilter,
+    })
+      .select(FOLLOW_CARD_SELECT)
+      .lean()
+    : [];
+
+  const byId = new Map(movies.map((m) => [String(m._id), m]));
+
+  res.set('Cache-Control', 'private, no-store').json(
+    follows
+      .map((f) => {
+        const movie = byId.get(String(f.movieId));
+        return movie ? { ...movie, followedAt: f.createdAt } : null;
+      })
+      .filter(Boolean)
+  );
+});
+
+export default {
+  followSeries,
+  unfollowSeries,
+  getSeriesFollowStatus,
+  getMyFollowedSeries,
+};
@@ -3,6 +3,10 @@ import asyncHandler from 'express-async-handler';
 import mongoose from 'mongoose';
 import Movie from '../Models/MoviesModel.js';
 import { ensureMovieTmdbCredits, isTmdbEnabled } from '../utils/tmdbService.js';
+import {
+  recordMovieRevisions,
+  snapshotMovieBaselines,
+} from '../utils/movieRevisions.js';
 
 const isValidObjectId = (value) => mongoose.Types.ObjectId.isValid(value);
 
@@ -70,6 +74,9 @@ export const syncTmdbCreditsAdmin = asyncHandler(async (req, res) => {
     });
   }
 
+  const docIds = docs.map((m) => m._id);
+  await snapshotMovieBaselines(docIds);
+
   const results = [];
   let updated = 0;
   let notFound = 0;
@@ -104,6 +111,8 @@ export const syncTmdbCreditsAdmin = asyncHandler(async (req, res) => {
     }
   }
 
+  await recordMovieRevisions({ ids: docIds, action: 'tmdb_sync', req });
+
   res.json({
     message: 'TMDb credits sync finished',
     attempted: docs.length,
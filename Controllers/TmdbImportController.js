@@ -8,6 +8,8 @@ import {
 } from '../utils/tmdbDiscoverService.js';
 import { slugify, escapeRegex } from '../utils/slugify.js';
 import { afterMovieMutation } from '../utils/movieIndexing.js';
+import { recordMovieRevisions } from '../utils/movieRevisions.js';
+import { fulfillWatchRequestsForMovie } from '../utils/watchRequests.js';
 import { ensureMovieExternalRatings } from '../utils/externalRatingsService.js';
 
 const clean = (value = '') => String(value ?? '').trim();
@@ -67,7 +69,10 @@ const generateUniqueImportedSlug = async ({
   // eslint-disable-next-line no-constant-condition
   while (true) {
     // eslint-disable-next-line no-await-in-loop
-    const exists = await Movie.findOne({ slug }).select('_id').lean();
+    const exists = await Movie.findOne({ slug })
+      .setOptions({ withDeleted: true })
+      .select('_id')
+      .lean();
 
     if (!exists) break;
 
@@ -471,6 +476,7 @@ export const importTmdbTitleAdmin = asyncHandler(async (req, res) => {
   }
 
   const created = await movie.save();
+  await recordMovieRevisions({ ids: [created._id], action: 'create', req });
 
   let indexing = null;
   try {
@@ -482,6 +488,13 @@ export const importTmdbTitleAdmin = asyncHandler(async (req, res) => {
     console.warn('[tmdb-import] indexing skipped:', e?.message || e);
   }
 
+  // Notify users who requested this title (published imports only)
+  try {
+    await fulfillWatchRequestsForMovie(created);
+  } catch (e) {
+    console.warn('[tmdb-import] watch requests skipped:', e?.message || e);
+  }
+
   const published = created.isPublished !== false;
 
   res.status(201).json({
@@ -0,0 +1,237 @@
+// backend/Controllers/TrashController.js
+// Admin trash bin for soft-deleted movies and blog posts.
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+
+import Movie from '../Models/MoviesModel.js';
+import BlogPost from '../Models/BlogPostModel.js';
+import { afterMovieMutation } from '../utils/movieIndexing.js';
+import { afterBlogMutation } from '../utils/blogIndexing.js';
+import { escapeRegex } from '../utils/slugify.js';
+import { TRASH_RETENTION_DAYS, trashPurgeAt } from '../utils/softDelete.js';
+import { maybePurgeExpiredTrash, purgeTrashed } from '../utils/trashService.js';
+
+const DEFAULT_LIMIT = 30;
+const MAX_LIMIT = 100;
+
+const clean = (v) => String(v ?? '').trim();
+
+const isValidObjectId = (id) =>
+  /^[a-f\d]{24}$/i.test(clean(id)) && mongoose.Types.ObjectId.isValid(id);
+
+const clampLimit = (value, fallback = DEFAULT_LIMIT, max = MAX_LIMIT) => {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) return fallback;
+  return Math.min(Math.floor(n), max);
+};
+
+const MOVIE_TRASH = {
+  Model: Movie,
+  targetModel: 'Movie',
+  prefix: 'movie',
+  titleField: 'name',
+  listSelect: '_id name slug type year image isPublished deletedAt deletedBy',
+  notFound: 'Movie not found in trash',
+  afterRestore: ({ req, doc, auditBefore }) =>
+    afterMovieMutation({
+      action: 'restore',
+      after: doc,
+      audit: { req, before: auditBefore },
+    }),
+};
+
+const BLOG_TRASH = {
+  Model: BlogPost,
+  targetModel: 'BlogPost',
+  prefix: 'blog',
+  titleField: 'title',
+  listSelect:
+    '_id title slug categorySlug coverImage isPublished deletedAt deletedBy',
+  notFound: 'Blog post not found in trash',
+  afterRestore: ({ req, doc, auditBefore }) =>
+    afterBlogMutation({
+      action: 'restore',
+      after: doc,
+      audit: { req, before: auditBefore },
+    }),
+};
+
+const listTrash = async (trash, req) => {
+  const page = Math.max(1, Number(req.query.pageNumber) || 1);
+  const limit = clampLimit(req.query.limit);
+  const skip = (page - 1) * limit;
+
+  await maybePurgeExpiredTrash();
+
+  const filter = { deletedAt: { $ne: null } };
+
+  const q = clean(req.query.q || req.query.search);
+  if (q) filter[trash.titleField] = { $regex: escapeRegex(q), $options: 'i' };
+
+  const [items, total] = await Promise.all([
+    trash.Model.find(filter)
+      .sort({ deletedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .select(trash.listSelect)
+      .populate('deletedBy', 'fullName email')
+      .lean(),
+    trash.Model.countDocuments(filter),
+  ]);
+
+  return {
+    items: items.map((item) => ({
+      ...item,
+      purgeAt: trashPurgeAt(item.deletedAt),
+    })),
+    page,
+    pages: Math.ceil(total / limit) || 1,
+    total,
+    retentionDays: TRASH_RETENTION_DAYS,
+  };
+};
+
+const restoreFromTrash = async (trash, req, res) => {
+  const id = clean(req.params.id);
+
+  if (!isValidObjectId(id)) {
+    res.status(400);
+    throw new Error('Invalid id');
+  }
+
+  const doc = await trash.Model.findOne({ _id: id, deletedAt: { $ne: null } });
+
+  if (!doc) {
+    res.status(404);
+    throw new Error(trash.notFound);
+  }
+
+  const auditBefore = doc.toObject();
+
+  doc.deletedAt = null;
+  doc.deletedBy = null;
+  await doc.save();
+
+  try {
+    await trash.afterRestore({ req, doc, auditBefore });
+  } catch (e) {
+    console.warn(`[trash] restore ${trash.prefix}:`, e?.message || e);
+  }
+
+  return doc;
+};
+
+const purgeOne = async (trash, req, res) => {
+  const id = clean(req.params.id);
+
+  if (!isValidObjectId(id)) {
+    res.status(400);
+    throw new Error('Invalid id');
+  }
+
+  const purged = await purgeTrashed({
+    ...trash,
+    filter: { _id: id },
+    req,
+  });
+
+  if (!purged) {
+    res.status(404);
+    throw new Error(trash.notFound);
+  }
+
+  return purged;
+};
+
+/* ============================================================
+   Movies
+   ============================================================ */
+
+/**
+ * ADMIN
+ * GET /api/movies/admin/trash?pageNumber=1&limit=30&q=
+ */
+export const getMovieTrash = asyncHandler(async (req, res) => {
+  res.json(await listTrash(MOVIE_TRASH, req));
+});
+
+/**
+ * ADMIN
+ * POST /api/movies/admin/trash/:id/restore
+ */
+export const restoreMovieFromTrash = asyncHandler(async (req, res) => {
+  const movie = await restoreFromTrash(MOVIE_TRASH, req, res);
+  res.json({ message: 'Movie restored', movie });
+});
+
+/**
+ * ADMIN
+ * DELETE /api/movies/admin/trash/:id
+ * Permanent, cannot be undone.
+ */
+export const purgeMovieFromTrash = asyncHandler(async (req, res) => {
+  await purgeOne(MOVIE_TRASH, req, res);
+  res.json({ message: 'Movie permanently deleted' });
+});
+
+/**
+ * ADMIN
+ * DELETE /api/movies/admin/trash
+ * Empties the movie trash.
+ */
+export const emptyMovieTrash = asyncHandler(async (req, res) => {
+  const purgedCount = await purgeTrashed({ ...MOVIE_TRASH, req });
+  res.json({ message: 'Movie trash emptied', purgedCount });
+});
+
+/* ============================================================
+   Blog posts
+   ============================================================ */
+
+/**
+ * ADMIN
+ * GET /api/blog/admin/trash?pageNumber=1&limit=30&q=
+ */
+export const getBlogTrash = asyncHandler(async (req, res) => {
+  res.json(await listTrash(BLOG_TRASH, req));
+});
+
+/**
+ * ADMIN
+ * POST /api/blog/admin/trash/:id/restore
+ */
+export const restoreBlogPostFromTrash = asyncHandler(async (req, res) => {
+  const post = await restoreFromTrash(BLOG_TRASH, req, res);
+  res.json({ message: 'Blog post restored', post });
+});
+
+/**
+ * ADMIN
+ * DELETE /api/blog/admin/trash/:id
+ * Permanent, cannot be undone.
+ */
+export const purgeBlogPostFromTrash = asyncHandler(async (req, res) => {
+  await purgeOne(BLOG_TRASH, req, res);
+  res.json({ message: 'Blog post permanently deleted' });
+});
+
+/**
+ * ADMIN
+ * DELETE /api/blog/admin/trash
+ * Empties the blog trash.
+ */
+export const emptyBlogTrash = asyncHandler(async (req, res) => {
+  const purgedCount = await purgeTrashed({ ...BLOG_TRASH, req });
+  res.json({ message: 'Blog trash emptied', purgedCount });
+});
+
+export default {
+  getMovieTrash,
+  restoreMovieFromTrash,
+  purgeMovieFromTrash,
+  emptyMovieTrash,
+  getBlogTrash,
+  restoreBlogPostFromTrash,
+  purgeBlogPostFromTrash,
+  emptyBlogTrash,
+};
@@ -2,7 +2,45 @@
 import asyncHandler from 'express-async-handler';
 import User from '../Models/UserModel.js';
 import bcrypt from 'bcryptjs';
-import { generateToken } from '../middlewares/Auth.js';
+import jwt from 'jsonwebtoken';
+import {
+  generateToken,
+  getTokenFromRequest,
+  parseCookieHeader,
+} from '../middlewares/Auth.js';
+import {
+  REFRESH_TOKEN_TTL_MS,
+  createSession,
+  listActiveSessions,
+  revokeAllSessions,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  rotateRefreshToken,
+} from '../utils/sessionService.js';
+import {
+  consumeUserToken,
+  createUserToken,
+  deleteUserTokens,
+  getLastUserTokenAt,
+} from '../utils/userTokenService.js';
+import { recordAudit } from '../utils/auditLog.js';
+import { disconnectUser } from '../utils/realtime.js';
+import {
+  buildEmailVerificationEmail,
+  buildPasswordResetEmail,
+  isEmailEnabled,
+  sendEmail,
+} from '../utils/emailService.js';
+import { resolveEmailLocale } from '../utils/emailTemplates.js';
+import { enqueueEmail } from '../utils/outboundQueue.js';
+import { getPreferencesForUser } from '../utils/notificationPreferences.js';
+import {
+  ROLES,
+  ROLE_PERMISSIONS,
+  getRolePermissions,
+  getUserRole,
+  isStaff,
+} from '../config/roles.js';
 
 /* ============================================================
    Auth Cookie (for Next.js SSR admin preview)
@@ -10,6 +48,11 @@ import { generateToken } from '../middlewares/Auth.js';
 const AUTH_COOKIE_NAME = process.env.AUTH_COOKIE_NAME || 'mf_token';
 const AUTH_COOKIE_MAX_AGE_MS = 24 * 60 * 60 * 1000; // 1 day
 
+const REFRESH_COOKIE_NAME = process.env.REFRESH_COOKIE_NAME || 'mf_refresh';
+
+// Only sent to /api/users/* (refresh + logout), never to the rest of the API
+const REFRESH_COOKIE_PATH = '/api/users';
+
 const cookieOptions = () => ({
   httpOnly: true,
   secure: process.env.NODE_ENV === 'production',
@@ -36,11 +79,126 @@ const setAuthCookie = (res, token) => {
 const clearAuthCookie = (res) => {
   try {
     res.clearCookie(AUTH_COOKIE_NAME, clearCookieOptions());
+    res.clearCookie(REFRESH_COOKIE_NAME, {
+      ...clearCookieOptions(),
+      path: REFRESH_COOKIE_PATH,
+    });
   } catch (e) {
     console.warn('[auth-cookie] failed to clear cookie:', e?.message || e);
   }
 };
 
+/* ============================================================
+   Refresh token cookie + session helpers
+   ============================================================ */
+const setRefreshCookie = (res, refreshToken) => {
+  try {
+    res.cookie(REFRESH_COOKIE_NAME, refreshToken, {
+      ...cookieOptions(),
+      path: REFRESH_COOKIE_PATH,
+      maxAge: REFRESH_TOKEN_TTL_MS,
+    });
+  } catch (e) {
+    console.warn('[auth-cookie] failed to set refresh cookie:', e?.message || e);
+  }
+};
+
+const getRefreshTokenFromRequest = (req) => {
+  const fromBody = String(req.body?.refreshToken || '').trim();
+  if (fromBody) return fromBody;
+
+  const cookies = parseCookieHeader(req.headers.cookie || '');
+  return String(cookies[REFRESH_COOKIE_NAME] || '').trim();
+};
+
+// Session id of the current access token, even if it already expired
+const getSessionIdFromRequest = (req) => {
+  const token = getTokenFromRequest(req);
+  if (!token) return null;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, {
+      ignoreExpiration: true,
+    });
+    return decoded?.sid ? { userId: decoded.id, sessionId: decoded.sid } : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Start a new session (login/register) and set both cookies.
+ * Returns { token, refreshToken }.
+ */
+const issueAuthTokens = async (req, res, user) => {
+  const { session, refreshToken } = await createSession({
+    userId: user._id,
+    req,
+  });
+
+  const token = generateToken(user._id, session._id);
+  setAuthCookie(res, token);
+  setRefreshCookie(res, refreshToken);
+
+  return { token, refreshToken };
+};
+
+/* ============================================================
+   Password reset + email verification helpers
+   ============================================================ */
+const FRONTEND_BASE_URL = String(
+  process.env.PUBLIC_FRONTEND_URL || 'https://www.moviefrost.com'
+).replace(/\/+$/, '');
+
+const PASSWORD_RESET_TTL_MIN = Number(process.env.PASSWORD_RESET_TTL_MIN || 60);
+const EMAIL_VERIFY_TTL_HOURS = Number(process.env.EMAIL_VERIFY_TTL_HOURS || 48);
+
+// Minimum gap between two emails of the same kind for one user
+const EMAIL_TOKEN_RESEND_GAP_MS = 60 * 1000;
+
+const MIN_PASSWORD_LENGTH = 6;
+
+// Saved email language, else the browser's (Accept-Language), else English
+const emailLocaleFor = async (userId, req) =>
+  resolveEmailLocale(
+    (await getPreferencesForUser(userId)).emailLocale,
+    req?.headers?.['accept-language']
+  );
+
+const sendVerificationEmail = async (user, req) => {
+  if (!isEmailEnabled() || !user?.email) return { skipped: true };
+
+  const token = await createUserToken({
+    userId: user._id,
+    purpose: 'email_verify',
+    ttlMs: EMAIL_VERIFY_TTL_HOURS * 60 * 60 * 1000,
+  });
+
+  const email = buildEmailVerificationEmail({
+    fullName: user.fullName,
+    link: `${FRONTEND_BASE_URL}/verify-email?token=${encodeURIComponent(token)}`,
+    expiresInHours: EMAIL_VERIFY_TTL_HOURS,
+    locale: await emailLocaleFor(user._id, req),
+  });
+
+  return sendEmail({ to: user.email, ...email });
+};
+
+// Never fail the calling request because of SMTP
+const sendVerificationEmailSafe = async (user, req) => {
+  try {
+    return await sendVerificationEmail(user, req);
+  } catch (e) {
+    console.warn('[email] verification email failed:', e?.message || e);
+    return { skipped: false, failed: true };
+  }
+};
+
+const isRecentlyIssued = async ({ userId, purpose }) => {
+  const lastAt = await getLastUserTokenAt({ userId, purpose });
+  return !!lastAt && Date.now() - new Date(lastAt).getTime() < EMAIL_TOKEN_RESEND_GAP_MS;
+};
+
 /* ============================================================
    Google OAuth helpers
    ============================================================ */
@@ -173,8 +331,9 @@ const registerUser = asyncHandler(async (req, res) => {
     throw new Error('Invalid user data');
   }
 
-  const token = generateToken(user._id);
-  setAuthCookie(res, token);
+  await sendVerificationEmailSafe(user, req);
+
+  const { token, refreshToken } = await issueAuthTokens(req, res, user);
 
   res.status(201).json({
     _id: user._id,
@@ -182,7 +341,11 @@ const registerUser = asyncHandler(async (req, res) => {
     email: user.email,
     image: user.image,
     isAdmin: user.isAdmin,
+    role: getUserRole(user),
+    permissions: getRolePermissions(getUserRole(user)),
+    emailVerified: !!user.emailVerified,
     token,
+    refreshToken,
   });
 });
 
@@ -201,8 +364,7 @@ const loginUser = asyncHandler(async (req, res) => {
     throw new Error('Invalid email or password');
   }
 
-  const token = generateToken(user._id);
-  setAuthCookie(res, token);
+  const { token, refreshToken } = await issueAuthTokens(req, res, user);
 
   res.json({
     _id: user._id,
@@ -210,18 +372,143 @@ const loginUser = asyncHandler(async (req, res) => {
     email: user.email,
     image: user.image,
     isAdmin: user.isAdmin,
+    role: getUserRole(user),
+    permissions: getRolePermissions(getUserRole(user)),
+    emailVerified: !!user.emailVerified,
     token,
+    refreshToken,
   });
 });
 
-// @desc Logout user
+// @desc Logout user (revokes the current session)
 // @route POST /api/users/logout
 // @access Public
-const logoutUser = asyncHandler(async (_req, res) => {
+const logoutUser = asyncHandler(async (req, res) => {
+  try {
+    const current = getSessionIdFromRequest(req);
+
+    if (current) {
+      await revokeSession({ ...current, reason: 'logout' });
+    } else {
+      const refreshToken = getRefreshTokenFromRequest(req);
+      if (refreshToken) await revokeSessionByRefreshToken(refreshToken, 'logout');
+    }
+  } catch (e) {
+    console.warn('[auth] logout revoke skipped:', e?.message || e);
+  }
+
   clearAuthCookie(res);
   res.status(200).json({ message: 'Logged out' });
 });
 
+// @desc Exchange a refresh token for a new access + refresh token
+// @route POST /api/users/refresh
+// @access Public (refresh token in body or mf_refresh cookie)
+const refreshAccessToken = asyncHandler(async (req, res) => {
+  const refreshToken = getRefreshTokenFromRequest(req);
+
+  if (!refreshToken) {
+    res.status(401);
+    throw new Error('Refresh token is required');
+  }
+
+  let rotated;
+
+  try {
+    rotated = await rotateRefreshToken({ refreshToken, req });
+  } catch (e) {
+    clearAuthCookie(res);
+    res.status(401);
+    throw new Error(e?.message || 'Invalid refresh token');
+  }
+
+  const user = await User.findById(rotated.session.userId).select('-password');
+
+  if (!user) {
+    await revokeSession({
+      userId: rotated.session.userId,
+      sessionId: rotated.session._id,
+      reason: 'user_not_found',
+    });
+    clearAuthCookie(res);
+    res.status(401);
+    throw new Error('User not found');
+  }
+
+  const token = generateToken(user._id, rotated.session._id);
+  setAuthCookie(res, token);
+  setRefreshCookie(res, rotated.refreshToken);
+
+  res.json({
+    _id: user._id,
+    fullName: user.fullName,
+    email: user.email,
+    image: user.image,
+    isAdmin: user.isAdmin,
+    role: getUserRole(user),
+    permissions: getRolePermissions(getUserRole(user)),
+    emailVerified: !!user.emailVerified,
+    token,
+    refreshToken: rotated.refreshToken,
+  });
+});
+
+// @desc List active sessions (devices)
+// @route GET /api/users/sessions
+// @access Private
+const getMySessions = asyncHandler(async (req, res) => {
+  const sessions = await listActiveSessions(req.user._id);
+
+  res.set('Cache-Control', 'private, no-store').json(
+    sessions.map((s) => ({
+      _id: s._id,
+      userAgent: s.userAgent,
+      ip: s.ip,
+      createdAt: s.createdAt,
+      lastUsedAt: s.lastUsedAt,
+      expiresAt: s.expiresAt,
+      current: !!req.sessionId && String(s._id) === String(req.sessionId),
+    }))
+  );
+});
+
+// @desc Revoke one session
+// @route DELETE /api/users/sessions/:id
+// @access Private
+const revokeMySession = asyncHandler(async (req, res) => {
+  const sessionId = String(req.params.id || '').trim();
+
+  const revoked = await revokeSession({
+    userId: req.user._id,
+    sessionId,
+    reason: 'revoked_by_user',
+  }).catch(() => false);
+
+  if (!revoked) {
+    res.status(404);
+    throw new Error('Session not found');
+  }
+
+  if (req.sessionId && String(req.sessionId) === sessionId) {
+    clearAuthCookie(res);
+  }
+
+  res.json({ message: 'Session revoked', sessionId });
+});
+
+// @desc Revoke all sessions (logout everywhere)
+// @route DELETE /api/users/sessions
+// @access Private
+const revokeAllMySessions = asyncHandler(async (req, res) => {
+  const revokedCount = await revokeAllSessions({
+    userId: req.user._id,
+    reason: 'revoked_all_by_user',
+  });
+
+  clearAuthCookie(res);
+  res.json({ message: 'All sessions revoked', revokedCount });
+});
+
 // @desc Update user profile
 // @route PUT /api/users
 // @access Private
@@ -237,16 +524,37 @@ const updateUserProfile = asyncHandler(async (req, res) => {
 
   user.fullName = fullName || user.fullName;
 
+  let emailChanged = false;
+
   if (email) {
-    user.email = String(email).trim().toLowerCase();
+    const nextEmail = String(email).trim().toLowerCase();
+
+    if (nextEmail !== user.email) {
+      user.email = nextEmail;
+      user.emailVerified = false;
+      user.emailVerifiedAt = null;
+      emailChanged = true;
+    }
   }
 
   user.image = image || user.image;
 
   const updatedUser = await user.save();
 
-  const token = generateToken(updatedUser._id);
-  setAuthCookie(res, token);
+  if (emailChanged) {
+    await sendVerificationEmailSafe(updatedUser, req);
+  }
+
+  // Same device, same session: only the access token is re-issued.
+  // Old tokens without a session get a real (revocable) one instead.
+  let token;
+  let refreshToken;
+  if (req.sessionId) {
+    token = generateToken(updatedUser._id, req.sessionId);
+    setAuthCookie(res, token);
+  } else {
+    ({ token, refreshToken } = await issueAuthTokens(req, res, updatedUser));
+  }
 
   res.json({
     _id: updatedUser._id,
@@ -254,7 +562,11 @@ const updateUserProfile = asyncHandler(async (req, res) => {
     email: updatedUser.email,
     image: updatedUser.image,
     isAdmin: updatedUser.isAdmin,
+    role: getUserRole(updatedUser),
+    permissions: getRolePermissions(getUserRole(updatedUser)),
+    emailVerified: !!updatedUser.emailVerified,
     token,
+    ...(refreshToken && { refreshToken }),
   });
 });
 
@@ -269,12 +581,13 @@ const deleteUserProfile = asyncHandler(async (req, res) => {
     throw new Error('User not found');
   }
 
-  if (user.isAdmin) {
+  if (isStaff(user)) {
     res.status(400);
     throw new Error("Can't delete admin user");
   }
 
   await user.deleteOne();
+  await revokeAllSessions({ userId: user._id, reason: 'account_deleted' });
 
   clearAuthCookie(res);
   res.json({ message: 'User deleted successfully' });
@@ -299,7 +612,14 @@ const changeUserPassword = asyncHandler(async (req, res) => {
   user.password = hashedPassword;
   await user.save();
 
-  res.json({ message: 'Password changed!' });
+  // Sign out every other device; this one stays logged in
+  const revokedSessions = await revokeAllSessions({
+    userId: user._id,
+    exceptSessionId: req.sessionId,
+    reason: 'password_changed',
+  });
+
+  res.json({ message: 'Password changed!', revokedSessions });
 });
 
 // @desc Login user with Google
@@ -335,10 +655,19 @@ const googleLogin = asyncHandler(async (req, res) => {
       email: googleUser.email,
       password: hashedPassword,
       image: googleUser.picture || '',
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
     });
   } else {
     let changed = false;
 
+    // Google already verified this address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      changed = true;
+    }
+
     if (!user.image && googleUser.picture) {
       user.image = googleUser.picture;
       changed = true;
@@ -352,8 +681,7 @@ const googleLogin = asyncHandler(async (req, res) => {
     if (changed) await user.save();
   }
 
-  const token = generateToken(user._id);
-  setAuthCookie(res, token);
+  const { token, refreshToken } = await issueAuthTokens(req, res, user);
 
   res.json({
     _id: user._id,
@@ -361,8 +689,186 @@ const googleLogin = asyncHandler(async (req, res) => {
     email: user.email,
     image: user.image,
     isAdmin: user.isAdmin,
+    role: getUserRole(user),
+    permissions: getRolePermissions(getUserRole(user)),
+    emailVerified: !!user.emailVerified,
     token,
+    refreshToken,
+  });
+});
+
+// @desc Email a password reset link
+// @route POST /api/users/forgot-password
+// @access Public
+const forgotPassword = asyncHandler(async (req, res) => {
+  const cleanEmail = String(req.body?.email || '').trim().toLowerCase();
+
+  if (!cleanEmail) {
+    res.status(400);
+    throw new Error('Email is required');
+  }
+
+  // Same answer whether or not the account exists (no account enumeration)
+  const genericResponse = {
+    message: 'If an account exists for this email, a reset link has been sent',
+  };
+
+  // Checked before the lookup so the answer never depends on the account
+  if (!isEmailEnabled()) {
+    res.status(503);
+    throw new Error('Email sending is not configured');
+  }
+
+  const user = await User.findOne({ email: cleanEmail })
+    .select('_id email fullName')
+    .lean();
+
+  if (!user) return res.json(genericResponse);
+
+  if (await isRecentlyIssued({ userId: user._id, purpose: 'password_reset' })) {
+    return res.json(genericResponse);
+  }
+
+  const token = await createUserToken({
+    userId: user._id,
+    purpose: 'password_reset',
+    ttlMs: PASSWORD_RESET_TTL_MIN * 60 * 1000,
+  });
+
+  const email = buildPasswordResetEmail({
+    fullName: user.fullName,
+    link: `${FRONTEND_BASE_URL}/reset-password?token=${encodeURIComponent(token)}`,
+    expiresInMinutes: PASSWORD_RESET_TTL_MIN,
+    locale: await emailLocaleFor(user._id, req),
+  });
+
+  // Queued, not sent here: an SMTP round trip only for existing accounts
+  // would give them away by response time
+  try {
+    await enqueueEmail({ to: user.email, type: 'password_reset', ...email });
+  } catch (e) {
+    // Logged only: a queue error must look like any other answer. The unsent
+    // token is dropped so the resend throttle doesn't block a retry.
+    console.warn('[email] password reset email not queued:', e?.message || e);
+    await deleteUserTokens({ userId: user._id, purpose: 'password_reset' }).catch(() => { });
+  }
+
+  res.json(genericResponse);
+});
+
+// @desc Set a new password with a reset token
+// @route POST /api/users/reset-password
+// @access Public
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body || {};
+
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    res.status(400);
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  const tokenDoc = await consumeUserToken({ token, purpose: 'password_reset' });
+
+  if (!tokenDoc) {
+    res.status(400);
+    throw new Error('Reset link is invalid or has expired');
+  }
+
+  const user = await User.findById(tokenDoc.userId);
+
+  if (!user) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+
+  const salt = await bcrypt.genSalt(10);
+  user.password = await bcrypt.hash(password, salt);
+
+  // Following the emailed link proves the address
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+
+  await user.save();
+
+  await deleteUserTokens({ userId: user._id, purpose: 'password_reset' });
+
+  // A reset means the old password may be compromised: sign out everywhere
+  const revokedSessions = await revokeAllSessions({
+    userId: user._id,
+    reason: 'password_reset',
   });
+
+  clearAuthCookie(res);
+  res.json({ message: 'Password has been reset. Please log in.', revokedSessions });
+});
+
+// @desc Verify email address with the emailed token
+// @route POST /api/users/verify-email
+// @access Public
+const verifyEmail = asyncHandler(async (req, res) => {
+  const tokenDoc = await consumeUserToken({
+    token: req.body?.token,
+    purpose: 'email_verify',
+  });
+
+  if (!tokenDoc) {
+    res.status(400);
+    throw new Error('Verification link is invalid or has expired');
+  }
+
+  const user = await User.findByIdAndUpdate(
+    tokenDoc.userId,
+    { $set: { emailVerified: true, emailVerifiedAt: new Date() } },
+    { new: true }
+  )
+    .select('_id email emailVerified')
+    .lean();
+
+  if (!user) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+
+  res.json({ message: 'Email verified', email: user.email, emailVerified: true });
+});
+
+// @desc Send the verification email again
+// @route POST /api/users/verify-email/resend
+// @access Private
+const resendVerificationEmail = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('_id email fullName emailVerified');
+
+  if (!user) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+
+  if (user.emailVerified) {
+    res.status(400);
+    throw new Error('Email is already verified');
+  }
+
+  if (!isEmailEnabled()) {
+    res.status(503);
+    throw new Error('Email sending is not configured');
+  }
+
+  if (await isRecentlyIssued({ userId: user._id, purpose: 'email_verify' })) {
+    res.status(429);
+    throw new Error('Please wait a minute before requesting another email');
+  }
+
+  try {
+    await sendVerificationEmail(user, req);
+  } catch (e) {
+    console.warn('[email] verification resend failed:', e?.message || e);
+    res.status(502);
+    throw new Error('Could not send verification email. Please try again later.');
+  }
+
+  res.json({ message: 'Verification email sent' });
 });
 
 /**
@@ -424,10 +930,91 @@ const deleteLikedMovies = asyncHandler(async (req, res) => {
 
 // @desc Get all users
 // @route GET /api/users
-// @access Private/Admin
+// @access Private/Admin (users:read)
 const getUsers = asyncHandler(async (_req, res) => {
-  const users = await User.find({}).select('-password');
-  res.json(users);
+  const users = await User.find({}).select('-password').lean();
+  res.json(users.map((u) => ({ ...u, role: getUserRole(u) })));
+});
+
+// @desc List roles and their permissions
+// @route GET /api/users/roles
+// @access Private/Admin (users:read)
+const getRoles = asyncHandler(async (_req, res) => {
+  res.json(
+    ROLES.map((role) => ({ role, permissions: ROLE_PERMISSIONS[role] || [] }))
+  );
+});
+
+// @desc Assign a role to a user
+// @route PUT /api/users/:id/role
+// @access Private/Admin (users:roles)
+const updateUserRole = asyncHandler(async (req, res) => {
+  const role = String(req.body?.role || '').trim();
+
+  if (!ROLES.includes(role)) {
+    res.status(400);
+    throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+  }
+
+  if (String(req.params.id) === String(req.user._id)) {
+    res.status(400);
+    throw new Error("You can't change your own role");
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+
+  // Never leave the site without a superadmin
+  if (getUserRole(user) === 'superadmin' && role !== 'superadmin') {
+    const candidates = await User.find({
+      _id: { $ne: user._id },
+      $or: [{ role: 'superadmin' }, { isAdmin: true }],
+    })
+      .select('role isAdmin')
+      .lean();
+
+    if (!candidates.some((u) => getUserRole(u) === 'superadmin')) {
+      res.status(400);
+      throw new Error("Can't demote the last superadmin");
+    }
+  }
+
+  const auditBefore = { role: getUserRole(user), isAdmin: !!user.isAdmin };
+
+  // isAdmin only marks legacy superadmins now; access comes from role
+  user.role = role;
+  user.isAdmin = role === 'superadmin';
+  await user.save();
+
+  await recordAudit({
+    req,
+    action: 'user.role',
+    targetModel: 'User',
+    targetId: user._id,
+    targetLabel: user.email,
+    before: auditBefore,
+    after: { role: user.role, isAdmin: user.isAdmin },
+  });
+
+  // Requests see the new role right away (protect reloads the user); live
+  // sockets joined their admin feed rooms at connect, so they reconnect
+  await disconnectUser(user._id);
+
+  res.json({
+    message: 'Role updated',
+    user: {
+      _id: user._id,
+      fullName: user.fullName,
+      email: user.email,
+      isAdmin: user.isAdmin,
+      role: user.role,
+      permissions: getRolePermissions(user.role),
+    },
+  });
 });
 
 // @desc Delete user
@@ -441,12 +1028,28 @@ const deleteUser = asyncHandler(async (req, res) => {
     throw new Error('User not found');
   }
 
-  if (user.isAdmin) {
+  if (isStaff(user)) {
     res.status(400);
     throw new Error("Can't delete admin user");
   }
 
   await user.deleteOne();
+  await revokeAllSessions({ userId: user._id, reason: 'account_deleted' });
+
+  await recordAudit({
+    req,
+    action: 'user.delete',
+    targetModel: 'User',
+    targetId: user._id,
+    targetLabel: user.email,
+    before: {
+      fullName: user.fullName,
+      email: user.email,
+      role: getUserRole(user),
+      emailVerified: user.emailVerified,
+      joinedAt: user.createdAt,
+    },
+  });
 
   res.json({ message: 'User deleted successfully' });
 });
@@ -455,13 +1058,23 @@ export {
   registerUser,
   loginUser,
   logoutUser,
+  refreshAccessToken,
+  getMySessions,
+  revokeMySession,
+  revokeAllMySessions,
   updateUserProfile,
   deleteUserProfile,
   changeUserPassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
   getLikedMovies,
   addLikedMovie,
   deleteLikedMovies,
   getUsers,
+  getRoles,
+  updateUserRole,
   deleteUser,
   googleLogin,
 };
\ No newline at end of file
@@ -0,0 +1,294 @@
+// backend/Controllers/WatchHistoryController.js
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+
+import Movie from '../Models/MoviesModel.js';
+import WatchProgress from '../Models/WatchProgressModel.js';
+
+// Treat "missing isPublished" as published (same as your public endpoints)
+const publicVisibilityFilter = { isPublished: { $ne: false } };
+
+const HISTORY_CARD_SELECT =
+  '_id slug name image titleImage thumbnailInfo type category browseBy time year language rate numberOfReviews';
+
+// position/duration ratio after which a title/episode counts as finished
+const COMPLETE_RATIO = Math.min(
+  1,
+  Math.max(0.5, Number(process.env.WATCH_COMPLETE_RATIO || 0.92))
+);
+
+const clean = (value = '') => String(value ?? '').trim();
+
+const isValidObjectId = (value) => {
+  const id = clean(value);
+  return /^[a-f\d]{24}$/i.test(id) && mongoose.Types.ObjectId.isValid(id);
+};
+
+const clampLimit = (value, fallback = 20, max = 100) => {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 1) return fallback;
+  return Math.min(Math.floor(n), max);
+};
+
+const toSeconds = (value) => {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) return 0;
+  return Math.round(n);
+};
+
+const findMovieByIdOrSlugLean = async (param) => {
+  const p = clean(param);
+  if (!p) return null;
+
+  if (isValidObjectId(p)) {
+    const byId = await Movie.findOne({ _id: p, ...publicVisibilityFilter })
+      .select('_id slug type episodes._id episodes.seasonNumber episodes.episodeNumber')
+      .lean();
+    if (byId) return byId;
+  }
+
+  return Movie.findOne({ slug: p, ...publicVisibilityFilter })
+    .select('_id slug type episodes._id episodes.seasonNumber episodes.episodeNumber')
+    .lean();
+};
+
+/**
+ * Resolve the episode a WebSeries progress event belongs to.
+ * Accepts episodeId, or seasonNumber + episodeNumber (season defaults to 1).
+ */
+const resolveEpisode = (movie, { episodeId, seasonNumber, episodeNumber }) => {
+  const episodes = Array.isArray(movie?.episodes) ? movie.episodes : [];
+
+  if (episodeId) {
+    return episodes.find((ep) => String(ep._id) === clean(episodeId)) || null;
+  }
+
+  const epNo = Number(episodeNumber);
+  if (!Number.isFinite(epNo)) return null;
+
+  const seasonNo = Number(seasonNumber) || 1;
+
+  return (
+    episodes.find(
+      (ep) =>
+        Number(ep.episodeNumber) === epNo &&
+        (Number(ep.seasonNumber) || 1) === seasonNo
+    ) || null
+  );
+};
+
+const shapeProgress = (row) => {
+  const position = Number(row?.position || 0);
+  const duration = Number(row?.duration || 0);
+
+  return {
+    episodeId: row?.episodeId || null,
+    seasonNumber: row?.seasonNumber ?? null,
+    episodeNumber: row?.episodeNumber ?? null,
+    position,
+    duration,
+    percent: duration > 0 ? Math.min(100, Math.round((position / duration) * 100)) : 0,
+    completed: !!row?.completed,
+    lastWatchedAt: row?.lastWatchedAt,
+  };
+};
+
+/**
+ * PRIVATE
+ * POST /api/users/history
+ * body: {
+ *   movieId: id or slug,
+ *   episodeId?: string,            // WebSeries
+ *   seasonNumber?, episodeNumber?, // WebSeries (alternative to episodeId)
+ *   position: seconds,
+ *   duration?: seconds
+ * }
+ */
+export const recordWatchProgress = asyncHandler(async (req, res) => {
+  const body = req.body || {};
+
+  const movie = await findMovieByIdOrSlugLean(body.movieId);
+
+  if (!movie) {
+    res.status(404);
+    throw new Error('Movie not found');
+  }
+
+  let episode = null;
+
+  if (movie.type === 'WebSeries') {
+    episode = resolveEpisode(movie, body);
+
+    if (!episode) {
+      res.status(400);
+      throw new Error('A valid episode is required for web series');
+    }
+  }
+
+  const position = toSeconds(body.position);
+  const duration = toSeconds(body.duration);
+
+  const completed =
+    body.completed === true ||
+    (duration > 0 && position / duration >= COMPLETE_RATIO);
+
+  const doc = await WatchProgress.findOneAndUpdate(
+    {
+      userId: req.user._id,
+      movieId: movie._id,
+      episodeId: episode?._id || null,
+    },
+    {
+      $set: {
+        seasonNumber: episode ? Number(episode.seasonNumber) || 1 : null,
+        episodeNumber: episode ? Number(episode.episodeNumber) : null,
+        position,
+        duration,
+        completed,
+        lastWatchedAt: new Date(),
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+
+  res
+    .set('Cache-Control', 'no-store')
+    .status(200)
+    .json({
+      ok: true,
+      movieId: movie._id,
+      progress: shapeProgress(doc),
+    });
+});
+
+/**
+ * PRIVATE
+ * GET /api/users/history?limit=20&page=1&continueWatching=true
+ *
+ * One entry per title (latest watched episode for WebSeries),
+ * newest first. continueWatching=true hides finished titles.
+ */
+export const getWatchHistory = asyncHandler(async (req, res) => {
+  const limit = clampLimit(req.query.limit, 20, 100);
+  const page = Math.max(1, Number(req.query.page) || 1);
+  const skip = (page - 1) * limit;
+
+  const continueOnly =
+    String(req.query.continueWatching || '').toLowerCase() === 'true';
+
+  const [result] = await WatchProgress.aggregate([
+    { $match: { userId: req.user._id } },
+    { $sort: { lastWatchedAt: -1 } },
+    { $group: { _id: '$movieId', latest: { $first: '$$ROOT' } } },
+    ...(continueOnly ? [{ $match: { 'latest.completed': { $ne: true } } }] : []),
+    { $sort: { 'latest.lastWatchedAt': -1 } },
+    {
+      $facet: {
+        rows: [{ $skip: skip }, { $limit: limit }],
+        total: [{ $count: 'count' }],
+      },
+    },
+  ]);
+
+  const rows = result?.rows || [];
+  const total = result?.total?.[0]?.count || 0;
+
+  const movies = rows.length
+    ? await Movie.find({
+      _id: { $in: rows.map((r) => r._id) },
+      ...publicVisibilityFilter,
+    })
+      .select(HISTORY_CARD_SELECT)
+      .lean()
+    : [];
+
+  const movieById = new Map(movies.map((m) => [String(m._id), m]));
+
+  const items = rows
+    .map((r) => {
+      const movie = movieById.get(String(r._id));
+      if (!movie) return null; // removed or unpublished since
+
+      return { movie, progress: shapeProgress(r.latest) };
+    })
+    .filter(Boolean);
+
+  res.set('Cache-Control', 'private, no-store').json({
+    page,
+    pages: Math.ceil(total / limit) || 1,
+    total,
+    items,
+  });
+});
+
+/**
+ * PRIVATE
+ * GET /api/users/history/:movieId
+ *
+ * Full per-episode progress for a single title (resume on watch page).
+ */
+export const getWatchProgressForMovie = asyncHandler(async (req, res) => {
+  const movie = await findMovieByIdOrSlugLean(req.params.movieId);
+
+  if (!movie) {
+    res.status(404);
+    throw new Error('Movie not found');
+  }
+
+  const rows = await WatchProgress.find({
+    userId: req.user._id,
+    movieId: movie._id,
+  })
+    .sort({ lastWatchedAt: -1 })
+    .lean();
+
+  res.set('Cache-Control', 'private, no-store').json({
+    movieId: movie._id,
+    resume: rows.length ? shapeProgress(rows[0]) : null,
+    episodes: rows.map(shapeProgress),
+  });
+});
+
+/**
+ * PRIVATE
+ * DELETE /api/users/history/:movieId
+ */
+export const removeWatchHistoryItem = asyncHandler(async (req, res) => {
+  const movieId = clean(req.params.movieId);
+
+  if (!isValidObjectId(movieId)) {
+    res.status(400);
+    throw new Error('Invalid movieId');
+  }
+
+  const result = await WatchProgress.deleteMany({
+    userId: req.user._id,
+    movieId,
+  });
+
+  res.json({
+    message: 'Removed from watch history',
+    deletedCount: result.deletedCount || 0,
+  });
+});
+
+/**
+ * PRIVATE
+ * DELETE /api/users/history
+ */
+export const clearWatchHistory = asyncHandler(async (req, res) => {
+  const result = await WatchProgress.deleteMany({ userId: req.user._id });
+
+  res.json({
+    message: 'Watch history cleared',
+    deletedCount: result.deletedCount || 0,
+  });
+});
+
+export default {
+  recordWatchProgress,
+  getWatchHistory,
+  getWatchProgressForMovie,
+  removeWatchHistoryItem,
+  clearWatchHistory,
+};
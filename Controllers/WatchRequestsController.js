@@ -1,19 +1,95 @@
 import asyncHandler from 'express-async-handler';
-import WatchRequest from '../Models/WatchRequestModel.js';
-import Notification from '../Models/NotificationModel.js';
+import mongoose from 'mongoose';
+import WatchRequest, {
+  WATCH_REQUEST_STATUSES,
+  normalizeRequestTitle,
+} from '../Models/WatchRequestModel.js';
 import User from '../Models/UserModel.js';
-import { sendPushToUserIds } from '../utils/pushService.js';
+import { enqueuePush } from '../utils/outboundQueue.js';
+import { notifyWatchRequesters } from '../utils/watchRequests.js';
+import { emitToPermission } from '../utils/realtime.js';
+import { createInAppNotifications } from '../utils/notificationPreferences.js';
+import { userFilterForPermission } from '../config/roles.js';
 
 const FRONTEND_BASE_URL =
   process.env.PUBLIC_FRONTEND_URL || 'https://www.moviefrost.com';
 
-const toAbsoluteUrl = (maybeUrl) => {
-  if (!maybeUrl) return FRONTEND_BASE_URL;
-  if (maybeUrl.startsWith('http')) return maybeUrl;
-  return `${FRONTEND_BASE_URL}${maybeUrl.startsWith('/') ? '' : '/'}${maybeUrl}`;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const MAX_MERGE_SOURCES = 50;
+
+const clean = (v) => String(v ?? '').trim();
+
+const isValidObjectId = (id) =>
+  /^[a-f\d]{24}$/i.test(clean(id)) && mongoose.Types.ObjectId.isValid(id);
+
+const clampLimit = (value, fallback = DEFAULT_LIMIT, max = MAX_LIMIT) => {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) return fallback;
+  return Math.min(Math.floor(n), max);
+};
+
+const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parsePaging = (query) => {
+  const page = Math.max(1, Number(query.pageNumber) || 1);
+  const limit = clampLimit(query.limit);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// ?status=pending | replied | fulfilled | rejected | all
+const parseStatus = (value, fallback, res) => {
+  const status = clean(value).toLowerCase() || fallback;
+  if (status === 'all' || WATCH_REQUEST_STATUSES.includes(status)) return status;
+
+  res.status(400);
+  throw new Error(`status must be one of: all, ${WATCH_REQUEST_STATUSES.join(', ')}`);
+};
+
+const SORTS = {
+  votes: { voteCount: -1, createdAt: -1 },
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+};
+
+const requireRequestId = (req, res) => {
+  const id = clean(req.params.id);
+  if (!isValidObjectId(id)) {
+    res.status(400);
+    throw new Error('Invalid request id');
+  }
+  return id;
 };
 
-// USER: submit request
+// Viewer-facing shape: no voter ids
+const toUserRequest = (doc, userId) => {
+  const { voters = [], repliedBy, rejectedBy, ...rest } = doc;
+  const me = String(userId);
+
+  return {
+    ...rest,
+    isOwner: String(doc.userId) === me,
+    hasVoted: String(doc.userId) === me || voters.some((v) => String(v) === me),
+  };
+};
+
+// Add the user as a voter (not the requester, not twice) on a pending request.
+// Pipeline update: requests created before voting existed have no voteCount.
+const addVote = (filter, userId) =>
+  WatchRequest.findOneAndUpdate(
+    { ...filter, status: 'pending', userId: { $ne: userId }, voters: { $ne: userId } },
+    [
+      {
+        $set: {
+          voters: { $concatArrays: [{ $ifNull: ['$voters', []] }, [userId]] },
+          voteCount: { $add: [{ $ifNull: ['$voteCount', 1] }, 1] },
+        },
+      },
+    ],
+    { new: true }
+  ).lean();
+
+// USER: submit request (an identical pending title gets the user's vote instead)
 export const createWatchRequest = asyncHandler(async (req, res) => {
   const { title } = req.body;
 
@@ -23,13 +99,50 @@ export const createWatchRequest = asyncHandler(async (req, res) => {
   }
 
   const requestedTitle = title.trim().substring(0, 120);
+  const normalizedTitle = normalizeRequestTitle(requestedTitle);
+
+  if (normalizedTitle) {
+    const existing = await WatchRequest.findOne({ normalizedTitle, status: 'pending' })
+      .sort({ createdAt: 1 })
+      .lean();
+
+    if (existing) {
+      const merged = await addVote({ _id: existing._id }, req.user._id);
+
+      if (merged) {
+        emitToPermission('requests:read', 'admin:watch_request', {
+          action: 'voted',
+          request: merged,
+        });
+      }
+
+      return res.json({
+        message: merged
+          ? 'Someone already requested this title, we added your vote'
+          : 'You already requested this title',
+        merged: true,
+        request: toUserRequest(merged || existing, req.user._id),
+      });
+    }
+  }
 
   const requestDoc = await WatchRequest.create({
     userId: req.user._id,
     requestedTitle,
+    normalizedTitle,
+  });
+
+  // Live admin feed (no-op on Vercel)
+  emitToPermission('requests:read', 'admin:watch_request', {
+    action: 'created',
+    request: requestDoc.toObject(),
+    userName: req.user.fullName,
   });
 
-  const admins = await User.find({ isAdmin: true }).select('_id').lean();
+  // Only staff who can see the request queue
+  const admins = await User.find(userFilterForPermission('requests:read'))
+    .select('_id')
+    .lean();
 
   if (admins.length) {
     const adminNotifs = admins.map((a) => ({
@@ -46,16 +159,20 @@ export const createWatchRequest = asyncHandler(async (req, res) => {
       },
     }));
 
-    await Notification.insertMany(adminNotifs);
+    await createInAppNotifications(adminNotifs);
 
-    await sendPushToUserIds(admins.map((a) => a._id), {
-      title: 'New watch request',
-      body: `${req.user.fullName} requested "${requestedTitle}"`,
-      url: `${FRONTEND_BASE_URL}/dashboard`,
-      icon: `${FRONTEND_BASE_URL}/images/MOVIEFROST.png`,
-      badge: `${FRONTEND_BASE_URL}/images/MOVIEFROST.png`,
-      tag: `watch-request:${String(requestDoc._id)}`,
-    });
+    await enqueuePush(
+      admins.map((a) => a._id),
+      {
+        title: 'New watch request',
+        body: `${req.user.fullName} requested "${requestedTitle}"`,
+        url: `${FRONTEND_BASE_URL}/dashboard`,
+        icon: `${FRONTEND_BASE_URL}/images/MOVIEFROST.png`,
+        badge: `${FRONTEND_BASE_URL}/images/MOVIEFROST.png`,
+        tag: `watch-request:${String(requestDoc._id)}`,
+      },
+      { type: 'watch_request' }
+    );
   }
 
   res.status(201).json({
@@ -64,6 +181,164 @@ export const createWatchRequest = asyncHandler(async (req, res) => {
   });
 });
 
+// USER: my requests (own + voted) ?status=all&pageNumber=1&limit=20
+export const getMyWatchRequests = asyncHandler(async (req, res) => {
+  const status = parseStatus(req.query.status, 'all', res);
+  const { page, limit, skip } = parsePaging(req.query);
+
+  const filter = {
+    $or: [{ userId: req.user._id }, { voters: req.user._id }],
+    ...(status !== 'all' && { status }),
+  };
+
+  const [requests, total] = await Promise.all([
+    WatchRequest.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+    WatchRequest.countDocuments(filter),
+  ]);
+
+  res.json({
+    requests: requests.map((r) => toUserRequest(r, req.user._id)),
+    page,
+    pages: Math.ceil(total / limit) || 1,
+    total,
+  });
+});
+
+// USER: open requests to upvote ?search=&sort=votes|newest&pageNumber=1&limit=20
+export const getOpenWatchRequests = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePaging(req.query);
+  const search = clean(req.query.search).substring(0, 80);
+  const sort = SORTS[clean(req.query.sort)] || SORTS.votes;
+
+  const filter = {
+    status: 'pending',
+    ...(search && { requestedTitle: { $regex: escapeRegex(search), $options: 'i' } }),
+  };
+
+  const [requests, total] = await Promise.all([
+    WatchRequest.find(filter)
+      .sort(sort)
+      .skip(skip)
+      .limit(limit)
+      .select('requestedTitle status voteCount voters userId createdAt')
+      .lean(),
+    WatchRequest.countDocuments(filter),
+  ]);
+
+  res.json({
+    requests: requests.map((r) => {
+      const { userId, ...shaped } = toUserRequest(r, req.user._id);
+      return shaped;
+    }),
+    page,
+    pages: Math.ceil(total / limit) || 1,
+    total,
+  });
+});
+
+// USER: upvote a pending request
+export const voteWatchRequest = asyncHandler(async (req, res) => {
+  const id = requireRequestId(req, res);
+
+  const updated = await addVote({ _id: id }, req.user._id);
+
+  if (!updated) {
+    const existing = await WatchRequest.findById(id).select('status').lean();
+
+    if (!existing) {
+      res.status(404);
+      throw new Error('Request not found');
+    }
+
+    res.status(400);
+    throw new Error(
+      existing.status === 'pending'
+        ? 'You already voted for this request'
+        : 'This request is closed'
+    );
+  }
+
+  emitToPermission('requests:read', 'admin:watch_request', {
+    action: 'voted',
+    request: updated,
+  });
+
+  res.json({ message: 'Vote added', voteCount: updated.voteCount });
+});
+
+// USER: remove upvote (the original requester can't)
+export const unvoteWatchRequest = asyncHandler(async (req, res) => {
+  const id = requireRequestId(req, res);
+
+  // Same pipeline shape as addVote: closed requests keep their votes, and
+  // the requester's own vote (missing voteCount = 1) is never taken away
+  const updated = await WatchRequest.findOneAndUpdate(
+    { _id: id, status: 'pending', voters: req.user._id },
+    [
+      {
+        $set: {
+          voters: {
+            $filter: {
+              input: { $ifNull: ['$voters', []] },
+              cond: { $ne: ['$$this', req.user._id] },
+            },
+          },
+          voteCount: {
+            $max: [1, { $subtract: [{ $ifNull: ['$voteCount', 1] }, 1] }],
+          },
+        },
+      },
+    ],
+    { new: true }
+  ).lean();
+
+  if (!updated) {
+    res.status(400);
+    throw new Error('You have not voted for this pending request');
+  }
+
+  res.json({ message: 'Vote removed', voteCount: updated.voteCount });
+});
+
+// ADMIN: list ?status=pending&search=&sort=votes|newest|oldest&pageNumber=1&limit=20
+export const getWatchRequestsAdmin = asyncHandler(async (req, res) => {
+  const status = parseStatus(req.query.status, 'pending', res);
+  const { page, limit, skip } = parsePaging(req.query);
+  const search = clean(req.query.search).substring(0, 80);
+  const sort =
+    SORTS[clean(req.query.sort)] || (status === 'pending' ? SORTS.votes : SORTS.newest);
+
+  const filter = {
+    ...(status !== 'all' && { status }),
+    ...(search && { requestedTitle: { $regex: escapeRegex(search), $options: 'i' } }),
+  };
+
+  const [requests, total, countRows] = await Promise.all([
+    WatchRequest.find(filter)
+      .sort(sort)
+      .skip(skip)
+      .limit(limit)
+      .populate('userId', 'fullName email image')
+      .populate('repliedBy rejectedBy', 'fullName')
+      .lean(),
+    WatchRequest.countDocuments(filter),
+    WatchRequest.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+  ]);
+
+  const counts = WATCH_REQUEST_STATUSES.reduce((acc, s) => ({ ...acc, [s]: 0 }), {});
+  countRows.forEach((row) => {
+    counts[row._id] = row.count;
+  });
+
+  res.json({
+    requests,
+    counts,
+    page,
+    pages: Math.ceil(total / limit) || 1,
+    total,
+  });
+});
+
 // ADMIN: reply with link
 export const replyToWatchRequest = asyncHandler(async (req, res) => {
   const { link, message } = req.body;
@@ -92,34 +367,115 @@ export const replyToWatchRequest = asyncHandler(async (req, res) => {
   requestDoc.repliedAt = new Date();
   await requestDoc.save();
 
-  // In-app notification
-  await Notification.create({
-    recipient: requestDoc.userId,
-    forAdmin: false,
+  // In-app + device/browser push to the requester and every voter
+  await notifyWatchRequesters(requestDoc, {
     type: 'watch_request_reply',
     title: 'Admin replied',
     message: replyMessage,
     link: replyLink,
-    meta: {
-      requestId: requestDoc._id,
-      requestedTitle: requestDoc.requestedTitle,
-    },
-  });
-
-  // ✅ Device/browser push notification
-  await sendPushToUserIds([requestDoc.userId], {
-    title: 'MovieFrost: Admin replied',
-    body: replyMessage,
-    url: toAbsoluteUrl(replyLink),
-    icon: `${FRONTEND_BASE_URL}/images/MOVIEFROST.png`,
-    badge: `${FRONTEND_BASE_URL}/images/MOVIEFROST.png`,
-    tag: `watch-request-reply:${String(requestDoc._id)}`,
     requireInteraction: true,
-    data: {
-      requestId: String(requestDoc._id),
-      type: 'watch_request_reply',
-    },
   });
 
   res.json({ message: 'Reply sent', request: requestDoc });
 });
+
+// ADMIN: reject with a reason
+export const rejectWatchRequest = asyncHandler(async (req, res) => {
+  const id = requireRequestId(req, res);
+  const reason = clean(req.body?.reason).substring(0, 240);
+
+  if (reason.length < 3) {
+    res.status(400);
+    throw new Error('Please give a reason for rejecting the request');
+  }
+
+  const requestDoc = await WatchRequest.findById(id);
+  if (!requestDoc) {
+    res.status(404);
+    throw new Error('Request not found');
+  }
+
+  if (requestDoc.status === 'rejected') {
+    res.status(400);
+    throw new Error('Request is already rejected');
+  }
+
+  requestDoc.status = 'rejected';
+  requestDoc.rejectionReason = reason;
+  requestDoc.rejectedBy = req.user._id;
+  requestDoc.rejectedAt = new Date();
+  await requestDoc.save();
+
+  try {
+    await notifyWatchRequesters(requestDoc, {
+      type: 'watch_request_rejected',
+      title: 'Request declined',
+      message: `"${requestDoc.requestedTitle}": ${reason}`,
+    });
+  } catch (e) {
+    console.warn('[watch-requests] reject notify:', e?.message || e);
+  }
+
+  res.json({ message: 'Request rejected', request: requestDoc });
+});
+
+// ADMIN: merge duplicate requests into this one  body: { sourceIds: [] }
+// Source requesters/voters become voters here; the sources are removed.
+export const mergeWatchRequests = asyncHandler(async (req, res) => {
+  const id = requireRequestId(req, res);
+
+  const sourceIds = Array.from(
+    new Set((Array.isArray(req.body?.sourceIds) ? req.body.sourceIds : []).map(clean))
+  ).filter((sid) => sid && sid !== id);
+
+  if (!sourceIds.length || sourceIds.length > MAX_MERGE_SOURCES) {
+    res.status(400);
+    throw new Error(`sourceIds must list 1-${MAX_MERGE_SOURCES} other requests`);
+  }
+
+  if (sourceIds.some((sid) => !isValidObjectId(sid))) {
+    res.status(400);
+    throw new Error('Invalid request id in sourceIds');
+  }
+
+  const target = await WatchRequest.findById(id);
+  if (!target) {
+    res.status(404);
+    throw new Error('Request not found');
+  }
+
+  if (target.status !== 'pending') {
+    res.status(400);
+    throw new Error('Only pending requests can be merged into');
+  }
+
+  const sources = await WatchRequest.find({
+    _id: { $in: sourceIds },
+    status: 'pending',
+  }).lean();
+
+  if (sources.length !== sourceIds.length) {
+    res.status(400);
+    throw new Error('Every source must be an existing pending request');
+  }
+
+  const owner = String(target.userId);
+  const voters = new Set((target.voters || []).map(String));
+
+  sources.forEach((s) => {
+    [s.userId, ...(s.voters || [])].forEach((uid) => {
+      if (uid && String(uid) !== owner) voters.add(String(uid));
+    });
+  });
+
+  target.voters = Array.from(voters);
+  target.voteCount = 1 + target.voters.length;
+  await target.save();
+
+  await WatchRequest.deleteMany({ _id: { $in: sources.map((s) => s._id) } });
+
+  res.json({
+    message: `Merged ${sources.length} request(s)`,
+    request: target,
+  });
+});
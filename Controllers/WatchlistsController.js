@@ -0,0 +1,514 @@
+// backend/Controllers/WatchlistsController.js
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+import { randomBytes } from 'crypto';
+
+import Movie from '../Models/MoviesModel.js';
+import User from '../Models/UserModel.js';
+import Watchlist from '../Models/WatchlistModel.js';
+
+// Treat "missing isPublished" as published (same as your public endpoints)
+const publicVisibilityFilter = { isPublished: { $ne: false } };
+
+const PUBLIC_MOVIE_CARD_SELECT =
+  '_id slug name image titleImage thumbnailInfo type category browseBy time year language latest previousHit latestNew banner isPublished orderIndex rate numberOfReviews';
+
+// The default list is backed by User.likedMovies (legacy favorites)
+const DEFAULT_LIST_ID = 'default';
+const DEFAULT_LIST_NAME = 'Favorites';
+
+const MAX_LISTS_PER_USER = Number(process.env.WATCHLIST_MAX_LISTS || 50);
+const MAX_ITEMS_PER_LIST = Number(process.env.WATCHLIST_MAX_ITEMS || 500);
+
+const clean = (value = '') => String(value ?? '').trim();
+
+const isValidObjectId = (value) => {
+  const id = clean(value);
+  return /^[a-f\d]{24}$/i.test(id) && mongoose.Types.ObjectId.isValid(id);
+};
+
+const clampLimit = (value, fallback = 24, max = 100) => {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 1) return fallback;
+  return Math.min(Math.floor(n), max);
+};
+
+const normalizeListName = (value) => {
+  const name = clean(value).substring(0, 60);
+  if (name.length < 1) throw new Error('List name is required');
+  return name;
+};
+
+const generateShareSlug = async () => {
+  for (let i = 0; i < 5; i++) {
+    const slug = randomBytes(6).toString('base64url');
+    // eslint-disable-next-line no-await-in-loop
+    const exists = await Watchlist.exists({ shareSlug: slug });
+    if (!exists) return slug;
+  }
+
+  return randomBytes(12).toString('base64url');
+};
+
+const isDefaultListId = (id) => clean(id).toLowerCase() === DEFAULT_LIST_ID;
+
+const shapeList = (list) => ({
+  _id: list._id,
+  name: list.name,
+  isDefault: false,
+  isPublic: !!list.isPublic,
+  shareSlug: list.isPublic ? list.shareSlug || null : null,
+  position: list.position,
+  itemCount: Array.isArray(list.items) ? list.items.length : 0,
+  createdAt: list.createdAt,
+  updatedAt: list.updatedAt,
+});
+
+const shapeDefaultList = (user) => ({
+  _id: DEFAULT_LIST_ID,
+  name: DEFAULT_LIST_NAME,
+  isDefault: true,
+  isPublic: false,
+  shareSlug: null,
+  position: -1,
+  itemCount: Array.isArray(user?.likedMovies) ? user.likedMovies.length : 0,
+});
+
+/**
+ * Page through an ordered id list and return published movie cards
+ * in the same order.
+ */
+const paginateMovieIds = async (ids = [], { page = 1, limit = 24 } = {}) => {
+  const total = ids.length;
+  const skip = (page - 1) * limit;
+  const pageIds = ids.slice(skip, skip + limit).map(String);
+
+  const movies = pageIds.length
+    ? await Movie.find({ _id: { $in: pageIds }, ...publicVisibilityFilter })
+      .select(PUBLIC_MOVIE_CARD_SELECT)
+      .lean()
+    : [];
+
+  const byId = new Map(movies.map((m) => [String(m._id), m]));
+
+  return {
+    page,
+    pages: Math.ceil(total / limit) || 1,
+    total,
+    movies: pageIds.map((id) => byId.get(id)).filter(Boolean),
+  };
+};
+
+const findOwnListOrThrow = async (req, res) => {
+  const id = clean(req.params.id);
+
+  if (!isValidObjectId(id)) {
+    res.status(400);
+    throw new Error('Invalid list id');
+  }
+
+  const list = await Watchlist.findOne({ _id: id, userId: req.user._id });
+
+  if (!list) {
+    res.status(404);
+    throw new Error('List not found');
+  }
+
+  return list;
+};
+
+const findPublishedMovieIdOrThrow = async (res, movieId) => {
+  const id = clean(movieId);
+
+  if (!isValidObjectId(id)) {
+    res.status(400);
+    throw new Error('Invalid movieId');
+  }
+
+  const movie = await Movie.findOne({ _id: id, ...publicVisibilityFilter })
+    .select('_id')
+    .lean();
+
+  if (!movie) {
+    res.status(404);
+    throw new Error('Movie not found');
+  }
+
+  return movie._id;
+};
+
+/**
+ * Validate an orderedIds payload against the current ids.
+ * Must contain exactly the same ids (no extras, no missing, no duplicates).
+ */
+const assertSameIdSet = (res, orderedIds, currentIds) => {
+  if (!Array.isArray(orderedIds) || !orderedIds.length) {
+    res.status(400);
+    throw new Error('orderedIds array is required');
+  }
+
+  const ordered = orderedIds.map((id) => clean(id)).filter(Boolean);
+  const orderedSet = new Set(ordered);
+  const currentSet = new Set(currentIds.map(String));
+
+  const same =
+    orderedSet.size === ordered.length &&
+    ordered.length === currentSet.size &&
+    ordered.every((id) => currentSet.has(id));
+
+  if (!same) {
+    res.status(400);
+    throw new Error('orderedIds must contain exactly the current IDs');
+  }
+
+  return ordered;
+};
+
+/**
+ * PRIVATE
+ * GET /api/users/watchlists
+ *
+ * Default list (likedMovies) first, then the user's lists by position.
+ */
+export const getMyWatchlists = asyncHandler(async (req, res) => {
+  const [user, lists] = await Promise.all([
+    User.findById(req.user._id).select('likedMovies').lean(),
+    Watchlist.find({ userId: req.user._id })
+      .sort({ position: 1, createdAt: 1 })
+      .lean(),
+  ]);
+
+  res.set('Cache-Control', 'private, no-store').json({
+    lists: [shapeDefaultList(user), ...lists.map(shapeList)],
+  });
+});
+
+/**
+ * PRIVATE
+ * POST /api/users/watchlists
+ * body: { name, isPublic? }
+ */
+export const createWatchlist = asyncHandler(async (req, res) => {
+  let name;
+
+  try {
+    name = normalizeListName(req.body?.name);
+  } catch (e) {
+    res.status(400);
+    throw e;
+  }
+
+  const count = await Watchlist.countDocuments({ userId: req.user._id });
+
+  if (count >= MAX_LISTS_PER_USER) {
+    res.status(400);
+    throw new Error(`You can create up to ${MAX_LISTS_PER_USER} lists`);
+  }
+
+  const last = await Watchlist.findOne({ userId: req.user._id })
+    .sort({ position: -1 })
+    .select('position')
+    .lean();
+
+  const isPublic = !!req.body?.isPublic;
+
+  const list = await Watchlist.create({
+    userId: req.user._id,
+    name,
+    position: (last?.position ?? -1) + 1,
+    isPublic,
+    ...(isPublic && { shareSlug: await generateShareSlug() }),
+  });
+
+  res.status(201).json({ message: 'List created', list: shapeList(list) });
+});
+
+/**
+ * PRIVATE
+ * PUT /api/users/watchlists/reorder
+ * body: { orderedIds: [listId, ...] }
+ */
+export const reorderWatchlists = asyncHandler(async (req, res) => {
+  const lists = await Watchlist.find({ userId: req.user._id })
+    .select('_id')
+    .lean();
+
+  const ordered = assertSameIdSet(
+    res,
+    req.body?.orderedIds,
+    lists.map((l) => l._id)
+  );
+
+  await Watchlist.bulkWrite(
+    ordered.map((id, idx) => ({
+      updateOne: {
+        filter: { _id: id, userId: req.user._id },
+        update: { $set: { position: idx } },
+      },
+    })),
+    { ordered: true }
+  );
+
+  res.json({ message: 'Lists reordered', reorderedCount: ordered.length });
+});
+
+/**
+ * PRIVATE
+ * GET /api/users/watchlists/:id?page=1&limit=24
+ *
+ * :id may be "default" for the favorites list.
+ */
+export const getWatchlistItems = asyncHandler(async (req, res) => {
+  const limit = clampLimit(req.query.limit, 24, 100);
+  const page = Math.max(1, Number(req.query.page) || 1);
+
+  if (isDefaultListId(req.params.id)) {
+    const user = await User.findById(req.user._id).select('likedMovies').lean();
+
+    if (!user) {
+      res.status(404);
+      throw new Error('User not found');
+    }
+
+    const result = await paginateMovieIds(user.likedMovies || [], {
+      page,
+      limit,
+    });
+
+    return res
+      .set('Cache-Control', 'private, no-store')
+      .json({ list: shapeDefaultList(user), ...result });
+  }
+
+  const list = await findOwnListOrThrow(req, res);
+  const result = await paginateMovieIds(
+    list.items.map((i) => i.movieId),
+    { page, limit }
+  );
+
+  res
+    .set('Cache-Control', 'private, no-store')
+    .json({ list: shapeList(list), ...result });
+});
+
+/**
+ * PRIVATE
+ * PUT /api/users/watchlists/:id
+ * body: { name?, isPublic? }
+ */
+export const updateWatchlist = asyncHandler(async (req, res) => {
+  if (isDefaultListId(req.params.id)) {
+    res.status(400);
+    throw new Error('The default list cannot be renamed or shared');
+  }
+
+  const list = await findOwnListOrThrow(req, res);
+  const { name, isPublic } = req.body || {};
+
+  if (name !== undefined) {
+    try {
+      list.name = normalizeListName(name);
+    } catch (e) {
+      res.status(400);
+      throw e;
+    }
+  }
+
+  if (isPublic !== undefined) {
+    list.isPublic = !!isPublic;
+
+    // Keep the slug when sharing is turned off so old links come back
+    // if it is turned on again.
+    if (list.isPublic && !list.shareSlug) {
+      list.shareSlug = await generateShareSlug();
+    }
+  }
+
+  await list.save();
+
+  res.json({ message: 'List updated', list: shapeList(list) });
+});
+
+/**
+ * PRIVATE
+ * DELETE /api/users/watchlists/:id
+ */
+export const deleteWatchlist = asyncHandler(async (req, res) => {
+  if (isDefaultListId(req.params.id)) {
+    res.status(400);
+    throw new Error('The default list cannot be deleted');
+  }
+
+  const list = await findOwnListOrThrow(req, res);
+  await list.deleteOne();
+
+  res.json({ message: 'List deleted' });
+});
+
+/**
+ * PRIVATE
+ * POST /api/users/watchlists/:id/items
+ * body: { movieId }
+ */
+export const addWatchlistItem = asyncHandler(async (req, res) => {
+  const movieId = await findPublishedMovieIdOrThrow(res, req.body?.movieId);
+
+  if (isDefaultListId(req.params.id)) {
+    const result = await User.updateOne(
+      { _id: req.user._id },
+      { $addToSet: { likedMovies: movieId } }
+    );
+
+    if (!result.modifiedCount) {
+      res.status(400);
+      throw new Error('Movie already in list');
+    }
+
+    return res.status(201).json({ message: 'Added to list', movieId });
+  }
+
+  const list = await findOwnListOrThrow(req, res);
+
+  if (list.items.some((i) => String(i.movieId) === String(movieId))) {
+    res.status(400);
+    throw new Error('Movie already in list');
+  }
+
+  if (list.items.length >= MAX_ITEMS_PER_LIST) {
+    res.status(400);
+    throw new Error(`A list can hold up to ${MAX_ITEMS_PER_LIST} titles`);
+  }
+
+  list.items.push({ movieId, addedAt: new Date() });
+  await list.save();
+
+  res.status(201).json({
+    message: 'Added to list',
+    movieId,
+    list: shapeList(list),
+  });
+});
+
+/**
+ * PRIVATE
+ * DELETE /api/users/watchlists/:id/items/:movieId
+ */
+export const removeWatchlistItem = asyncHandler(async (req, res) => {
+  const movieId = clean(req.params.movieId);
+
+  if (!isValidObjectId(movieId)) {
+    res.status(400);
+    throw new Error('Invalid movieId');
+  }
+
+  if (isDefaultListId(req.params.id)) {
+    await User.updateOne(
+      { _id: req.user._id },
+      { $pull: { likedMovies: movieId } }
+    );
+
+    return res.json({ message: 'Removed from list', movieId });
+  }
+
+  const list = await findOwnListOrThrow(req, res);
+
+  list.items = list.items.filter((i) => String(i.movieId) !== movieId);
+  await list.save();
+
+  res.json({ message: 'Removed from list', movieId, list: shapeList(list) });
+});
+
+/**
+ * PRIVATE
+ * PUT /api/users/watchlists/:id/items/reorder
+ * body: { orderedIds: [movieId, ...] }
+ */
+export const reorderWatchlistItems = asyncHandler(async (req, res) => {
+  if (isDefaultListId(req.params.id)) {
+    const user = await User.findById(req.user._id).select('likedMovies');
+
+    if (!user) {
+      res.status(404);
+      throw new Error('User not found');
+    }
+
+    const ordered = assertSameIdSet(res, req.body?.orderedIds, user.likedMovies);
+
+    user.likedMovies = ordered;
+    await user.save();
+
+    return res.json({ message: 'List reordered', reorderedCount: ordered.length });
+  }
+
+  const list = await findOwnListOrThrow(req, res);
+
+  const ordered = assertSameIdSet(
+    res,
+    req.body?.orderedIds,
+    list.items.map((i) => i.movieId)
+  );
+
+  const itemById = new Map(list.items.map((i) => [String(i.movieId), i]));
+  list.items = ordered.map((id) => itemById.get(id));
+  await list.save();
+
+  res.json({ message: 'List reordered', reorderedCount: ordered.length });
+});
+
+/**
+ * PUBLIC
+ * GET /api/users/watchlists/shared/:shareSlug?page=1&limit=24
+ */
+export const getSharedWatchlist = asyncHandler(async (req, res) => {
+  const shareSlug = clean(req.params.shareSlug);
+
+  const list = shareSlug
+    ? await Watchlist.findOne({ shareSlug, isPublic: true })
+      .populate('userId', 'fullName image')
+      .lean()
+    : null;
+
+  if (!list) {
+    res.status(404);
+    throw new Error('List not found');
+  }
+
+  const limit = clampLimit(req.query.limit, 24, 100);
+  const page = Math.max(1, Number(req.query.page) || 1);
+
+  const result = await paginateMovieIds(
+    list.items.map((i) => i.movieId),
+    { page, limit }
+  );
+
+  res
+    .set(
+      'Cache-Control',
+      'public, max-age=60, s-maxage=60, stale-while-revalidate=600'
+    )
+    .json({
+      list: {
+        name: list.name,
+        shareSlug: list.shareSlug,
+        itemCount: list.items.length,
+        owner: list.userId
+          ? { fullName: list.userId.fullName, image: list.userId.image }
+          : null,
+        updatedAt: list.updatedAt,
+      },
+      ...result,
+    });
+});
+
+export default {
+  getMyWatchlists,
+  createWatchlist,
+  reorderWatchlists,
+  getWatchlistItems,
+  updateWatchlist,
+  deleteWatchlist,
+  addWatchlistItem,
+  removeWatchlistItem,
+  reorderWatchlistItems,
+  getSharedWatchlist,
+};
@@ -1,15 +1,22 @@
 // backend/Controllers/WebsiteFeedbackController.js
 import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
 
 import WebsiteFeedback, {
   FEEDBACK_QUALITY_CHOICES,
   FEEDBACK_SCALE_VALUES,
+  FEEDBACK_STATUSES,
   FEEDBACK_VISIT_FREQUENCY_CHOICES,
 } from '../Models/WebsiteFeedbackModel.js';
+import { emitToPermission } from '../utils/realtime.js';
+import { screenContent } from '../utils/contentFilter.js';
 
 const DEFAULT_LIMIT = 12;
 const MAX_LIMIT = 100;
 
+// Summary numbers leave out feedback held or hidden by moderation
+const countedFeedbackFilter = { status: { $nin: ['pending', 'hidden'] } };
+
 const trimText = (value, max) =>
   String(value ?? '')
     .trim()
@@ -159,7 +166,32 @@ export const createWebsiteFeedback = asyncHandler(async (req, res) => {
     throw e;
   }
 
-  const created = await WebsiteFeedback.create(payload);
+  const screen = await screenContent({
+    req,
+    scope: 'feedback',
+    texts: {
+      missingTitles: payload.missingTitles,
+      missingFeatures: payload.missingFeatures,
+      oneImprovement: payload.oneImprovement,
+      country: payload.country,
+    },
+  });
+
+  if (screen.action === 'reject') {
+    res.status(429);
+    throw new Error(screen.message);
+  }
+
+  const created = await WebsiteFeedback.create({
+    ...payload,
+    status: screen.status,
+    ...(screen.reasons.length && { filterReasons: screen.reasons }),
+  });
+
+  // Live admin feed (no-op on Vercel)
+  emitToPermission('feedback:read', 'admin:feedback', {
+    feedback: created.toObject(),
+  });
 
   res.status(201).json({
     message: 'Thank you for helping us improve MovieFrost.',
@@ -170,9 +202,24 @@ export const createWebsiteFeedback = asyncHandler(async (req, res) => {
 
 /**
  * ADMIN
- * GET /api/feedback/admin?pageNumber=1&limit=12
+ * GET /api/feedback/admin?pageNumber=1&limit=12&status=all|visible|pending|hidden
  */
 export const getWebsiteFeedbackAdmin = asyncHandler(async (req, res) => {
+  const status = trimText(req.query.status, 20).toLowerCase() || 'all';
+
+  if (status !== 'all' && !FEEDBACK_STATUSES.includes(status)) {
+    res.status(400);
+    throw new Error(`status must be one of: all, ${FEEDBACK_STATUSES.join(', ')}`);
+  }
+
+  // Older feedback has no status (= visible)
+  const listFilter =
+    status === 'all'
+      ? {}
+      : status === 'visible'
+        ? countedFeedbackFilter
+        : { status };
+
   const page = Math.max(1, Number(req.query.pageNumber) || 1);
   const limit = clampLimit(req.query.limit, DEFAULT_LIMIT, MAX_LIMIT);
   const skip = (page - 1) * limit;
@@ -188,16 +235,18 @@ export const getWebsiteFeedbackAdmin = asyncHandler(async (req, res) => {
     streamingRows,
     frequencyRows,
     countryRows,
+    pendingCount,
   ] = await Promise.all([
-    WebsiteFeedback.find({})
+    WebsiteFeedback.find(listFilter)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
       .lean(),
 
-    WebsiteFeedback.countDocuments({}),
+    WebsiteFeedback.countDocuments(listFilter),
 
     WebsiteFeedback.aggregate([
+      { $match: countedFeedbackFilter },
       {
         $group: {
           _id: null,
@@ -209,6 +258,7 @@ export const getWebsiteFeedbackAdmin = asyncHandler(async (req, res) => {
     ]),
 
     WebsiteFeedback.aggregate([
+      { $match: countedFeedbackFilter },
       {
         $group: {
           _id: null,
@@ -241,12 +291,14 @@ export const getWebsiteFeedbackAdmin = asyncHandler(async (req, res) => {
       },
     ]),
 
-    countByField('overallExperience', { limit: 10 }),
-    countByField('findingEase', { limit: 10 }),
-    countByField('loadingSpeed', { limit: 10 }),
-    countByField('streamingQuality', { limit: 10 }),
-    countByField('visitFrequency', { limit: 10 }),
-    countByField('country', { limit: 12 }),
+    countByField('overallExperience', { limit: 10, match: countedFeedbackFilter }),
+    countByField('findingEase', { limit: 10, match: countedFeedbackFilter }),
+    countByField('loadingSpeed', { limit: 10, match: countedFeedbackFilter }),
+    countByField('streamingQuality', { limit: 10, match: countedFeedbackFilter }),
+    countByField('visitFrequency', { limit: 10, match: countedFeedbackFilter }),
+    countByField('country', { limit: 12, match: countedFeedbackFilter }),
+
+    WebsiteFeedback.countDocuments({ status: 'pending' }),
   ]);
 
   const averages = averagesAgg?.[0] || {};
@@ -272,8 +324,9 @@ export const getWebsiteFeedbackAdmin = asyncHandler(async (req, res) => {
     page,
     pages: Math.ceil(total / limit) || 1,
     totalFeedback: total,
+    pendingCount,
     summary: {
-      total,
+      total: Number(nps.total || 0),
       averageOverallExperience: round1(averages.avgOverallExperience),
       averageFindingEase: round1(averages.avgFindingEase),
       averageRecommendScore: round1(averages.avgRecommendScore),
@@ -315,7 +368,42 @@ export const getWebsiteFeedbackAdmin = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * ADMIN
+ * PUT /api/feedback/admin/:id/status
+ * body: { status: "visible" | "hidden" }
+ * Approves feedback held by the content filter, or hides spam.
+ */
+export const updateWebsiteFeedbackStatus = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const status = trimText(req.body?.status, 20).toLowerCase();
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400);
+    throw new Error('Invalid feedback id');
+  }
+
+  if (!['visible', 'hidden'].includes(status)) {
+    res.status(400);
+    throw new Error('status must be one of: visible, hidden');
+  }
+
+  const feedback = await WebsiteFeedback.findByIdAndUpdate(
+    id,
+    { $set: { status } },
+    { new: true }
+  ).lean();
+
+  if (!feedback) {
+    res.status(404);
+    throw new Error('Feedback not found');
+  }
+
+  res.json({ message: 'Feedback updated', feedback });
+});
+
 export default {
   createWebsiteFeedback,
   getWebsiteFeedbackAdmin,
+  updateWebsiteFeedbackStatus,
 };
@@ -0,0 +1,54 @@
+// backend/Models/AuditLogModel.js
+import mongoose from 'mongoose';
+
+/**
+ * Who changed what in the catalog / user base.
+ * One row per affected document (bulk actions write one row per title).
+ */
+const auditLogSchema = mongoose.Schema(
+  {
+    // Copied at write time so the row stays readable after the user is deleted
+    actor: {
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+      },
+      name: { type: String, default: '' },
+      email: { type: String, default: '' },
+      role: { type: String, default: '' },
+    },
+
+    // e.g. "movie.update", "movie.banner", "blog.delete", "user.delete"
+    action: { type: String, required: true, trim: true },
+
+    targetModel: {
+      type: String,
+      enum: ['Movie', 'BlogPost', 'User'],
+      required: true,
+    },
+
+    // null for actions without a single target (e.g. delete all movies)
+    targetId: { type: mongoose.Schema.Types.ObjectId, default: null },
+
+    // Title / name / email of the target at the time of the change
+    targetLabel: { type: String, default: '' },
+
+    // { field: { from, to } } (only changed top-level fields)
+    changes: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+    // Extra context (bulk request size, flag value, counts...)
+    meta: { type: mongoose.Schema.Types.Mixed, default: null },
+
+    ip: { type: String, default: '' },
+    userAgent: { type: String, default: '' },
+  },
+  { timestamps: true }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ 'actor.userId': 1, createdAt: -1 });
+auditLogSchema.index({ targetModel: 1, action: 1, createdAt: -1 });
+auditLogSchema.index({ targetId: 1, createdAt: -1 });
+
+export default mongoose.model('AuditLog', auditLogSchema);
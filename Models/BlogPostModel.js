@@ -1,6 +1,7 @@
 // backend/Models/BlogPostModel.js
 import mongoose from 'mongoose';
 import { BLOG_TEMPLATE_TYPES } from '../utils/blogCategories.js';
+import { softDeletePlugin } from '../utils/softDelete.js';
 
 const trimText = (value, max) =>
   String(value ?? '')
@@ -81,6 +82,10 @@ const blogPostSchema = mongoose.Schema(
 
     publishedAt: { type: Date, default: null, index: true },
 
+    // Scheduled publishing (see utils/publishScheduler.js)
+    publishAt: { type: Date, default: null, index: true },
+    unpublishAt: { type: Date, default: null, index: true },
+
     templateType: {
       type: String,
       enum: BLOG_TEMPLATE_TYPES,
@@ -95,6 +100,9 @@ const blogPostSchema = mongoose.Schema(
   { timestamps: true }
 );
 
+// ✅ Trash bin: deletedAt/deletedBy + hide deleted docs from queries
+blogPostSchema.plugin(softDeletePlugin);
+
 blogPostSchema.pre('validate', function (next) {
   try {
     this.title = trimText(this.title, 180);
@@ -0,0 +1,36 @@
+// backend/Models/CampaignClickModel.js
+import mongoose from 'mongoose';
+
+export const CAMPAIGN_CHANNELS = ['push', 'email', 'inApp'];
+
+/**
+ * Clicks on a campaign's tracked link (see utils/campaignTracking.js).
+ * One row per campaign + channel + visitor; repeat clicks bump `count`.
+ */
+const campaignClickSchema = mongoose.Schema(
+  {
+    campaignId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PushCampaign',
+      required: true,
+    },
+
+    channel: { type: String, enum: CAMPAIGN_CHANNELS, required: true },
+
+    // Known for email / in-app links; push links are shared by all recipients
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+
+    // "u:<userId>" or "ip:<sha256(ip)>"
+    visitorKey: { type: String, required: true },
+
+    count: { type: Number, default: 1 },
+    firstClickedAt: { type: Date, default: Date.now },
+    lastClickedAt: { type: Date, default: Date.now },
+  },
+  { timestamps: false }
+);
+
+campaignClickSchema.index({ campaignId: 1, channel: 1, visitorKey: 1 }, { unique: true });
+campaignClickSchema.index({ campaignId: 1, firstClickedAt: 1 });
+
+export default mongoose.model('CampaignClick', campaignClickSchema);
@@ -0,0 +1,64 @@
+// backend/Models/CommentFlagModel.js
+// User flags on rating comments and replies. One open flag per comment;
+// more flags bump flagCount. Moderators work the open queue.
+import mongoose from 'mongoose';
+
+export const COMMENT_FLAG_TARGETS = ['rating', 'reply'];
+export const COMMENT_FLAG_REASONS = ['spam', 'abuse', 'spoiler', 'other'];
+
+// open: waiting for a moderator, hidden: comment hidden,
+// restored: comment kept / made visible again
+export const COMMENT_FLAG_STATUSES = ['open', 'hidden', 'restored'];
+
+// Reporters kept per flag (for de-duplication)
+export const MAX_FLAG_REPORTERS = 100;
+
+const flagReporterSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    reason: { type: String, enum: COMMENT_FLAG_REASONS, default: 'other' },
+    note: { type: String, default: '' },
+    flaggedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const commentFlagSchema = new mongoose.Schema(
+  {
+    targetType: { type: String, enum: COMMENT_FLAG_TARGETS, required: true },
+    targetId: { type: mongoose.Schema.Types.ObjectId, required: true },
+
+    movieId: { type: mongoose.Schema.Types.ObjectId, ref: 'Movie', required: true },
+    // Comment author (null for guest ratings)
+    authorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    authorName: { type: String, default: '' },
+    // Comment text when first flagged
+    excerpt: { type: String, default: '' },
+
+    status: {
+      type: String,
+      enum: COMMENT_FLAG_STATUSES,
+      default: 'open',
+      index: true,
+    },
+
+    flagCount: { type: Number, default: 1 },
+    lastFlaggedAt: { type: Date, default: Date.now },
+    reporters: { type: [flagReporterSchema], default: [] },
+
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    resolvedAt: { type: Date, default: null },
+    resolutionNote: { type: String, default: '' },
+  },
+  { timestamps: true }
+);
+
+// At most one open flag per comment
+commentFlagSchema.index(
+  { targetType: 1, targetId: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+
+commentFlagSchema.index({ status: 1, flagCount: -1, lastFlaggedAt: -1 });
+
+export default mongoose.model('CommentFlag', commentFlagSchema);
@@ -0,0 +1,36 @@
+// backend/Models/ContentSubmissionModel.js
+// Short-lived log of user-written posts (ratings, replies, feedback) used by
+// the content filter for posting caps and copy-paste spam detection.
+import mongoose from 'mongoose';
+
+const contentSubmissionSchema = mongoose.Schema(
+  {
+    // guest_rating, rating, review, reply, feedback
+    scope: { type: String, required: true },
+    // Title / rating the text was posted on (null for feedback)
+    targetId: { type: mongoose.Schema.Types.ObjectId, default: null },
+
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    // sha256 of the client IP
+    ipHash: { type: String, default: '' },
+    // Client fingerprint header, or a hash of the browser headers
+    fingerprint: { type: String, default: '' },
+
+    // sha1 of the normalized text ('' when nothing was written)
+    textHash: { type: String, default: '' },
+
+    // pending when a filter sent it to review
+    status: { type: String, default: 'visible' },
+
+    // Removed by MongoDB after the look-back window
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+contentSubmissionSchema.index({ ipHash: 1, createdAt: -1 });
+contentSubmissionSchema.index({ fingerprint: 1, createdAt: -1 });
+contentSubmissionSchema.index({ textHash: 1, createdAt: -1 });
+contentSubmissionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('ContentSubmission', contentSubmissionSchema);
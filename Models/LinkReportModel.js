@@ -0,0 +1,70 @@
+// backend/Models/LinkReportModel.js
+// Viewer "broken link" reports. One open report per server; repeat reports
+// from other viewers bump reportCount instead of creating duplicates.
+import mongoose from 'mongoose';
+
+export const LINK_REPORT_STATUSES = ['open', 'fixed', 'invalid'];
+
+// Reporters kept per report (for de-duplication and notifications)
+export const MAX_REPORTERS = 200;
+
+const reporterSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    // sha256 of the client IP (anonymous de-duplication)
+    ipHash: { type: String, default: '' },
+    reportedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const linkReportSchema = new mongoose.Schema(
+  {
+    movieId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Movie',
+      required: true,
+      index: true,
+    },
+    movieName: { type: String, default: '' },
+
+    // null => movie-level server
+    episodeId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    seasonNumber: { type: Number, default: null },
+    episodeNumber: { type: Number, default: null },
+
+    // Server field: video, videoUrl2, videoUrl3, ...
+    field: { type: String, required: true },
+    // URL at the time of the first report
+    url: { type: String, default: '' },
+
+    status: {
+      type: String,
+      enum: LINK_REPORT_STATUSES,
+      default: 'open',
+      index: true,
+    },
+
+    reportCount: { type: Number, default: 1 },
+    lastReportedAt: { type: Date, default: Date.now },
+    // Latest optional free-text note from a viewer
+    note: { type: String, default: '' },
+
+    reporters: { type: [reporterSchema], default: [] },
+
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    resolvedAt: { type: Date, default: null },
+    resolutionNote: { type: String, default: '' },
+  },
+  { timestamps: true }
+);
+
+// At most one open report per server (a fixed/invalid one can be reported again)
+linkReportSchema.index(
+  { movieId: 1, episodeId: 1, field: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+
+linkReportSchema.index({ status: 1, reportCount: -1, lastReportedAt: -1 });
+
+export default mongoose.model('LinkReport', linkReportSchema);
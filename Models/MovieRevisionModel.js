@@ -0,0 +1,48 @@
+// backend/Models/MovieRevisionModel.js
+import mongoose from 'mongoose';
+
+/**
+ * Versioned snapshot of a movie after an admin write
+ * (see utils/movieRevisions.js). Version 1 of titles that existed before
+ * revisions were introduced is a "baseline" taken right before their
+ * first tracked write.
+ */
+const movieRevisionSchema = mongoose.Schema(
+  {
+    movieId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Movie',
+      required: true,
+    },
+
+    version: { type: Number, required: true, min: 1 },
+
+    // baseline | create | update | bulk_update | curate | delete | restore | schedule | rollback ...
+    action: { type: String, required: true, trim: true },
+
+    // Movie fields at this version (volatile counters/reviews excluded)
+    snapshot: { type: mongoose.Schema.Types.Mixed, required: true },
+
+    // sha1 of snapshot, to skip writes that changed nothing
+    hash: { type: String, required: true },
+
+    // Top-level fields that differ from the previous version
+    changedFields: { type: [String], default: [] },
+
+    actor: {
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+      },
+      name: { type: String, default: '' },
+    },
+
+    meta: { type: mongoose.Schema.Types.Mixed, default: null },
+  },
+  { timestamps: true }
+);
+
+movieRevisionSchema.index({ movieId: 1, version: -1 }, { unique: true });
+
+export default mongoose.model('MovieRevision', movieRevisionSchema);
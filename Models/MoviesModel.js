@@ -1,6 +1,7 @@
 // backend/Models/MoviesModel.js
 import mongoose from 'mongoose';
 import { slugify } from '../utils/slugify.js';
+import { softDeletePlugin } from '../utils/softDelete.js';
 
 const clampText = (value, max) =>
   String(value ?? '')
@@ -115,6 +116,9 @@ const moviesSchema = mongoose.Schema(
 
     rate: { type: Number, required: true, default: 0 },
     numberOfReviews: { type: Number, required: true, default: 0 },
+    // Bayesian score (utils/ratingAggregates.js), used for top-rated lists.
+    // No default: missing means "not computed yet" (see backfillWeightedRates)
+    weightedRate: { type: Number },
     reviews: [reviewSchema],
 
     // Casts
@@ -181,11 +185,21 @@ const moviesSchema = mongoose.Schema(
 
     isPublished: { type: Boolean, default: true, index: true },
 
+    // Scheduled publishing (see utils/publishScheduler.js)
+    publishAt: { type: Date, default: null, index: true },
+    unpublishAt: { type: Date, default: null, index: true },
+
+    // Last run of the video link checker (see utils/linkHealth.js)
+    linksCheckedAt: { type: Date, default: null, index: true },
+
     orderIndex: { type: Number, default: null, index: true },
   },
   { timestamps: true }
 );
 
+// ✅ Trash bin: deletedAt/deletedBy + hide deleted docs from queries
+moviesSchema.plugin(softDeletePlugin);
+
 moviesSchema.pre('validate', function (next) {
   try {
     if (Array.isArray(this.casts)) {
@@ -244,6 +258,7 @@ moviesSchema.index({
 moviesSchema.index({ category: 1, createdAt: -1 });
 moviesSchema.index({ browseBy: 1, createdAt: -1 });
 moviesSchema.index({ rate: -1 });
+moviesSchema.index({ weightedRate: -1, numberOfReviews: -1 });
 moviesSchema.index({ viewCount: -1 });
 moviesSchema.index({ latest: -1, previousHit: 1, createdAt: -1 });
 moviesSchema.index({ 'episodes.seasonNumber': 1 });
@@ -1,4 +1,12 @@
 import mongoose from 'mongoose';
+import { publishNotifications } from '../utils/realtime.js';
+
+// Notifications are deleted by MongoDB this many days after creation (0 = keep).
+// Changing it later needs a collMod on the existing createdAt_1 index.
+export const NOTIFICATION_TTL_DAYS = Math.max(
+  0,
+  Number(process.env.NOTIFICATION_TTL_DAYS ?? 90)
+);
 
 const notificationSchema = mongoose.Schema(
   {
@@ -24,5 +32,28 @@ const notificationSchema = mongoose.Schema(
 );
 
 notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, type: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, read: 1 });
+
+if (NOTIFICATION_TTL_DAYS > 0) {
+  notificationSchema.index(
+    { createdAt: 1 },
+    { expireAfterSeconds: Math.round(NOTIFICATION_TTL_DAYS * 24 * 60 * 60) }
+  );
+}
+
+// Live delivery (socket.io) for every new notification, whatever created it
+notificationSchema.pre('save', function (next) {
+  this.$locals.wasNew = this.isNew;
+  next();
+});
+
+notificationSchema.post('save', function (doc) {
+  if (doc.$locals?.wasNew) publishNotifications([doc]);
+});
+
+notificationSchema.post('insertMany', function (docs) {
+  publishNotifications(docs);
+});
 
 export default mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,58 @@
+// backend/Models/NotificationPreferenceModel.js
+// Per-user notification settings. Users without a document get the
+// defaults (everything on, no quiet hours).
+import mongoose from 'mongoose';
+
+// Configurable groups of notification types (see utils/notificationPreferences.js)
+export const PREFERENCE_CATEGORIES = [
+  'campaign',
+  'watch_requests',
+  'new_episodes',
+  'link_reports',
+  'general',
+];
+
+export const PREFERENCE_CHANNELS = ['inApp', 'push', 'email'];
+
+const channelSchema = new mongoose.Schema(
+  {
+    inApp: { type: Boolean, default: true },
+    push: { type: Boolean, default: true },
+    email: { type: Boolean, default: true },
+  },
+  { _id: false }
+);
+
+const notificationPreferenceSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true,
+    },
+
+    channels: PREFERENCE_CATEGORIES.reduce((acc, category) => {
+      acc[category] = { type: channelSchema, default: () => ({}) };
+      return acc;
+    }, {}),
+
+    // No push during these hours (in-app and email are unaffected)
+    quietHours: {
+      enabled: { type: Boolean, default: false },
+      start: { type: String, default: '22:00' }, // HH:MM
+      end: { type: String, default: '08:00' }, // HH:MM
+      timezone: { type: String, default: 'Asia/Kolkata' },
+    },
+
+    // Global switch: no non-account email at all
+    emailOptOut: { type: Boolean, default: false },
+    emailOptOutAt: { type: Date, default: null },
+
+    // Email language (utils/emailTemplates.js); null => browser language
+    emailLocale: { type: String, enum: ['en', 'hi', null], default: null },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model('NotificationPreference', notificationPreferenceSchema);
@@ -0,0 +1,59 @@
+// backend/Models/OutboundJobModel.js
+import mongoose from 'mongoose';
+
+export const OUTBOUND_CHANNELS = ['email', 'push'];
+
+// pending: waiting for (re)try, processing: claimed by a worker,
+// done: delivered or skipped by preferences, dead: gave up (dead letter)
+export const OUTBOUND_STATUSES = ['pending', 'processing', 'done', 'dead'];
+
+/**
+ * One outbound email or push send (see utils/outboundQueue.js).
+ * - email payload: { to, subject, html, text, headers, userId, type }
+ * - push payload:  { userIds, payload, options }
+ */
+const outboundJobSchema = mongoose.Schema(
+  {
+    channel: { type: String, enum: OUTBOUND_CHANNELS, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+
+    // Notification type (campaign, watch_request_reply, ...), for the admin view
+    type: { type: String, default: 'general' },
+
+    // Same key => enqueued once (e.g. "campaign:<id>:email:<userId>")
+    idempotencyKey: { type: String, default: null },
+
+    // Delivery counters are reported back to this campaign
+    campaignId: { type: mongoose.Schema.Types.ObjectId, ref: 'PushCampaign', default: null },
+
+    status: { type: String, enum: OUTBOUND_STATUSES, default: 'pending' },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 6 },
+
+    runAt: { type: Date, default: Date.now },
+    lockedUntil: { type: Date, default: null },
+
+    lastError: { type: String, default: '' },
+    lastErrorAt: { type: Date, default: null },
+
+    // sent | skipped | muted (push recipients filtered by preferences)
+    outcome: { type: String, default: '' },
+    result: { type: mongoose.Schema.Types.Mixed, default: null },
+    completedAt: { type: Date, default: null },
+
+    // Removed by MongoDB after the retention period (done / dead jobs)
+    expiresAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+outboundJobSchema.index({ status: 1, runAt: 1 });
+outboundJobSchema.index({ status: 1, lockedUntil: 1 });
+outboundJobSchema.index({ channel: 1, status: 1, updatedAt: -1 });
+outboundJobSchema.index(
+  { idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+outboundJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('OutboundJob', outboundJobSchema);
@@ -1,5 +1,16 @@
 import mongoose from 'mongoose';
 
+export const CAMPAIGN_STATUSES = ['scheduled', 'sending', 'sent', 'failed', 'cancelled'];
+
+// Audience segments (see utils/campaignAudience.js)
+export const CAMPAIGN_SEGMENT_TYPES = [
+  'users',
+  'all',
+  'liked',
+  'active',
+  'push_subscribers',
+];
+
 const pushCampaignSchema = mongoose.Schema(
   {
     sentBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
@@ -9,17 +20,66 @@ const pushCampaignSchema = mongoose.Schema(
     link: { type: String, default: '' },
     imageUrl: { type: String, default: '' },
 
+    // Only stored for hand-picked audiences (segment.type "users")
     recipientIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
 
+    segment: {
+      type: { type: String, enum: CAMPAIGN_SEGMENT_TYPES, default: 'users' },
+      category: { type: String, default: '' },
+      language: { type: String, default: '' },
+      days: { type: Number, default: null },
+    },
+
+    channels: {
+      inApp: { type: Boolean, default: true },
+      push: { type: Boolean, default: true },
+      email: { type: Boolean, default: true },
+    },
+
+    status: { type: String, enum: CAMPAIGN_STATUSES, default: 'sent', index: true },
+    scheduledAt: { type: Date, default: null, index: true },
+    startedAt: { type: Date, default: null },
+    completedAt: { type: Date, default: null },
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    error: { type: String, default: '' },
+
+    // Batch sending: users are walked in _id order; cursor = last _id sent
+    cursor: { type: mongoose.Schema.Types.ObjectId, default: null },
+    lockedUntil: { type: Date, default: null },
+
     stats: {
+      // Audience size when sending started
+      audienceSize: { type: Number, default: 0 },
+      processed: { type: Number, default: 0 },
+      batches: { type: Number, default: 0 },
       inAppCreated: { type: Number, default: 0 },
+      // Handed to the outbound queue; sent/failed/skipped follow as it delivers
+      pushQueued: { type: Number, default: 0 },
+      emailQueued: { type: Number, default: 0 },
       pushSent: { type: Number, default: 0 },
       pushFailed: { type: Number, default: 0 },
       emailSent: { type: Number, default: 0 },
       emailFailed: { type: Number, default: 0 },
+      // Opted out via notification preferences / unsubscribe
+      emailSkipped: { type: Number, default: 0 },
+
+      // Tracked link clicks per channel (utils/campaignTracking.js)
+      clicks: {
+        push: { type: Number, default: 0 },
+        email: { type: Number, default: 0 },
+        inApp: { type: Number, default: 0 },
+      },
+      uniqueClicks: {
+        push: { type: Number, default: 0 },
+        email: { type: Number, default: 0 },
+        inApp: { type: Number, default: 0 },
+      },
     },
   },
   { timestamps: true }
 );
 
+pushCampaignSchema.index({ status: 1, scheduledAt: 1 });
+pushCampaignSchema.index({ createdAt: -1 });
+
 export default mongoose.model('PushCampaign', pushCampaignSchema);
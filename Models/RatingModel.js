@@ -1,6 +1,9 @@
 // backend/Models/RatingModel.js
 import mongoose from 'mongoose';
 
+// pending: held by the content filter until a moderator approves it
+export const RATING_STATUSES = ['visible', 'pending', 'hidden'];
+
 const ratingSchema = mongoose.Schema(
   {
     movieId: {
@@ -29,6 +32,32 @@ const ratingSchema = mongoose.Schema(
     rating: { type: Number, required: true, min: 0, max: 5 },
 
     comment: { type: String, default: '', trim: true, maxlength: 500 },
+
+    // Moderation: pending / hidden ratings are left out of listings and the movie score
+    status: {
+      type: String,
+      enum: RATING_STATUSES,
+      default: 'visible',
+    },
+    hiddenBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    hiddenAt: { type: Date, default: null },
+    // Why the content filter held it ("word_list: ...", "links: ...")
+    filterReasons: { type: [String], default: undefined },
+
+    // "Helpful" likes from signed-in users (never sent to clients)
+    likedBy: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    likeCount: { type: Number, default: 0 },
+
+    // Visible replies (RatingReply)
+    replyCount: { type: Number, default: 0 },
+
+    // Staff answer shown under the review (moved here from Movie.reviews[])
+    adminReply: { type: String, default: '', trim: true, maxlength: 2000 },
+    adminReplyBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    adminReplyAt: { type: Date, default: null },
+
+    // _id of the embedded Movie.reviews[] entry this rating came from
+    legacyReviewId: { type: mongoose.Schema.Types.ObjectId, default: undefined },
   },
   { timestamps: true }
 );
@@ -40,5 +69,7 @@ ratingSchema.index({ movieId: 1, userId: 1 }, { unique: true });
 ratingSchema.index({ movieId: 1, guestName: 1 }, { unique: true, sparse: true });
 
 ratingSchema.index({ movieId: 1, createdAt: -1 });
+ratingSchema.index({ movieId: 1, likeCount: -1, replyCount: -1, createdAt: -1 });
+ratingSchema.index({ legacyReviewId: 1 }, { sparse: true });
 
 export default mongoose.model('Rating', ratingSchema);
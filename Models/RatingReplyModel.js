@@ -0,0 +1,46 @@
+// backend/Models/RatingReplyModel.js
+import mongoose from 'mongoose';
+import { RATING_STATUSES } from './RatingModel.js';
+
+/**
+ * A reply in the thread under a rating. Only signed-in users reply;
+ * replies are flat (ordered oldest first) under their rating.
+ */
+const ratingReplySchema = mongoose.Schema(
+  {
+    ratingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Rating',
+      required: true,
+    },
+    movieId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Movie',
+      required: true,
+      index: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+
+    comment: { type: String, required: true, trim: true, maxlength: 500 },
+
+    status: {
+      type: String,
+      enum: RATING_STATUSES,
+      default: 'visible',
+    },
+    hiddenBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    hiddenAt: { type: Date, default: null },
+    // Why the content filter held it ("word_list: ...", "links: ...")
+    filterReasons: { type: [String], default: undefined },
+  },
+  { timestamps: true }
+);
+
+ratingReplySchema.index({ ratingId: 1, status: 1, createdAt: 1 });
+
+export default mongoose.model('RatingReply', ratingReplySchema);
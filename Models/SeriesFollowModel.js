@@ -0,0 +1,28 @@
+// backend/Models/SeriesFollowModel.js
+import mongoose from 'mongoose';
+
+const seriesFollowSchema = mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    movieId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Movie',
+      required: true,
+      index: true,
+    },
+
+    // Last alert sent to this follower (debug/analytics)
+    lastNotifiedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+// One follow per (userId + movieId)
+seriesFollowSchema.index({ userId: 1, movieId: 1 }, { unique: true });
+
+export default mongoose.model('SeriesFollow', seriesFollowSchema);
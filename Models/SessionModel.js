@@ -0,0 +1,40 @@
+// backend/Models/SessionModel.js
+import mongoose from 'mongoose';
+
+/**
+ * One row per signed-in device.
+ * - Access JWTs carry the session id (sid) so protect can reject revoked sessions.
+ * - Refresh tokens are rotated on every use; only a sha256 hash is stored.
+ */
+const sessionSchema = mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+
+    tokenHash: { type: String, required: true, index: true },
+
+    // Hash of the refresh token this one replaced (reuse detection)
+    previousTokenHash: { type: String, default: '', index: true },
+
+    userAgent: { type: String, default: '', maxlength: 512 },
+    ip: { type: String, default: '' },
+
+    lastUsedAt: { type: Date, default: Date.now },
+
+    revokedAt: { type: Date, default: null, index: true },
+    revokedReason: { type: String, default: '' },
+
+    // Removed by MongoDB once the refresh window is over
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ userId: 1, revokedAt: 1, lastUsedAt: -1 });
+
+export default mongoose.model('Session', sessionSchema);
@@ -24,6 +24,35 @@ const UserSchema = mongoose.Schema(
             type: Boolean,
             default: false,
         },
+        // Admin role (see config/roles.js). isAdmin stays true for every
+        // non-"user" role so older checks keep working.
+        role: {
+            type: String,
+            enum: ["user", "editor", "moderator", "curator", "superadmin"],
+            default: "user",
+            index: true,
+        },
+        emailVerified: {
+            type: Boolean,
+            default: false,
+        },
+        emailVerifiedAt: {
+            type: Date,
+            default: null,
+        },
+        // Moderation: banned users can't post review comments or replies
+        commentsBanned: {
+            type: Boolean,
+            default: false,
+        },
+        commentsBannedAt: {
+            type: Date,
+            default: null,
+        },
+        commentsBannedReason: {
+            type: String,
+            default: "",
+        },
         likedMovies: [
             {
                 type: mongoose.Schema.Types.ObjectId,
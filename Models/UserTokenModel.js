@@ -0,0 +1,37 @@
+// backend/Models/UserTokenModel.js
+import mongoose from 'mongoose';
+
+/**
+ * Single-use, expiring tokens sent by email
+ * (password reset, email verification).
+ * Only a sha256 hash of the token is stored.
+ */
+const userTokenSchema = mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+
+    purpose: {
+      type: String,
+      enum: ['password_reset', 'email_verify'],
+      required: true,
+    },
+
+    tokenHash: { type: String, required: true, unique: true },
+
+    usedAt: { type: Date, default: null },
+
+    // Removed by MongoDB after expiry
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+userTokenSchema.index({ userId: 1, purpose: 1, createdAt: -1 });
+
+export default mongoose.model('UserToken', userTokenSchema);
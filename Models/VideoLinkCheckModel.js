@@ -0,0 +1,52 @@
+// backend/Models/VideoLinkCheckModel.js
+import mongoose from 'mongoose';
+
+/**
+ * Health of one video server URL (see utils/linkHealth.js).
+ * One row per movie server field, or per episode server field
+ * (episodeId set) for WebSeries.
+ */
+const videoLinkCheckSchema = mongoose.Schema(
+  {
+    movieId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Movie',
+      required: true,
+    },
+
+    // null => movie-level server
+    episodeId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    seasonNumber: { type: Number, default: null },
+    episodeNumber: { type: Number, default: null },
+
+    // video | videoUrl2 | videoUrl3 | videoUrl7 | downloadUrl
+    field: { type: String, required: true },
+
+    url: { type: String, required: true },
+
+    // ok: reachable, dead: confirmed broken, error: transient failure
+    status: {
+      type: String,
+      enum: ['ok', 'dead', 'error'],
+      required: true,
+      index: true,
+    },
+
+    httpStatus: { type: Number, default: null },
+    error: { type: String, default: '' },
+
+    consecutiveFailures: { type: Number, default: 0 },
+
+    checkedAt: { type: Date, required: true },
+    lastOkAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+videoLinkCheckSchema.index(
+  { movieId: 1, episodeId: 1, field: 1 },
+  { unique: true }
+);
+videoLinkCheckSchema.index({ status: 1, checkedAt: -1 });
+
+export default mongoose.model('VideoLinkCheck', videoLinkCheckSchema);
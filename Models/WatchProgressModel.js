@@ -0,0 +1,46 @@
+// backend/Models/WatchProgressModel.js
+import mongoose from 'mongoose';
+
+/**
+ * One row per (user + title + episode).
+ * Movies use episodeId = null, so a title has a single row.
+ * WebSeries keep one row per watched episode (episodes[]._id).
+ */
+const watchProgressSchema = mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    movieId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Movie',
+      required: true,
+      index: true,
+    },
+
+    // WebSeries only (matches Movie.episodes[]._id)
+    episodeId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    seasonNumber: { type: Number, default: null },
+    episodeNumber: { type: Number, default: null },
+
+    // Seconds
+    position: { type: Number, default: 0, min: 0 },
+    duration: { type: Number, default: 0, min: 0 },
+
+    completed: { type: Boolean, default: false },
+
+    lastWatchedAt: { type: Date, default: Date.now, index: true },
+  },
+  { timestamps: true }
+);
+
+watchProgressSchema.index(
+  { userId: 1, movieId: 1, episodeId: 1 },
+  { unique: true }
+);
+watchProgressSchema.index({ userId: 1, lastWatchedAt: -1 });
+
+export default mongoose.model('WatchProgress', watchProgressSchema);
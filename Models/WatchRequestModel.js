@@ -1,5 +1,24 @@
 import mongoose from 'mongoose';
 
+export const WATCH_REQUEST_STATUSES = ['pending', 'replied', 'fulfilled', 'rejected'];
+
+/**
+ * Matching key for duplicate detection / auto-fulfilment:
+ * "The Boys (2019) – Season 4!" => "boys season 4"
+ */
+export const normalizeRequestTitle = (value) =>
+  String(value ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[([{]\s*(19|20)\d{2}\s*[)\]}]/g, ' ')
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+    .replace(/\s(19|20)\d{2}$/, ' ')
+    .replace(/^(the|a|an)\s/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
 const watchRequestSchema = mongoose.Schema(
   {
     userId: {
@@ -9,10 +28,16 @@ const watchRequestSchema = mongoose.Schema(
       index: true,
     },
     requestedTitle: { type: String, required: true, trim: true },
+    normalizedTitle: { type: String, default: '', index: true },
+
+    // Other users who asked for the same title (merged duplicates / upvotes)
+    voters: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    // 1 (the requester) + voters.length
+    voteCount: { type: Number, default: 1 },
 
     status: {
       type: String,
-      enum: ['pending', 'replied'],
+      enum: WATCH_REQUEST_STATUSES,
       default: 'pending',
       index: true,
     },
@@ -22,10 +47,28 @@ const watchRequestSchema = mongoose.Schema(
 
     repliedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     repliedAt: { type: Date },
+
+    rejectionReason: { type: String, default: '' },
+    rejectedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    rejectedAt: { type: Date },
+
+    // Set when a newly added title matched this request
+    fulfilledMovieId: { type: mongoose.Schema.Types.ObjectId, ref: 'Movie' },
+    fulfilledAt: { type: Date },
   },
   { timestamps: true }
 );
 
+watchRequestSchema.pre('save', function (next) {
+  if (this.isModified('requestedTitle') || !this.normalizedTitle) {
+    this.normalizedTitle = normalizeRequestTitle(this.requestedTitle);
+  }
+  next();
+});
+
 watchRequestSchema.index({ status: 1, createdAt: -1 });
+watchRequestSchema.index({ status: 1, voteCount: -1, createdAt: -1 });
+watchRequestSchema.index({ normalizedTitle: 1, status: 1 });
+watchRequestSchema.index({ voters: 1, createdAt: -1 });
 
 export default mongoose.model('WatchRequest', watchRequestSchema);
@@ -0,0 +1,51 @@
+// backend/Models/WatchlistModel.js
+import mongoose from 'mongoose';
+
+const watchlistItemSchema = mongoose.Schema(
+  {
+    movieId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Movie',
+      required: true,
+    },
+    addedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/**
+ * Named, ordered user lists ("Watch later", "Weekend K-dramas").
+ * The default "Favorites" list is NOT stored here: it is User.likedMovies.
+ */
+const watchlistSchema = mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+
+    name: { type: String, required: true, trim: true, maxlength: 60 },
+
+    // Position among the user's lists (ascending)
+    position: { type: Number, default: 0 },
+
+    // Ordered items (array order = display order)
+    items: { type: [watchlistItemSchema], default: [] },
+
+    // Optional public share link: /lists/:shareSlug
+    isPublic: { type: Boolean, default: false },
+    shareSlug: {
+      type: String,
+      trim: true,
+      unique: true,
+      sparse: true,
+    },
+  },
+  { timestamps: true }
+);
+
+watchlistSchema.index({ userId: 1, position: 1 });
+
+export default mongoose.model('Watchlist', watchlistSchema);
@@ -10,6 +10,9 @@ export const FEEDBACK_QUALITY_CHOICES = [
   'Poor',
 ];
 
+// pending: held by the content filter (spam, abuse, links) for a moderator
+export const FEEDBACK_STATUSES = ['visible', 'pending', 'hidden'];
+
 export const FEEDBACK_VISIT_FREQUENCY_CHOICES = [
   'Daily',
   'Within three days',
@@ -127,6 +130,19 @@ const websiteFeedbackSchema = mongoose.Schema(
       trim: true,
       maxlength: 500,
     },
+
+    status: {
+      type: String,
+      enum: FEEDBACK_STATUSES,
+      default: 'visible',
+      index: true,
+    },
+
+    // Why the content filter held it
+    filterReasons: {
+      type: [String],
+      default: undefined,
+    },
   },
   { timestamps: true }
 );
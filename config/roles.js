@@ -0,0 +1,108 @@
+// backend/config/roles.js
+// Admin roles and their permissions.
+// Permissions are "<area>:<action>"; "<area>:*" and "*" are wildcards.
+
+export const ROLES = ['user', 'editor', 'moderator', 'curator', 'superadmin'];
+
+export const STAFF_ROLES = ROLES.filter((r) => r !== 'user');
+
+export const ROLE_PERMISSIONS = {
+  user: [],
+
+  // Blog writers
+  editor: ['blog:*'],
+
+  // Community: reviews, watch requests, feedback, broken-link reports
+  moderator: [
+    'ratings:moderate',
+    'requests:read',
+    'requests:reply',
+    'requests:manage',
+    'feedback:read',
+    'feedback:moderate',
+    'reports:manage',
+    'users:read',
+    'movies:read',
+  ],
+
+  // Catalog: add/edit titles and curate home lists (no deletes)
+  curator: [
+    'movies:read',
+    'movies:create',
+    'movies:update',
+    'movies:bulk',
+    'movies:curate',
+    'movies:import',
+    'categories:manage',
+    'reports:manage',
+    'blog:read',
+  ],
+
+  superadmin: ['*'],
+};
+
+/**
+ * Effective role of a user document.
+ * Accounts created before roles existed only have isAdmin=true;
+ * they keep full access as superadmin.
+ */
+export const getUserRole = (user) => {
+  const role = String(user?.role || '').trim();
+
+  if (role && role !== 'user' && ROLE_PERMISSIONS[role]) return role;
+  if (user?.isAdmin) return 'superadmin';
+  return 'user';
+};
+
+export const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+export const roleHasPermission = (role, permission) => {
+  const area = String(permission || '').split(':')[0];
+
+  return getRolePermissions(role).some(
+    (p) => p === '*' || p === permission || p === `${area}:*`
+  );
+};
+
+export const hasPermission = (user, permission) =>
+  roleHasPermission(getUserRole(user), permission);
+
+export const isStaff = (user) => getUserRole(user) !== 'user';
+
+// Legacy accounts: isAdmin=true and no staff role (see getUserRole)
+const LEGACY_SUPERADMIN_FILTER = { isAdmin: true, role: { $in: [null, '', 'user'] } };
+
+/**
+ * Mongo filter on User: staff accounts (any role but "user").
+ */
+export const staffUserFilter = () => ({
+  $or: [{ role: { $in: STAFF_ROLES } }, LEGACY_SUPERADMIN_FILTER],
+});
+
+/**
+ * Mongo filter on User: accounts whose role grants `permission`,
+ * e.g. who gets "new watch request" alerts.
+ */
+export const userFilterForPermission = (permission) => {
+  const roles = STAFF_ROLES.filter((r) => roleHasPermission(r, permission));
+
+  return {
+    $or: [
+      { role: { $in: roles } },
+      ...(roles.includes('superadmin') ? [LEGACY_SUPERADMIN_FILTER] : []),
+    ],
+  };
+};
+
+export default {
+  ROLES,
+  STAFF_ROLES,
+  ROLE_PERMISSIONS,
+  getUserRole,
+  getRolePermissions,
+  roleHasPermission,
+  hasPermission,
+  isStaff,
+  staffUserFilter,
+  userFilterForPermission,
+};
@@ -1,14 +1,22 @@
 // backend/middlewares/Auth.js
 import jwt from 'jsonwebtoken';
+import { timingSafeEqual } from 'crypto';
 import User from '../Models/UserModel.js';
 import asyncHandler from 'express-async-handler';
+import { findActiveSession } from '../utils/sessionService.js';
+import { hasPermission, isStaff } from '../config/roles.js';
 
 const AUTH_COOKIE_NAME = process.env.AUTH_COOKIE_NAME || 'mf_token';
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '1d';
 
 // @desc Authenticate user & get token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: '1d',
+// sessionId (sid) ties the access token to a server-side Session,
+// so revoking the session invalidates the token immediately.
+const generateToken = (id, sessionId = null) => {
+  const payload = sessionId ? { id, sid: String(sessionId) } : { id };
+
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
   });
 };
 
@@ -59,27 +67,77 @@ const protect = asyncHandler(async (req, res, next) => {
     throw new Error('Not authorized, no token');
   }
 
+  let decoded;
+
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id).select('-password');
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    console.error('[auth] token failed:', error?.message || error);
+    res.status(401);
+    throw new Error('Not authorized, token failed');
+  }
+
+  // Tokens issued before sessions existed carry no sid; they are accepted
+  // until they expire on their own.
+  if (decoded.sid) {
+    const session = await findActiveSession(decoded.sid);
 
-    if (!user) {
+    if (!session || String(session.userId) !== String(decoded.id)) {
       res.status(401);
-      throw new Error('Not authorized, user not found');
+      throw new Error('Not authorized, session revoked');
     }
+  }
 
-    req.user = user;
-    next();
-  } catch (error) {
-    console.error('[auth] token failed:', error?.message || error);
+  const user = await User.findById(decoded.id).select('-password');
+
+  if (!user) {
     res.status(401);
-    throw new Error('Not authorized, token failed');
+    throw new Error('Not authorized, user not found');
+  }
+
+  req.user = user;
+  req.sessionId = decoded.sid || null;
+  next();
+});
+
+// Resolve the user behind a JWT (same checks as protect).
+// Returns { user, sessionId } or null; never throws.
+// Also used to authenticate socket.io connections.
+const authenticateToken = async (token) => {
+  if (!token) return null;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (decoded.sid) {
+      const session = await findActiveSession(decoded.sid);
+      if (!session || String(session.userId) !== String(decoded.id)) return null;
+    }
+
+    const user = await User.findById(decoded.id).select('-password');
+    return user ? { user, sessionId: decoded.sid || null } : null;
+  } catch {
+    // invalid / expired token
+    return null;
   }
+};
+
+// optional auth: attaches req.user when a valid token is sent, never rejects
+// (public endpoints that behave better for signed-in users)
+const optionalProtect = asyncHandler(async (req, _res, next) => {
+  const auth = await authenticateToken(getTokenFromRequest(req));
+
+  if (auth) {
+    req.user = auth.user;
+    req.sessionId = auth.sessionId;
+  }
+
+  next();
 });
 
-// admin middleware
+// admin middleware (any staff role)
 const admin = (req, res, next) => {
-  if (req.user && req.user.isAdmin) {
+  if (req.user && isStaff(req.user)) {
     next();
   } else {
     res.status(401);
@@ -87,4 +145,55 @@ const admin = (req, res, next) => {
   }
 };
 
-export { generateToken, protect, admin };
+// permission middleware, e.g. requirePermission('movies:delete')
+// Passes when the user's role grants ANY of the listed permissions.
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (!req.user) {
+    res.status(401);
+    throw new Error('Not authorized, no token');
+  }
+
+  if (permissions.some((p) => hasPermission(req.user, p))) {
+    return next();
+  }
+
+  res.status(403);
+  throw new Error(`Not authorized: missing permission ${permissions.join(' or ')}`);
+};
+
+// cron middleware: scheduled jobs (Vercel Cron sends "Authorization: Bearer <CRON_SECRET>")
+const cronAuth = (req, res, next) => {
+  const secret = String(process.env.CRON_SECRET || '').trim();
+
+  if (!secret) {
+    res.status(503);
+    throw new Error('Cron is not configured');
+  }
+
+  const authHeader = String(req.headers.authorization || '').trim();
+  const presented = authHeader.toLowerCase().startsWith('bearer ')
+    ? authHeader.slice(7).trim()
+    : String(req.headers['x-cron-secret'] || '').trim();
+
+  const a = Buffer.from(presented);
+  const b = Buffer.from(secret);
+
+  if (a.length !== b.length || !timingSafeEqual(a, b)) {
+    res.status(401);
+    throw new Error('Not authorized, invalid cron secret');
+  }
+
+  next();
+};
+
+export {
+  generateToken,
+  getTokenFromRequest,
+  parseCookieHeader,
+  authenticateToken,
+  protect,
+  optionalProtect,
+  admin,
+  requirePermission,
+  cronAuth,
+};
@@ -0,0 +1,70 @@
+// backend/migrateReviews.js
+// One-shot migration of the embedded Movie.reviews[] into Rating.
+// The API only reads reviews from Rating: run this once when deploying.
+//
+//   npm run migrate:reviews -- --dry-run     report only, nothing is written
+//   npm run migrate:reviews                  migrate every movie
+//   npm run migrate:reviews -- --limit=200   stop after 200 movies
+//
+// Options: --batch=N (movies per query, default 50), --verbose (one line per
+// movie). Safe to stop and re-run: migrated movies are skipped.
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+
+import { connectDB } from './config/db.js';
+import { migrateAllMovieReviews } from './utils/reviewMigration.js';
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+
+const flag = (name) => args.includes(`--${name}`);
+
+const numberArg = (name, fallback) => {
+  const hit = args.find((a) => a.startsWith(`--${name}=`));
+  const n = hit ? Number(hit.split('=')[1]) : NaN;
+  return Number.isFinite(n) && n >= 0 ? Math.floor(n) : fallback;
+};
+
+const formatScore = (s) => `${s.rate} (${s.numberOfReviews})`;
+
+const run = async () => {
+  const dryRun = flag('dry-run');
+  const verbose = flag('verbose');
+
+  await connectDB();
+
+  console.log(dryRun ? 'Review migration (dry run, nothing is written)' : 'Review migration');
+
+  const summary = await migrateAllMovieReviews({
+    dryRun,
+    batchSize: numberArg('batch', 50),
+    limit: numberArg('limit', 0),
+    onMovie: (report) => {
+      if (!verbose && !report.scoreChanged && !report.skipped) return;
+
+      const parts = [
+        `${report.movieId} ${report.name}`,
+        `reviews=${report.reviews}`,
+        `created=${report.created}`,
+        `merged=${report.merged}`,
+        `adminReplies=${report.adminReplies}`,
+      ];
+      if (report.skipped) parts.push(`skipped=${report.skipped}`);
+      if (report.scoreChanged) {
+        parts.push(`score ${formatScore(report.before)} -> ${formatScore(report.after)}`);
+      }
+
+      console.log(`  ${parts.join('  ')}`);
+    },
+  });
+
+  console.log(JSON.stringify(summary, null, 2));
+};
+
+run()
+  .catch((e) => {
+    console.error('Review migration failed:', e?.message || e);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
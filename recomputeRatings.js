@@ -0,0 +1,44 @@
+// backend/recomputeRatings.js
+// Recomputes rate / numberOfReviews / weightedRate of every movie from Rating.
+// Run after changing the RATING_WEIGHT_* / RATING_PRIOR_* settings.
+//
+//   npm run ratings:recompute
+//   npm run ratings:recompute -- --verbose   one line per rated movie
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+
+import { connectDB } from './config/db.js';
+import { getRatingPriorMean, getRatingWeights, refreshAllMovieRatings } from './utils/ratingAggregates.js';
+
+dotenv.config();
+
+const verbose = process.argv.slice(2).includes('--verbose');
+
+const run = async () => {
+  await connectDB();
+
+  const summary = await refreshAllMovieRatings({
+    onMovie: (movie, aggregate) => {
+      if (!verbose || !aggregate.count) return;
+      console.log(
+        `  ${movie._id} ${movie.name || ''}  rate=${aggregate.avg.toFixed(2)}` +
+          `  weighted=${aggregate.weightedRate.toFixed(2)}  ratings=${aggregate.count}`
+      );
+    },
+  });
+
+  console.log(
+    JSON.stringify(
+      { ...summary, weights: getRatingWeights(), priorMean: await getRatingPriorMean() },
+      null,
+      2
+    )
+  );
+};
+
+run()
+  .catch((e) => {
+    console.error('Rating recompute failed:', e?.message || e);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
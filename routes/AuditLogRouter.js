@@ -0,0 +1,15 @@
+// backend/routes/AuditLogRouter.js
+import express from 'express';
+import { protect, requirePermission } from '../middlewares/Auth.js';
+import {
+  getAuditLogs,
+  getAuditLogById,
+} from '../Controllers/AuditLogController.js';
+
+const router = express.Router();
+
+// Admin: who changed what (superadmin only unless granted audit:read)
+router.get('/', protect, requirePermission('audit:read'), getAuditLogs);
+router.get('/:id', protect, requirePermission('audit:read'), getAuditLogById);
+
+export default router;
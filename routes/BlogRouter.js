@@ -1,6 +1,6 @@
 // backend/routes/BlogRouter.js
 import express from 'express';
-import { protect, admin } from '../middlewares/Auth.js';
+import { protect, requirePermission } from '../middlewares/Auth.js';
 import {
    bulkCreateBlogPosts,
    createBlogPost,
@@ -16,21 +16,41 @@ import {
 } from '../Controllers/BlogController.js';
 import { findBlogPostsByTitlesAdmin } from '../Controllers/AdminBlogLookupController.js';
 import { bulkExactUpdateBlogPosts } from '../Controllers/AdminBlogBulkUpdateController.js';
+import {
+   emptyBlogTrash,
+   getBlogTrash,
+   purgeBlogPostFromTrash,
+   restoreBlogPostFromTrash,
+} from '../Controllers/TrashController.js';
 
 const router = express.Router();
 
 /* ============================================================
    ADMIN
    ============================================================ */
-router.get('/admin', protect, admin, getBlogPostsAdmin);
-router.post('/admin/find-by-titles', protect, admin, findBlogPostsByTitlesAdmin);
-router.put('/admin/bulk-exact', protect, admin, bulkExactUpdateBlogPosts);
-router.post('/admin/bulk', protect, admin, bulkCreateBlogPosts);
-router.get('/admin/:id/preview', protect, admin, getBlogPostPreviewAdmin);
-router.get('/admin/:id', protect, admin, getBlogPostAdmin);
-router.post('/', protect, admin, createBlogPost);
-router.put('/:id', protect, admin, updateBlogPost);
-router.delete('/:id', protect, admin, deleteBlogPost);
+router.get('/admin', protect, requirePermission('blog:read'), getBlogPostsAdmin);
+router.post(
+   '/admin/find-by-titles',
+   protect,
+   requirePermission('blog:read'),
+   findBlogPostsByTitlesAdmin
+);
+router.put('/admin/bulk-exact', protect, requirePermission('blog:bulk'), bulkExactUpdateBlogPosts);
+router.post('/admin/bulk', protect, requirePermission('blog:bulk'), bulkCreateBlogPosts);
+router.get('/admin/trash', protect, requirePermission('blog:delete'), getBlogTrash);
+router.post(
+   '/admin/trash/:id/restore',
+   protect,
+   requirePermission('blog:delete'),
+   restoreBlogPostFromTrash
+);
+router.delete('/admin/trash/:id', protect, requirePermission('blog:delete'), purgeBlogPostFromTrash);
+router.delete('/admin/trash', protect, requirePermission('blog:delete'), emptyBlogTrash);
+router.get('/admin/:id/preview', protect, requirePermission('blog:read'), getBlogPostPreviewAdmin);
+router.get('/admin/:id', protect, requirePermission('blog:read'), getBlogPostAdmin);
+router.post('/', protect, requirePermission('blog:create'), createBlogPost);
+router.put('/:id', protect, requirePermission('blog:update'), updateBlogPost);
+router.delete('/:id', protect, requirePermission('blog:delete'), deleteBlogPost);
 
 /* ============================================================
    PUBLIC
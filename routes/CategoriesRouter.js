@@ -1,6 +1,6 @@
 import express from "express";
 import * as categoriesController from "../Controllers/CategoriesController.js";
-import { protect, admin } from "../middlewares/Auth.js";
+import { protect, requirePermission } from "../middlewares/Auth.js";
 
 const router = express.Router();
 
@@ -8,9 +8,9 @@ const router = express.Router();
 router.get("/", categoriesController.getCategories);
 
 // ************ ADMIN ROUTES ************
-router.post("/", protect, admin, categoriesController.createCategory);
-router.put("/:id", protect, admin, categoriesController.updateCategory);
-router.delete("/:id", protect, admin, categoriesController.deleteCategory);
+router.post("/", protect, requirePermission("categories:manage"), categoriesController.createCategory);
+router.put("/:id", protect, requirePermission("categories:manage"), categoriesController.updateCategory);
+router.delete("/:id", protect, requirePermission("categories:manage"), categoriesController.deleteCategory);
 
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,50 @@
+// backend/routes/CommentModerationRouter.js
+import express from 'express';
+import { protect, requirePermission } from '../middlewares/Auth.js';
+import {
+  approvePendingComment,
+  banFlaggedCommenter,
+  getCommentFlags,
+  getPendingComments,
+  hideFlaggedComment,
+  rejectPendingComment,
+  restoreFlaggedComment,
+  unbanCommenter,
+} from '../Controllers/CommentModerationController.js';
+
+const router = express.Router();
+
+// Admin: flagged review comments / replies
+router.get('/flags', protect, requirePermission('ratings:moderate'), getCommentFlags);
+router.post('/flags/:id/hide', protect, requirePermission('ratings:moderate'), hideFlaggedComment);
+router.post('/flags/:id/restore', protect, requirePermission('ratings:moderate'), restoreFlaggedComment);
+router.post(
+  '/flags/:id/ban-commenter',
+  protect,
+  requirePermission('ratings:moderate'),
+  banFlaggedCommenter
+);
+
+// Admin: posts held by the content filter
+router.get('/pending', protect, requirePermission('ratings:moderate'), getPendingComments);
+router.post(
+  '/pending/:type/:id/approve',
+  protect,
+  requirePermission('ratings:moderate'),
+  approvePendingComment
+);
+router.post(
+  '/pending/:type/:id/reject',
+  protect,
+  requirePermission('ratings:moderate'),
+  rejectPendingComment
+);
+
+router.post(
+  '/commenters/:userId/unban',
+  protect,
+  requirePermission('ratings:moderate'),
+  unbanCommenter
+);
+
+export default router;
@@ -0,0 +1,23 @@
+// backend/routes/CronRouter.js
+import express from 'express';
+import { cronAuth } from '../middlewares/Auth.js';
+import {
+  runPublishSchedulerCron,
+  runTrashPurgeCron,
+  runLinkCheckCron,
+  runPushCampaignsCron,
+  runOutboundQueueCron,
+  runRatingBackfillCron,
+} from '../Controllers/CronController.js';
+
+const router = express.Router();
+
+// Protected by CRON_SECRET (Authorization: Bearer <secret> or x-cron-secret)
+router.get('/publish-scheduler', cronAuth, runPublishSchedulerCron);
+router.get('/trash-purge', cronAuth, runTrashPurgeCron);
+router.get('/link-check', cronAuth, runLinkCheckCron);
+router.get('/push-campaigns', cronAuth, runPushCampaignsCron);
+router.get('/outbound-queue', cronAuth, runOutboundQueueCron);
+router.get('/rating-backfill', cronAuth, runRatingBackfillCron);
+
+export default router;
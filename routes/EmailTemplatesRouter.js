@@ -0,0 +1,16 @@
+// backend/routes/EmailTemplatesRouter.js
+import express from 'express';
+import { protect, requirePermission } from '../middlewares/Auth.js';
+import {
+  getEmailTemplates,
+  previewEmailTemplate,
+} from '../Controllers/EmailTemplatesController.js';
+
+const router = express.Router();
+
+// Admin: campaign senders preview what users will receive
+router.get('/', protect, requirePermission('push:read'), getEmailTemplates);
+router.get('/:name/preview', protect, requirePermission('push:read'), previewEmailTemplate);
+router.post('/:name/preview', protect, requirePermission('push:read'), previewEmailTemplate);
+
+export default router;
@@ -0,0 +1,19 @@
+// backend/routes/LinkReportsRouter.js
+import express from 'express';
+import { optionalProtect, protect, requirePermission } from '../middlewares/Auth.js';
+import {
+  createLinkReport,
+  getLinkReportsAdmin,
+  updateLinkReportStatus,
+} from '../Controllers/LinkReportsController.js';
+
+const router = express.Router();
+
+// Public: login optional (signed-in reporters get notified when it's fixed)
+router.post('/', optionalProtect, createLinkReport);
+
+// Admin: triage queue
+router.get('/admin', protect, requirePermission('reports:manage'), getLinkReportsAdmin);
+router.put('/admin/:id', protect, requirePermission('reports:manage'), updateLinkReportStatus);
+
+export default router;
@@ -1,7 +1,7 @@
 // backend/routes/MoviesRouter.js
 import express from 'express';
 import * as moviesController from '../Controllers/MoviesController.js';
-import { protect, admin } from '../middlewares/Auth.js';
+import { optionalProtect, protect, requirePermission } from '../middlewares/Auth.js';
 import { generateSitemap } from '../Controllers/SitemapController.js';
 import {
   getTmdbVirtualMovie,
@@ -38,10 +38,48 @@ import {
   deleteMovieRatingAdmin,
 } from '../Controllers/RatingsController.js';
 
+import {
+  likeRating,
+  unlikeRating,
+  getRatingReplies,
+  createRatingReply,
+  deleteRatingReply,
+  flagRating,
+  flagRatingReply,
+} from '../Controllers/RatingCommentsController.js';
+
 import { syncTmdbCreditsAdmin } from '../Controllers/TmdbController.js';
 import { importTmdbTitleAdmin } from '../Controllers/TmdbImportController.js';
 import { searchMoviesAndTmdb } from '../Controllers/TmdbSearchController.js';
 
+import {
+  followSeries,
+  getSeriesFollowStatus,
+  unfollowSeries,
+} from '../Controllers/SeriesFollowController.js';
+
+import {
+  emptyMovieTrash,
+  getMovieTrash,
+  purgeMovieFromTrash,
+  restoreMovieFromTrash,
+} from '../Controllers/TrashController.js';
+
+import {
+  diffMovieRevisions,
+  getMovieRevision,
+  getMovieRevisions,
+  rollbackMovieRevision,
+} from '../Controllers/MovieRevisionsController.js';
+
+import {
+  getLinkHealthReport,
+  getMovieLinkHealth,
+  runLinkHealthCheckAdmin,
+} from '../Controllers/LinkHealthController.js';
+
+import { getForYouMovies } from '../Controllers/RecommendationsController.js';
+
 import {
   getMovieByIdReadOnly,
   getMovieByIdAdminReadOnly,
@@ -71,7 +109,12 @@ if (
   process.env.NODE_ENV !== 'production' ||
   process.env.ENABLE_MOVIE_IMPORT_ROUTE === 'true'
 ) {
-  router.post('/import', protect, admin, moviesController.importMovies);
+  router.post(
+    '/import',
+    protect,
+    requirePermission('movies:delete_all'),
+    moviesController.importMovies
+  );
 }
 
 // * PUBLIC ROUTES *
@@ -99,6 +142,9 @@ router.get('/browseBy-distinct', moviesController.getDistinctBrowseBy);
 // RELATED
 router.get('/related/:id', getRelatedMovies);
 
+// Personalized picks (cold-start list for anonymous users)
+router.get('/for-you', optionalProtect, getForYouMovies);
+
 // Lightweight redirect info
 router.get('/redirect-info/:id', getMovieRedirectInfo);
 
@@ -107,47 +153,127 @@ router.post('/tmdb/resolve', resolveTmdbMovie);
 router.get('/tmdb/virtual/:type/:id', getTmdbVirtualMovie);
 
 // ADMIN READ ROUTES
-router.get('/admin', protect, admin, moviesController.getMoviesAdmin);
+router.get(
+  '/admin',
+  protect,
+  requirePermission('movies:read'),
+  moviesController.getMoviesAdmin
+);
 
 // TMDb admin utilities
-router.post('/admin/tmdb/sync-credits', protect, admin, syncTmdbCreditsAdmin);
+router.post(
+  '/admin/tmdb/sync-credits',
+  protect,
+  requirePermission('movies:update'),
+  syncTmdbCreditsAdmin
+);
 
 // ✅ NEW: selected TMDb title import into MongoDB
-router.post('/admin/tmdb/import', protect, admin, importTmdbTitleAdmin);
+router.post(
+  '/admin/tmdb/import',
+  protect,
+  requirePermission('movies:import'),
+  importTmdbTitleAdmin
+);
 
 // Admin Latest New list
 router.get(
   '/admin/latest-new',
   protect,
-  admin,
+  requirePermission('movies:read'),
   moviesController.getLatestNewMoviesAdmin
 );
 
 // Admin Banner list
-router.get('/admin/banner', protect, admin, getBannerMoviesAdmin);
+router.get('/admin/banner', protect, requirePermission('movies:read'), getBannerMoviesAdmin);
 
 // Admin Popular list
-router.get('/admin/popular', protect, admin, getPopularMoviesAdmin);
+router.get('/admin/popular', protect, requirePermission('movies:read'), getPopularMoviesAdmin);
 
 // ADMIN RELATED
-router.get('/admin/related/:id', protect, admin, getRelatedMoviesAdmin);
+router.get('/admin/related/:id', protect, requirePermission('movies:read'), getRelatedMoviesAdmin);
 
 // ADMIN: bulk lookup by exact names
-router.post('/admin/find-by-names', protect, admin, findMoviesByNamesAdmin);
+router.post('/admin/find-by-names', protect, requirePermission('movies:read'), findMoviesByNamesAdmin);
+
+// ADMIN: trash bin (soft-deleted titles)
+router.get('/admin/trash', protect, requirePermission('movies:delete'), getMovieTrash);
+router.post(
+  '/admin/trash/:id/restore',
+  protect,
+  requirePermission('movies:delete'),
+  restoreMovieFromTrash
+);
+router.delete('/admin/trash/:id', protect, requirePermission('movies:delete'), purgeMovieFromTrash);
+router.delete('/admin/trash', protect, requirePermission('movies:delete_all'), emptyMovieTrash);
+
+// ADMIN: video link health
+router.get('/admin/link-health', protect, requirePermission('movies:read'), getLinkHealthReport);
+router.post(
+  '/admin/link-health/check',
+  protect,
+  requirePermission('movies:update'),
+  runLinkHealthCheckAdmin
+);
+router.get('/admin/:id/link-health', protect, requirePermission('movies:read'), getMovieLinkHealth);
+
+// ADMIN: revision history
+router.get('/admin/:id/revisions', protect, requirePermission('movies:read'), getMovieRevisions);
+router.get(
+  '/admin/:id/revisions/diff',
+  protect,
+  requirePermission('movies:read'),
+  diffMovieRevisions
+);
+router.get(
+  '/admin/:id/revisions/:version',
+  protect,
+  requirePermission('movies:read'),
+  getMovieRevision
+);
+router.post(
+  '/admin/:id/revisions/:version/rollback',
+  protect,
+  requirePermission('movies:update'),
+  rollbackMovieRevision
+);
 
 // ADMIN single movie read-only
-router.get('/admin/:id', protect, admin, getMovieByIdAdminReadOnly);
+router.get('/admin/:id', protect, requirePermission('movies:read'), getMovieByIdAdminReadOnly);
 
 /* ============================================================
    Ratings routes
    ============================================================ */
-router.get('/:id/ratings', getMovieRatings);
+router.get('/:id/ratings', optionalProtect, getMovieRatings);
 router.get('/:id/ratings/me', protect, getMyMovieRating);
 
 router.post('/:id/ratings/guest', createGuestMovieRating);
 router.post('/:id/ratings', protect, upsertMovieRating);
 
-router.delete('/:id/ratings/:ratingId', protect, admin, deleteMovieRatingAdmin);
+router.delete(
+  '/:id/ratings/:ratingId',
+  protect,
+  requirePermission('ratings:moderate'),
+  deleteMovieRatingAdmin
+);
+
+// Review threads: likes, replies, abuse flags
+router.post('/:id/ratings/:ratingId/like', protect, likeRating);
+router.delete('/:id/ratings/:ratingId/like', protect, unlikeRating);
+
+router.get('/:id/ratings/:ratingId/replies', optionalProtect, getRatingReplies);
+router.post('/:id/ratings/:ratingId/replies', protect, createRatingReply);
+router.delete('/:id/ratings/:ratingId/replies/:replyId', protect, deleteRatingReply);
+
+router.post('/:id/ratings/:ratingId/flag', protect, flagRating);
+router.post('/:id/ratings/:ratingId/replies/:replyId/flag', protect, flagRatingReply);
+
+/* ============================================================
+   Follow a web series (new-episode alerts)
+   ============================================================ */
+router.get('/:id/follow', protect, getSeriesFollowStatus);
+router.post('/:id/follow', protect, followSeries);
+router.delete('/:id/follow', protect, unfollowSeries);
 
 /* ============================================================
    Real-user delayed view tracking
@@ -162,67 +288,87 @@ router.post('/:id/reviews', protect, moviesController.createMovieReview);
 router.post(
   '/:id/reviews/:reviewId/reply',
   protect,
-  admin,
+  requirePermission('ratings:moderate'),
   moviesController.adminReplyReview
 );
 
 // * ADMIN ROUTES *
-router.put('/bulk-exact', protect, admin, moviesController.bulkExactUpdateMovies);
-router.post('/bulk-delete', protect, admin, moviesController.bulkDeleteByName);
-router.post('/bulk', protect, admin, moviesController.bulkCreateMovies);
+router.put(
+  '/bulk-exact',
+  protect,
+  requirePermission('movies:bulk'),
+  moviesController.bulkExactUpdateMovies
+);
+router.post(
+  '/bulk-delete',
+  protect,
+  requirePermission('movies:delete'),
+  moviesController.bulkDeleteByName
+);
+router.post(
+  '/bulk',
+  protect,
+  requirePermission('movies:bulk'),
+  moviesController.bulkCreateMovies
+);
 
 // Latest New
 router.post(
   '/admin/latest-new',
   protect,
-  admin,
+  requirePermission('movies:curate'),
   moviesController.setLatestNewMovies
 );
 
 router.post(
   '/admin/latest-new/reorder',
   protect,
-  admin,
+  requirePermission('movies:curate'),
   reorderLatestNewMovies
 );
 
 // Popular
-router.post('/admin/popular', protect, admin, setPopularMovies);
+router.post('/admin/popular', protect, requirePermission('movies:curate'), setPopularMovies);
 
 router.post(
   '/admin/popular/reorder',
   protect,
-  admin,
+  requirePermission('movies:curate'),
   reorderPopularMovies
 );
 
 // Banner
-router.post('/admin/banner', protect, admin, setBannerMovies);
+router.post('/admin/banner', protect, requirePermission('movies:curate'), setBannerMovies);
 
 router.post(
   '/admin/reorder-page',
   protect,
-  admin,
+  requirePermission('movies:curate'),
   moviesController.reorderMoviesInPage
 );
 
 router.post(
   '/admin/move-to-page',
   protect,
-  admin,
+  requirePermission('movies:curate'),
   moviesController.moveMoviesToPage
 );
 
 router.post(
   '/admin/generate-slugs',
   protect,
-  admin,
+  requirePermission('movies:update'),
   moviesController.generateSlugsForAllMovies
 );
 
-router.put('/:id', protect, admin, moviesController.updateMovie);
-router.delete('/:id', protect, admin, moviesController.deleteMovie);
-router.delete('/', protect, admin, moviesController.deleteAllMovies);
-router.post('/', protect, admin, moviesController.createMovie);
+router.put('/:id', protect, requirePermission('movies:update'), moviesController.updateMovie);
+router.delete('/:id', protect, requirePermission('movies:delete'), moviesController.deleteMovie);
+router.delete(
+  '/',
+  protect,
+  requirePermission('movies:delete_all'),
+  moviesController.deleteAllMovies
+);
+router.post('/', protect, requirePermission('movies:create'), moviesController.createMovie);
 
 export default router;
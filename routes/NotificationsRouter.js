@@ -4,12 +4,32 @@ import {
   clearNotifications,
   deleteNotification,
   getMyNotifications,
+  getUnreadNotificationCount,
+  markAllNotificationsRead,
   markNotificationAsRead,
+  pollNotifications,
 } from '../Controllers/NotificationsController.js';
+import {
+  getNotificationPreferences,
+  showUnsubscribePage,
+  unsubscribeFromEmails,
+  updateNotificationPreferences,
+} from '../Controllers/NotificationPreferencesController.js';
 
 const router = express.Router();
 
+// Public email unsubscribe (signed token, no login):
+// GET shows a confirmation page, POST unsubscribes (also RFC 8058 one-click)
+router.get('/unsubscribe', showUnsubscribePage);
+router.post('/unsubscribe', unsubscribeFromEmails);
+
+router.get('/preferences', protect, getNotificationPreferences);
+router.put('/preferences', protect, updateNotificationPreferences);
+
 router.get('/', protect, getMyNotifications);
+router.get('/poll', protect, pollNotifications);
+router.get('/unread-count', protect, getUnreadNotificationCount);
+router.put('/read-all', protect, markAllNotificationsRead);
 router.put('/:id/read', protect, markNotificationAsRead);
 router.delete('/:id', protect, deleteNotification);
 router.delete('/', protect, clearNotifications);
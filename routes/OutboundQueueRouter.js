@@ -0,0 +1,19 @@
+// backend/routes/OutboundQueueRouter.js
+import express from 'express';
+import { protect, requirePermission } from '../middlewares/Auth.js';
+import {
+  deleteOutboundJob,
+  getOutboundJobs,
+  getOutboundQueueStatsAdmin,
+  retryOutboundJob,
+} from '../Controllers/OutboundQueueController.js';
+
+const router = express.Router();
+
+// Admin: queue depth, failures and dead letters
+router.get('/stats', protect, requirePermission('push:read'), getOutboundQueueStatsAdmin);
+router.get('/', protect, requirePermission('push:read'), getOutboundJobs);
+router.post('/:id/retry', protect, requirePermission('push:send'), retryOutboundJob);
+router.delete('/:id', protect, requirePermission('push:send'), deleteOutboundJob);
+
+export default router;
@@ -1,9 +1,24 @@
 import express from 'express';
-import { protect, admin } from '../middlewares/Auth.js';
-import { createPushCampaign } from '../Controllers/PushCampaignController.js';
+import { protect, requirePermission } from '../middlewares/Auth.js';
+import {
+  cancelPushCampaign,
+  createPushCampaign,
+  getPushCampaignById,
+  getPushCampaigns,
+  previewPushCampaignAudience,
+  trackCampaignClick,
+} from '../Controllers/PushCampaignController.js';
 
 const router = express.Router();
 
-router.post('/', protect, admin, createPushCampaign);
+// Public tracked link (push / email / in-app)
+router.get('/r/:token', trackCampaignClick);
+
+router.get('/', protect, requirePermission('push:read'), getPushCampaigns);
+
+router.post('/', protect, requirePermission('push:send'), createPushCampaign);
+router.post('/preview', protect, requirePermission('push:send'), previewPushCampaignAudience);
+router.get('/:id', protect, requirePermission('push:read'), getPushCampaignById);
+router.post('/:id/cancel', protect, requirePermission('push:send'), cancelPushCampaign);
 
 export default router;
@@ -6,15 +6,45 @@ import {
   deleteLikedMovies,
   deleteUser,
   deleteUserProfile,
+  forgotPassword,
   getLikedMovies,
+  getMySessions,
+  getRoles,
   getUsers,
   loginUser,
   logoutUser, // ✅ NEW
+  refreshAccessToken,
   registerUser,
+  resendVerificationEmail,
+  resetPassword,
+  revokeAllMySessions,
+  revokeMySession,
   googleLogin,
   updateUserProfile,
+  updateUserRole,
+  verifyEmail,
 } from "../Controllers/UserController.js";
-import { admin, protect } from "../middlewares/Auth.js";
+import {
+  clearWatchHistory,
+  getWatchHistory,
+  getWatchProgressForMovie,
+  recordWatchProgress,
+  removeWatchHistoryItem,
+} from "../Controllers/WatchHistoryController.js";
+import {
+  addWatchlistItem,
+  createWatchlist,
+  deleteWatchlist,
+  getMyWatchlists,
+  getSharedWatchlist,
+  getWatchlistItems,
+  removeWatchlistItem,
+  reorderWatchlistItems,
+  reorderWatchlists,
+  updateWatchlist,
+} from "../Controllers/WatchlistsController.js";
+import { getMyFollowedSeries } from "../Controllers/SeriesFollowController.js";
+import { protect, requirePermission } from "../middlewares/Auth.js";
 
 const router = express.Router();
 
@@ -26,16 +56,56 @@ router.post("/google-login", googleLogin);
 // ✅ NEW: logout clears mf_token cookie for Next SSR
 router.post("/logout", logoutUser);
 
+// Password reset + email verification
+router.post("/forgot-password", forgotPassword);
+router.post("/reset-password", resetPassword);
+router.post("/verify-email", verifyEmail);
+
+// Rotating refresh token -> new access token
+router.post("/refresh", refreshAccessToken);
+
+// Public shared watchlist
+router.get("/watchlists/shared/:shareSlug", getSharedWatchlist);
+
 // * PRIVATE ROUTES *
 router.put("/", protect, updateUserProfile);
 router.delete("/", protect, deleteUserProfile);
 router.put("/password", protect, changeUserPassword);
+router.post("/verify-email/resend", protect, resendVerificationEmail);
+
+// Active sessions / devices
+router.get("/sessions", protect, getMySessions);
+router.delete("/sessions", protect, revokeAllMySessions);
+router.delete("/sessions/:id", protect, revokeMySession);
 router.get("/favorites", protect, getLikedMovies);
 router.post("/favorites", protect, addLikedMovie);
 router.delete("/favorites", protect, deleteLikedMovies);
 
+// Watch history / continue watching
+router.get("/history", protect, getWatchHistory);
+router.post("/history", protect, recordWatchProgress);
+router.delete("/history", protect, clearWatchHistory);
+router.get("/history/:movieId", protect, getWatchProgressForMovie);
+router.delete("/history/:movieId", protect, removeWatchHistoryItem);
+
+// Followed web series (new-episode alerts)
+router.get("/following", protect, getMyFollowedSeries);
+
+// Named watchlists ("default" = favorites / likedMovies)
+router.get("/watchlists", protect, getMyWatchlists);
+router.post("/watchlists", protect, createWatchlist);
+router.put("/watchlists/reorder", protect, reorderWatchlists);
+router.get("/watchlists/:id", protect, getWatchlistItems);
+router.put("/watchlists/:id", protect, updateWatchlist);
+router.delete("/watchlists/:id", protect, deleteWatchlist);
+router.post("/watchlists/:id/items", protect, addWatchlistItem);
+router.put("/watchlists/:id/items/reorder", protect, reorderWatchlistItems);
+router.delete("/watchlists/:id/items/:movieId", protect, removeWatchlistItem);
+
 // * ADMIN ROUTES *
-router.get("/", protect, admin, getUsers);
-router.delete("/:id", protect, admin, deleteUser);
+router.get("/", protect, requirePermission("users:read"), getUsers);
+router.get("/roles", protect, requirePermission("users:read"), getRoles);
+router.put("/:id/role", protect, requirePermission("users:roles"), updateUserRole);
+router.delete("/:id", protect, requirePermission("users:delete"), deleteUser);
 
 export default router;
\ No newline at end of file
@@ -1,13 +1,28 @@
 import express from 'express';
-import { protect, admin } from '../middlewares/Auth.js';
+import { protect, requirePermission } from '../middlewares/Auth.js';
 import {
   createWatchRequest,
+  getMyWatchRequests,
+  getOpenWatchRequests,
+  getWatchRequestsAdmin,
+  mergeWatchRequests,
+  rejectWatchRequest,
   replyToWatchRequest,
+  unvoteWatchRequest,
+  voteWatchRequest,
 } from '../Controllers/WatchRequestsController.js';
 
 const router = express.Router();
 
 router.post('/', protect, createWatchRequest);
-router.post('/:id/reply', protect, admin, replyToWatchRequest);
+router.get('/', protect, getOpenWatchRequests);
+router.get('/mine', protect, getMyWatchRequests);
+router.post('/:id/vote', protect, voteWatchRequest);
+router.delete('/:id/vote', protect, unvoteWatchRequest);
+
+router.get('/admin', protect, requirePermission('requests:read'), getWatchRequestsAdmin);
+router.post('/:id/reply', protect, requirePermission('requests:reply'), replyToWatchRequest);
+router.post('/:id/reject', protect, requirePermission('requests:reply'), rejectWatchRequest);
+router.post('/:id/merge', protect, requirePermission('requests:manage'), mergeWatchRequests);
 
 export default router;
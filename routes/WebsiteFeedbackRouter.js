@@ -1,9 +1,10 @@
 // backend/routes/WebsiteFeedbackRouter.js
 import express from 'express';
-import { protect, admin } from '../middlewares/Auth.js';
+import { protect, requirePermission } from '../middlewares/Auth.js';
 import {
   createWebsiteFeedback,
   getWebsiteFeedbackAdmin,
+  updateWebsiteFeedbackStatus,
 } from '../Controllers/WebsiteFeedbackController.js';
 
 const router = express.Router();
@@ -12,6 +13,12 @@ const router = express.Router();
 router.post('/', createWebsiteFeedback);
 
 // Admin: feedback analytics/list
-router.get('/admin', protect, admin, getWebsiteFeedbackAdmin);
+router.get('/admin', protect, requirePermission('feedback:read'), getWebsiteFeedbackAdmin);
+router.put(
+  '/admin/:id/status',
+  protect,
+  requirePermission('feedback:moderate'),
+  updateWebsiteFeedbackStatus
+);
 
 export default router;
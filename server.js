@@ -28,6 +28,19 @@ import notificationsRouter from './routes/NotificationsRouter.js';
 import watchRequestsRouter from './routes/WatchRequestsRouter.js';
 import pushRouter from './routes/PushRouter.js';
 import actorsRouter from './routes/ActorsRouter.js';
+import auditLogRouter from './routes/AuditLogRouter.js';
+import cronRouter from './routes/CronRouter.js';
+import linkReportsRouter from './routes/LinkReportsRouter.js';
+import emailTemplatesRouter from './routes/EmailTemplatesRouter.js';
+import outboundQueueRouter from './routes/OutboundQueueRouter.js';
+import commentModerationRouter from './routes/CommentModerationRouter.js';
+import { maybePurgeExpiredTrash } from './utils/trashService.js';
+import { runPublishSchedulerSafe } from './utils/publishScheduler.js';
+import { runLinkHealthCheckSafe } from './utils/linkHealth.js';
+import { runDueCampaignsSafe } from './utils/campaignSender.js';
+import { runOutboundWorkerSafe } from './utils/outboundQueue.js';
+import { backfillWeightedRatesSafe } from './utils/ratingAggregates.js';
+import { attachRealtime } from './utils/realtime.js';
 
 dotenv.config();
 
@@ -257,7 +270,7 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Client-Fingerprint'],
   exposedHeaders: ['Content-Length', 'X-Content-Type-Options'],
   optionsSuccessStatus: 200,
 };
@@ -286,6 +299,12 @@ const GOOD_BOT_UA_RE =
 const basicApiBotBlocker = (req, res, next) => {
   if (!BASIC_BOT_BLOCK_ENABLED) return next();
 
+  // Cron jobs are secret-protected and may come from any HTTP client;
+  // so are one-click unsubscribes sent by mail providers
+  if (req.path.startsWith('/cron/') || req.path === '/notifications/unsubscribe') {
+    return next();
+  }
+
   const ua = String(req.headers['user-agent'] || '').trim();
 
   if (ua && BAD_API_UA_RE.test(ua) && !GOOD_BOT_UA_RE.test(ua)) {
@@ -360,6 +379,12 @@ const feedbackLimiter = makeLimiter({
   message: 'Too many feedback submissions, please try again later.',
 });
 
+const linkReportLimiter = makeLimiter({
+  windowMs: 60 * 1000,
+  max: Number(process.env.RATE_LIMIT_LINK_REPORT_PER_MIN || 5),
+  message: 'Too many reports, please try again later.',
+});
+
 const viewWriteLimiter = makeLimiter({
   windowMs: 60 * 1000,
   max: Number(process.env.RATE_LIMIT_VIEW_WRITE_PER_MIN || 60),
@@ -368,6 +393,10 @@ const viewWriteLimiter = makeLimiter({
 
 app.use('/api/users/login', authLimiter);
 app.use('/api/users/google-login', authLimiter);
+app.use('/api/users/refresh', authLimiter);
+app.use('/api/users/forgot-password', authLimiter);
+app.use('/api/users/reset-password', authLimiter);
+app.use('/api/users/verify-email', authLimiter);
 
 app.use('/api/movies/tmdb', expensiveApiLimiter);
 app.use('/api/actors', expensiveApiLimiter);
@@ -376,6 +405,9 @@ app.use('/api/movies/:id/view', viewWriteLimiter);
 
 app.use('/api/upload', uploadLimiter);
 app.use('/api/feedback', feedbackLimiter);
+app.use('/api/link-reports', (req, res, next) =>
+  req.method === 'POST' ? linkReportLimiter(req, res, next) : next()
+);
 
 app.use('/api', publicApiLimiter);
 
@@ -471,6 +503,12 @@ app.use('/api/notifications', notificationsRouter);
 app.use('/api/requests', watchRequestsRouter);
 app.use('/api/push', pushRouter);
 app.use('/api/actors', actorsRouter);
+app.use('/api/audit-logs', auditLogRouter);
+app.use('/api/cron', cronRouter);
+app.use('/api/link-reports', linkReportsRouter);
+app.use('/api/email-templates', emailTemplatesRouter);
+app.use('/api/outbound-queue', outboundQueueRouter);
+app.use('/api/moderation', commentModerationRouter);
 
 app.get('/health', (_req, res) => {
   res.status(200).json({
@@ -502,6 +540,9 @@ if (!IS_VERCEL) {
     transports: ['websocket', 'polling'],
   });
 
+  // JWT auth + per-user rooms (utils/realtime.js)
+  attachRealtime(io);
+
   io.on('connection', (socket) => {
     console.log(`Socket connected: ${socket.id}`);
 
@@ -510,6 +551,38 @@ if (!IS_VERCEL) {
     });
   });
 
+  // Trash retention (on Vercel: /api/cron/trash-purge + admin trash views)
+  setInterval(maybePurgeExpiredTrash, 60 * 60 * 1000).unref();
+
+  // Scheduled publishing (on Vercel: /api/cron/publish-scheduler)
+  setInterval(
+    runPublishSchedulerSafe,
+    Math.max(15, Number(process.env.PUBLISH_SCHEDULER_INTERVAL_SEC || 60)) * 1000
+  ).unref();
+
+  // Video link checks (on Vercel: /api/cron/link-check). 0 disables.
+  const linkCheckMinutes = Number(process.env.LINK_CHECK_INTERVAL_MIN ?? 30);
+  if (linkCheckMinutes > 0) {
+    setInterval(runLinkHealthCheckSafe, Math.max(5, linkCheckMinutes) * 60 * 1000).unref();
+  }
+
+  // Scheduled / unfinished push campaigns (on Vercel: /api/cron/push-campaigns)
+  setInterval(
+    runDueCampaignsSafe,
+    Math.max(15, Number(process.env.PUSH_CAMPAIGN_INTERVAL_SEC || 60)) * 1000
+  ).unref();
+
+  // Outbound email/push queue (on Vercel: /api/cron/outbound-queue)
+  setInterval(
+    runOutboundWorkerSafe,
+    Math.max(5, Number(process.env.OUTBOUND_WORKER_INTERVAL_SEC || 15)) * 1000
+  ).unref();
+
+  // weightedRate for titles saved before it existed (on Vercel: /api/cron/rating-backfill).
+  // Stops doing work once every title has a score.
+  setTimeout(backfillWeightedRatesSafe, 30 * 1000).unref();
+  setInterval(backfillWeightedRatesSafe, 10 * 60 * 1000).unref();
+
   const PORT = process.env.PORT || 5000;
 
   httpServer.listen(PORT, () => {
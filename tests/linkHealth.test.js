@@ -0,0 +1,93 @@
+// backend/tests/linkHealth.test.js
+// runLinkHealthCheck budget / URL cap against stubbed models and a stub prober.
+//
+//   npm test
+import test, { after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Movie from '../Models/MoviesModel.js';
+import VideoLinkCheck from '../Models/VideoLinkCheckModel.js';
+import { runLinkHealthCheck } from '../utils/linkHealth.js';
+
+const stubs = [];
+const stub = (model, method, fn) => {
+  stubs.push([model, method, model[method]]);
+  model[method] = fn;
+};
+
+after(() => {
+  for (const [model, method, original] of stubs.reverse()) model[method] = original;
+});
+
+const fakeQuery = (value) => {
+  const query = { then: (resolve, reject) => Promise.resolve(value).then(resolve, reject) };
+  for (const method of ['select', 'lean', 'sort', 'limit', 'setOptions']) {
+    query[method] = () => query;
+  }
+  return query;
+};
+
+const series = (id, episodes) => ({
+  _id: id,
+  name: id,
+  type: 'WebSeries',
+  episodes: Array.from({ length: episodes }, (_, i) => ({
+    _id: `${id}-ep${i + 1}`,
+    seasonNumber: 1,
+    episodeNumber: i + 1,
+    video: `https://cdn.example/${id}/${i + 1}.mp4`,
+  })),
+});
+
+let movies = [];
+let checkedAt = [];
+
+stub(Movie, 'find', () => fakeQuery(movies));
+stub(Movie, 'updateOne', async (filter) => {
+  checkedAt.push(filter._id);
+  return {};
+});
+stub(VideoLinkCheck, 'find', () => fakeQuery([]));
+stub(VideoLinkCheck, 'bulkWrite', async () => ({}));
+
+beforeEach(() => {
+  movies = [];
+  checkedAt = [];
+});
+
+const okProber = async () => ({ ok: true, httpStatus: 200 });
+
+test('stops starting titles once the URL cap is reached', async () => {
+  movies = [series('a', 3), series('b', 3), series('c', 3)];
+  const probed = [];
+
+  const result = await runLinkHealthCheck({
+    prober: async (url) => {
+      probed.push(url);
+      return okProber();
+    },
+    maxLinks: 5,
+  });
+
+  assert.equal(probed.length, 5);
+  assert.equal(result.checkedMovies, 2);
+  assert.equal(result.pendingMovies, 1);
+  assert.equal(result.deferredLinks, 1);
+  assert.deepEqual(checkedAt, ['a', 'b']);
+});
+
+test('stops between titles once the time budget is spent', async () => {
+  movies = [series('a', 1), series('b', 1)];
+
+  const result = await runLinkHealthCheck({
+    prober: async () => {
+      await new Promise((resolve) => setTimeout(resolve, 30));
+      return okProber();
+    },
+    budgetMs: 10,
+  });
+
+  assert.equal(result.checkedMovies, 1);
+  assert.equal(result.pendingMovies, 1);
+  assert.deepEqual(checkedAt, ['a']);
+});
@@ -0,0 +1,92 @@
+// backend/tests/ratingsController.test.js
+// GET /api/movies/:id/ratings against stubbed models (no database needed).
+//
+//   npm test
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Movie from '../Models/MoviesModel.js';
+import Rating from '../Models/RatingModel.js';
+import { getMovieRatings } from '../Controllers/RatingsController.js';
+
+const MOVIE = { _id: '64b000000000000000000001', slug: 'movie', rate: 0, numberOfReviews: 0 };
+
+const stubs = [];
+const stub = (model, method, fn) => {
+  stubs.push([model, method, model[method]]);
+  model[method] = fn;
+};
+
+after(() => {
+  for (const [model, method, original] of stubs.reverse()) model[method] = original;
+});
+
+// Chainable, awaitable stand-in for a mongoose Query; records .sort()
+const fakeQuery = (value, sorts = []) => {
+  const query = { then: (resolve, reject) => Promise.resolve(value).then(resolve, reject) };
+  for (const method of ['select', 'lean', 'skip', 'limit', 'populate', 'setOptions']) {
+    query[method] = () => query;
+  }
+  query.sort = (spec) => {
+    sorts.push(spec);
+    return query;
+  };
+  return query;
+};
+
+const sorts = [];
+stub(Movie, 'findOne', () => fakeQuery(MOVIE));
+stub(Movie, 'updateOne', async () => ({}));
+stub(Rating, 'find', () => fakeQuery([], sorts));
+stub(Rating, 'countDocuments', async () => 0);
+stub(Rating, 'aggregate', async () => []);
+
+const call = async (query) => {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    set() {
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+
+  let error = null;
+  await getMovieRatings({ params: { id: MOVIE.slug }, query }, res, (e) => {
+    error = e;
+  });
+
+  return { res, error };
+};
+
+test('sort=newest lists the latest ratings first', async () => {
+  const { res, error } = await call({ sort: 'newest' });
+
+  assert.equal(error, null);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.sort, 'newest');
+  assert.deepEqual(sorts.at(-1), { createdAt: -1 });
+});
+
+test('sort=helpful lists the most liked, then most discussed first', async () => {
+  const { res, error } = await call({ sort: 'helpful' });
+
+  assert.equal(error, null);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.sort, 'helpful');
+  assert.deepEqual(sorts.at(-1), { likeCount: -1, replyCount: -1, createdAt: -1 });
+});
+
+test('an unknown sort is a 400', async () => {
+  const { res, error } = await call({ sort: 'oldest' });
+
+  assert.equal(res.statusCode, 400);
+  assert.match(error?.message || '', /sort must be one of/);
+});
@@ -0,0 +1,145 @@
+// backend/utils/auditLog.js
+// Best-effort audit trail for admin mutations.
+// Writing the log must never break the request that triggered it.
+
+import AuditLog from '../Models/AuditLogModel.js';
+import { getUserRole } from '../config/roles.js';
+
+// Fields that change on every save or are user-generated (not admin edits)
+const IGNORED_FIELDS = new Set([
+  '_id',
+  '__v',
+  'createdAt',
+  'updatedAt',
+  'reviews',
+  'password',
+]);
+
+const toPlain = (doc) => {
+  if (!doc) return null;
+  const obj =
+    typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+
+  // ObjectIds / Dates -> strings so values compare and store predictably
+  return JSON.parse(JSON.stringify(obj));
+};
+
+const labelOf = (doc) => {
+  if (!doc) return '';
+  return String(doc.name || doc.title || doc.fullName || doc.email || '').substring(
+    0,
+    200
+  );
+};
+
+/**
+ * Shallow diff of two snapshots: { field: { from, to } }.
+ * Either side may be null (create / delete).
+ */
+export const diffSnapshots = (before, after) => {
+  const a = toPlain(before) || {};
+  const b = toPlain(after) || {};
+  const changes = {};
+
+  new Set([...Object.keys(a), ...Object.keys(b)]).forEach((key) => {
+    if (IGNORED_FIELDS.has(key)) return;
+    if (JSON.stringify(a[key]) === JSON.stringify(b[key])) return;
+
+    changes[key] = { from: a[key] ?? null, to: b[key] ?? null };
+  });
+
+  return changes;
+};
+
+const actorOf = (req) => {
+  const user = req?.user;
+
+  return {
+    userId: user?._id || null,
+    name: String(user?.fullName || ''),
+    email: String(user?.email || ''),
+    role: user ? getUserRole(user) : '',
+  };
+};
+
+const requestInfo = (req) => ({
+  ip: String(req?.ip || req?.headers?.['x-forwarded-for'] || '')
+    .split(',')[0]
+    .trim(),
+  userAgent: String(req?.headers?.['user-agent'] || '').substring(0, 512),
+});
+
+const buildEntry = ({
+  req,
+  action,
+  targetModel,
+  targetId = null,
+  targetLabel = '',
+  before = null,
+  after = null,
+  changes = null,
+  meta = null,
+}) => ({
+  actor: actorOf(req),
+  action,
+  targetModel,
+  targetId: targetId || after?._id || before?._id || null,
+  targetLabel: targetLabel || labelOf(after) || labelOf(before),
+  changes: changes || diffSnapshots(before, after),
+  meta,
+  ...requestInfo(req),
+});
+
+/**
+ * Record one audit row.
+ * Pass before/after snapshots (docs or plain objects) and the diff is
+ * computed here, or pass `changes` directly.
+ */
+export const recordAudit = async (entry = {}) => {
+  try {
+    return await AuditLog.create(buildEntry(entry));
+  } catch (e) {
+    console.warn('[audit] record failed:', e?.message || e);
+    return null;
+  }
+};
+
+/**
+ * Record one row per document for bulk actions.
+ * beforeDocs/afterDocs are matched by _id; a missing "after" means deleted.
+ * afterDocs may be an async loader, so a failed re-read only skips the log.
+ * Updates that changed nothing are skipped.
+ */
+export const recordAuditForDocs = async ({
+  req,
+  action,
+  targetModel,
+  beforeDocs = [],
+  afterDocs = [],
+  meta = null,
+} = {}) => {
+  try {
+    const loaded =
+      typeof afterDocs === 'function' ? await afterDocs() : afterDocs;
+    const afterById = new Map(
+      (loaded || []).map((doc) => [String(doc._id), doc])
+    );
+
+    const entries = (beforeDocs || [])
+      .map((before) => {
+        const after = afterById.get(String(before._id)) || null;
+        return buildEntry({ req, action, targetModel, before, after, meta });
+      })
+      .filter((entry) => Object.keys(entry.changes).length > 0);
+
+    if (!entries.length) return 0;
+
+    const inserted = await AuditLog.insertMany(entries, { ordered: false });
+    return inserted.length;
+  } catch (e) {
+    console.warn('[audit] bulk record failed:', e?.message || e);
+    return 0;
+  }
+};
+
+export default { diffSnapshots, recordAudit, recordAuditForDocs };
@@ -7,6 +7,7 @@ import {
   revalidateFrontend,
   isFrontendRevalidateEnabled,
 } from './frontendRevalidateService.js';
+import { recordAudit } from './auditLog.js';
 
 const FRONTEND_BASE_URL = String(
   process.env.PUBLIC_FRONTEND_URL || 'https://www.moviefrost.com'
@@ -100,7 +101,22 @@ export const afterBlogMutation = async ({
   action = 'update',
   before = null,
   after = null,
+  audit = null, // { req, before?, after?, meta? } -> admin audit log (same as movies)
 } = {}) => {
+  if (audit) {
+    await recordAudit({
+      req: audit.req,
+      action: `blog.${action}`,
+      targetModel: 'BlogPost',
+      before: audit.before ?? before,
+      after: audit.after ?? after,
+      meta: audit.meta ?? null,
+    });
+  }
+
+  // Restored from trash: reappears exactly like a newly created item
+  if (action === 'restore') action = 'create';
+
   const beforePub = isPublicBlog(before);
   const afterPub = isPublicBlog(after);
 
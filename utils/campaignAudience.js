@@ -0,0 +1,139 @@
+// backend/utils/campaignAudience.js
+// Campaign audience segments => User filters.
+//
+// A segment is stored on PushCampaign.segment:
+//   { type: "users" }                               hand-picked userIds
+//   { type: "all" }                                 every non-admin user
+//   { type: "liked", category?, language? }         liked a title in that category/language
+//   { type: "active", days }                        signed in or watched in the last N days
+//   { type: "push_subscribers" }                    has at least one push subscription
+// Admin accounts are never part of an audience.
+
+import mongoose from 'mongoose';
+import User from '../Models/UserModel.js';
+import Movie from '../Models/MoviesModel.js';
+import Session from '../Models/SessionModel.js';
+import WatchProgress from '../Models/WatchProgressModel.js';
+import PushSubscription from '../Models/PushSubscriptionModel.js';
+import { CAMPAIGN_SEGMENT_TYPES } from '../Models/PushCampaignModel.js';
+import { escapeRegex } from './slugify.js';
+import { staffUserFilter } from '../config/roles.js';
+
+const MAX_ACTIVE_DAYS = 365;
+const MAX_SELECTED_USERS = 5000;
+const SAMPLE_SIZE = 5;
+
+const clean = (v) => String(v ?? '').trim();
+
+const isValidObjectId = (id) =>
+  /^[a-f\d]{24}$/i.test(clean(id)) && mongoose.Types.ObjectId.isValid(id);
+
+const exactMatch = (value) => new RegExp(`^\\s*${escapeRegex(value)}\\s*$`, 'i');
+
+/**
+ * Validates a segment from a request body. Returns { segment, userIds }
+ * or throws an Error with a user-facing message.
+ * A bare userIds array (the original API) means segment "users".
+ */
+export const normalizeSegment = (input, userIds) => {
+  const raw = input && typeof input === 'object' ? input : {};
+  const type = clean(raw.type || (userIds ? 'users' : '')).toLowerCase();
+
+  if (!CAMPAIGN_SEGMENT_TYPES.includes(type)) {
+    throw new Error(`segment.type must be one of: ${CAMPAIGN_SEGMENT_TYPES.join(', ')}`);
+  }
+
+  if (type === 'users') {
+    const ids = Array.from(new Set((Array.isArray(userIds) ? userIds : []).map(clean)));
+
+    if (!ids.length) throw new Error('Select at least one user');
+    if (ids.length > MAX_SELECTED_USERS) {
+      throw new Error(`Select at most ${MAX_SELECTED_USERS} users, or use a segment`);
+    }
+    if (!ids.every(isValidObjectId)) throw new Error('Invalid user id');
+
+    return { segment: { type }, userIds: ids };
+  }
+
+  if (type === 'liked') {
+    const category = clean(raw.category).substring(0, 80);
+    const language = clean(raw.language).substring(0, 80);
+
+    if (!category && !language) {
+      throw new Error('segment "liked" needs a category and/or a language');
+    }
+
+    return { segment: { type, category, language }, userIds: [] };
+  }
+
+  if (type === 'active') {
+    const days = Number(raw.days);
+
+    if (!Number.isInteger(days) || days < 1 || days > MAX_ACTIVE_DAYS) {
+      throw new Error(`segment.days must be a whole number from 1 to ${MAX_ACTIVE_DAYS}`);
+    }
+
+    return { segment: { type, days }, userIds: [] };
+  }
+
+  return { segment: { type }, userIds: [] };
+};
+
+/**
+ * Mongo filter on User for a segment. Ids of "users" segments come from
+ * campaign.recipientIds. Id lists are resolved now, so build the filter
+ * once per sending run.
+ */
+export const buildAudienceFilter = async (segment = {}, recipientIds = []) => {
+  // Campaigns go to members only, never to staff accounts
+  const base = { $nor: [staffUserFilter()] };
+
+  switch (segment.type) {
+    case 'all':
+      return base;
+
+    case 'liked': {
+      const movieIds = await Movie.distinct('_id', {
+        ...(segment.category && { category: exactMatch(segment.category) }),
+        ...(segment.language && { language: exactMatch(segment.language) }),
+      });
+      return { ...base, likedMovies: { $in: movieIds } };
+    }
+
+    case 'active': {
+      const since = new Date(Date.now() - Number(segment.days) * 24 * 60 * 60 * 1000);
+      const [sessionUsers, watchingUsers] = await Promise.all([
+        Session.distinct('userId', { lastUsedAt: { $gte: since } }),
+        WatchProgress.distinct('userId', { lastWatchedAt: { $gte: since } }),
+      ]);
+      return { ...base, _id: { $in: [...sessionUsers, ...watchingUsers] } };
+    }
+
+    case 'push_subscribers':
+      return { ...base, _id: { $in: await PushSubscription.distinct('userId') } };
+
+    case 'users':
+    default:
+      return { ...base, _id: { $in: recipientIds || [] } };
+  }
+};
+
+/**
+ * Audience size + a few names, for the "preview before sending" step.
+ */
+export const previewAudience = async (segment, recipientIds = []) => {
+  const filter = await buildAudienceFilter(segment, recipientIds);
+
+  const [audienceSize, sample] = await Promise.all([
+    User.countDocuments(filter),
+    User.find(filter).select('_id fullName').limit(SAMPLE_SIZE).lean(),
+  ]);
+
+  return { audienceSize, sample };
+};
+
+export default {
+  normalizeSegment,
+  buildAudienceFilter,
+  previewAudience,
+};
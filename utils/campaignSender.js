@@ -0,0 +1,342 @@
+// backend/utils/campaignSender.js
+// Sends push campaigns in throttled batches.
+// Links are tracked redirects (utils/campaignTracking.js); push and email
+// go through the outbound queue (utils/outboundQueue.js).
+//
+// Users of the campaign's segment are walked in _id order, CAMPAIGN_BATCH_SIZE
+// at a time, with CAMPAIGN_BATCH_DELAY_MS between batches. After every batch
+// the counters are $inc'ed on PushCampaign.stats and the cursor is saved, so a
+// run that hits its time budget (serverless limits) is resumed by the next
+// /api/cron/push-campaigns call without sending anyone the campaign twice
+// (push / email jobs carry idempotency keys; in-app notifications are
+// skipped for users who already have this campaign's notification).
+// Creating a campaign only sends its first batch inline, so the admin
+// request stays well inside serverless time limits; the cron does the rest.
+
+import User from '../Models/UserModel.js';
+import Notification from '../Models/NotificationModel.js';
+import PushCampaign from '../Models/PushCampaignModel.js';
+import { isEmailEnabled } from './emailService.js';
+import { renderEmailTemplate } from './emailTemplates.js';
+import {
+  buildUnsubscribeHeaders,
+  buildUnsubscribeUrl,
+  createInAppNotifications,
+  getEmailLocales,
+} from './notificationPreferences.js';
+import { buildAudienceFilter } from './campaignAudience.js';
+import { buildTrackedLink } from './campaignTracking.js';
+import { enqueueJobs, enqueuePush } from './outboundQueue.js';
+
+const FRONTEND_BASE_URL =
+  process.env.PUBLIC_FRONTEND_URL || 'https://www.moviefrost.com';
+
+const CAMPAIGN_BATCH_SIZE = Math.min(
+  1000,
+  Math.max(1, Number(process.env.CAMPAIGN_BATCH_SIZE || 200))
+);
+const CAMPAIGN_BATCH_DELAY_MS = Math.max(
+  0,
+  Number(process.env.CAMPAIGN_BATCH_DELAY_MS ?? 1000)
+);
+// Time one run may spend before leaving the rest to the next cron call
+// (stays under the 10s Vercel function limit)
+const CAMPAIGN_RUN_BUDGET_MS = Math.max(
+  1000,
+  Number(process.env.CAMPAIGN_RUN_BUDGET_MS || 7000)
+);
+// A crashed run's lock expires after this, so another run can take over
+const LOCK_MS = CAMPAIGN_RUN_BUDGET_MS + 60 * 1000;
+
+// Campaigns started per cron call
+const DUE_CAMPAIGNS_PER_RUN = 5;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const claimableFilter = (now) => ({
+  $or: [
+    { status: 'scheduled', scheduledAt: { $lte: now } },
+    { status: 'sending', $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+  ],
+});
+
+/**
+ * In-app notifications for one batch of users; push and email are queued
+ * (utils/outboundQueue.js), whose worker reports delivery back to
+ * PushCampaign.stats. Returns counter deltas.
+ */
+const deliverBatch = async (campaign, users) => {
+  const title = campaign.title;
+  const message = campaign.message || 'New update from MovieFrost';
+  const link = campaign.link || '';
+  const channels = campaign.channels || {};
+  const userIds = users.map((u) => u._id);
+  const keyPrefix = `campaign:${String(campaign._id)}`;
+
+  const delta = { inAppCreated: 0, pushQueued: 0, emailQueued: 0 };
+
+  if (channels.inApp !== false) {
+    // A run that died before saving its cursor re-sends the batch:
+    // users who already got this campaign in-app are skipped
+    const alreadyNotified = new Set(
+      (
+        await Notification.distinct('recipient', {
+          recipient: { $in: userIds },
+          type: 'campaign',
+          'meta.campaignId': campaign._id,
+        })
+      ).map(String)
+    );
+
+    // Users who turned campaign notifications off are skipped
+    const created = await createInAppNotifications(
+      users.filter((u) => !alreadyNotified.has(String(u._id))).map((u) => ({
+        recipient: u._id,
+        forAdmin: false,
+        type: 'campaign',
+        title,
+        message,
+        link: buildTrackedLink(campaign._id, 'inApp', u._id),
+        meta: { imageUrl: campaign.imageUrl, link, campaignId: campaign._id },
+      }))
+    );
+    delta.inAppCreated = created.length;
+  }
+
+  if (channels.push !== false) {
+    const { queued } = await enqueuePush(
+      userIds,
+      {
+        title,
+        body: message,
+        url: buildTrackedLink(campaign._id, 'push'),
+        icon: `${FRONTEND_BASE_URL}/images/MOVIEFROST.png`,
+        image: campaign.imageUrl || undefined,
+        tag: `campaign:${String(campaign._id)}`,
+        data: { campaignId: String(campaign._id), type: 'campaign' },
+      },
+      { type: 'campaign' },
+      { keyPrefix: `${keyPrefix}:push`, campaignId: campaign._id }
+    );
+    delta.pushQueued = queued;
+  }
+
+  if (channels.email !== false && isEmailEnabled()) {
+    const locales = await getEmailLocales(userIds);
+
+    // Per-user body: each email carries its own one-click unsubscribe link
+    const { queued } = await enqueueJobs(
+      users
+        .filter((u) => u.email)
+        .map((u) => {
+          const unsubscribeUrl = buildUnsubscribeUrl(u._id, 'campaign');
+          const email = renderEmailTemplate(
+            'campaign',
+            {
+              title,
+              message: campaign.message,
+              link: buildTrackedLink(campaign._id, 'email', u._id),
+              imageUrl: campaign.imageUrl,
+              unsubscribeUrl,
+            },
+            { locale: locales.get(String(u._id)) }
+          );
+
+          return {
+            channel: 'email',
+            payload: {
+              to: u.email,
+              subject: email.subject,
+              html: email.html,
+              text: email.text,
+              headers: buildUnsubscribeHeaders(unsubscribeUrl),
+              userId: String(u._id),
+              type: 'campaign',
+            },
+            idempotencyKey: `${keyPrefix}:email:${String(u._id)}`,
+            campaignId: campaign._id,
+          };
+        })
+    );
+    delta.emailQueued = queued;
+  }
+
+  return delta;
+};
+
+/**
+ * Claims a due campaign and sends batches until it is done, cancelled, the
+ * time budget runs out or maxBatches (0 = no limit) were sent. Returns the
+ * campaign (lean) as it was left, or null when it is not due / another run
+ * holds it.
+ */
+export const runCampaign = async (
+  campaignId,
+  { budgetMs = CAMPAIGN_RUN_BUDGET_MS, maxBatches = 0 } = {}
+) => {
+  const startedAt = Date.now();
+  const now = new Date();
+
+  let campaign = await PushCampaign.findOneAndUpdate(
+    { _id: campaignId, ...claimableFilter(now) },
+    [
+      {
+        $set: {
+          status: 'sending',
+          lockedUntil: new Date(now.getTime() + LOCK_MS),
+          startedAt: { $ifNull: ['$startedAt', now] },
+        },
+      },
+    ],
+    { new: true }
+  ).lean();
+
+  if (!campaign) return null;
+
+  let batches = 0;
+
+  try {
+    const filter = await buildAudienceFilter(campaign.segment, campaign.recipientIds);
+
+    if (!campaign.cursor && !campaign.stats?.processed) {
+      const audienceSize = await User.countDocuments(filter);
+      await PushCampaign.updateOne(
+        { _id: campaign._id },
+        { $set: { 'stats.audienceSize': audienceSize } }
+      );
+    }
+
+    for (;;) {
+      // eslint-disable-next-line no-await-in-loop
+      const users = await User.find({
+        $and: [filter, ...(campaign.cursor ? [{ _id: { $gt: campaign.cursor } }] : [])],
+      })
+        .sort({ _id: 1 })
+        .limit(CAMPAIGN_BATCH_SIZE)
+        .select('_id email fullName')
+        .lean();
+
+      if (!users.length) {
+        // eslint-disable-next-line no-await-in-loop
+        return await PushCampaign.findOneAndUpdate(
+          { _id: campaign._id, status: 'sending' },
+          { $set: { status: 'sent', completedAt: new Date(), lockedUntil: null } },
+          { new: true }
+        ).lean();
+      }
+
+      // eslint-disable-next-line no-await-in-loop
+      const delta = await deliverBatch(campaign, users);
+
+      const inc = Object.entries(delta).reduce(
+        (acc, [key, value]) => ({ ...acc, [`stats.${key}`]: value }),
+        { 'stats.processed': users.length, 'stats.batches': 1 }
+      );
+
+      // eslint-disable-next-line no-await-in-loop
+      const updated = await PushCampaign.findOneAndUpdate(
+        { _id: campaign._id },
+        {
+          $inc: inc,
+          $set: {
+            cursor: users[users.length - 1]._id,
+            lockedUntil: new Date(Date.now() + LOCK_MS),
+          },
+        },
+        { new: true }
+      ).lean();
+
+      // Cancelled meanwhile: stop after this batch
+      if (!updated || updated.status !== 'sending') return updated;
+      campaign = updated;
+
+      if (users.length < CAMPAIGN_BATCH_SIZE) continue;
+
+      batches += 1;
+      const outOfBatches = maxBatches > 0 && batches >= maxBatches;
+
+      if (outOfBatches || Date.now() - startedAt + CAMPAIGN_BATCH_DELAY_MS >= budgetMs) {
+        // Out of time / batches: release the lock; the next cron call resumes
+        // eslint-disable-next-line no-await-in-loop
+        return await PushCampaign.findOneAndUpdate(
+          { _id: campaign._id, status: 'sending' },
+          { $set: { lockedUntil: null } },
+          { new: true }
+        ).lean();
+      }
+
+      // eslint-disable-next-line no-await-in-loop
+      if (CAMPAIGN_BATCH_DELAY_MS) await sleep(CAMPAIGN_BATCH_DELAY_MS);
+    }
+  } catch (e) {
+    console.warn('[campaigns] send failed:', e?.message || e);
+
+    return PushCampaign.findOneAndUpdate(
+      { _id: campaign._id, status: 'sending' },
+      {
+        $set: {
+          status: 'failed',
+          error: String(e?.message || e).substring(0, 500),
+          lockedUntil: null,
+        },
+      },
+      { new: true }
+    ).lean();
+  }
+};
+
+/**
+ * Starts scheduled campaigns that are due and resumes unfinished ones.
+ */
+export const runDueCampaigns = async ({ limit = DUE_CAMPAIGNS_PER_RUN } = {}) => {
+  const startedAt = Date.now();
+
+  const due = await PushCampaign.find(claimableFilter(new Date()))
+    .sort({ scheduledAt: 1, createdAt: 1 })
+    .limit(limit)
+    .select('_id')
+    .lean();
+
+  const results = [];
+
+  for (const { _id } of due) {
+    const remaining = CAMPAIGN_RUN_BUDGET_MS - (Date.now() - startedAt);
+    if (remaining <= 0) break;
+
+    // eslint-disable-next-line no-await-in-loop
+    const campaign = await runCampaign(_id, { budgetMs: remaining });
+    if (campaign) {
+      results.push({
+        campaignId: campaign._id,
+        status: campaign.status,
+        processed: campaign.stats?.processed || 0,
+        audienceSize: campaign.stats?.audienceSize || 0,
+      });
+    }
+  }
+
+  return { due: due.length, campaigns: results };
+};
+
+let dueCampaignsRunning = false;
+
+// For the non-Vercel interval: never overlaps, never throws
+export const runDueCampaignsSafe = async () => {
+  if (dueCampaignsRunning) return null;
+  dueCampaignsRunning = true;
+
+  try {
+    return await runDueCampaigns();
+  } catch (e) {
+    console.warn('[campaigns] scheduler failed:', e?.message || e);
+    return null;
+  } finally {
+    dueCampaignsRunning = false;
+  }
+};
+
+export default {
+  runCampaign,
+  runDueCampaigns,
+  runDueCampaignsSafe,
+};
@@ -0,0 +1,170 @@
+// backend/utils/campaignTracking.js
+// Tracked redirect links for campaigns.
+//
+// Every campaign link (push, email, in-app) points at
+//   /api/push-campaigns/r/<campaignId>.<channel>.<userId|->.<sig>
+// which records the click and redirects to the campaign's real link.
+// Email and in-app links carry the recipient id; push payloads are shared by
+// all recipients, so push clicks are told apart by hashed IP.
+
+import { createHash, createHmac, timingSafeEqual } from 'crypto';
+import mongoose from 'mongoose';
+import CampaignClick, { CAMPAIGN_CHANNELS } from '../Models/CampaignClickModel.js';
+import PushCampaign from '../Models/PushCampaignModel.js';
+
+const BACKEND_BASE_URL = String(
+  process.env.BACKEND_PUBLIC_URL ||
+    process.env.PUBLIC_BASE_URL ||
+    'https://moviefrost-backend-xi.vercel.app'
+)
+  .replace(/\/+$/, '')
+  .replace(/\/api$/i, '');
+
+const FRONTEND_BASE_URL = String(
+  process.env.PUBLIC_FRONTEND_URL || 'https://www.moviefrost.com'
+).replace(/\/+$/, '');
+
+const TRACKING_SECRET = () =>
+  String(process.env.CLICK_TRACKING_SECRET || process.env.JWT_SECRET || '');
+
+const sign = (payload) =>
+  createHmac('sha256', TRACKING_SECRET())
+    .update(`campaign-click:${payload}`)
+    .digest('base64url')
+    .substring(0, 22);
+
+/**
+ * Absolute tracked URL for one campaign + channel (+ recipient).
+ */
+export const buildTrackedLink = (campaignId, channel, userId = null) => {
+  const payload = `${String(campaignId)}.${channel}.${userId ? String(userId) : '-'}`;
+  return `${BACKEND_BASE_URL}/api/push-campaigns/r/${payload}.${sign(payload)}`;
+};
+
+/**
+ * { campaignId, channel, userId|null } or null when the token is forged/broken.
+ */
+export const verifyTrackedToken = (token) => {
+  const [campaignId, channel, userPart, sig] = String(token || '').split('.');
+  const userId = userPart === '-' ? null : userPart;
+
+  if (
+    !campaignId ||
+    !mongoose.Types.ObjectId.isValid(campaignId) ||
+    !CAMPAIGN_CHANNELS.includes(channel) ||
+    (userId && !mongoose.Types.ObjectId.isValid(userId)) ||
+    !sig ||
+    !TRACKING_SECRET()
+  ) {
+    return null;
+  }
+
+  const a = Buffer.from(sig);
+  const b = Buffer.from(sign(`${campaignId}.${channel}.${userPart}`));
+  if (a.length !== b.length || !timingSafeEqual(a, b)) return null;
+
+  return { campaignId, channel, userId };
+};
+
+/**
+ * Where a campaign click lands: its link (made absolute) or the home page.
+ */
+export const resolveCampaignTarget = (link = '') => {
+  const value = String(link || '').trim();
+  if (!value) return FRONTEND_BASE_URL;
+  if (/^https?:\/\//i.test(value)) return value;
+  return `${FRONTEND_BASE_URL}${value.startsWith('/') ? '' : '/'}${value}`;
+};
+
+export const hashIp = (ip = '') => {
+  const value = String(ip || '').split(',')[0].trim();
+  return value ? createHash('sha256').update(value).digest('hex') : '';
+};
+
+/**
+ * Counts one click. The first click of a visitor on a channel also
+ * counts as a unique click.
+ */
+export const recordCampaignClick = async ({ campaignId, channel, userId = null, ipHash = '' }) => {
+  const visitorKey = userId ? `u:${userId}` : ipHash ? `ip:${ipHash}` : '';
+  let isNew = false;
+
+  if (visitorKey) {
+    const now = new Date();
+    const filter = { campaignId, channel, visitorKey };
+
+    try {
+      const result = await CampaignClick.findOneAndUpdate(
+        filter,
+        {
+          $inc: { count: 1 },
+          $set: { lastClickedAt: now },
+          $setOnInsert: { userId, firstClickedAt: now },
+        },
+        { upsert: true, includeResultMetadata: true }
+      );
+      isNew = !result?.lastErrorObject?.updatedExisting;
+    } catch (e) {
+      // Two first clicks at once: the other one inserted the row
+      if (e?.code !== 11000) throw e;
+      await CampaignClick.updateOne(filter, {
+        $inc: { count: 1 },
+        $set: { lastClickedAt: now },
+      });
+    }
+  }
+
+  await PushCampaign.updateOne(
+    { _id: campaignId },
+    {
+      $inc: {
+        [`stats.clicks.${channel}`]: 1,
+        ...(isNew && { [`stats.uniqueClicks.${channel}`]: 1 }),
+      },
+    }
+  );
+
+  return { isNew };
+};
+
+const rate = (clicks, delivered) =>
+  delivered > 0 ? Math.round((clicks / delivered) * 10000) / 10000 : 0;
+
+/**
+ * Per-channel delivery + click-through summary of PushCampaign.stats.
+ * clickThroughRate = unique clicks / delivered (0..1).
+ */
+export const buildChannelReport = (stats = {}) => {
+  const clicks = stats.clicks || {};
+  const unique = stats.uniqueClicks || {};
+
+  const channel = (key, delivered, extra) => ({
+    delivered,
+    ...extra,
+    clicks: clicks[key] || 0,
+    uniqueClicks: unique[key] || 0,
+    clickThroughRate: rate(unique[key] || 0, delivered),
+  });
+
+  return {
+    push: channel('push', stats.pushSent || 0, {
+      queued: stats.pushQueued || 0,
+      failed: stats.pushFailed || 0,
+    }),
+    email: channel('email', stats.emailSent || 0, {
+      queued: stats.emailQueued || 0,
+      failed: stats.emailFailed || 0,
+      skipped: stats.emailSkipped || 0,
+    }),
+    inApp: channel('inApp', stats.inAppCreated || 0, {}),
+  };
+};
+
+export default {
+  buildTrackedLink,
+  verifyTrackedToken,
+  resolveCampaignTarget,
+  hashIp,
+  recordCampaignClick,
+  buildChannelReport,
+};
@@ -0,0 +1,399 @@
+// backend/utils/contentFilter.js
+// Filter pipeline for user-written text (ratings, reviews, replies, feedback).
+//
+// Every filter gets the submission and returns null (fine) or
+//   { action: 'review' | 'reject', detail? }
+// "review" keeps the post out of public view until a moderator approves it
+// (status "pending"); "reject" refuses it (posting cap). Filters run in
+// order and a reject stops the pipeline. More filters can be plugged in
+// with registerContentFilter().
+
+import { createHash } from 'crypto';
+import ContentSubmission from '../Models/ContentSubmissionModel.js';
+import { isStaff } from '../config/roles.js';
+
+const envList = (value) =>
+  String(value || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+const envNumber = (name, fallback, min = 0) => {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n >= min ? n : fallback;
+};
+
+const FILTER_ENABLED = String(process.env.CONTENT_FILTER_ENABLED || 'true') !== 'false';
+
+// Posts per hour from one IP, and from one device fingerprint
+const POSTS_PER_HOUR = envNumber('CONTENT_FILTER_POSTS_PER_HOUR', 10, 1);
+
+// Same text on this many other titles within the window => review
+const DUPLICATE_LIMIT = envNumber('CONTENT_FILTER_DUPLICATE_LIMIT', 2, 1);
+// Short texts ("nice movie") are legitimately repeated
+const DUPLICATE_MIN_LENGTH = 20;
+
+const WINDOW_HOURS = envNumber('CONTENT_FILTER_WINDOW_HOURS', 24, 1);
+
+const ALLOWED_DOMAINS = envList(
+  process.env.CONTENT_FILTER_ALLOWED_DOMAINS || 'moviefrost.com'
+).map((d) => d.toLowerCase().replace(/^www\./, ''));
+
+/* ============================================================
+   Text normalization
+   ============================================================ */
+
+const LEET = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's' };
+
+export const normalizeText = (value) =>
+  String(value ?? '')
+    .normalize('NFKC')
+    .replace(/[\u200B-\u200D\u2060\uFEFF]/g, '')
+    .toLowerCase()
+    .trim();
+
+// "sh1ttt" => "shit", "chuuutiya" => "chutiya" (numbers stay numbers)
+const normalizeToken = (token) => {
+  if (/^\d+$/.test(token)) return token;
+  return token.replace(/[013457@$]/g, (c) => LEET[c]).replace(/(.)\1+/gu, '$1');
+};
+
+/**
+ * Normalized words of a text. Runs of single letters ("f u c k",
+ * "f.u.c.k") are also joined into one word.
+ */
+export const tokenize = (value) => {
+  const raw = normalizeText(value)
+    .split(/[^\p{L}\p{M}\p{N}@$]+/u)
+    .filter(Boolean);
+
+  const tokens = raw.map(normalizeToken);
+
+  let run = [];
+  const flush = () => {
+    if (run.length >= 3) tokens.push(run.join(''));
+    run = [];
+  };
+  for (const t of raw) {
+    if (/^\p{L}$/u.test(t)) run.push(t);
+    else flush();
+  }
+  flush();
+
+  return tokens;
+};
+
+/* ============================================================
+   Word list (English + Hindi / Hinglish)
+   "word*" matches every word starting with "word".
+   ============================================================ */
+
+const DEFAULT_BLOCKED_WORDS = [
+  // English
+  'fuck*', 'motherfuck*', 'shit', 'shits', 'shitty', 'bullshit', 'bitch*', 'bastard*',
+  'asshole*', 'cunt*', 'dick', 'dickhead*', 'pussy', 'slut*', 'whore*', 'wank*', 'porn*',
+  // Hinglish
+  'chutiy*', 'chutia*', 'chootiy*', 'chodu', 'madarchod*', 'madharchod*', 'maderchod*',
+  'behenchod*', 'bhenchod*', 'benchod*', 'bhosd*', 'bhosad*', 'bsdk', 'gandu*', 'gaand',
+  'lauda', 'laude', 'lavde', 'lund', 'randi*', 'harami*', 'kamina', 'kamine', 'kameena',
+  'kutiya', 'jhaat*', 'jhatu',
+  // Hindi (Devanagari)
+  'चूतिया', 'चुतिया', 'मादरचोद', 'बहनचोद', 'भेनचोद', 'भोसड़ी*', 'भोसडी*', 'गांडू', 'गांड',
+  'लौड़ा', 'लौडा', 'लंड', 'रंडी', 'हरामी', 'कमीना', 'कमीने', 'झाट*', 'चोद*',
+];
+
+const compileWordList = () => {
+  const allowed = new Set(envList(process.env.CONTENT_FILTER_ALLOWED_WORDS).map(normalizeText));
+  const words = [...DEFAULT_BLOCKED_WORDS, ...envList(process.env.CONTENT_FILTER_WORDS)]
+    .map(normalizeText)
+    .filter((w) => w && !allowed.has(w));
+
+  const exact = new Set();
+  const prefixes = [];
+  for (const w of words) {
+    if (w.endsWith('*')) prefixes.push(normalizeToken(w.slice(0, -1)));
+    else exact.add(normalizeToken(w));
+  }
+  return { exact, prefixes: prefixes.filter(Boolean) };
+};
+
+const WORD_LIST = compileWordList();
+
+/**
+ * Blocked words found in a text (normalized form, de-duplicated).
+ */
+export const findBlockedWords = (value) => {
+  const found = new Set();
+  for (const token of tokenize(value)) {
+    if (WORD_LIST.exact.has(token) || WORD_LIST.prefixes.some((p) => token.startsWith(p))) {
+      found.add(token);
+    }
+  }
+  return Array.from(found);
+};
+
+/* ============================================================
+   Links
+   ============================================================ */
+
+const TLDS =
+  'com|net|org|in|io|co|me|ly|gg|tv|xyz|info|biz|site|online|live|app|link|club|top|shop|store|ru|tk|cc|to|pw|vip|fun|icu';
+
+const URL_RE = /\b(?:https?:\/\/|www\.)[^\s<>"']+/gi;
+const DOMAIN_RE = new RegExp(`\\b(?:[a-z0-9-]+\\.)+(?:${TLDS})\\b(?:/[^\\s<>"']*)?`, 'gi');
+// "site dot com", "site[dot]in"
+const SPELLED_DOMAIN_RE = new RegExp(`\\b[a-z0-9-]+\\s*[([]?\\s*dot\\s*[)\\]]?\\s*(?:${TLDS})\\b`, 'gi');
+
+const hostOf = (match) =>
+  match
+    .replace(/^https?:\/\//i, '')
+    .split(/[/?#:]/)[0]
+    .toLowerCase()
+    .replace(/^www\./, '');
+
+const isAllowedHost = (host) =>
+  ALLOWED_DOMAINS.some((d) => host === d || host.endsWith(`.${d}`));
+
+/**
+ * Links / domains in a text, except our own domains.
+ */
+export const findLinks = (value) => {
+  const text = normalizeText(value);
+  const links = [...(text.match(URL_RE) || []), ...(text.match(DOMAIN_RE) || [])].filter(
+    (m) => !isAllowedHost(hostOf(m))
+  );
+  return Array.from(new Set([...links, ...(text.match(SPELLED_DOMAIN_RE) || [])]));
+};
+
+/* ============================================================
+   Repeated text
+   ============================================================ */
+
+/**
+ * "!!!!!!!!!!", "aaaaaaaaaaa" or one word making up half of a longer text.
+ */
+export const isRepetitive = (value) => {
+  const text = normalizeText(value);
+  if (/(.)\1{9,}/u.test(text)) return true;
+
+  const tokens = tokenize(text);
+  if (tokens.length < 8) return false;
+
+  const counts = new Map();
+  for (const t of tokens) counts.set(t, (counts.get(t) || 0) + 1);
+  return Math.max(...counts.values()) / tokens.length >= 0.5;
+};
+
+export const hashText = (value) => {
+  const tokens = tokenize(value);
+  return tokens.length ? createHash('sha1').update(tokens.join(' ')).digest('hex') : '';
+};
+
+/* ============================================================
+   Client identity
+   ============================================================ */
+
+const clientIp = (req) =>
+  String(req?.ip || req?.headers?.['x-forwarded-for'] || '')
+    .split(',')[0]
+    .trim();
+
+const sha256 = (value) => createHash('sha256').update(value).digest('hex');
+
+/**
+ * Device fingerprint: the X-Client-Fingerprint header sent by the frontend,
+ * else a hash of IP + browser headers.
+ */
+export const clientFingerprint = (req) => {
+  const header = String(req?.headers?.['x-client-fingerprint'] || '').trim();
+  if (/^[A-Za-z0-9_-]{8,128}$/.test(header)) return `c:${header}`;
+
+  const basis = [
+    clientIp(req),
+    req?.headers?.['user-agent'] || '',
+    req?.headers?.['accept-language'] || '',
+  ].join('|');
+  return basis.replace(/\|/g, '') ? `h:${sha256(basis).substring(0, 32)}` : '';
+};
+
+/* ============================================================
+   Filters
+   ============================================================ */
+
+const postingCapFilter = {
+  name: 'posting_cap',
+  check: async ({ ipHash, fingerprint }) => {
+    const since = new Date(Date.now() - 60 * 60 * 1000);
+    const [byIp, byDevice] = await Promise.all([
+      ipHash ? ContentSubmission.countDocuments({ ipHash, createdAt: { $gte: since } }) : 0,
+      fingerprint
+        ? ContentSubmission.countDocuments({ fingerprint, createdAt: { $gte: since } })
+        : 0,
+    ]);
+
+    return byIp >= POSTS_PER_HOUR || byDevice >= POSTS_PER_HOUR
+      ? { action: 'reject', detail: `${POSTS_PER_HOUR} posts per hour` }
+      : null;
+  },
+};
+
+const wordListFilter = {
+  name: 'word_list',
+  check: ({ fields }) => {
+    const words = fields.flatMap((f) => findBlockedWords(f.text));
+    return words.length ? { action: 'review', detail: words.join(', ') } : null;
+  },
+};
+
+const linkFilter = {
+  name: 'links',
+  check: ({ fields }) => {
+    const links = fields.flatMap((f) => findLinks(f.text));
+    return links.length ? { action: 'review', detail: links.slice(0, 5).join(', ') } : null;
+  },
+};
+
+const repeatedTextFilter = {
+  name: 'repeated_text',
+  check: ({ fields }) => {
+    const field = fields.find((f) => isRepetitive(f.text));
+    return field ? { action: 'review', detail: field.field } : null;
+  },
+};
+
+// Same text pasted on several titles by the same person / device / IP
+const duplicateFilter = {
+  name: 'duplicate',
+  check: async ({ textHash, textLength, targetId, userId, ipHash, fingerprint }) => {
+    if (!textHash || textLength < DUPLICATE_MIN_LENGTH) return null;
+
+    const who = [
+      userId && { userId },
+      ipHash && { ipHash },
+      fingerprint && { fingerprint },
+    ].filter(Boolean);
+    if (!who.length) return null;
+
+    const copies = await ContentSubmission.countDocuments({
+      textHash,
+      createdAt: { $gte: new Date(Date.now() - WINDOW_HOURS * 60 * 60 * 1000) },
+      ...(targetId && { targetId: { $ne: targetId } }),
+      $or: who,
+    });
+
+    return copies >= DUPLICATE_LIMIT
+      ? { action: 'review', detail: `posted ${copies} times before` }
+      : null;
+  },
+};
+
+const CONTENT_FILTERS = [
+  postingCapFilter,
+  wordListFilter,
+  linkFilter,
+  repeatedTextFilter,
+  duplicateFilter,
+];
+
+/**
+ * Adds a filter to the pipeline: { name, check(submission) }.
+ * check may be async and returns null or { action, detail }.
+ */
+export const registerContentFilter = (filter) => {
+  if (!filter?.name || typeof filter.check !== 'function') {
+    throw new Error('A content filter needs a name and a check function');
+  }
+  CONTENT_FILTERS.push(filter);
+};
+
+/**
+ * Runs the pipeline on one submission and logs it (posting caps, duplicates).
+ *   scope:    guest_rating | rating | review | reply | feedback
+ *   texts:    { fieldName: text } (empty fields are skipped by text filters)
+ *   targetId: title or rating the text is posted on
+ *
+ * => { action: 'allow'|'review'|'reject', status: 'visible'|'pending',
+ *      reasons: ['word_list: ...'], message }
+ * Staff posts skip the filters.
+ */
+export const screenContent = async ({ req, scope, texts = {}, targetId = null }) => {
+  const allow = { action: 'allow', status: 'visible', reasons: [], message: '' };
+  if (!FILTER_ENABLED || (req?.user && isStaff(req.user))) return allow;
+
+  const fields = Object.entries(texts)
+    .map(([field, text]) => ({ field, text: String(text ?? '').trim() }))
+    .filter((f) => f.text);
+  const joined = fields.map((f) => f.text).join('\n');
+
+  const submission = {
+    scope,
+    fields,
+    targetId,
+    userId: req?.user?._id || null,
+    ipHash: clientIp(req) ? sha256(clientIp(req)) : '',
+    fingerprint: clientFingerprint(req),
+    textHash: hashText(joined),
+    textLength: joined.length,
+  };
+
+  const reasons = [];
+  for (const filter of CONTENT_FILTERS) {
+    let result = null;
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      result = await filter.check(submission);
+    } catch (e) {
+      // A broken filter must not block posting
+      console.warn(`[contentFilter] ${filter.name}:`, e?.message || e);
+    }
+    if (!result) continue;
+
+    if (result.action === 'reject') {
+      return {
+        action: 'reject',
+        status: 'rejected',
+        reasons: [filter.name],
+        message: 'Too many posts, please try again later.',
+      };
+    }
+    reasons.push(result.detail ? `${filter.name}: ${result.detail}` : filter.name);
+  }
+
+  const status = reasons.length ? 'pending' : 'visible';
+
+  try {
+    await ContentSubmission.create({
+      scope,
+      targetId,
+      userId: submission.userId,
+      ipHash: submission.ipHash,
+      fingerprint: submission.fingerprint,
+      textHash: submission.textHash,
+      status,
+      expiresAt: new Date(Date.now() + WINDOW_HOURS * 60 * 60 * 1000),
+    });
+  } catch (e) {
+    console.warn('[contentFilter] log:', e?.message || e);
+  }
+
+  return reasons.length
+    ? {
+      action: 'review',
+      status,
+      reasons,
+      message: 'Thanks! Your comment will appear after a quick review.',
+    }
+    : allow;
+};
+
+export default {
+  normalizeText,
+  tokenize,
+  findBlockedWords,
+  findLinks,
+  isRepetitive,
+  hashText,
+  clientFingerprint,
+  registerContentFilter,
+  screenContent,
+};
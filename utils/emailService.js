@@ -2,6 +2,8 @@ import dotenv from 'dotenv';
 dotenv.config();
 
 import nodemailer from 'nodemailer';
+import { canEmailUser } from './notificationPreferences.js';
+import { renderEmailTemplate } from './emailTemplates.js';
 
 const {
   SMTP_HOST,
@@ -14,12 +16,14 @@ const {
 
 let transporter = null;
 
-if (SMTP_HOST && SMTP_PORT && SMTP_USER && SMTP_PASS) {
+// SMTP_USER/SMTP_PASS are optional so a local relay
+// (MailHog, Mailpit, smtp4dev...) works without auth.
+if (SMTP_HOST && SMTP_PORT) {
   transporter = nodemailer.createTransport({
     host: SMTP_HOST,
     port: Number(SMTP_PORT),
     secure: String(SMTP_SECURE).toLowerCase() === 'true',
-    auth: { user: SMTP_USER, pass: SMTP_PASS },
+    ...(SMTP_USER && SMTP_PASS && { auth: { user: SMTP_USER, pass: SMTP_PASS } }),
   });
 } else {
   console.warn('[email] Missing SMTP env vars. Email sending disabled.');
@@ -27,34 +31,42 @@ if (SMTP_HOST && SMTP_PORT && SMTP_USER && SMTP_PASS) {
 
 export const isEmailEnabled = () => !!transporter;
 
-export const sendEmail = async ({ to, subject, html }) => {
+// userId + type: notification emails honour the user's preferences
+// (account emails omit them and are always sent).
+export const sendEmail = async ({ to, subject, html, text, headers, userId, type }) => {
   if (!transporter) return { skipped: true };
-  const from = EMAIL_FROM || SMTP_USER;
-  const info = await transporter.sendMail({ from, to, subject, html });
+  if (userId && !(await canEmailUser(userId, type))) {
+    return { skipped: true, reason: 'opted_out' };
+  }
+
+  const from = EMAIL_FROM || SMTP_USER || 'MovieFrost <no-reply@moviefrost.com>';
+  const info = await transporter.sendMail({
+    from,
+    to,
+    subject,
+    html,
+    ...(text && { text }),
+    ...(headers && { headers }),
+  });
   return { skipped: false, messageId: info.messageId };
 };
 
-export const buildMovieCampaignHtml = ({ title, message, link, imageUrl }) => {
-  const safeTitle = title || 'MovieFrost';
-  const safeMessage = message || '';
-  const safeLink = link || 'https://www.moviefrost.com';
-  const safeImage = imageUrl || '';
-
-  return `<!DOCTYPE html>
-<html>
-<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"></head>
-<body style="margin:0;padding:0;background:#080A1A;font-family:Arial,sans-serif;">
-  <div style="max-width:600px;margin:24px auto;background:#0B0F29;border:1px solid #4b5563;border-radius:12px;overflow:hidden;padding:20px;color:#fff;">
-    <h2 style="margin:0 0 12px 0;">${safeTitle}</h2>
-    ${
-      safeImage
-        ? `<img src="${safeImage}" alt="${safeTitle}" style="width:100%;max-height:320px;object-fit:cover;border-radius:10px;margin-bottom:12px;" />`
-        : ''
-    }
-    ${safeMessage ? `<p style="color:#C0C0C0;line-height:1.6;">${safeMessage}</p>` : ''}
-    <a href="${safeLink}" style="display:inline-block;background:#1B82FF;color:#fff;text-decoration:none;padding:12px 18px;border-radius:8px;font-weight:bold;">Watch Now</a>
-    <p style="color:#C0C0C0;font-size:12px;margin-top:14px;">Link: ${safeLink}</p>
-  </div>
-</body>
-</html>`;
+// Account emails (never filtered by preferences). Templates live in
+// utils/emailTemplates.js; locale is "en" or "hi".
+export const buildPasswordResetEmail = ({ fullName, link, expiresInMinutes, locale }) => {
+  const { subject, html, text } = renderEmailTemplate(
+    'password_reset',
+    { fullName, link, expiresInMinutes },
+    { locale }
+  );
+  return { subject, html, text };
+};
+
+export const buildEmailVerificationEmail = ({ fullName, link, expiresInHours, locale }) => {
+  const { subject, html, text } = renderEmailTemplate(
+    'email_verification',
+    { fullName, link, expiresInHours },
+    { locale }
+  );
+  return { subject, html, text };
 };
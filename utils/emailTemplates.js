@@ -0,0 +1,318 @@
+// backend/utils/emailTemplates.js
+// Named, localized email templates.
+//
+//   renderEmailTemplate('campaign', { title, message, link, ... }, { locale: 'hi' })
+//     => { subject, html, text, locale }
+//
+// Every template has an English and a Hindi variant, a plain-text
+// alternative, and sample data for the admin preview endpoint. All data is
+// HTML-escaped, and links that are not http(s) fall back to the home page.
+
+const FRONTEND_BASE_URL = String(
+  process.env.PUBLIC_FRONTEND_URL || 'https://www.moviefrost.com'
+).replace(/\/+$/, '');
+
+export const EMAIL_LOCALES = ['en', 'hi'];
+export const DEFAULT_EMAIL_LOCALE = 'en';
+
+export const escapeHtml = (value = '') =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const safeUrl = (value, fallback = FRONTEND_BASE_URL) => {
+  const url = String(value ?? '').trim();
+  return /^https?:\/\/\S+$/i.test(url) ? url : fallback;
+};
+
+// Escaped, keeping the author's line breaks
+const paragraphHtml = (value) => escapeHtml(value).replace(/\r?\n/g, '<br>');
+
+const firstName = (fullName, fallback) => String(fullName || '').trim() || fallback;
+
+/**
+ * First supported locale among the candidates ("hi-IN" => "hi"),
+ * e.g. resolveEmailLocale(preferences.locale, req.headers['accept-language']).
+ */
+export const resolveEmailLocale = (...candidates) => {
+  for (const candidate of candidates) {
+    const tags = String(candidate || '')
+      .split(',')
+      .map((t) => t.split(';')[0].trim().toLowerCase().split('-')[0])
+      .filter(Boolean);
+
+    const match = tags.find((t) => EMAIL_LOCALES.includes(t));
+    if (match) return match;
+  }
+  return DEFAULT_EMAIL_LOCALE;
+};
+
+// Strings shared by all templates
+const COMMON = {
+  en: {
+    linkLabel: 'Link',
+    unsubscribePrompt: "Don't want these emails?",
+    unsubscribe: 'Unsubscribe',
+  },
+  hi: {
+    linkLabel: 'लिंक',
+    unsubscribePrompt: 'ये ईमेल नहीं चाहिए?',
+    unsubscribe: 'सदस्यता छोड़ें',
+  },
+};
+
+/**
+ * Template definitions. `build(data, locale)` returns the content blocks:
+ * { subject, heading, image?, paragraphs[], button{label,url}, footer? }
+ */
+const TEMPLATES = {
+  campaign: {
+    description: 'Admin push/email campaign',
+    sample: {
+      title: 'Mirzapur Season 3 is here',
+      message: 'All 10 episodes are now streaming.\nWatch in Hindi or English.',
+      link: `${FRONTEND_BASE_URL}/movie/mirzapur`,
+      imageUrl: `${FRONTEND_BASE_URL}/images/MOVIEFROST.png`,
+      unsubscribeUrl: `${FRONTEND_BASE_URL}/unsubscribe-preview`,
+    },
+    build: (d, locale) => {
+      const title = String(d.title || '').trim() || 'MovieFrost';
+      return {
+        subject: title,
+        heading: title,
+        image: d.imageUrl,
+        paragraphs: d.message ? [d.message] : [],
+        button: { label: locale === 'hi' ? 'अभी देखें' : 'Watch Now', url: d.link },
+      };
+    },
+  },
+
+  watch_request_reply: {
+    description: 'Admin reply to a watch request',
+    sample: {
+      fullName: 'Aarav',
+      requestedTitle: 'Panchayat',
+      replyMessage: 'Good news! All seasons are now available.',
+      link: `${FRONTEND_BASE_URL}/movie/panchayat`,
+      unsubscribeUrl: `${FRONTEND_BASE_URL}/unsubscribe-preview`,
+    },
+    build: (d, locale) => {
+      const title = String(d.requestedTitle || '').trim();
+
+      if (locale === 'hi') {
+        return {
+          subject: `आपके अनुरोध का जवाब: ${title}`,
+          heading: 'आपके अनुरोध का जवाब आया है',
+          paragraphs: [
+            `नमस्ते ${firstName(d.fullName, 'दोस्त')}, हमारी टीम ने "${title}" के आपके अनुरोध का जवाब दिया है:`,
+            d.replyMessage,
+          ].filter(Boolean),
+          button: { label: 'अभी देखें', url: d.link },
+        };
+      }
+
+      return {
+        subject: `Reply to your request: ${title}`,
+        heading: 'Your watch request got a reply',
+        paragraphs: [
+          `Hi ${firstName(d.fullName, 'there')}, our team replied to your request for "${title}":`,
+          d.replyMessage,
+        ].filter(Boolean),
+        button: { label: 'Open MovieFrost', url: d.link },
+      };
+    },
+  },
+
+  password_reset: {
+    description: 'Password reset link (account email, always sent)',
+    sample: {
+      fullName: 'Aarav',
+      link: `${FRONTEND_BASE_URL}/reset-password?token=sample`,
+      expiresInMinutes: 30,
+    },
+    build: (d, locale) => {
+      if (locale === 'hi') {
+        return {
+          subject: 'अपना MovieFrost पासवर्ड रीसेट करें',
+          heading: 'पासवर्ड रीसेट करें',
+          paragraphs: [
+            `नमस्ते ${firstName(d.fullName, 'दोस्त')}, हमें आपका MovieFrost पासवर्ड रीसेट करने का अनुरोध मिला है। यह लिंक ${d.expiresInMinutes} मिनट में समाप्त हो जाएगा और केवल एक बार इस्तेमाल किया जा सकता है।`,
+          ],
+          button: { label: 'पासवर्ड रीसेट करें', url: d.link },
+          footer: 'अगर आपने यह अनुरोध नहीं किया है, तो इस ईमेल को अनदेखा करें। आपका पासवर्ड नहीं बदलेगा।',
+        };
+      }
+
+      return {
+        subject: 'Reset your MovieFrost password',
+        heading: 'Reset your password',
+        paragraphs: [
+          `Hi ${firstName(d.fullName, 'there')}, we received a request to reset your MovieFrost password. This link expires in ${d.expiresInMinutes} minutes and can be used once.`,
+        ],
+        button: { label: 'Reset Password', url: d.link },
+        footer: "If you didn't ask for this, you can ignore this email. Your password stays the same.",
+      };
+    },
+  },
+
+  email_verification: {
+    description: 'Confirm email address (account email, always sent)',
+    sample: {
+      fullName: 'Aarav',
+      link: `${FRONTEND_BASE_URL}/verify-email?token=sample`,
+      expiresInHours: 24,
+    },
+    build: (d, locale) => {
+      if (locale === 'hi') {
+        return {
+          subject: 'अपना MovieFrost ईमेल सत्यापित करें',
+          heading: 'अपना ईमेल सत्यापित करें',
+          paragraphs: [
+            `नमस्ते ${firstName(d.fullName, 'दोस्त')}, कृपया अपने MovieFrost खाते के लिए इस ईमेल पते की पुष्टि करें। यह लिंक ${d.expiresInHours} घंटे में समाप्त हो जाएगा।`,
+          ],
+          button: { label: 'ईमेल सत्यापित करें', url: d.link },
+          footer: 'अगर आपने MovieFrost खाता नहीं बनाया है, तो इस ईमेल को अनदेखा करें।',
+        };
+      }
+
+      return {
+        subject: 'Verify your MovieFrost email',
+        heading: 'Verify your email',
+        paragraphs: [
+          `Hi ${firstName(d.fullName, 'there')}, please confirm this email address for your MovieFrost account. This link expires in ${d.expiresInHours} hours.`,
+        ],
+        button: { label: 'Verify Email', url: d.link },
+        footer: "If you didn't create a MovieFrost account, you can ignore this email.",
+      };
+    },
+  },
+
+  new_episode: {
+    description: 'New episodes of a followed series',
+    sample: {
+      fullName: 'Aarav',
+      movieName: 'Mirzapur',
+      summary: 'Season 3, Episodes 1-10',
+      link: `${FRONTEND_BASE_URL}/movie/mirzapur`,
+      imageUrl: `${FRONTEND_BASE_URL}/images/MOVIEFROST.png`,
+      unsubscribeUrl: `${FRONTEND_BASE_URL}/unsubscribe-preview`,
+    },
+    build: (d, locale) => {
+      const name = String(d.movieName || '').trim();
+
+      if (locale === 'hi') {
+        return {
+          subject: `नए एपिसोड: ${name}`,
+          heading: `"${name}" के नए एपिसोड`,
+          image: d.imageUrl,
+          paragraphs: [
+            `नमस्ते ${firstName(d.fullName, 'दोस्त')}, आपकी फॉलो की हुई सीरीज़ में नए एपिसोड आ गए हैं: ${d.summary}`,
+          ],
+          button: { label: 'अभी देखें', url: d.link },
+        };
+      }
+
+      return {
+        subject: `New episodes: ${name}`,
+        heading: `New episodes of "${name}"`,
+        image: d.imageUrl,
+        paragraphs: [
+          `Hi ${firstName(d.fullName, 'there')}, a series you follow has new episodes: ${d.summary}`,
+        ],
+        button: { label: 'Watch Now', url: d.link },
+      };
+    },
+  },
+};
+
+export const EMAIL_TEMPLATE_NAMES = Object.keys(TEMPLATES);
+
+const renderHtml = (content, locale, unsubscribeUrl) => {
+  const common = COMMON[locale];
+  const link = safeUrl(content.button?.url);
+  const image = content.image ? safeUrl(content.image, '') : '';
+
+  return `<!DOCTYPE html>
+<html lang="${locale}">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${escapeHtml(content.subject)}</title></head>
+<body style="margin:0;padding:0;background:#080A1A;font-family:Arial,'Noto Sans Devanagari',sans-serif;">
+  <div style="max-width:600px;margin:24px auto;background:#0B0F29;border:1px solid #4b5563;border-radius:12px;overflow:hidden;padding:20px;color:#fff;">
+    <h2 style="margin:0 0 12px 0;">${escapeHtml(content.heading)}</h2>
+    ${
+      image
+        ? `<img src="${escapeHtml(image)}" alt="${escapeHtml(content.heading)}" style="width:100%;max-height:320px;object-fit:cover;border-radius:10px;margin-bottom:12px;" />`
+        : ''
+    }
+    ${(content.paragraphs || [])
+      .map((p) => `<p style="color:#C0C0C0;line-height:1.6;">${paragraphHtml(p)}</p>`)
+      .join('\n    ')}
+    <a href="${escapeHtml(link)}" style="display:inline-block;background:#1B82FF;color:#fff;text-decoration:none;padding:12px 18px;border-radius:8px;font-weight:bold;">${escapeHtml(content.button?.label)}</a>
+    <p style="color:#C0C0C0;font-size:12px;margin-top:14px;">${escapeHtml(common.linkLabel)}: ${escapeHtml(link)}</p>
+    ${content.footer ? `<p style="color:#C0C0C0;font-size:12px;">${escapeHtml(content.footer)}</p>` : ''}
+    ${
+      unsubscribeUrl
+        ? `<p style="color:#6b7280;font-size:11px;margin-top:18px;">${escapeHtml(common.unsubscribePrompt)} <a href="${escapeHtml(safeUrl(unsubscribeUrl))}" style="color:#9ca3af;">${escapeHtml(common.unsubscribe)}</a></p>`
+        : ''
+    }
+  </div>
+</body>
+</html>`;
+};
+
+const renderText = (content, locale, unsubscribeUrl) => {
+  const common = COMMON[locale];
+
+  return [
+    content.heading,
+    ...(content.paragraphs || []),
+    `${content.button?.label}: ${safeUrl(content.button?.url)}`,
+    content.footer,
+    unsubscribeUrl && `${common.unsubscribePrompt} ${common.unsubscribe}: ${safeUrl(unsubscribeUrl)}`,
+  ]
+    .filter(Boolean)
+    .join('\n\n');
+};
+
+/**
+ * Renders a named template. Throws on unknown names; unknown locales fall
+ * back to English. `data.unsubscribeUrl` adds the unsubscribe footer.
+ */
+export const renderEmailTemplate = (name, data = {}, { locale } = {}) => {
+  const template = TEMPLATES[name];
+  if (!template) throw new Error(`Unknown email template "${name}"`);
+
+  const lang = EMAIL_LOCALES.includes(locale) ? locale : DEFAULT_EMAIL_LOCALE;
+  const content = template.build(data || {}, lang);
+
+  return {
+    subject: String(content.subject || '').substring(0, 200),
+    html: renderHtml(content, lang, data?.unsubscribeUrl),
+    text: renderText(content, lang, data?.unsubscribeUrl),
+    locale: lang,
+  };
+};
+
+export const getEmailTemplateSample = (name) =>
+  TEMPLATES[name] ? { ...TEMPLATES[name].sample } : null;
+
+export const listEmailTemplates = () =>
+  EMAIL_TEMPLATE_NAMES.map((name) => ({
+    name,
+    description: TEMPLATES[name].description,
+    locales: EMAIL_LOCALES,
+    fields: Object.keys(TEMPLATES[name].sample),
+  }));
+
+export default {
+  EMAIL_LOCALES,
+  DEFAULT_EMAIL_LOCALE,
+  EMAIL_TEMPLATE_NAMES,
+  escapeHtml,
+  resolveEmailLocale,
+  renderEmailTemplate,
+  getEmailTemplateSample,
+  listEmailTemplates,
+};
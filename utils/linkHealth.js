@@ -0,0 +1,438 @@
+// backend/utils/linkHealth.js
+// Video link health: probes every movie/episode server URL and stores
+// the result per server in VideoLinkCheck.
+//
+// The HTTP prober is pluggable (setLinkProber / { prober } option), so the
+// checker can run against a local stub server. A prober is:
+//   async (url) => ({ ok: boolean, httpStatus: number|null, error?: string })
+
+import Movie from '../Models/MoviesModel.js';
+import VideoLinkCheck from '../Models/VideoLinkCheckModel.js';
+import { afterMovieMutation } from './movieIndexing.js';
+import { recordMovieRevisions, snapshotMovieBaselines } from './movieRevisions.js';
+
+const LINK_CHECK_TIMEOUT_MS = Math.max(
+  1000,
+  Number(process.env.LINK_CHECK_TIMEOUT_MS || 10000)
+);
+const LINK_CHECK_CONCURRENCY = Math.max(
+  1,
+  Number(process.env.LINK_CHECK_CONCURRENCY || 4)
+);
+const LINK_CHECK_BATCH = Math.max(1, Number(process.env.LINK_CHECK_BATCH || 20));
+
+// Per run: stop starting titles once the budget is spent (serverless limit),
+// and probe at most this many URLs in total
+const LINK_CHECK_BUDGET_MS = Math.max(
+  1000,
+  Number(process.env.LINK_CHECK_BUDGET_MS || 20000)
+);
+const LINK_CHECK_MAX_LINKS = Math.max(
+  1,
+  Number(process.env.LINK_CHECK_MAX_LINKS || 40)
+);
+
+// Timeouts / 5xx count as "dead" only after this many checks in a row
+const DEAD_AFTER_FAILURES = Math.max(
+  1,
+  Number(process.env.LINK_CHECK_DEAD_AFTER || 3)
+);
+
+export const LINK_CHECK_AUTO_UNPUBLISH =
+  String(process.env.LINK_CHECK_AUTO_UNPUBLISH || 'false').toLowerCase() ===
+  'true';
+
+// Gone for sure: no need to wait for repeated failures
+const DEAD_HTTP_STATUSES = new Set([404, 410, 451]);
+
+// Hosts that refuse HEAD often answer GET fine
+const RETRY_WITH_GET_STATUSES = new Set([400, 403, 405, 501]);
+
+export const MOVIE_SERVER_FIELDS = [
+  'video',
+  'videoUrl2',
+  'videoUrl3',
+  'videoUrl7',
+  'downloadUrl',
+];
+export const EPISODE_SERVER_FIELDS = ['video', 'videoUrl2', 'videoUrl3'];
+
+// Downloads are not a streaming server (ignored for auto-unpublish)
+const NON_STREAM_FIELDS = new Set(['downloadUrl']);
+
+const MOVIE_SELECT = `_id name slug type isPublished latestNew banner latest previousHit ${MOVIE_SERVER_FIELDS.join(
+  ' '
+)} episodes._id episodes.seasonNumber episodes.episodeNumber ${EPISODE_SERVER_FIELDS.map(
+  (f) => `episodes.${f}`
+).join(' ')}`;
+
+const isHttpUrl = (value) => /^https?:\/\/\S+$/i.test(String(value || '').trim());
+
+/**
+ * Default prober: HEAD, then a 1-byte ranged GET when HEAD is refused.
+ * Redirects are followed; bodies are never downloaded.
+ */
+export const createHttpProber = ({
+  timeoutMs = LINK_CHECK_TIMEOUT_MS,
+  fetchImpl = globalThis.fetch,
+} = {}) => {
+  const request = async (url, method) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      const res = await fetchImpl(url, {
+        method,
+        redirect: 'follow',
+        signal: controller.signal,
+        headers: {
+          'User-Agent': 'MovieFrost-LinkChecker/1.0',
+          ...(method === 'GET' && { Range: 'bytes=0-0' }),
+        },
+      });
+
+      try {
+        await res.body?.cancel();
+      } catch {
+        // ignore
+      }
+
+      return res.status;
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  return async (url) => {
+    try {
+      let httpStatus = await request(url, 'HEAD');
+
+      if (RETRY_WITH_GET_STATUSES.has(httpStatus) || httpStatus >= 500) {
+        httpStatus = await request(url, 'GET');
+      }
+
+      return { ok: httpStatus < 400, httpStatus };
+    } catch (e) {
+      return {
+        ok: false,
+        httpStatus: null,
+        error: e?.name === 'AbortError' ? 'timeout' : String(e?.message || e),
+      };
+    }
+  };
+};
+
+let activeProber = createHttpProber();
+
+// Swap the prober (tests / local stub server). Pass null to reset.
+export const setLinkProber = (prober) => {
+  activeProber = typeof prober === 'function' ? prober : createHttpProber();
+};
+
+const classify = (result, previousFailures) => {
+  if (result.ok) return { status: 'ok', consecutiveFailures: 0 };
+
+  const consecutiveFailures = previousFailures + 1;
+  const dead =
+    DEAD_HTTP_STATUSES.has(result.httpStatus) ||
+    consecutiveFailures >= DEAD_AFTER_FAILURES;
+
+  return { status: dead ? 'dead' : 'error', consecutiveFailures };
+};
+
+const targetKey = (episodeId, field) => `${episodeId ? String(episodeId) : ''}:${field}`;
+
+/**
+ * Every server URL of a movie (movie level + each episode).
+ */
+export const collectMovieLinks = (movie) => {
+  const targets = [];
+
+  MOVIE_SERVER_FIELDS.forEach((field) => {
+    const url = String(movie?.[field] || '').trim();
+    if (isHttpUrl(url)) {
+      targets.push({
+        episodeId: null,
+        seasonNumber: null,
+        episodeNumber: null,
+        field,
+        url,
+      });
+    }
+  });
+
+  (Array.isArray(movie?.episodes) ? movie.episodes : []).forEach((ep) => {
+    EPISODE_SERVER_FIELDS.forEach((field) => {
+      const url = String(ep?.[field] || '').trim();
+      if (ep?._id && isHttpUrl(url)) {
+        targets.push({
+          episodeId: ep._id,
+          seasonNumber: ep.seasonNumber ?? null,
+          episodeNumber: ep.episodeNumber ?? null,
+          field,
+          url,
+        });
+      }
+    });
+  });
+
+  return targets;
+};
+
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next;
+      next += 1;
+      // eslint-disable-next-line no-await-in-loop
+      results[i] = await fn(items[i], i);
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+
+  return results;
+};
+
+const unpublishDeadMovie = async (movie) => {
+  await snapshotMovieBaselines([movie._id]);
+
+  const result = await Movie.updateOne(
+    { _id: movie._id, isPublished: { $ne: false } },
+    { $set: { isPublished: false } }
+  );
+
+  if (!result.modifiedCount) return false;
+
+  await recordMovieRevisions({ ids: [movie._id], action: 'link_check' });
+
+  try {
+    await afterMovieMutation({
+      action: 'update',
+      before: movie,
+      after: { ...movie, isPublished: false },
+      audit: {
+        req: null,
+        before: { isPublished: movie.isPublished !== false },
+        after: { isPublished: false },
+        meta: { source: 'link-checker', reason: 'all_servers_dead' },
+      },
+    });
+  } catch (e) {
+    console.warn('[link-health] unpublish indexing:', e?.message || e);
+  }
+
+  return true;
+};
+
+/**
+ * Probe the servers of one movie and store the results.
+ * With more than maxLinks servers (long series), only the ones checked
+ * longest ago are probed; the rest wait for a later run (deferred).
+ * Returns { movieId, total, deferred, ok, dead, error, allDead, unpublished }.
+ */
+export const checkMovieLinks = async (
+  movie,
+  {
+    prober = activeProber,
+    autoUnpublish = LINK_CHECK_AUTO_UNPUBLISH,
+    maxLinks = Infinity,
+    now = new Date(),
+  } = {}
+) => {
+  const allTargets = collectMovieLinks(movie);
+
+  const existing = await VideoLinkCheck.find({ movieId: movie._id }).lean();
+  const existingByKey = new Map(
+    existing.map((row) => [targetKey(row.episodeId, row.field), row])
+  );
+
+  // Previous result for the same URL, if any
+  const previousOf = (t) => {
+    const prev = existingByKey.get(targetKey(t.episodeId, t.field));
+    return prev && prev.url === t.url ? prev : null;
+  };
+  const checkedTime = (t) => new Date(previousOf(t)?.checkedAt || 0).getTime();
+
+  const targets =
+    allTargets.length > maxLinks
+      ? [...allTargets].sort((a, b) => checkedTime(a) - checkedTime(b)).slice(0, maxLinks)
+      : allTargets;
+
+  const rows = await mapWithConcurrency(targets, LINK_CHECK_CONCURRENCY, async (t) => {
+    const prev = existingByKey.get(targetKey(t.episodeId, t.field));
+    // A new URL starts with a clean failure count
+    const previousFailures = prev && prev.url === t.url ? prev.consecutiveFailures || 0 : 0;
+
+    let result;
+    try {
+      result = await prober(t.url);
+    } catch (e) {
+      result = { ok: false, httpStatus: null, error: String(e?.message || e) };
+    }
+
+    const { status, consecutiveFailures } = classify(result, previousFailures);
+
+    return {
+      ...t,
+      status,
+      consecutiveFailures,
+      httpStatus: result.httpStatus ?? null,
+      error: result.ok ? '' : String(result.error || `HTTP ${result.httpStatus}`).substring(0, 300),
+      lastOkAt: result.ok ? now : prev?.url === t.url ? prev?.lastOkAt || null : null,
+    };
+  });
+
+  const liveKeys = new Set(allTargets.map((t) => targetKey(t.episodeId, t.field)));
+  const staleIds = existing
+    .filter((row) => !liveKeys.has(targetKey(row.episodeId, row.field)))
+    .map((row) => row._id);
+
+  const ops = rows.map((r) => ({
+    updateOne: {
+      filter: { movieId: movie._id, episodeId: r.episodeId, field: r.field },
+      update: {
+        $set: {
+          seasonNumber: r.seasonNumber,
+          episodeNumber: r.episodeNumber,
+          url: r.url,
+          status: r.status,
+          httpStatus: r.httpStatus,
+          error: r.error,
+          consecutiveFailures: r.consecutiveFailures,
+          checkedAt: now,
+          lastOkAt: r.lastOkAt,
+        },
+      },
+      upsert: true,
+    },
+  }));
+
+  if (staleIds.length) {
+    ops.push({ deleteMany: { filter: { _id: { $in: staleIds } } } });
+  }
+
+  if (ops.length) await VideoLinkCheck.bulkWrite(ops, { ordered: false });
+
+  // Bookkeeping only: don't bump updatedAt
+  await Movie.updateOne(
+    { _id: movie._id },
+    { $set: { linksCheckedAt: now } },
+    { timestamps: false }
+  );
+
+  // Deferred servers count with their last known status (unknown = not dead)
+  const rowsByKey = new Map(rows.map((r) => [targetKey(r.episodeId, r.field), r]));
+  const streamStatuses = allTargets
+    .filter((t) => !NON_STREAM_FIELDS.has(t.field))
+    .map((t) => (rowsByKey.get(targetKey(t.episodeId, t.field)) || previousOf(t))?.status);
+  const allDead =
+    streamStatuses.length > 0 && streamStatuses.every((status) => status === 'dead');
+
+  const unpublished =
+    autoUnpublish && allDead && movie.isPublished !== false
+      ? await unpublishDeadMovie(movie)
+      : false;
+
+  return {
+    movieId: movie._id,
+    name: movie.name,
+    total: rows.length,
+    deferred: allTargets.length - rows.length,
+    ok: rows.filter((r) => r.status === 'ok').length,
+    dead: rows.filter((r) => r.status === 'dead').length,
+    error: rows.filter((r) => r.status === 'error').length,
+    allDead,
+    unpublished,
+  };
+};
+
+/**
+ * Check a batch of titles: the given movieIds, or the ones checked
+ * longest ago (never-checked first). Stops between titles once budgetMs
+ * is spent or maxLinks URLs were probed; titles not reached keep their
+ * old linksCheckedAt, so the next run starts with them (pending).
+ */
+export const runLinkHealthCheck = async ({
+  movieIds = null,
+  limit = LINK_CHECK_BATCH,
+  prober = activeProber,
+  autoUnpublish = LINK_CHECK_AUTO_UNPUBLISH,
+  budgetMs = LINK_CHECK_BUDGET_MS,
+  maxLinks = LINK_CHECK_MAX_LINKS,
+} = {}) => {
+  const startedAt = Date.now();
+
+  const query = Array.isArray(movieIds) && movieIds.length
+    ? Movie.find({ _id: { $in: movieIds } })
+    : Movie.find({}).sort({ linksCheckedAt: 1, _id: 1 }).limit(limit);
+
+  const movies = await query.select(MOVIE_SELECT).lean();
+
+  const results = [];
+  let probed = 0;
+  for (const movie of movies) {
+    if (Date.now() - startedAt >= budgetMs || probed >= maxLinks) break;
+
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const result = await checkMovieLinks(movie, {
+        prober,
+        autoUnpublish,
+        maxLinks: maxLinks - probed,
+      });
+      probed += result.total;
+      results.push(result);
+    } catch (e) {
+      console.warn(`[link-health] ${movie._id}:`, e?.message || e);
+    }
+  }
+
+  return {
+    checkedMovies: results.length,
+    pendingMovies: movies.length - results.length,
+    deferredLinks: results.reduce((n, r) => n + r.deferred, 0),
+    links: {
+      ok: results.reduce((n, r) => n + r.ok, 0),
+      dead: results.reduce((n, r) => n + r.dead, 0),
+      error: results.reduce((n, r) => n + r.error, 0),
+    },
+    allDead: results.filter((r) => r.allDead).map((r) => r.movieId),
+    unpublished: results.filter((r) => r.unpublished).map((r) => r.movieId),
+    results,
+  };
+};
+
+let linkCheckRunning = false;
+
+// Timer wrapper: never throws, never overlaps
+export const runLinkHealthCheckSafe = async () => {
+  if (linkCheckRunning) return null;
+  linkCheckRunning = true;
+
+  try {
+    return await runLinkHealthCheck();
+  } catch (e) {
+    console.warn('[link-health] run failed:', e?.message || e);
+    return null;
+  } finally {
+    linkCheckRunning = false;
+  }
+};
+
+export default {
+  LINK_CHECK_AUTO_UNPUBLISH,
+  MOVIE_SERVER_FIELDS,
+  EPISODE_SERVER_FIELDS,
+  createHttpProber,
+  setLinkProber,
+  collectMovieLinks,
+  checkMovieLinks,
+  runLinkHealthCheck,
+  runLinkHealthCheckSafe,
+};
@@ -1,9 +1,11 @@
 // backend/utils/movieIndexing.js
 // 1) Revalidates frontend-next ISR caches (so bots/users see fresh HTML)
 // 2) Submits IndexNow URLs (Bing/Yandex/etc)
+// 3) Writes the admin audit log (when `audit` is passed)
 
 import { notifyIndexNow, buildMoviePublicUrls, isIndexNowEnabled } from './indexNowService.js';
 import { revalidateFrontend, isFrontendRevalidateEnabled } from './frontendRevalidateService.js';
+import { recordAudit } from './auditLog.js';
 
 const PING_LIST_PAGES =
   String(process.env.INDEXNOW_PING_LIST_PAGES || 'true').toLowerCase() === 'true';
@@ -44,7 +46,34 @@ const didHomeAffect = (before, after, action) => {
   return false;
 };
 
-export const afterMovieMutation = async ({ action = 'update', before = null, after = null } = {}) => {
+/**
+ * `audit` = { req, before?, after?, meta? }: records who did it.
+ * audit.before/after may be fuller snapshots than `before`/`after` (which
+ * only need the indexing fields); they are used for the diff.
+ */
+export const afterMovieMutation = async ({
+  action = 'update',
+  before = null,
+  after = null,
+  audit = null,
+} = {}) => {
+  // Audit even drafts: unpublished edits still need an owner
+  if (audit) {
+    await recordAudit({
+      req: audit.req,
+      action: `movie.${action}`,
+      targetModel: 'Movie',
+      before: audit.before ?? before,
+      after: audit.after ?? after,
+      meta: audit.meta ?? null,
+    });
+  }
+
+  // Restored from trash: reappears exactly like a newly created item
+  if (action === 'restore') action = 'create';
+  // Rolled back to an earlier revision: a regular update for indexing
+  if (action === 'rollback') action = 'update';
+
   const beforeSeg = segOf(before);
   const afterSeg = segOf(after);
 
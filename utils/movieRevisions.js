@@ -0,0 +1,228 @@
+// backend/utils/movieRevisions.js
+// Versioned movie snapshots for admin writes (history, diff, rollback).
+//
+// Usage around a write:
+//   await snapshotMovieBaselines(ids);                      // before
+//   ...write...
+//   await recordMovieRevisions({ ids, action, req });       // after
+//
+// Not tracked: view counters, ratings/reviews and order-only reorders.
+// Both helpers are best effort and never throw.
+
+import { createHash } from 'crypto';
+import mongoose from 'mongoose';
+import Movie from '../Models/MoviesModel.js';
+import MovieRevision from '../Models/MovieRevisionModel.js';
+import { diffSnapshots } from './auditLog.js';
+
+// Keep this many versions per movie (oldest are pruned)
+const REVISION_LIMIT = Math.max(
+  5,
+  Number(process.env.MOVIE_REVISION_LIMIT || 50)
+);
+
+// Counters / bookkeeping that must never be rolled back
+export const NON_REVISIONED_FIELDS = [
+  '_id',
+  '__v',
+  'createdAt',
+  'updatedAt',
+  'reviews',
+  'rate',
+  'numberOfReviews',
+  'weightedRate',
+  'viewCount',
+  'externalRatings',
+  'externalRatingsUpdatedAt',
+  'tmdbCreditsUpdatedAt',
+  'linksCheckedAt',
+  'orderIndex',
+  'deletedAt',
+  'deletedBy',
+];
+
+const LOAD_SELECT = NON_REVISIONED_FIELDS.filter((f) => f !== '_id')
+  .map((f) => `-${f}`)
+  .join(' ');
+
+const uniqIds = (ids) =>
+  Array.from(new Set((ids || []).filter(Boolean).map(String)));
+
+/**
+ * Plain, JSON-safe snapshot of the revisioned fields of a movie.
+ */
+export const buildMovieSnapshot = (doc) => {
+  if (!doc) return null;
+  const obj =
+    typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+  const plain = JSON.parse(JSON.stringify(obj));
+
+  NON_REVISIONED_FIELDS.forEach((f) => delete plain[f]);
+
+  // Stable key order so equal snapshots hash equally
+  return Object.keys(plain)
+    .sort()
+    .reduce((acc, key) => {
+      acc[key] = plain[key];
+      return acc;
+    }, {});
+};
+
+const hashSnapshot = (snapshot) =>
+  createHash('sha1').update(JSON.stringify(snapshot)).digest('hex');
+
+const loadMovies = (ids) =>
+  Movie.find({ _id: { $in: ids } })
+    .setOptions({ withDeleted: true })
+    .select(LOAD_SELECT)
+    .lean();
+
+const latestRevisions = async (ids) => {
+  const rows = await MovieRevision.aggregate([
+    {
+      $match: {
+        movieId: { $in: ids.map((id) => new mongoose.Types.ObjectId(id)) },
+      },
+    },
+    { $sort: { movieId: 1, version: -1 } },
+    {
+      $group: {
+        _id: '$movieId',
+        version: { $first: '$version' },
+        hash: { $first: '$hash' },
+        snapshot: { $first: '$snapshot' },
+      },
+    },
+  ]);
+
+  return new Map(rows.map((r) => [String(r._id), r]));
+};
+
+const pruneOldRevisions = async (inserted) => {
+  const ops = inserted
+    .filter((r) => r.version > REVISION_LIMIT)
+    .map((r) => ({
+      deleteMany: {
+        filter: {
+          movieId: r.movieId,
+          version: { $lte: r.version - REVISION_LIMIT },
+        },
+      },
+    }));
+
+  if (ops.length) await MovieRevision.bulkWrite(ops, { ordered: false });
+};
+
+/**
+ * Titles that have no history yet get their current state stored as
+ * version 1 ("baseline"), so the write that follows can be rolled back.
+ */
+export const snapshotMovieBaselines = async (ids = []) => {
+  try {
+    const all = uniqIds(ids);
+    if (!all.length) return 0;
+
+    const tracked = new Set(
+      (await MovieRevision.distinct('movieId', { movieId: { $in: all } })).map(
+        String
+      )
+    );
+
+    const missing = all.filter((id) => !tracked.has(id));
+    if (!missing.length) return 0;
+
+    const movies = await loadMovies(missing);
+    if (!movies.length) return 0;
+
+    const docs = movies.map((movie) => {
+      const snapshot = buildMovieSnapshot(movie);
+      return {
+        movieId: movie._id,
+        version: 1,
+        action: 'baseline',
+        snapshot,
+        hash: hashSnapshot(snapshot),
+      };
+    });
+
+    // ordered:false => a concurrent baseline (duplicate version) is ignored
+    const inserted = await MovieRevision.insertMany(docs, {
+      ordered: false,
+    }).catch((e) => e?.insertedDocs || []);
+
+    return inserted.length;
+  } catch (e) {
+    console.warn('[revisions] baseline failed:', e?.message || e);
+    return 0;
+  }
+};
+
+/**
+ * Store the current state of each movie as a new version.
+ * Movies whose state equals their latest version are skipped.
+ */
+export const recordMovieRevisions = async ({
+  ids = [],
+  action = 'update',
+  req = null,
+  meta = null,
+} = {}) => {
+  try {
+    const all = uniqIds(ids);
+    if (!all.length) return 0;
+
+    const [movies, latest] = await Promise.all([
+      loadMovies(all),
+      latestRevisions(all),
+    ]);
+
+    const actor = {
+      userId: req?.user?._id || null,
+      name: String(req?.user?.fullName || ''),
+    };
+
+    const docs = movies
+      .map((movie) => {
+        const snapshot = buildMovieSnapshot(movie);
+        const hash = hashSnapshot(snapshot);
+        const prev = latest.get(String(movie._id));
+
+        if (prev && prev.hash === hash) return null;
+
+        return {
+          movieId: movie._id,
+          version: (prev?.version || 0) + 1,
+          action,
+          snapshot,
+          hash,
+          changedFields: Object.keys(diffSnapshots(prev?.snapshot, snapshot)),
+          actor,
+          meta,
+        };
+      })
+      .filter(Boolean);
+
+    if (!docs.length) return 0;
+
+    const inserted = await MovieRevision.insertMany(docs, {
+      ordered: false,
+    }).catch((e) => {
+      console.warn('[revisions] some versions skipped:', e?.message || e);
+      return e?.insertedDocs || [];
+    });
+
+    await pruneOldRevisions(inserted);
+
+    return inserted.length;
+  } catch (e) {
+    console.warn('[revisions] record failed:', e?.message || e);
+    return 0;
+  }
+};
+
+export default {
+  NON_REVISIONED_FIELDS,
+  buildMovieSnapshot,
+  snapshotMovieBaselines,
+  recordMovieRevisions,
+};
@@ -0,0 +1,262 @@
+// backend/utils/newEpisodeAlerts.js
+// New-episode alerts for followed web series.
+// 1) Diff old vs new episodes[] by (seasonNumber, episodeNumber)
+// 2) One in-app Notification per follower (several episodes collapse into one)
+// 3) One web push + email per follower, queued (utils/outboundQueue.js)
+// Drafts stay quiet; when one is published, each follower hears about the
+// episodes added since their last alert (notifyNewEpisodesOnPublish).
+// Safe: callers wrap it in try/catch, it never blocks a save.
+
+import Movie from '../Models/MoviesModel.js';
+import SeriesFollow from '../Models/SeriesFollowModel.js';
+import { enqueuePush, enqueueTemplateEmails } from './outboundQueue.js';
+import { createInAppNotifications } from './notificationPreferences.js';
+
+const FRONTEND_BASE_URL = String(
+  process.env.PUBLIC_FRONTEND_URL || 'https://www.moviefrost.com'
+).replace(/\/+$/, '');
+
+const episodeKey = (ep) =>
+  `${Number(ep?.seasonNumber) || 1}:${Number(ep?.episodeNumber)}`;
+
+/**
+ * Minimal episode snapshot used for diffing (safe to keep around
+ * after the document is mutated).
+ */
+export const snapshotEpisodes = (episodes) =>
+  (Array.isArray(episodes) ? episodes : [])
+    .filter((ep) => Number.isFinite(Number(ep?.episodeNumber)))
+    .map((ep) => ({
+      seasonNumber: Number(ep.seasonNumber) || 1,
+      episodeNumber: Number(ep.episodeNumber),
+    }));
+
+/**
+ * Episodes present in `after` but not in `before`,
+ * sorted by season then episode.
+ */
+export const diffNewEpisodes = (before = [], after = []) => {
+  const seen = new Set(snapshotEpisodes(before).map(episodeKey));
+  const added = new Map();
+
+  for (const ep of snapshotEpisodes(after)) {
+    const key = episodeKey(ep);
+    if (!seen.has(key) && !added.has(key)) added.set(key, ep);
+  }
+
+  return Array.from(added.values()).sort(
+    (a, b) => a.seasonNumber - b.seasonNumber || a.episodeNumber - b.episodeNumber
+  );
+};
+
+// [1,2,3,5] => "1-3, 5"
+const compactRanges = (numbers = []) => {
+  const sorted = Array.from(new Set(numbers)).sort((a, b) => a - b);
+  const parts = [];
+
+  for (let i = 0; i < sorted.length; i++) {
+    const start = sorted[i];
+    let end = start;
+
+    while (i + 1 < sorted.length && sorted[i + 1] === end + 1) {
+      end = sorted[i + 1];
+      i += 1;
+    }
+
+    parts.push(start === end ? `${start}` : `${start}-${end}`);
+  }
+
+  return parts.join(', ');
+};
+
+/**
+ * Human summary, e.g.
+ * - "Season 2, Episode 1"
+ * - "Season 2, Episodes 1-4"
+ * - "Season 1, Episode 10 · Season 2, Episodes 1-3"
+ */
+export const describeNewEpisodes = (added = []) => {
+  const bySeason = new Map();
+
+  for (const ep of added) {
+    if (!bySeason.has(ep.seasonNumber)) bySeason.set(ep.seasonNumber, []);
+    bySeason.get(ep.seasonNumber).push(ep.episodeNumber);
+  }
+
+  return Array.from(bySeason.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([season, eps]) => {
+      const label = eps.length === 1 ? 'Episode' : 'Episodes';
+      return `Season ${season}, ${label} ${compactRanges(eps)}`;
+    })
+    .join(' · ');
+};
+
+/**
+ * In-app notification, push and email about `added` episodes of `movie`
+ * for `userIds`; stamps their follows' lastNotifiedAt.
+ */
+const sendEpisodeAlerts = async ({ movie, added, userIds }) => {
+  const summary = describeNewEpisodes(added);
+  const seg = String(movie.slug || movie._id);
+  const link = `/movie/${seg}`;
+  const title = `New episodes: ${movie.name}`;
+  const message = `${summary} now streaming on MovieFrost`;
+
+  const episodes = added.map((ep) => ({
+    seasonNumber: ep.seasonNumber,
+    episodeNumber: ep.episodeNumber,
+  }));
+
+  await createInAppNotifications(
+    userIds.map((userId) => ({
+      recipient: userId,
+      forAdmin: false,
+      type: 'new_episode',
+      title,
+      message,
+      link,
+      meta: {
+        movieId: movie._id,
+        movieSlug: movie.slug || null,
+        movieName: movie.name,
+        episodes,
+      },
+    }))
+  );
+
+  const push = await enqueuePush(
+    userIds,
+    {
+      title,
+      body: message,
+      url: `${FRONTEND_BASE_URL}${link}`,
+      icon: `${FRONTEND_BASE_URL}/images/MOVIEFROST.png`,
+      badge: `${FRONTEND_BASE_URL}/images/MOVIEFROST.png`,
+      image: movie.image || undefined,
+      tag: `new-episodes:${String(movie._id)}`,
+      data: {
+        movieId: String(movie._id),
+        type: 'new_episode',
+      },
+    },
+    { type: 'new_episode' }
+  );
+
+  const email = await enqueueTemplateEmails({
+    userIds,
+    template: 'new_episode',
+    type: 'new_episode',
+    data: (user) => ({
+      fullName: user.fullName,
+      movieName: movie.name,
+      summary,
+      link: `${FRONTEND_BASE_URL}${link}`,
+      imageUrl: movie.image || '',
+    }),
+  });
+
+  await SeriesFollow.updateMany(
+    { movieId: movie._id, userId: { $in: userIds } },
+    { $set: { lastNotifiedAt: new Date() } }
+  );
+
+  return { episodes, summary, push, email };
+};
+
+/**
+ * Notify all followers of `movie` about episodes added since `beforeEpisodes`.
+ * `movie` must be the saved (after) document.
+ */
+export const notifyNewEpisodes = async ({ movie, beforeEpisodes = [] } = {}) => {
+  if (!movie?._id || movie.type !== 'WebSeries') {
+    return { skipped: true, reason: 'not_webseries' };
+  }
+
+  // Drafts stay quiet (see notifyNewEpisodesOnPublish)
+  if (movie.isPublished === false) {
+    return { skipped: true, reason: 'not_public' };
+  }
+
+  const added = diffNewEpisodes(beforeEpisodes, movie.episodes);
+  if (!added.length) return { skipped: true, reason: 'no_new_episodes' };
+
+  const follows = await SeriesFollow.find({ movieId: movie._id })
+    .select('userId')
+    .lean();
+
+  const userIds = follows.map((f) => f.userId);
+  if (!userIds.length) return { skipped: true, reason: 'no_followers', added };
+
+  const { episodes, summary, push, email } = await sendEpisodeAlerts({ movie, added, userIds });
+
+  return {
+    skipped: false,
+    followers: userIds.length,
+    added: episodes,
+    summary,
+    push,
+    email,
+  };
+};
+
+/**
+ * A draft series went live (updateMovie, bulk update, rollback, the publish
+ * scheduler): tell each follower about the episodes created since their last
+ * alert (or since they followed), which covers everything added as a draft.
+ * `before` / `after` need _id and isPublished; the series is re-read.
+ * Callers use this instead of notifyNewEpisodes for that save.
+ */
+export const notifyNewEpisodesOnPublish = async ({ before, after } = {}) => {
+  if (before?.isPublished !== false || after?.isPublished === false || !after?._id) {
+    return { skipped: true, reason: 'not_published_now' };
+  }
+
+  const movie = await Movie.findById(after._id)
+    .select('_id slug name image type isPublished episodes')
+    .lean();
+
+  if (!movie || movie.type !== 'WebSeries') {
+    return { skipped: true, reason: 'not_webseries' };
+  }
+
+  const follows = await SeriesFollow.find({ movieId: movie._id })
+    .select('userId lastNotifiedAt createdAt')
+    .lean();
+
+  if (!follows.length) return { skipped: true, reason: 'no_followers' };
+
+  // Followers with the same unseen episodes share one alert
+  const groups = new Map();
+  for (const follow of follows) {
+    const since = new Date(follow.lastNotifiedAt || follow.createdAt || 0).getTime();
+    const unseen = (movie.episodes || []).filter(
+      (ep) => ep?.createdAt && new Date(ep.createdAt).getTime() > since
+    );
+    const added = diffNewEpisodes([], unseen);
+    if (!added.length) continue;
+
+    const key = added.map(episodeKey).join(',');
+    if (!groups.has(key)) groups.set(key, { added, userIds: [] });
+    groups.get(key).userIds.push(follow.userId);
+  }
+
+  if (!groups.size) return { skipped: true, reason: 'no_new_episodes' };
+
+  let followers = 0;
+  for (const { added, userIds } of groups.values()) {
+    // eslint-disable-next-line no-await-in-loop
+    await sendEpisodeAlerts({ movie, added, userIds });
+    followers += userIds.length;
+  }
+
+  return { skipped: false, followers, alerts: groups.size };
+};
+
+export default {
+  snapshotEpisodes,
+  diffNewEpisodes,
+  describeNewEpisodes,
+  notifyNewEpisodes,
+  notifyNewEpisodesOnPublish,
+};
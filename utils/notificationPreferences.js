@@ -0,0 +1,284 @@
+// backend/utils/notificationPreferences.js
+// Applies per-user notification preferences to every channel:
+// - in-app:  createInAppNotifications() instead of Notification.insertMany()
+// - push:    sendPushToUserIds() filters recipients (toggles + quiet hours)
+// - email:   sendEmail({ userId, type }) is skipped for opted-out users
+// Account emails (password reset, verification) and admin-only
+// notifications are never filtered.
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import mongoose from 'mongoose';
+import Notification from '../Models/NotificationModel.js';
+import NotificationPreference, {
+  PREFERENCE_CATEGORIES,
+  PREFERENCE_CHANNELS,
+} from '../Models/NotificationPreferenceModel.js';
+
+const BACKEND_BASE_URL = String(
+  process.env.BACKEND_PUBLIC_URL ||
+    process.env.PUBLIC_BASE_URL ||
+    'https://moviefrost-backend-xi.vercel.app'
+)
+  .replace(/\/+$/, '')
+  .replace(/\/api$/i, '');
+
+const UNSUBSCRIBE_SECRET = () =>
+  String(process.env.UNSUBSCRIBE_SECRET || process.env.JWT_SECRET || '');
+
+// Notification type => preference category. Unlisted types are "general";
+// null means not configurable (always delivered).
+const TYPE_CATEGORIES = {
+  campaign: 'campaign',
+  watch_request_reply: 'watch_requests',
+  watch_request_fulfilled: 'watch_requests',
+  watch_request_rejected: 'watch_requests',
+  new_episode: 'new_episodes',
+  link_report_fixed: 'link_reports',
+  link_report_invalid: 'link_reports',
+  watch_request: null,
+  account: null,
+};
+
+// A preference category (email for it off) or "all" (global opt-out)
+export const UNSUBSCRIBE_SCOPES = [...PREFERENCE_CATEGORIES, 'all'];
+
+export const categoryForType = (type) => {
+  const key = String(type || 'general');
+  return key in TYPE_CATEGORIES ? TYPE_CATEGORIES[key] : 'general';
+};
+
+const defaultChannels = () =>
+  PREFERENCE_CATEGORIES.reduce((acc, category) => {
+    acc[category] = PREFERENCE_CHANNELS.reduce((c, ch) => ({ ...c, [ch]: true }), {});
+    return acc;
+  }, {});
+
+/**
+ * Plain preferences object with defaults filled in.
+ */
+export const resolvePreferences = (doc = null) => {
+  const channels = defaultChannels();
+
+  PREFERENCE_CATEGORIES.forEach((category) => {
+    PREFERENCE_CHANNELS.forEach((channel) => {
+      const value = doc?.channels?.[category]?.[channel];
+      if (typeof value === 'boolean') channels[category][channel] = value;
+    });
+  });
+
+  return {
+    channels,
+    quietHours: {
+      enabled: !!doc?.quietHours?.enabled,
+      start: doc?.quietHours?.start || '22:00',
+      end: doc?.quietHours?.end || '08:00',
+      timezone: doc?.quietHours?.timezone || 'Asia/Kolkata',
+    },
+    emailOptOut: !!doc?.emailOptOut,
+    emailLocale: doc?.emailLocale || null,
+  };
+};
+
+export const getPreferencesForUser = async (userId) =>
+  resolvePreferences(await NotificationPreference.findOne({ userId }).lean());
+
+const loadPreferences = async (userIds) => {
+  const docs = await NotificationPreference.find({
+    userId: { $in: userIds },
+  }).lean();
+
+  return new Map(docs.map((d) => [String(d.userId), resolvePreferences(d)]));
+};
+
+const toMinutes = (hhmm) => {
+  const m = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(hhmm || ''));
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+};
+
+export const isValidTimeOfDay = (value) => toMinutes(value) !== null;
+
+export const isValidTimeZone = (tz) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * true when `now` falls in the user's quiet hours (ranges may cross midnight).
+ */
+export const isInQuietHours = (quietHours, now = new Date()) => {
+  if (!quietHours?.enabled) return false;
+
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  if (start === null || end === null || start === end) return false;
+
+  let current;
+  try {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone: quietHours.timezone || 'Asia/Kolkata',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(now);
+    const get = (type) => Number(parts.find((p) => p.type === type)?.value);
+    current = get('hour') * 60 + get('minute');
+  } catch {
+    return false;
+  }
+
+  return start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+};
+
+const allows = (prefs, channel, category, now) => {
+  if (!prefs || category === null) return true;
+  if (channel === 'email' && prefs.emailOptOut) return false;
+  if (channel === 'push' && isInQuietHours(prefs.quietHours, now)) return false;
+  return prefs.channels[category]?.[channel] !== false;
+};
+
+/**
+ * Recipients (same values as given) who accept `type` on `channel`.
+ */
+export const filterRecipients = async (userIds = [], channel, type, { now = new Date() } = {}) => {
+  const ids = (userIds || []).filter(Boolean);
+  const category = categoryForType(type);
+
+  // Quiet hours still apply to push for non-configurable types
+  if (!ids.length || (category === null && channel !== 'push')) return ids;
+
+  const prefsByUser = await loadPreferences(
+    Array.from(new Set(ids.map(String)))
+  );
+
+  return ids.filter((id) => {
+    const prefs = prefsByUser.get(String(id));
+    if (!prefs) return true;
+    if (category === null) return !isInQuietHours(prefs.quietHours, now);
+    return allows(prefs, channel, category, now);
+  });
+};
+
+/**
+ * Insert in-app notifications, dropping the ones whose recipient turned
+ * that type off. Admin notifications are always kept.
+ * Returns the inserted documents.
+ */
+export const createInAppNotifications = async (docs = []) => {
+  const list = (Array.isArray(docs) ? docs : [docs]).filter(Boolean);
+  if (!list.length) return [];
+
+  const userDocs = list.filter((d) => !d.forAdmin && categoryForType(d.type) !== null);
+  const prefsByUser = userDocs.length
+    ? await loadPreferences(Array.from(new Set(userDocs.map((d) => String(d.recipient)))))
+    : new Map();
+
+  const allowed = list.filter(
+    (d) =>
+      d.forAdmin ||
+      allows(prefsByUser.get(String(d.recipient)), 'inApp', categoryForType(d.type))
+  );
+
+  return allowed.length ? Notification.insertMany(allowed) : [];
+};
+
+/**
+ * userId => saved email language (or null) for many users at once.
+ */
+export const getEmailLocales = async (userIds = []) => {
+  const prefsByUser = await loadPreferences(Array.from(new Set(userIds.map(String))));
+  return new Map(
+    Array.from(prefsByUser.entries()).map(([id, prefs]) => [id, prefs.emailLocale])
+  );
+};
+
+export const canEmailUser = async (userId, type) => {
+  if (!userId) return true;
+  const [allowed] = await filterRecipients([userId], 'email', type);
+  return !!allowed;
+};
+
+const signUnsubscribe = (userId, scope) =>
+  createHmac('sha256', UNSUBSCRIBE_SECRET())
+    .update(`unsubscribe:${userId}:${scope}`)
+    .digest('base64url');
+
+/**
+ * Login-free unsubscribe token: "<userId>.<scope>.<hmac>". It never expires
+ * so links in old emails keep working.
+ */
+export const createUnsubscribeToken = (userId, scope = 'campaign') =>
+  `${String(userId)}.${scope}.${signUnsubscribe(String(userId), scope)}`;
+
+export const verifyUnsubscribeToken = (token) => {
+  const [userId, scope, sig] = String(token || '').split('.');
+
+  if (
+    !userId ||
+    !mongoose.Types.ObjectId.isValid(userId) ||
+    !UNSUBSCRIBE_SCOPES.includes(scope) ||
+    !sig ||
+    !UNSUBSCRIBE_SECRET()
+  ) {
+    return null;
+  }
+
+  const a = Buffer.from(sig);
+  const b = Buffer.from(signUnsubscribe(userId, scope));
+  if (a.length !== b.length || !timingSafeEqual(a, b)) return null;
+
+  return { userId, scope };
+};
+
+export const buildUnsubscribeUrl = (userId, scope = 'campaign') =>
+  `${BACKEND_BASE_URL}/api/notifications/unsubscribe?token=${encodeURIComponent(
+    createUnsubscribeToken(userId, scope)
+  )}`;
+
+/**
+ * Headers for one-click unsubscribe in mail clients (RFC 8058).
+ */
+export const buildUnsubscribeHeaders = (url) => ({
+  'List-Unsubscribe': `<${url}>`,
+  'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+});
+
+/**
+ * scope "<category>" => that category's emails off; "all" => global email opt-out.
+ */
+export const applyUnsubscribe = async (userId, scope) => {
+  const set =
+    scope === 'all'
+      ? { emailOptOut: true, emailOptOutAt: new Date() }
+      : { [`channels.${scope}.email`]: false };
+
+  await NotificationPreference.updateOne(
+    { userId },
+    { $set: set },
+    { upsert: true }
+  );
+};
+
+export default {
+  UNSUBSCRIBE_SCOPES,
+  categoryForType,
+  resolvePreferences,
+  getPreferencesForUser,
+  isValidTimeOfDay,
+  isValidTimeZone,
+  isInQuietHours,
+  filterRecipients,
+  createInAppNotifications,
+  getEmailLocales,
+  canEmailUser,
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  buildUnsubscribeUrl,
+  buildUnsubscribeHeaders,
+  applyUnsubscribe,
+};
@@ -0,0 +1,417 @@
+// backend/utils/outboundQueue.js
+// Mongo-backed queue for outbound email and web push.
+//
+// Request handlers enqueue instead of sending inline; a worker
+// (/api/cron/outbound-queue on Vercel, a timer elsewhere) claims due jobs,
+// sends them and retries failures with exponential backoff. Jobs that keep
+// failing end up "dead" (dead letter) for an admin to inspect or retry.
+//
+// Idempotency: jobs with the same idempotencyKey are enqueued once, so a
+// resumed campaign batch or a retried request never sends twice.
+// Push jobs hold one recipient each, so a retry never re-sends to users
+// whose device already got it.
+
+import OutboundJob from '../Models/OutboundJobModel.js';
+import PushCampaign from '../Models/PushCampaignModel.js';
+import PushSubscription from '../Models/PushSubscriptionModel.js';
+import User from '../Models/UserModel.js';
+import { isEmailEnabled, sendEmail } from './emailService.js';
+import { isWebPushEnabled, sendPushToUserIds } from './pushService.js';
+import { renderEmailTemplate } from './emailTemplates.js';
+import {
+  buildUnsubscribeHeaders,
+  buildUnsubscribeUrl,
+  categoryForType,
+  getEmailLocales,
+} from './notificationPreferences.js';
+
+const MAX_ATTEMPTS = Math.max(1, Number(process.env.OUTBOUND_MAX_ATTEMPTS || 6));
+const RETRY_BASE_MS = Math.max(1, Number(process.env.OUTBOUND_RETRY_BASE_SEC || 30)) * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+
+const WORKER_CONCURRENCY = Math.max(1, Number(process.env.OUTBOUND_CONCURRENCY || 5));
+// Time one worker run may spend (serverless limits)
+const WORKER_BUDGET_MS = Math.max(1000, Number(process.env.OUTBOUND_WORKER_BUDGET_MS || 20000));
+// A crashed worker's jobs become claimable again after this
+const LOCK_MS = 2 * 60 * 1000;
+
+const DONE_RETENTION_MS =
+  Math.max(1, Number(process.env.OUTBOUND_DONE_RETENTION_DAYS || 7)) * 24 * 60 * 60 * 1000;
+const DEAD_RETENTION_MS =
+  Math.max(1, Number(process.env.OUTBOUND_DEAD_RETENTION_DAYS || 30)) * 24 * 60 * 60 * 1000;
+
+/**
+ * Delay before attempt n+1: base * 2^(n-1), capped, with ±20% jitter.
+ */
+export const backoffDelayMs = (attempts) => {
+  const exp = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1));
+  return Math.round(exp * (0.8 + Math.random() * 0.4));
+};
+
+/**
+ * Enqueue many jobs: [{ channel, payload, type?, idempotencyKey?, campaignId?, runAt? }].
+ * Returns { queued, duplicates }.
+ */
+export const enqueueJobs = async (jobs = []) => {
+  const list = (jobs || []).filter((j) => j?.channel && j?.payload);
+  if (!list.length) return { queued: 0, duplicates: 0 };
+
+  const docs = list.map((j) => ({
+    channel: j.channel,
+    payload: j.payload,
+    type: j.type || j.payload?.type || j.payload?.options?.type || 'general',
+    idempotencyKey: j.idempotencyKey || null,
+    campaignId: j.campaignId || null,
+    maxAttempts: j.maxAttempts || MAX_ATTEMPTS,
+    runAt: j.runAt || new Date(),
+  }));
+
+  const keyed = docs.filter((d) => d.idempotencyKey);
+  const plain = docs.filter((d) => !d.idempotencyKey);
+  let queued = 0;
+
+  if (plain.length) {
+    queued += (await OutboundJob.insertMany(plain)).length;
+  }
+
+  if (keyed.length) {
+    try {
+      const result = await OutboundJob.bulkWrite(
+        keyed.map((d) => ({
+          updateOne: {
+            filter: { idempotencyKey: d.idempotencyKey },
+            update: { $setOnInsert: d },
+            upsert: true,
+          },
+        })),
+        { ordered: false }
+      );
+      queued += result.upsertedCount || 0;
+    } catch (e) {
+      // Concurrent upserts of the same key: the other insert won
+      if (e?.code !== 11000 && !e?.writeErrors?.every((w) => w.code === 11000)) throw e;
+      queued += e?.result?.upsertedCount || e?.result?.nUpserted || 0;
+    }
+  }
+
+  return { queued, duplicates: docs.length - queued };
+};
+
+/**
+ * Queue one email. Same arguments as sendEmail().
+ */
+export const enqueueEmail = async (email, { idempotencyKey, campaignId, runAt } = {}) => {
+  if (!email?.to) return { queued: 0, duplicates: 0 };
+
+  return enqueueJobs([
+    { channel: 'email', payload: email, type: email.type, idempotencyKey, campaignId, runAt },
+  ]);
+};
+
+/**
+ * Queue a web push, one job per recipient with a push subscription.
+ * Same arguments as sendPushToUserIds(); `keyPrefix` makes it idempotent
+ * per user ("<keyPrefix>:<userId>").
+ */
+export const enqueuePush = async (
+  userIds = [],
+  payload = {},
+  options = {},
+  { keyPrefix, campaignId, runAt } = {}
+) => {
+  if (!isWebPushEnabled() || !userIds?.length) return { queued: 0, duplicates: 0 };
+
+  const subscribed = await PushSubscription.distinct('userId', {
+    userId: { $in: userIds.filter(Boolean) },
+  });
+  const ids = Array.from(new Set(subscribed.map(String)));
+
+  return enqueueJobs(
+    ids.map((userId) => ({
+      channel: 'push',
+      payload: { userIds: [userId], payload, options },
+      type: options?.type || payload?.data?.type,
+      idempotencyKey: keyPrefix ? `${keyPrefix}:${userId}` : null,
+      campaignId,
+      runAt,
+    }))
+  );
+};
+
+/**
+ * Queue one templated email per user (utils/emailTemplates.js), in each
+ * user's language with an unsubscribe link for the type's category.
+ * `data(user)` returns the template data for that user.
+ */
+export const enqueueTemplateEmails = async ({ userIds = [], template, type, data }) => {
+  if (!isEmailEnabled() || !userIds.length) return { queued: 0, duplicates: 0 };
+
+  const [users, locales] = await Promise.all([
+    User.find({ _id: { $in: userIds } }).select('_id email fullName').lean(),
+    getEmailLocales(userIds),
+  ]);
+  const scope = categoryForType(type);
+
+  return enqueueJobs(
+    users
+      .filter((u) => u.email)
+      .map((u) => {
+        const unsubscribeUrl = scope ? buildUnsubscribeUrl(u._id, scope) : '';
+        const email = renderEmailTemplate(
+          template,
+          { ...data(u), unsubscribeUrl },
+          { locale: locales.get(String(u._id)) }
+        );
+
+        return {
+          channel: 'email',
+          payload: {
+            to: u.email,
+            subject: email.subject,
+            html: email.html,
+            text: email.text,
+            ...(unsubscribeUrl && { headers: buildUnsubscribeHeaders(unsubscribeUrl) }),
+            userId: String(u._id),
+            type,
+          },
+        };
+      })
+  );
+};
+
+const claimableFilter = (now) => ({
+  $or: [
+    { status: 'pending', runAt: { $lte: now } },
+    { status: 'processing', lockedUntil: { $lte: now } },
+  ],
+});
+
+const claimNextJob = () => {
+  const now = new Date();
+
+  return OutboundJob.findOneAndUpdate(
+    claimableFilter(now),
+    {
+      $set: { status: 'processing', lockedUntil: new Date(now.getTime() + LOCK_MS) },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, new: true }
+  ).lean();
+};
+
+// Throws to retry; returns { outcome, result } when finished
+const deliver = async (job) => {
+  if (job.channel === 'email') {
+    if (!isEmailEnabled()) throw new Error('Email sending is not configured');
+
+    const result = await sendEmail(job.payload);
+    return { outcome: result?.skipped ? 'skipped' : 'sent', result };
+  }
+
+  const { userIds, payload, options } = job.payload || {};
+  const result = await sendPushToUserIds(userIds, payload, options);
+
+  if (result.failed > 0 && !result.sent) {
+    throw new Error(`Push failed for ${result.failed} subscription(s)`);
+  }
+
+  return {
+    outcome: result.muted ? 'muted' : result.skipped ? 'skipped' : 'sent',
+    result,
+  };
+};
+
+// Delivery counters on the campaign a job belongs to.
+// "retried": a dead job goes back in the queue, so its failure no longer counts.
+const reportToCampaign = async (job, status, outcome, result) => {
+  if (!job.campaignId) return;
+
+  let inc;
+  if (status === 'retried') {
+    inc = job.channel === 'email' ? { 'stats.emailFailed': -1 } : { 'stats.pushFailed': -1 };
+  } else if (job.channel === 'email') {
+    inc =
+      status === 'dead'
+        ? { 'stats.emailFailed': 1 }
+        : outcome === 'skipped'
+          ? { 'stats.emailSkipped': 1 }
+          : { 'stats.emailSent': 1 };
+  } else {
+    inc =
+      status === 'dead'
+        ? { 'stats.pushFailed': 1 }
+        : { 'stats.pushSent': result?.sent || 0, 'stats.pushFailed': result?.failed || 0 };
+  }
+
+  try {
+    await PushCampaign.updateOne({ _id: job.campaignId }, { $inc: inc });
+  } catch (e) {
+    console.warn('[outbound] campaign stats:', e?.message || e);
+  }
+};
+
+/**
+ * A dead job was put back in the queue (admin retry): take back the failure
+ * it added to its campaign, the retry reports its own outcome.
+ */
+export const reportCampaignRetry = (job) => reportToCampaign(job, 'retried');
+
+/**
+ * Sends one claimed job and records the outcome. Never throws.
+ * Returns "done" | "retry" | "dead".
+ */
+export const processOutboundJob = async (job) => {
+  try {
+    const { outcome, result } = await deliver(job);
+    const now = new Date();
+
+    await OutboundJob.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          status: 'done',
+          outcome,
+          result,
+          completedAt: now,
+          lockedUntil: null,
+          expiresAt: new Date(now.getTime() + DONE_RETENTION_MS),
+        },
+      }
+    );
+    await reportToCampaign(job, 'done', outcome, result);
+    return 'done';
+  } catch (e) {
+    const now = new Date();
+    const dead = job.attempts >= job.maxAttempts;
+    const lastError = String(e?.message || e).substring(0, 1000);
+
+    await OutboundJob.updateOne(
+      { _id: job._id },
+      {
+        $set: dead
+          ? {
+              status: 'dead',
+              lastError,
+              lastErrorAt: now,
+              lockedUntil: null,
+              completedAt: now,
+              expiresAt: new Date(now.getTime() + DEAD_RETENTION_MS),
+            }
+          : {
+              status: 'pending',
+              lastError,
+              lastErrorAt: now,
+              lockedUntil: null,
+              runAt: new Date(now.getTime() + backoffDelayMs(job.attempts)),
+            },
+      }
+    ).catch((err) => console.warn('[outbound] record failure:', err?.message || err));
+
+    if (dead) {
+      console.warn(`[outbound] ${job.channel} job ${job._id} dead:`, lastError);
+      await reportToCampaign(job, 'dead');
+    }
+    return dead ? 'dead' : 'retry';
+  }
+};
+
+/**
+ * Claims and sends due jobs, WORKER_CONCURRENCY at a time, until the queue
+ * is drained or the time budget is spent.
+ */
+export const runOutboundWorker = async ({ budgetMs = WORKER_BUDGET_MS } = {}) => {
+  const startedAt = Date.now();
+  const summary = { processed: 0, done: 0, retry: 0, dead: 0 };
+
+  while (Date.now() - startedAt < budgetMs) {
+    const jobs = [];
+    for (let i = 0; i < WORKER_CONCURRENCY; i += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      const job = await claimNextJob();
+      if (!job) break;
+      jobs.push(job);
+    }
+    if (!jobs.length) break;
+
+    // eslint-disable-next-line no-await-in-loop
+    const results = await Promise.all(jobs.map(processOutboundJob));
+    results.forEach((r) => {
+      summary.processed += 1;
+      summary[r] += 1;
+    });
+  }
+
+  return summary;
+};
+
+let workerRunning = false;
+
+// For the non-Vercel interval: never overlaps, never throws
+export const runOutboundWorkerSafe = async () => {
+  if (workerRunning) return null;
+  workerRunning = true;
+
+  try {
+    return await runOutboundWorker();
+  } catch (e) {
+    console.warn('[outbound] worker failed:', e?.message || e);
+    return null;
+  } finally {
+    workerRunning = false;
+  }
+};
+
+/**
+ * Queue depth and failures for the admin view.
+ */
+export const getOutboundQueueStats = async () => {
+  const now = new Date();
+  const dayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+
+  const [byStatus, due, oldestPending, deadLastDay, retrying] = await Promise.all([
+    OutboundJob.aggregate([
+      { $group: { _id: { channel: '$channel', status: '$status' }, count: { $sum: 1 } } },
+    ]),
+    OutboundJob.countDocuments(claimableFilter(now)),
+    OutboundJob.findOne({ status: 'pending' }).sort({ runAt: 1 }).select('runAt').lean(),
+    OutboundJob.countDocuments({ status: 'dead', completedAt: { $gte: dayAgo } }),
+    OutboundJob.countDocuments({ status: 'pending', attempts: { $gt: 0 } }),
+  ]);
+
+  const channels = {};
+  byStatus.forEach(({ _id, count }) => {
+    channels[_id.channel] = channels[_id.channel] || { pending: 0, processing: 0, done: 0, dead: 0 };
+    channels[_id.channel][_id.status] = count;
+  });
+
+  const depth = Object.values(channels).reduce(
+    (sum, c) => sum + (c.pending || 0) + (c.processing || 0),
+    0
+  );
+
+  return {
+    depth,
+    due,
+    retrying,
+    deadLastDay,
+    oldestPendingRunAt: oldestPending?.runAt || null,
+    lagSeconds:
+      oldestPending?.runAt && oldestPending.runAt < now
+        ? Math.round((now - oldestPending.runAt) / 1000)
+        : 0,
+    channels,
+  };
+};
+
+export default {
+  backoffDelayMs,
+  enqueueJobs,
+  enqueueEmail,
+  enqueuePush,
+  enqueueTemplateEmails,
+  processOutboundJob,
+  reportCampaignRetry,
+  runOutboundWorker,
+  runOutboundWorkerSafe,
+  getOutboundQueueStats,
+};
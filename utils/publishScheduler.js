@@ -0,0 +1,220 @@
+// backend/utils/publishScheduler.js
+// Scheduled publishing for movies and blog posts.
+// - publishAt:   item goes live at that time (kept unpublished until then)
+// - unpublishAt: item is hidden again at that time (time-limited promos)
+// Both fields are cleared once applied, so a later manual toggle sticks.
+
+import Movie from '../Models/MoviesModel.js';
+import BlogPost from '../Models/BlogPostModel.js';
+import { afterMovieMutation } from './movieIndexing.js';
+import { afterBlogMutation } from './blogIndexing.js';
+import { recordMovieRevisions, snapshotMovieBaselines } from './movieRevisions.js';
+import { fulfillWatchRequestsOnPublish } from './watchRequests.js';
+import { notifyNewEpisodesOnPublish } from './newEpisodeAlerts.js';
+
+// Max items flipped per model and direction in one run
+const SCHEDULER_BATCH = 100;
+
+const parseDateField = (value, name) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) throw new Error(`Invalid ${name} date`);
+  return d;
+};
+
+/**
+ * Resolve publishAt / unpublishAt / isPublished from request input.
+ * Fields left undefined keep the existing values.
+ *
+ * - publishAt in the future => isPublished is forced to false until then
+ * - isPublished=true without a publishAt => publish now (schedule cancelled)
+ * - publishAt in the past   => published right away (schedule cleared)
+ * - unpublishAt must be in the future and after publishAt
+ *
+ * Throws Error with a user-facing message on invalid input.
+ */
+export const resolvePublishSchedule = ({
+  publishAt,
+  unpublishAt,
+  isPublished,
+  existing = null,
+  now = new Date(),
+} = {}) => {
+  const parsedPublishAt = parseDateField(publishAt, 'publishAt');
+  const parsedUnpublishAt = parseDateField(unpublishAt, 'unpublishAt');
+
+  let nextPublishAt =
+    parsedPublishAt === undefined ? existing?.publishAt || null : parsedPublishAt;
+  const nextUnpublishAt =
+    parsedUnpublishAt === undefined
+      ? existing?.unpublishAt || null
+      : parsedUnpublishAt;
+
+  let nextIsPublished =
+    isPublished !== undefined ? !!isPublished : existing?.isPublished;
+
+  // "Publish now" without a new date cancels a pending schedule
+  if (publishAt === undefined && isPublished !== undefined && !!isPublished) {
+    nextPublishAt = null;
+  }
+
+  if (unpublishAt !== undefined && nextUnpublishAt && nextUnpublishAt <= now) {
+    throw new Error('unpublishAt must be in the future');
+  }
+
+  if (nextPublishAt && nextUnpublishAt && nextUnpublishAt <= nextPublishAt) {
+    throw new Error('unpublishAt must be after publishAt');
+  }
+
+  if (nextPublishAt) {
+    if (nextPublishAt > now) {
+      nextIsPublished = false;
+    } else {
+      nextIsPublished = true;
+      nextPublishAt = null;
+    }
+  }
+
+  return {
+    publishAt: nextPublishAt,
+    unpublishAt: nextUnpublishAt,
+    isPublished: nextIsPublished,
+  };
+};
+
+const SCHEDULED_MODELS = [
+  {
+    key: 'movies',
+    Model: Movie,
+    select: '_id name slug isPublished publishAt unpublishAt latestNew banner latest previousHit',
+    after: (args) => afterMovieMutation(args),
+  },
+  {
+    key: 'blogPosts',
+    Model: BlogPost,
+    select: '_id title slug categorySlug isPublished isTrending publishedAt publishAt unpublishAt',
+    after: (args) => afterBlogMutation(args),
+  },
+];
+
+/**
+ * Flip one due item. The conditional update makes concurrent runs
+ * (cron + in-process timer) safe: only one of them wins each item.
+ */
+const applyScheduleToItem = async ({ Model, select, after }, id, direction, now) => {
+  const field = direction === 'publish' ? 'publishAt' : 'unpublishAt';
+  const set =
+    direction === 'publish'
+      ? { isPublished: true, publishAt: null }
+      : { isPublished: false, unpublishAt: null };
+
+  if (Model === Movie) await snapshotMovieBaselines([id]);
+
+  const before = await Model.findOneAndUpdate(
+    { _id: id, [field]: { $ne: null, $lte: now } },
+    { $set: set },
+    { new: false, projection: select }
+  ).lean();
+
+  if (!before) return false;
+
+  const next = { ...before, ...set };
+
+  if (Model === Movie) {
+    await recordMovieRevisions({ ids: [id], action: 'schedule' });
+  }
+
+  // Blog dates show when the article went live
+  if (Model === BlogPost && direction === 'publish' && !before.publishedAt) {
+    next.publishedAt = now;
+    await BlogPost.updateOne({ _id: id }, { $set: { publishedAt: now } });
+  }
+
+  try {
+    await after({
+      action: 'update',
+      before,
+      after: next,
+      audit: { req: null, meta: { source: 'scheduler', direction } },
+    });
+  } catch (e) {
+    console.warn(`[scheduler] ${direction} ${id}:`, e?.message || e);
+  }
+
+  if (Model === Movie && direction === 'publish') {
+    try {
+      await fulfillWatchRequestsOnPublish({ before, after: next });
+    } catch (e) {
+      console.warn(`[scheduler] watch requests ${id}:`, e?.message || e);
+    }
+
+    try {
+      await notifyNewEpisodesOnPublish({ before, after: next });
+    } catch (e) {
+      console.warn(`[scheduler] new episodes ${id}:`, e?.message || e);
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Publish / unpublish everything that is due.
+ * Returns counts per model, e.g. { movies: { published: 1, unpublished: 0 }, ... }
+ */
+export const runPublishScheduler = async ({ now = new Date() } = {}) => {
+  const result = {};
+
+  for (const model of SCHEDULED_MODELS) {
+    const counts = { published: 0, unpublished: 0 };
+
+    for (const direction of ['publish', 'unpublish']) {
+      const field = direction === 'publish' ? 'publishAt' : 'unpublishAt';
+
+      // eslint-disable-next-line no-await-in-loop
+      const due = await model.Model.find({ [field]: { $ne: null, $lte: now } })
+        .sort({ [field]: 1 })
+        .limit(SCHEDULER_BATCH)
+        .select('_id')
+        .lean();
+
+      for (const { _id } of due) {
+        // eslint-disable-next-line no-await-in-loop
+        if (await applyScheduleToItem(model, _id, direction, now)) {
+          counts[direction === 'publish' ? 'published' : 'unpublished'] += 1;
+        }
+      }
+    }
+
+    result[model.key] = counts;
+  }
+
+  return result;
+};
+
+let schedulerRunning = false;
+
+/**
+ * Best-effort wrapper for timers: never throws, never overlaps.
+ */
+export const runPublishSchedulerSafe = async () => {
+  if (schedulerRunning) return null;
+  schedulerRunning = true;
+
+  try {
+    return await runPublishScheduler();
+  } catch (e) {
+    console.warn('[scheduler] run failed:', e?.message || e);
+    return null;
+  } finally {
+    schedulerRunning = false;
+  }
+};
+
+export default {
+  resolvePublishSchedule,
+  runPublishScheduler,
+  runPublishSchedulerSafe,
+};
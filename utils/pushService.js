@@ -3,6 +3,7 @@ dotenv.config();
 
 import webpush from 'web-push';
 import PushSubscription from '../Models/PushSubscriptionModel.js';
+import { filterRecipients } from './notificationPreferences.js';
 
 const {
   VAPID_PUBLIC_KEY,
@@ -25,12 +26,22 @@ try {
 
 export const isWebPushEnabled = () => configured;
 
-export const sendPushToUserIds = async (userIds = [], payload = {}) => {
+// options.type: notification type used for user preferences
+// (defaults to payload.data.type). Users who turned that type off for
+// push, or are in their quiet hours, are skipped.
+export const sendPushToUserIds = async (userIds = [], payload = {}, options = {}) => {
   if (!configured) return { skipped: true, sent: 0, failed: 0 };
   if (!Array.isArray(userIds) || userIds.length === 0)
     return { skipped: false, sent: 0, failed: 0 };
 
-  const subs = await PushSubscription.find({ userId: { $in: userIds } }).lean();
+  const allowedIds = await filterRecipients(
+    userIds,
+    'push',
+    options.type || payload?.data?.type || 'general'
+  );
+  if (!allowedIds.length) return { skipped: false, sent: 0, failed: 0, muted: userIds.length };
+
+  const subs = await PushSubscription.find({ userId: { $in: allowedIds } }).lean();
   if (!subs.length) return { skipped: false, sent: 0, failed: 0 };
 
   const results = await Promise.allSettled(
@@ -0,0 +1,276 @@
+// backend/utils/ratingAggregates.js
+// Movie score (Movie.rate / numberOfReviews / weightedRate) from the Rating
+// collection. Pending (held by the content filter) and hidden ratings don't count.
+import mongoose from 'mongoose';
+import Movie from '../Models/MoviesModel.js';
+import Rating from '../Models/RatingModel.js';
+
+// Ratings shown publicly and counted in the score ("missing status" = visible)
+export const VISIBLE_RATING_FILTER = { status: { $nin: ['pending', 'hidden'] } };
+
+const STARS = [1, 2, 3, 4, 5];
+
+// Site-wide mean is recomputed at most this often
+const PRIOR_MEAN_TTL_MS = 10 * 60 * 1000;
+
+const envNumber = (name, fallback, min = 0) => {
+  const raw = process.env[name];
+  if (raw === undefined || String(raw).trim() === '') return fallback;
+  const n = Number(raw);
+  return Number.isFinite(n) && n >= min ? n : fallback;
+};
+
+/**
+ * Weighted score settings (read per call so .env changes apply):
+ *   RATING_WEIGHT_REGISTERED  weight of a signed-in user's rating (default 1)
+ *   RATING_WEIGHT_GUEST       weight of a guest rating (default 0.5)
+ *   RATING_PRIOR_VOTES        how many "average" votes every title starts
+ *                             with (default 5); more = small samples matter less
+ *   RATING_PRIOR_MEAN         fixed prior score; default is the site-wide mean
+ */
+export const getRatingWeights = () => ({
+  registered: envNumber('RATING_WEIGHT_REGISTERED', 1),
+  guest: envNumber('RATING_WEIGHT_GUEST', 0.5),
+  priorVotes: envNumber('RATING_PRIOR_VOTES', 5),
+  priorMean: envNumber('RATING_PRIOR_MEAN', null),
+});
+
+// Legacy reviews allowed 0 and half stars: bucket them into 1..5
+const STAR_BUCKET = {
+  $min: [5, { $max: [1, { $floor: { $add: ['$rating', 0.5] } }] }],
+};
+
+const IS_GUEST = { $eq: ['$isGuest', true] };
+
+const priorMeanCache = { value: null, expiresAt: 0 };
+
+/**
+ * Weighted mean over every visible rating on the site (the Bayesian prior).
+ */
+export const getRatingPriorMean = async ({ force = false } = {}) => {
+  const weights = getRatingWeights();
+  if (weights.priorMean !== null) return Math.min(5, weights.priorMean);
+
+  if (!force && priorMeanCache.value !== null && priorMeanCache.expiresAt > Date.now()) {
+    return priorMeanCache.value;
+  }
+
+  const rows = await Rating.aggregate([
+    { $match: VISIBLE_RATING_FILTER },
+    { $group: { _id: IS_GUEST, sum: { $sum: '$rating' }, count: { $sum: 1 } } },
+  ]);
+
+  let sum = 0;
+  let weight = 0;
+  for (const row of rows) {
+    const w = row._id ? weights.guest : weights.registered;
+    sum += w * Number(row.sum || 0);
+    weight += w * Number(row.count || 0);
+  }
+
+  // No ratings anywhere yet: the middle of the scale
+  const value = weight > 0 ? sum / weight : 3;
+
+  priorMeanCache.value = value;
+  priorMeanCache.expiresAt = Date.now() + PRIOR_MEAN_TTL_MS;
+
+  return value;
+};
+
+/**
+ * Bayesian average: the title's weighted mean pulled towards the prior
+ * mean, strongly while it has few (weighted) votes. Unrated titles score 0.
+ */
+export const bayesianScore = ({ sum, weight, priorMean, priorVotes }) => {
+  if (!(weight > 0)) return 0;
+  return (sum + priorVotes * priorMean) / (weight + priorVotes);
+};
+
+/**
+ * Aggregate over the visible ratings of a movie:
+ *   avg / count     plain mean and number of ratings (Movie.rate / numberOfReviews)
+ *   weightedRate    Bayesian score (Movie.weightedRate)
+ *   histogram       [{ stars, count, percent }] for 5..1 stars
+ */
+export const computeRatingAggregate = async (movieId) => {
+  const oid = new mongoose.Types.ObjectId(String(movieId));
+
+  const [rows, priorMean] = await Promise.all([
+    Rating.aggregate([
+      { $match: { movieId: oid, ...VISIBLE_RATING_FILTER } },
+      {
+        $group: {
+          _id: { guest: IS_GUEST, stars: STAR_BUCKET },
+          sum: { $sum: '$rating' },
+          count: { $sum: 1 },
+        },
+      },
+    ]),
+    getRatingPriorMean(),
+  ]);
+
+  const weights = getRatingWeights();
+  const byStars = new Map(STARS.map((s) => [s, 0]));
+
+  let sum = 0;
+  let count = 0;
+  let weightedSum = 0;
+  let weight = 0;
+
+  for (const row of rows) {
+    const w = row._id.guest ? weights.guest : weights.registered;
+    const rowSum = Number(row.sum || 0);
+    const rowCount = Number(row.count || 0);
+
+    sum += rowSum;
+    count += rowCount;
+    weightedSum += w * rowSum;
+    weight += w * rowCount;
+    byStars.set(row._id.stars, byStars.get(row._id.stars) + rowCount);
+  }
+
+  return {
+    avg: count ? sum / count : 0,
+    count,
+    weightedRate: bayesianScore({
+      sum: weightedSum,
+      weight,
+      priorMean,
+      priorVotes: weights.priorVotes,
+    }),
+    histogram: [...STARS].reverse().map((stars) => ({
+      stars,
+      count: byStars.get(stars),
+      percent: count ? Math.round((byStars.get(stars) / count) * 1000) / 10 : 0,
+    })),
+  };
+};
+
+/**
+ * Recomputes and stores the movie score. Returns the aggregate.
+ * options go to Movie.updateOne (e.g. { timestamps: false, withDeleted: true }).
+ */
+export const refreshMovieRating = async (movieId, options = {}) => {
+  const aggregate = await computeRatingAggregate(movieId);
+
+  await Movie.updateOne(
+    { _id: movieId },
+    {
+      $set: {
+        rate: aggregate.avg,
+        numberOfReviews: aggregate.count,
+        weightedRate: aggregate.weightedRate,
+      },
+    },
+    options
+  );
+
+  return aggregate;
+};
+
+/**
+ * Recomputes every movie's score, e.g. after changing the weights or to
+ * fill weightedRate for titles rated before it existed.
+ */
+export const refreshAllMovieRatings = async ({ batchSize = 200, onMovie = null } = {}) => {
+  const size = Math.max(1, Math.min(Number(batchSize) || 200, 1000));
+  const options = { withDeleted: true, timestamps: false };
+  let lastId = null;
+  let movies = 0;
+
+  // Fresh prior for the whole run
+  await getRatingPriorMean({ force: true });
+
+  for (;;) {
+    // eslint-disable-next-line no-await-in-loop
+    const batch = await Movie.find(lastId ? { _id: { $gt: lastId } } : {})
+      .setOptions({ withDeleted: true })
+      .sort({ _id: 1 })
+      .limit(size)
+      .select('_id name')
+      .lean();
+
+    if (!batch.length) break;
+
+    for (const movie of batch) {
+      // eslint-disable-next-line no-await-in-loop
+      const aggregate = await refreshMovieRating(movie._id, options);
+      lastId = movie._id;
+      movies += 1;
+      if (onMovie) onMovie(movie, aggregate);
+    }
+  }
+
+  return { movies };
+};
+
+const WEIGHTED_BACKFILL_BUDGET_MS = Math.max(
+  1000,
+  Number(process.env.RATING_BACKFILL_BUDGET_MS || 7000)
+);
+
+/**
+ * Fills weightedRate on titles that don't have it yet (saved before it
+ * existed, or created since). Rated titles are recomputed first, within
+ * budgetMs; once none are left the rest have no ratings and score 0.
+ * Runs from /api/cron/rating-backfill (and on a timer in server.js);
+ * a no-op once every title has a score.
+ */
+export const backfillWeightedRates = async ({ budgetMs = WEIGHTED_BACKFILL_BUDGET_MS } = {}) => {
+  const startedAt = Date.now();
+  const options = { withDeleted: true, timestamps: false };
+  const missing = { weightedRate: { $exists: false } };
+
+  const ratedIds = await Rating.distinct('movieId', VISIBLE_RATING_FILTER);
+
+  const pending = await Movie.find({ ...missing, _id: { $in: ratedIds } })
+    .setOptions({ withDeleted: true })
+    .select('_id')
+    .lean();
+
+  let rated = 0;
+  for (const movie of pending) {
+    if (Date.now() - startedAt >= budgetMs) {
+      return { rated, unrated: 0, remaining: pending.length - rated };
+    }
+    // eslint-disable-next-line no-await-in-loop
+    await refreshMovieRating(movie._id, options);
+    rated += 1;
+  }
+
+  const { modifiedCount } = await Movie.updateMany(
+    { ...missing, _id: { $nin: ratedIds } },
+    { $set: { weightedRate: 0 } },
+    options
+  );
+
+  return { rated, unrated: modifiedCount || 0, remaining: 0 };
+};
+
+let backfillRunning = false;
+
+export const backfillWeightedRatesSafe = async () => {
+  if (backfillRunning) return null;
+  backfillRunning = true;
+
+  try {
+    return await backfillWeightedRates();
+  } catch (e) {
+    console.warn('[ratings] weightedRate backfill failed:', e?.message || e);
+    return null;
+  } finally {
+    backfillRunning = false;
+  }
+};
+
+export default {
+  VISIBLE_RATING_FILTER,
+  getRatingWeights,
+  getRatingPriorMean,
+  bayesianScore,
+  computeRatingAggregate,
+  refreshMovieRating,
+  refreshAllMovieRatings,
+  backfillWeightedRates,
+  backfillWeightedRatesSafe,
+};
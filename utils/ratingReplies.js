@@ -0,0 +1,87 @@
+// backend/utils/ratingReplies.js
+// Review-thread replies: notifications and the reply counter on ratings.
+import mongoose from 'mongoose';
+import Rating from '../Models/RatingModel.js';
+import RatingReply from '../Models/RatingReplyModel.js';
+import { enqueuePush } from './outboundQueue.js';
+import { createInAppNotifications } from './notificationPreferences.js';
+
+const FRONTEND_BASE_URL = String(
+  process.env.PUBLIC_FRONTEND_URL || 'https://www.moviefrost.com'
+).replace(/\/+$/, '');
+
+/**
+ * Tells a rating's author about a new (visible) reply.
+ * Guests and the author's own replies are skipped.
+ */
+export const notifyRatingReply = async ({ movie, rating, reply, replier }) => {
+  if (rating.isGuest || rating.guestName || !rating.userId) return;
+  if (String(rating.userId) === String(replier._id)) return;
+
+  const link = `/movie/${String(movie.slug || movie._id)}`;
+  const title = 'New reply to your review';
+  const message = `${replier.fullName || 'Someone'} replied to your review of ${movie.name}: "${reply.comment.substring(0, 120)}"`;
+
+  await createInAppNotifications({
+    recipient: rating.userId,
+    forAdmin: false,
+    type: 'rating_reply',
+    title,
+    message,
+    link,
+    meta: {
+      movieId: movie._id,
+      ratingId: rating._id,
+      replyId: reply._id,
+    },
+  });
+
+  await enqueuePush(
+    [rating.userId],
+    {
+      title: `MovieFrost: ${title}`,
+      body: message,
+      url: `${FRONTEND_BASE_URL}${link}`,
+      icon: `${FRONTEND_BASE_URL}/images/MOVIEFROST.png`,
+      badge: `${FRONTEND_BASE_URL}/images/MOVIEFROST.png`,
+      tag: `rating-reply:${String(rating._id)}`,
+      data: {
+        ratingId: String(rating._id),
+        type: 'rating_reply',
+      },
+    },
+    { type: 'rating_reply' }
+  );
+};
+
+/**
+ * Resets Rating.replyCount to the number of visible replies.
+ */
+export const recountRatingReplies = async (ratingIds = []) => {
+  const ids = Array.from(new Set(ratingIds.map(String)));
+  if (!ids.length) return;
+
+  const counts = await RatingReply.aggregate([
+    {
+      $match: {
+        ratingId: { $in: ids.map((id) => new mongoose.Types.ObjectId(id)) },
+        status: 'visible',
+      },
+    },
+    { $group: { _id: '$ratingId', count: { $sum: 1 } } },
+  ]);
+  const byId = new Map(counts.map((c) => [String(c._id), c.count]));
+
+  await Rating.bulkWrite(
+    ids.map((id) => ({
+      updateOne: {
+        filter: { _id: id },
+        update: { $set: { replyCount: byId.get(id) || 0 } },
+        timestamps: false,
+      },
+    })),
+    { ordered: false }
+  );
+};
+
+export default { notifyRatingReply, recountRatingReplies };
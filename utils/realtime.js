@@ -0,0 +1,198 @@
+// backend/utils/realtime.js
+// Live delivery over socket.io (non-Vercel runtime only).
+// - Sockets authenticate with the same JWT as `protect`
+//   (handshake auth.token, Authorization header or auth cookie)
+// - Every user joins "user:<id>"; staff also join "perm:<permission>"
+//   rooms for the live admin feeds they are allowed to see
+// - Auth is only checked at connect: revoking a session or changing a role
+//   disconnects the affected sockets (disconnectSession / disconnectUser),
+//   clients reconnect with a fresh token and get the rooms they may see now
+// - On Vercel there is no socket server: every emit is a no-op and clients
+//   poll GET /api/notifications/poll instead
+//
+// Events:
+//   notification:new     { notification, unreadCount }
+//   notification:unread  { unreadCount }
+//   admin:watch_request  { action, request }
+//   admin:feedback       { feedback }
+
+import mongoose from 'mongoose';
+import { authenticateToken, getTokenFromRequest } from '../middlewares/Auth.js';
+import { hasPermission } from '../config/roles.js';
+
+export const POLL_INTERVAL_MS =
+  Math.max(10, Number(process.env.NOTIFICATION_POLL_INTERVAL_SEC || 30)) * 1000;
+
+// Admin feeds and the permission needed to receive them
+export const ADMIN_FEED_PERMISSIONS = ['requests:read', 'feedback:read'];
+
+let io = null;
+
+const userRoom = (userId) => `user:${String(userId)}`;
+const permissionRoom = (permission) => `perm:${permission}`;
+const sessionRoom = (sessionId) => `session:${String(sessionId)}`;
+
+export const isRealtimeAvailable = () => !!io;
+
+const hasListeners = (room) => (io?.sockets?.adapter?.rooms?.get(room)?.size || 0) > 0;
+
+/**
+ * Wire auth + rooms on the socket.io server (called once from server.js).
+ */
+export const attachRealtime = (server) => {
+  io = server;
+
+  io.use(async (socket, next) => {
+    const token =
+      String(socket.handshake?.auth?.token || '').trim() ||
+      getTokenFromRequest(socket.handshake);
+
+    const auth = await authenticateToken(token);
+    if (!auth) return next(new Error('Not authorized'));
+
+    socket.data.userId = String(auth.user._id);
+    socket.data.sessionId = auth.sessionId ? String(auth.sessionId) : null;
+    socket.data.user = auth.user;
+    return next();
+  });
+
+  io.on('connection', (socket) => {
+    const { userId, sessionId, user } = socket.data;
+
+    socket.join(userRoom(userId));
+    if (sessionId) socket.join(sessionRoom(sessionId));
+    ADMIN_FEED_PERMISSIONS.forEach((permission) => {
+      if (hasPermission(user, permission)) socket.join(permissionRoom(permission));
+    });
+
+    // Don't keep the full user document on long-lived sockets
+    delete socket.data.user;
+  });
+
+  return io;
+};
+
+export const emitToUser = (userId, event, payload) => {
+  if (!io || !userId) return false;
+  io.to(userRoom(userId)).emit(event, payload);
+  return true;
+};
+
+export const emitToPermission = (permission, event, payload) => {
+  if (!io) return false;
+  io.to(permissionRoom(permission)).emit(event, payload);
+  return true;
+};
+
+/**
+ * Drop the sockets of one revoked session (logout, refresh token reuse).
+ */
+export const disconnectSession = (sessionId) => {
+  if (!io || !sessionId) return false;
+  io.in(sessionRoom(sessionId)).disconnectSockets(true);
+  return true;
+};
+
+/**
+ * Drop every socket of a user (all sessions revoked, role changed),
+ * optionally keeping the sockets of one session.
+ * Best effort, never throws.
+ */
+export const disconnectUser = async (userId, { exceptSessionId = null } = {}) => {
+  if (!io || !userId) return 0;
+
+  try {
+    if (!exceptSessionId) {
+      io.in(userRoom(userId)).disconnectSockets(true);
+      return 1;
+    }
+
+    const sockets = await io.in(userRoom(userId)).fetchSockets();
+    const keep = String(exceptSessionId);
+    const dropped = sockets.filter((s) => s.data?.sessionId !== keep);
+    dropped.forEach((s) => s.disconnect(true));
+    return dropped.length;
+  } catch (e) {
+    console.warn('[realtime] disconnectUser:', e?.message || e);
+    return 0;
+  }
+};
+
+const countUnread = async (userIds) => {
+  const Notification = mongoose.model('Notification');
+
+  const rows = await Notification.aggregate([
+    {
+      $match: {
+        recipient: { $in: userIds.map((id) => new mongoose.Types.ObjectId(id)) },
+        read: false,
+      },
+    },
+    { $group: { _id: '$recipient', count: { $sum: 1 } } },
+  ]);
+
+  return new Map(rows.map((r) => [String(r._id), r.count]));
+};
+
+/**
+ * Push freshly created notifications to their (connected) recipients.
+ * Best effort, never throws.
+ */
+export const publishNotifications = async (docs = []) => {
+  if (!io) return 0;
+
+  try {
+    const live = (Array.isArray(docs) ? docs : [docs]).filter(
+      (doc) => doc?.recipient && hasListeners(userRoom(doc.recipient))
+    );
+    if (!live.length) return 0;
+
+    const counts = await countUnread(
+      Array.from(new Set(live.map((doc) => String(doc.recipient))))
+    );
+
+    live.forEach((doc) => {
+      const notification =
+        typeof doc.toObject === 'function' ? doc.toObject() : doc;
+
+      emitToUser(doc.recipient, 'notification:new', {
+        notification,
+        unreadCount: counts.get(String(doc.recipient)) || 0,
+      });
+    });
+
+    return live.length;
+  } catch (e) {
+    console.warn('[realtime] publishNotifications:', e?.message || e);
+    return 0;
+  }
+};
+
+/**
+ * Send the user's current unread count (after read / delete / clear).
+ */
+export const publishUnreadCount = async (userId) => {
+  if (!io || !hasListeners(userRoom(userId))) return;
+
+  try {
+    const counts = await countUnread([String(userId)]);
+    emitToUser(userId, 'notification:unread', {
+      unreadCount: counts.get(String(userId)) || 0,
+    });
+  } catch (e) {
+    console.warn('[realtime] publishUnreadCount:', e?.message || e);
+  }
+};
+
+export default {
+  POLL_INTERVAL_MS,
+  ADMIN_FEED_PERMISSIONS,
+  isRealtimeAvailable,
+  disconnectSession,
+  disconnectUser,
+  attachRealtime,
+  emitToUser,
+  emitToPermission,
+  publishNotifications,
+  publishUnreadCount,
+};
@@ -0,0 +1,429 @@
+// backend/utils/recommendations.js
+// "For you" recommendations from a user's taste profile.
+//
+// Signals: liked titles (User.likedMovies), Rating docs (low stars count
+// against a title's features) and watch history (WatchProgress, fading with
+// age). Each signal title spreads its weight over its features: genres
+// (category tokens), language, browseBy, cast TMDb ids and director.
+// Candidates are scored on profile affinity plus quality and popularity,
+// then picked greedily so one genre / director doesn't fill the whole list.
+import mongoose from 'mongoose';
+
+import Movie from '../Models/MoviesModel.js';
+import Rating from '../Models/RatingModel.js';
+import WatchProgress from '../Models/WatchProgressModel.js';
+
+// Treat "missing isPublished" as published
+const publicVisibilityFilter = { isPublished: { $ne: false } };
+
+export const RECOMMENDATION_CARD_SELECT =
+  '_id slug name image titleImage thumbnailInfo type category browseBy time year language rate weightedRate numberOfReviews';
+
+const FEATURE_SELECT = '_id category language browseBy casts.tmdbId director directorSlug';
+
+// How much each feature family counts towards affinity (sums to 1)
+const DIMENSION_WEIGHTS = {
+  genre: 0.35,
+  cast: 0.2,
+  director: 0.15,
+  language: 0.15,
+  browseBy: 0.15,
+};
+
+// Only the top billed cast describe a title
+const CAST_PER_TITLE = 8;
+
+// Features per family used to look up candidates
+const TOP_FEATURES = 8;
+
+const SIGNAL_LIMIT = 300;
+const CANDIDATE_POOL = 400;
+
+const LIKE_WEIGHT = 3;
+const WATCH_HALF_LIFE_DAYS = 60;
+
+// Final score mix
+const AFFINITY_SHARE = 0.75;
+const QUALITY_SHARE = 0.15;
+const POPULARITY_SHARE = 0.1;
+
+// Each already-picked title with the same genre / director / browseBy
+// multiplies a candidate's score by these
+const SAME_GENRE_PENALTY = 0.85;
+const SAME_DIRECTOR_PENALTY = 0.6;
+const SAME_BROWSE_BY_PENALTY = 0.9;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const escapeRegex = (value = '') =>
+  String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const key = (value) => String(value ?? '').trim().toLowerCase();
+
+// "Crime, Thriller / Suspense" => ['crime', 'thriller', 'suspense']
+export const splitGenres = (category) => [
+  ...new Set(
+    String(category || '')
+      .split(/[,/|;&]+/g)
+      .map(key)
+      .filter(Boolean)
+  ),
+];
+
+/**
+ * Feature keys of a title, per family.
+ */
+export const movieFeatures = (movie) => ({
+  genre: splitGenres(movie?.category),
+  language: movie?.language ? [key(movie.language)] : [],
+  browseBy: movie?.browseBy ? [key(movie.browseBy)] : [],
+  cast: (Array.isArray(movie?.casts) ? movie.casts : [])
+    .slice(0, CAST_PER_TITLE)
+    .map((c) => Number(c?.tmdbId))
+    .filter((id) => Number.isFinite(id) && id > 0)
+    .map(String),
+  director: movie?.director ? [movie.directorSlug || key(movie.director)] : [],
+});
+
+// 5 stars = +3, 3 stars = +0.5, 1 star = -2
+const ratingSignal = (stars) => (Number(stars) - 2.5) * 1.25;
+
+const watchSignal = (row, now) => {
+  const ageDays = Math.max(0, (now - new Date(row.lastWatchedAt).getTime()) / DAY_MS);
+  const decay = Math.pow(0.5, ageDays / WATCH_HALF_LIFE_DAYS);
+  const progress = Math.min(1, Number(row.progress) || 0);
+
+  // Finished = 2, a few minutes = ~0.5, many episodes add a little
+  const base = row.completed ? 2 : 0.5 + progress * 1.5;
+  const binge = Math.min(1, Math.log10(1 + Number(row.entries || 1)) / 2);
+
+  return (base + binge) * decay;
+};
+
+/**
+ * Per-title signal weights of a user plus every title they've already seen
+ * (liked, rated or started watching).
+ */
+export const loadUserSignals = async (user) => {
+  const signals = new Map();
+  const seen = new Set();
+  const add = (movieId, weight) => {
+    const id = String(movieId);
+    seen.add(id);
+    signals.set(id, (signals.get(id) || 0) + weight);
+  };
+
+  if (!user?._id) return { signals, seen };
+
+  const userId = new mongoose.Types.ObjectId(String(user._id));
+
+  const [ratings, watched] = await Promise.all([
+    Rating.find({ userId })
+      .sort({ createdAt: -1 })
+      .limit(SIGNAL_LIMIT)
+      .select('movieId rating')
+      .lean(),
+    WatchProgress.aggregate([
+      { $match: { userId } },
+      {
+        $group: {
+          _id: '$movieId',
+          lastWatchedAt: { $max: '$lastWatchedAt' },
+          completed: { $max: '$completed' },
+          progress: {
+            $max: {
+              $cond: [
+                { $gt: ['$duration', 0] },
+                { $divide: ['$position', '$duration'] },
+                0,
+              ],
+            },
+          },
+          entries: { $sum: 1 },
+        },
+      },
+      { $sort: { lastWatchedAt: -1 } },
+      { $limit: SIGNAL_LIMIT },
+    ]),
+  ]);
+
+  (user.likedMovies || []).slice(-SIGNAL_LIMIT).forEach((id) => add(id, LIKE_WEIGHT));
+  ratings.forEach((r) => add(r.movieId, ratingSignal(r.rating)));
+
+  const now = Date.now();
+  watched.forEach((w) => add(w._id, watchSignal(w, now)));
+
+  return { signals, seen };
+};
+
+/**
+ * Taste profile: for each feature family, feature => affinity in -1..1
+ * (normalized by the strongest feature of that family).
+ */
+export const buildTasteProfile = async (signals) => {
+  const profile = Object.fromEntries(Object.keys(DIMENSION_WEIGHTS).map((d) => [d, new Map()]));
+
+  if (!signals.size) return null;
+
+  const movies = await Movie.find({ _id: { $in: [...signals.keys()] } })
+    .select(FEATURE_SELECT)
+    .lean();
+
+  for (const movie of movies) {
+    const weight = signals.get(String(movie._id)) || 0;
+    if (!weight) continue;
+
+    const features = movieFeatures(movie);
+    for (const [dim, values] of Object.entries(features)) {
+      // A title with five genres says less about each of them
+      const share = values.length ? weight / Math.sqrt(values.length) : 0;
+      values.forEach((v) => profile[dim].set(v, (profile[dim].get(v) || 0) + share));
+    }
+  }
+
+  let hasPositive = false;
+  for (const map of Object.values(profile)) {
+    const max = Math.max(0, ...map.values());
+    if (max <= 0) {
+      map.clear();
+      continue;
+    }
+    hasPositive = true;
+    for (const [k, v] of map) map.set(k, Math.max(-1, v / max));
+  }
+
+  return hasPositive ? profile : null;
+};
+
+const topFeatures = (map, n = TOP_FEATURES) =>
+  [...map.entries()]
+    .filter(([, v]) => v > 0)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, n)
+    .map(([k]) => k);
+
+/**
+ * Affinity of a title to the profile (about -1..1) and the feature
+ * families that matched.
+ */
+export const scoreAffinity = (profile, movie) => {
+  const features = movieFeatures(movie);
+  let score = 0;
+  const reasons = [];
+
+  for (const [dim, weight] of Object.entries(DIMENSION_WEIGHTS)) {
+    const values = features[dim];
+    if (!values.length) continue;
+
+    const hits = values.map((v) => profile[dim].get(v) || 0);
+    const sum = hits.reduce((a, b) => a + b, 0);
+    // Genres: average-ish (many genres don't stack up); cast: a couple of
+    // liked actors is already a full match
+    const value =
+      dim === 'cast'
+        ? Math.max(-1, Math.min(1, sum / 2))
+        : Math.max(-1, Math.min(1, sum / Math.sqrt(values.length)));
+
+    score += weight * value;
+    if (value > 0.15) reasons.push(dim);
+  }
+
+  return { affinity: score, reasons };
+};
+
+const qualityOf = (movie) => Math.max(0, Math.min(1, Number(movie.weightedRate || 0) / 5));
+
+const popularityOf = (movie, maxViews) =>
+  maxViews > 0 ? Math.log1p(Number(movie.viewCount || 0)) / Math.log1p(maxViews) : 0;
+
+/**
+ * Greedy pick: best score first, then every candidate sharing a genre,
+ * director or browseBy with what's already picked loses some score.
+ */
+export const diversify = (scored, limit) => {
+  const picked = [];
+  const genreCount = new Map();
+  const directorCount = new Map();
+  const browseByCount = new Map();
+  const pool = [...scored];
+
+  const adjusted = (item) => {
+    const f = item.features;
+    const primaryGenre = f.genre[0];
+    let s = item.score;
+    if (primaryGenre) s *= Math.pow(SAME_GENRE_PENALTY, genreCount.get(primaryGenre) || 0);
+    if (f.director[0]) s *= Math.pow(SAME_DIRECTOR_PENALTY, directorCount.get(f.director[0]) || 0);
+    if (f.browseBy[0]) s *= Math.pow(SAME_BROWSE_BY_PENALTY, browseByCount.get(f.browseBy[0]) || 0);
+    return s;
+  };
+
+  const bump = (map, k) => {
+    if (k) map.set(k, (map.get(k) || 0) + 1);
+  };
+
+  while (picked.length < limit && pool.length) {
+    let bestIndex = 0;
+    let bestScore = -Infinity;
+
+    pool.forEach((item, i) => {
+      const s = adjusted(item);
+      if (s > bestScore) {
+        bestScore = s;
+        bestIndex = i;
+      }
+    });
+
+    const [best] = pool.splice(bestIndex, 1);
+    picked.push(best);
+    bump(genreCount, best.features.genre[0]);
+    bump(directorCount, best.features.director[0]);
+    bump(browseByCount, best.features.browseBy[0]);
+  }
+
+  return picked;
+};
+
+const candidateQuery = (profile) => {
+  const ors = [];
+
+  const genres = topFeatures(profile.genre);
+  if (genres.length) {
+    ors.push({
+      category: new RegExp(
+        `(^|[,/|;&]\\s*)(${genres.map(escapeRegex).join('|')})\\s*([,/|;&]|$)`,
+        'i'
+      ),
+    });
+  }
+
+  const languages = topFeatures(profile.language, 3);
+  if (languages.length) {
+    ors.push({ language: { $in: languages.map((l) => new RegExp(`^${escapeRegex(l)}$`, 'i')) } });
+  }
+
+  const browseBy = topFeatures(profile.browseBy, 3);
+  if (browseBy.length) {
+    ors.push({ browseBy: { $in: browseBy.map((b) => new RegExp(`^${escapeRegex(b)}$`, 'i')) } });
+  }
+
+  const cast = topFeatures(profile.cast, 20).map(Number);
+  if (cast.length) ors.push({ 'casts.tmdbId': { $in: cast } });
+
+  const directors = topFeatures(profile.director);
+  if (directors.length) ors.push({ directorSlug: { $in: directors } });
+
+  return ors;
+};
+
+const toCard = ({ movie, score, reasons }) => {
+  const { casts, director, directorSlug, viewCount, ...card } = movie;
+  return { ...card, score: Math.round(score * 1000) / 1000, reasons };
+};
+
+/**
+ * Popular, well rated titles for users without a usable profile.
+ */
+export const getColdStartRecommendations = async ({ limit = 20, exclude = new Set(), type = null } = {}) => {
+  const excludeIds = [...exclude].map((id) => new mongoose.Types.ObjectId(id));
+  const filter = {
+    ...publicVisibilityFilter,
+    ...(type && { type }),
+    ...(excludeIds.length && { _id: { $nin: excludeIds } }),
+  };
+  const select = `${RECOMMENDATION_CARD_SELECT} viewCount casts.tmdbId director directorSlug`;
+  const poolSize = Math.min(CANDIDATE_POOL / 2, limit * 5);
+
+  const [bestRated, mostViewed] = await Promise.all([
+    Movie.find(filter).sort({ weightedRate: -1, numberOfReviews: -1 }).limit(poolSize).select(select).lean(),
+    Movie.find(filter).sort({ viewCount: -1, createdAt: -1 }).limit(poolSize).select(select).lean(),
+  ]);
+
+  const byId = new Map([...bestRated, ...mostViewed].map((m) => [String(m._id), m]));
+  const pool = [...byId.values()];
+  const maxViews = Math.max(0, ...pool.map((m) => Number(m.viewCount || 0)));
+
+  const scored = pool.map((movie) => ({
+    movie,
+    features: movieFeatures(movie),
+    score: 0.6 * qualityOf(movie) + 0.4 * popularityOf(movie, maxViews),
+    reasons: [],
+  }));
+
+  return diversify(scored, limit).map(toCard);
+};
+
+/**
+ * Ranked, diverse "for you" titles. Falls back to the cold-start list for
+ * anonymous users and users without enough history.
+ */
+export const getRecommendationsForUser = async (user, { limit = 20, type = null } = {}) => {
+  const { signals, seen } = await loadUserSignals(user);
+  const profile = await buildTasteProfile(signals);
+
+  if (!profile) {
+    return {
+      personalized: false,
+      movies: await getColdStartRecommendations({ limit, exclude: seen, type }),
+    };
+  }
+
+  const seenIds = [...seen].map((id) => new mongoose.Types.ObjectId(id));
+  const ors = candidateQuery(profile);
+
+  const candidates = await Movie.find({
+    ...publicVisibilityFilter,
+    ...(type && { type }),
+    _id: { $nin: seenIds },
+    ...(ors.length && { $or: ors }),
+  })
+    .sort({ weightedRate: -1, viewCount: -1 })
+    .limit(CANDIDATE_POOL)
+    .select(`${RECOMMENDATION_CARD_SELECT} viewCount casts.tmdbId director directorSlug`)
+    .lean();
+
+  const maxViews = Math.max(0, ...candidates.map((m) => Number(m.viewCount || 0)));
+
+  const scored = candidates
+    .map((movie) => {
+      const { affinity, reasons } = scoreAffinity(profile, movie);
+      return {
+        movie,
+        features: movieFeatures(movie),
+        reasons,
+        score:
+          AFFINITY_SHARE * affinity +
+          QUALITY_SHARE * qualityOf(movie) +
+          POPULARITY_SHARE * popularityOf(movie, maxViews),
+      };
+    })
+    .filter((item) => item.score > 0);
+
+  let movies = diversify(scored, limit).map(toCard);
+
+  // Narrow taste / small catalogue: top up with the general picks
+  if (movies.length < limit) {
+    const exclude = new Set([...seen, ...movies.map((m) => String(m._id))]);
+    const extra = await getColdStartRecommendations({ limit: limit - movies.length, exclude, type });
+    movies = [...movies, ...extra];
+  }
+
+  return {
+    personalized: true,
+    profile: {
+      genres: topFeatures(profile.genre, 5),
+      languages: topFeatures(profile.language, 3),
+    },
+    movies,
+  };
+};
+
+export default {
+  splitGenres,
+  movieFeatures,
+  loadUserSignals,
+  buildTasteProfile,
+  scoreAffinity,
+  diversify,
+  getColdStartRecommendations,
+  getRecommendationsForUser,
+};
@@ -0,0 +1,335 @@
+// backend/utils/reviewMigration.js
+// Moves the embedded Movie.reviews[] into the Rating collection, which is
+// the only place reviews live from now on.
+//
+// Per movie: every legacy review becomes (or is merged into) the user's
+// Rating, its admin reply moves along, the moved entries are pulled from
+// Movie.reviews and rate / numberOfReviews are recomputed from Rating.
+// Re-running is safe: migrated movies have no embedded reviews left, so a
+// run that stopped half way just continues with the rest.
+
+import Movie from '../Models/MoviesModel.js';
+import Rating from '../Models/RatingModel.js';
+import { VISIBLE_RATING_FILTER, refreshMovieRating } from './ratingAggregates.js';
+
+// Migration runs over trashed titles too, and never bumps updatedAt
+const WRITE_OPTIONS = { withDeleted: true, timestamps: false };
+
+const MOVIE_SELECT = '_id name slug reviews rate numberOfReviews';
+
+// Old Movie.reviews allowed 0..5
+const normalizeLegacyRating = (value) => {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return null;
+  if (n < 0) return 0;
+  if (n > 5) return 5;
+  return n;
+};
+
+const safeComment = (value) => {
+  if (typeof value !== 'string') return '';
+  return value.trim().substring(0, 500);
+};
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+// Reviews may come in with userId populated
+const reviewUserId = (r) => r?.userId?._id || r?.userId || null;
+
+/**
+ * Splits a movie's legacy reviews into Rating writes.
+ *   create: no Rating for that user yet
+ *   merge:  the user already has a Rating (it wins; only the admin reply
+ *           and the legacy id are copied over)
+ *   skipped: no user or no usable star value (left in place, reported)
+ */
+const planMovie = async (movie) => {
+  const reviews = Array.isArray(movie?.reviews) ? movie.reviews : [];
+  const usable = [];
+  const skipped = [];
+
+  for (const r of reviews) {
+    if (!reviewUserId(r) || normalizeLegacyRating(r.rating) === null) skipped.push(r);
+    else usable.push(r);
+  }
+
+  const existing = usable.length
+    ? await Rating.find({ movieId: movie._id, userId: { $in: usable.map(reviewUserId) } })
+      .select('_id userId rating status adminReply legacyReviewId')
+      .lean()
+    : [];
+  const byUser = new Map(existing.map((e) => [String(e.userId), e]));
+
+  const create = [];
+  const merge = [];
+  const seen = new Set();
+
+  for (const r of usable) {
+    const key = String(reviewUserId(r));
+    // Old data can hold two reviews from one user: the first one counts
+    if (seen.has(key)) {
+      merge.push({ review: r, rating: byUser.get(key) || null });
+      continue;
+    }
+    seen.add(key);
+
+    if (byUser.has(key)) merge.push({ review: r, rating: byUser.get(key) });
+    else create.push(r);
+  }
+
+  return { reviews, create, merge, skipped };
+};
+
+const hasAdminReply = (r) => typeof r?.adminReply === 'string' && r.adminReply.trim() !== '';
+
+const buildOps = (movie, { create, merge }) => {
+  const ops = create.map((r) => {
+    const createdAt = r.createdAt ? new Date(r.createdAt) : new Date();
+    const updatedAt = r.updatedAt ? new Date(r.updatedAt) : createdAt;
+
+    return {
+      updateOne: {
+        filter: { movieId: movie._id, userId: reviewUserId(r) },
+        update: {
+          $setOnInsert: {
+            movieId: movie._id,
+            userId: reviewUserId(r),
+            isGuest: false,
+            rating: normalizeLegacyRating(r.rating),
+            comment: safeComment(r.comment),
+            status: 'visible',
+            likeCount: 0,
+            replyCount: 0,
+            adminReply: hasAdminReply(r) ? r.adminReply.trim() : '',
+            adminReplyAt: hasAdminReply(r) ? updatedAt : null,
+            legacyReviewId: r._id,
+            createdAt,
+            updatedAt,
+          },
+        },
+        upsert: true,
+        timestamps: false,
+      },
+    };
+  });
+
+  for (const { review, rating } of merge) {
+    if (!rating) continue;
+
+    if (hasAdminReply(review)) {
+      ops.push({
+        updateOne: {
+          filter: { _id: rating._id, adminReply: { $in: ['', null] } },
+          update: {
+            $set: {
+              adminReply: review.adminReply.trim(),
+              adminReplyAt: review.updatedAt ? new Date(review.updatedAt) : new Date(),
+            },
+          },
+          timestamps: false,
+        },
+      });
+    }
+
+    ops.push({
+      updateOne: {
+        filter: { _id: rating._id, legacyReviewId: { $exists: false } },
+        update: { $set: { legacyReviewId: review._id } },
+        timestamps: false,
+      },
+    });
+  }
+
+  return ops;
+};
+
+// Score the movie would get once the planned ratings exist
+const projectAggregate = async (movie, { create }) => {
+  const visible = await Rating.find({ movieId: movie._id, ...VISIBLE_RATING_FILTER })
+    .select('rating')
+    .lean();
+  const values = [
+    ...visible.map((r) => Number(r.rating) || 0),
+    ...create.map((r) => normalizeLegacyRating(r.rating)),
+  ];
+  const count = values.length;
+  return { avg: count ? values.reduce((a, b) => a + b, 0) / count : 0, count };
+};
+
+/**
+ * Migrates (or with dryRun, reports on) one movie. Accepts a lean movie
+ * with `reviews`, or a movie id.
+ */
+export const migrateMovieReviews = async (movieOrId, { dryRun = false } = {}) => {
+  const movie = Array.isArray(movieOrId?.reviews)
+    ? movieOrId
+    : await Movie.findById(movieOrId).setOptions({ withDeleted: true }).select(MOVIE_SELECT).lean();
+
+  if (!movie?.reviews?.length) return null;
+
+  const plan = await planMovie(movie);
+  const moved = [...plan.create, ...plan.merge.map((m) => m.review)];
+  const adminReplies = moved.filter(hasAdminReply).length;
+
+  const report = {
+    movieId: movie._id,
+    name: movie.name || '',
+    reviews: plan.reviews.length,
+    created: plan.create.length,
+    merged: plan.merge.length,
+    adminReplies,
+    skipped: plan.skipped.length,
+    before: { rate: round2(movie.rate), numberOfReviews: Number(movie.numberOfReviews || 0) },
+    after: null,
+  };
+
+  let aggregate;
+
+  if (dryRun) {
+    aggregate = await projectAggregate(movie, plan);
+  } else {
+    const ops = buildOps(movie, plan);
+
+    if (ops.length) {
+      try {
+        await Rating.bulkWrite(ops, { ordered: false });
+      } catch (e) {
+        // A user rated at the same moment: their new Rating wins
+        if (e?.code !== 11000 && !e?.writeErrors?.every((w) => w.code === 11000)) throw e;
+      }
+    }
+
+    if (moved.length) {
+      await Movie.updateOne(
+        { _id: movie._id },
+        { $pull: { reviews: { _id: { $in: moved.map((r) => r._id) } } } },
+        WRITE_OPTIONS
+      );
+    }
+
+    aggregate = await refreshMovieRating(movie._id, WRITE_OPTIONS);
+  }
+
+  report.after = { rate: round2(aggregate.avg), numberOfReviews: aggregate.count };
+  report.scoreChanged =
+    report.before.rate !== report.after.rate ||
+    report.before.numberOfReviews !== report.after.numberOfReviews;
+
+  return report;
+};
+
+/**
+ * Migrates every movie that still has embedded reviews, in _id order.
+ *   dryRun:    only report what would happen
+ *   batchSize: movies loaded per query
+ *   limit:     stop after this many movies (0 = all); run again to continue
+ *   onMovie:   called with each movie report (progress output)
+ */
+export const migrateAllMovieReviews = async ({
+  dryRun = false,
+  batchSize = 50,
+  limit = 0,
+  onMovie = null,
+} = {}) => {
+  const summary = {
+    dryRun,
+    movies: 0,
+    reviews: 0,
+    created: 0,
+    merged: 0,
+    adminReplies: 0,
+    skipped: 0,
+    scoreChanges: 0,
+    remaining: 0,
+  };
+
+  const size = Math.max(1, Math.min(Number(batchSize) || 50, 500));
+  let lastId = null;
+
+  for (;;) {
+    const left = limit > 0 ? limit - summary.movies : size;
+    if (left <= 0) break;
+
+    // eslint-disable-next-line no-await-in-loop
+    const movies = await Movie.find({
+      'reviews.0': { $exists: true },
+      ...(lastId && { _id: { $gt: lastId } }),
+    })
+      .setOptions({ withDeleted: true })
+      .sort({ _id: 1 })
+      .limit(Math.min(size, left))
+      .select(MOVIE_SELECT)
+      .lean();
+
+    if (!movies.length) break;
+
+    for (const movie of movies) {
+      // eslint-disable-next-line no-await-in-loop
+      const report = await migrateMovieReviews(movie, { dryRun });
+      lastId = movie._id;
+      if (!report) continue;
+
+      summary.movies += 1;
+      summary.reviews += report.reviews;
+      summary.created += report.created;
+      summary.merged += report.merged;
+      summary.adminReplies += report.adminReplies;
+      summary.skipped += report.skipped;
+      if (report.scoreChanged) summary.scoreChanges += 1;
+
+      if (onMovie) onMovie(report);
+    }
+  }
+
+  // Titles still holding embedded reviews: not reached yet (dry run / limit)
+  // or only unusable reviews left (see "skipped")
+  summary.remaining = await Movie.countDocuments({
+    'reviews.0': { $exists: true },
+    ...(dryRun && lastId && { _id: { $gt: lastId } }),
+  }).setOptions({ withDeleted: true });
+
+  return summary;
+};
+
+/**
+ * Ratings in the old Movie.reviews[] shape, for clients that still read
+ * `movie.reviews`.
+ */
+export const getLegacyReviews = async (movieId, { limit = 50 } = {}) => {
+  const rows = await Rating.find({ movieId, ...VISIBLE_RATING_FILTER })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .select('-likedBy')
+    .populate('userId', 'fullName image')
+    .lean();
+
+  return rows.map(toLegacyReview);
+};
+
+/**
+ * One Rating in the old embedded review shape.
+ */
+export const toLegacyReview = (r) => {
+  const user = r.userId && typeof r.userId === 'object' && r.userId.fullName ? r.userId : null;
+  const isGuest = !!(r.isGuest || r.guestName);
+
+  return {
+    _id: r._id,
+    userName: isGuest ? r.guestName || 'User' : user?.fullName || '',
+    userImage: isGuest ? '/images/placeholder.jpg' : user?.image || '',
+    userId: isGuest ? null : user || r.userId,
+    rating: r.rating,
+    comment: r.comment || '',
+    adminReply: r.adminReply || '',
+    status: r.status || 'visible',
+    createdAt: r.createdAt,
+    updatedAt: r.updatedAt,
+  };
+};
+
+export default {
+  migrateMovieReviews,
+  migrateAllMovieReviews,
+  getLegacyReviews,
+  toLegacyReview,
+};
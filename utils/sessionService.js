@@ -0,0 +1,231 @@
+// backend/utils/sessionService.js
+// Server-side sessions + rotating refresh tokens.
+// Refresh token format: "<sessionId>.<secret>" (only sha256(secret) is stored).
+
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import mongoose from 'mongoose';
+import Session from '../Models/SessionModel.js';
+import { disconnectSession, disconnectUser } from './realtime.js';
+
+const REFRESH_TOKEN_TTL_DAYS = Math.max(
+  1,
+  Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30)
+);
+
+export const REFRESH_TOKEN_TTL_MS = REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000;
+
+// Avoid a write on every authenticated request
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+const hashSecret = (secret = '') =>
+  createHash('sha256').update(String(secret)).digest('hex');
+
+const safeEqualHex = (a = '', b = '') => {
+  const bufA = Buffer.from(String(a), 'hex');
+  const bufB = Buffer.from(String(b), 'hex');
+  return bufA.length > 0 && bufA.length === bufB.length && timingSafeEqual(bufA, bufB);
+};
+
+const newSecret = () => randomBytes(32).toString('base64url');
+
+const clientIp = (req) =>
+  String(req?.ip || req?.headers?.['x-forwarded-for'] || '')
+    .split(',')[0]
+    .trim();
+
+const clientUserAgent = (req) =>
+  String(req?.headers?.['user-agent'] || '').substring(0, 512);
+
+const parseRefreshToken = (token = '') => {
+  const raw = String(token || '').trim();
+  const dot = raw.indexOf('.');
+  if (dot === -1) return null;
+
+  const sessionId = raw.slice(0, dot);
+  const secret = raw.slice(dot + 1);
+
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+const isSessionActive = (session) =>
+  !!session &&
+  !session.revokedAt &&
+  new Date(session.expiresAt).getTime() > Date.now();
+
+/**
+ * Create a session for a fresh login.
+ * Returns { session, refreshToken }.
+ */
+export const createSession = async ({ userId, req } = {}) => {
+  const secret = newSecret();
+  const now = new Date();
+
+  const session = await Session.create({
+    userId,
+    tokenHash: hashSecret(secret),
+    userAgent: clientUserAgent(req),
+    ip: clientIp(req),
+    lastUsedAt: now,
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+  });
+
+  return { session, refreshToken: `${session._id}.${secret}` };
+};
+
+/**
+ * Exchange a refresh token for a new one (rotation).
+ * Presenting an already-rotated token revokes the whole session,
+ * because it means the token was copied.
+ *
+ * Returns { session, refreshToken } or throws.
+ */
+export const rotateRefreshToken = async ({ refreshToken, req } = {}) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) throw new Error('Invalid refresh token');
+
+  const presentedHash = hashSecret(parsed.secret);
+  const secret = newSecret();
+  const now = new Date();
+  const ip = clientIp(req);
+  const userAgent = clientUserAgent(req);
+
+  // One conditional write: of two requests racing with the same token only
+  // one matches, the other is treated like any replayed token below.
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      tokenHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    },
+    [
+      {
+        $set: {
+          previousTokenHash: '$tokenHash',
+          tokenHash: hashSecret(secret),
+          lastUsedAt: now,
+          expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+          ip: ip ? { $literal: ip } : '$ip',
+          userAgent: userAgent ? { $literal: userAgent } : '$userAgent',
+        },
+      },
+    ],
+    { new: true }
+  );
+
+  if (session) return { session, refreshToken: `${session._id}.${secret}` };
+
+  const current = await Session.findById(parsed.sessionId)
+    .select('userId tokenHash previousTokenHash revokedAt expiresAt')
+    .lean();
+  if (!isSessionActive(current)) throw new Error('Session expired or revoked');
+
+  if (safeEqualHex(presentedHash, current.previousTokenHash)) {
+    await Session.updateOne(
+      { _id: current._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'refresh_token_reuse' } }
+    );
+    disconnectSession(current._id);
+  }
+
+  throw new Error('Invalid refresh token');
+};
+
+/**
+ * Used by protect: is the session behind an access token still valid?
+ * Also bumps lastUsedAt (throttled).
+ */
+export const findActiveSession = async (sessionId) => {
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(String(sessionId))) {
+    return null;
+  }
+
+  const session = await Session.findById(sessionId)
+    .select('userId revokedAt expiresAt lastUsedAt')
+    .lean();
+
+  if (!isSessionActive(session)) return null;
+
+  if (Date.now() - new Date(session.lastUsedAt).getTime() > TOUCH_INTERVAL_MS) {
+    Session.updateOne(
+      { _id: session._id },
+      { $set: { lastUsedAt: new Date() } }
+    ).catch(() => { });
+  }
+
+  return session;
+};
+
+/**
+ * Revoke the session a refresh token belongs to (logout without a valid
+ * access token). The secret must match, so a bare session id is not enough.
+ */
+export const revokeSessionByRefreshToken = async (refreshToken, reason = 'logout') => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return false;
+
+  const session = await Session.findById(parsed.sessionId)
+    .select('userId tokenHash revokedAt')
+    .lean();
+
+  if (!session || session.revokedAt) return false;
+  if (!safeEqualHex(hashSecret(parsed.secret), session.tokenHash)) return false;
+
+  return revokeSession({ userId: session.userId, sessionId: session._id, reason });
+};
+
+export const listActiveSessions = async (userId) =>
+  Session.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .sort({ lastUsedAt: -1 })
+    .select('userAgent ip lastUsedAt createdAt expiresAt')
+    .lean();
+
+export const revokeSession = async ({ userId, sessionId, reason = 'logout' }) => {
+  const result = await Session.updateOne(
+    { _id: sessionId, userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  const revoked = (result.modifiedCount || 0) > 0;
+
+  // Live sockets of that session stop receiving events too
+  if (revoked) disconnectSession(sessionId);
+
+  return revoked;
+};
+
+/**
+ * Revoke every active session of a user, optionally keeping one
+ * (e.g. the device that just changed the password).
+ */
+export const revokeAllSessions = async ({
+  userId,
+  exceptSessionId = null,
+  reason = 'logout_all',
+} = {}) => {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await Session.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+  });
+
+  await disconnectUser(userId, { exceptSessionId });
+
+  return result.modifiedCount || 0;
+};
+
+export default {
+  createSession,
+  rotateRefreshToken,
+  findActiveSession,
+  listActiveSessions,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeAllSessions,
+};
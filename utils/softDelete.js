@@ -0,0 +1,74 @@
+// backend/utils/softDelete.js
+// Soft delete for Movie / BlogPost.
+// Deleted docs keep their data (and slug) with `deletedAt` set, and every
+// read/update query skips them unless it asks for them explicitly:
+//   - filter mentions `deletedAt` (trash queries), or
+//   - query.setOptions({ withDeleted: true }) / aggregate.option({ withDeleted: true })
+
+import mongoose from 'mongoose';
+
+export const TRASH_RETENTION_DAYS = Math.max(
+  1,
+  Number(process.env.TRASH_RETENTION_DAYS || 30)
+);
+
+export const TRASH_RETENTION_MS = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+// When a trashed item will be purged automatically
+export const trashPurgeAt = (deletedAt) =>
+  deletedAt ? new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_MS) : null;
+
+const FILTERED_QUERY_OPS = [
+  'countDocuments',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'updateOne',
+  'updateMany',
+];
+
+// Stages that must stay first in a pipeline
+const FIRST_ONLY_STAGES = ['$geoNear', '$search', '$searchMeta', '$vectorSearch'];
+
+export const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: { type: Date, default: null, index: true },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  });
+
+  schema.pre(FILTERED_QUERY_OPS, function () {
+    if (this.getOptions()?.withDeleted) return;
+
+    const filter = this.getFilter() || {};
+    if (Object.prototype.hasOwnProperty.call(filter, 'deletedAt')) return;
+
+    // null also matches docs created before the field existed
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function () {
+    if (this.options?.withDeleted) return;
+
+    const pipeline = this.pipeline();
+    const first = pipeline[0] || {};
+    const firstStage = Object.keys(first)[0];
+
+    if (firstStage === '$match') {
+      // Keep a leading $text match first
+      if (!Object.prototype.hasOwnProperty.call(first.$match, 'deletedAt')) {
+        first.$match = { ...first.$match, deletedAt: null };
+      }
+      return;
+    }
+
+    const at = FIRST_ONLY_STAGES.includes(firstStage) ? 1 : 0;
+    pipeline.splice(at, 0, { $match: { deletedAt: null } });
+  });
+};
+
+export default { softDeletePlugin, trashPurgeAt, TRASH_RETENTION_DAYS };
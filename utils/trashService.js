@@ -0,0 +1,135 @@
+// backend/utils/trashService.js
+// Permanent purge of trashed (soft-deleted) movies / blog posts.
+
+import Movie from '../Models/MoviesModel.js';
+import BlogPost from '../Models/BlogPostModel.js';
+import MovieRevision from '../Models/MovieRevisionModel.js';
+import VideoLinkCheck from '../Models/VideoLinkCheckModel.js';
+import LinkReport from '../Models/LinkReportModel.js';
+import Rating from '../Models/RatingModel.js';
+import RatingReply from '../Models/RatingReplyModel.js';
+import CommentFlag from '../Models/CommentFlagModel.js';
+import WatchProgress from '../Models/WatchProgressModel.js';
+import SeriesFollow from '../Models/SeriesFollowModel.js';
+import Watchlist from '../Models/WatchlistModel.js';
+import User from '../Models/UserModel.js';
+import { recordAuditForDocs } from './auditLog.js';
+import { TRASH_RETENTION_MS } from './softDelete.js';
+
+// Opportunistic runs (trash list requests) at most this often per instance
+const AUTO_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const TRASH_MODELS = [
+  { key: 'movies', Model: Movie, targetModel: 'Movie', prefix: 'movie' },
+  { key: 'blogPosts', Model: BlogPost, targetModel: 'BlogPost', prefix: 'blog' },
+];
+
+const PURGE_AUDIT_SELECT = '_id name title slug type categorySlug deletedAt deletedBy';
+
+/**
+ * Everything that points at a title is useless once it is gone for good:
+ * history, link checks / reports, ratings (they would still count towards
+ * the site-wide rating mean), replies, flags, watch progress, follows and
+ * list / favorite entries.
+ */
+const purgeMovieDependents = async (ids) => {
+  const byMovie = { movieId: { $in: ids } };
+
+  await Promise.all([
+    MovieRevision.deleteMany(byMovie),
+    VideoLinkCheck.deleteMany(byMovie),
+    LinkReport.deleteMany(byMovie),
+    Rating.deleteMany(byMovie),
+    RatingReply.deleteMany(byMovie),
+    CommentFlag.deleteMany(byMovie),
+    WatchProgress.deleteMany(byMovie),
+    SeriesFollow.deleteMany(byMovie),
+    Watchlist.updateMany(
+      { 'items.movieId': { $in: ids } },
+      { $pull: { items: byMovie } },
+      { timestamps: false }
+    ),
+    User.updateMany(
+      { likedMovies: { $in: ids } },
+      { $pull: { likedMovies: { $in: ids } } },
+      { timestamps: false }
+    ),
+  ]);
+};
+
+/**
+ * Hard-delete trashed docs matching `filter` and write one audit row each.
+ * Only docs that are actually in the trash are ever removed.
+ */
+export const purgeTrashed = async ({
+  Model,
+  targetModel,
+  prefix,
+  filter = {},
+  req = null,
+  reason = 'manual',
+}) => {
+  const trashFilter = { ...filter, deletedAt: { $ne: null, ...filter.deletedAt } };
+
+  const docs = await Model.find(trashFilter).select(PURGE_AUDIT_SELECT).lean();
+  if (!docs.length) return 0;
+
+  const ids = docs.map((d) => d._id);
+
+  const result = await Model.deleteMany({
+    _id: { $in: ids },
+    deletedAt: { $ne: null },
+  });
+
+  if (Model === Movie) await purgeMovieDependents(ids);
+
+  await recordAuditForDocs({
+    req,
+    action: `${prefix}.purge`,
+    targetModel,
+    beforeDocs: docs,
+    meta: { reason },
+  });
+
+  return result.deletedCount ?? 0;
+};
+
+/**
+ * Purge everything that has been in the trash longer than the retention
+ * period (TRASH_RETENTION_DAYS).
+ */
+export const purgeExpiredTrash = async ({ now = new Date() } = {}) => {
+  const cutoff = new Date(now.getTime() - TRASH_RETENTION_MS);
+  const purged = {};
+
+  for (const { key, ...model } of TRASH_MODELS) {
+    // eslint-disable-next-line no-await-in-loop
+    purged[key] = await purgeTrashed({
+      ...model,
+      filter: { deletedAt: { $lte: cutoff } },
+      reason: 'retention',
+    });
+  }
+
+  return purged;
+};
+
+let lastAutoPurgeAt = 0;
+
+/**
+ * Best-effort, throttled purgeExpiredTrash (serverless has no timers,
+ * so admin trash views also trigger it).
+ */
+export const maybePurgeExpiredTrash = async () => {
+  if (Date.now() - lastAutoPurgeAt < AUTO_PURGE_INTERVAL_MS) return null;
+  lastAutoPurgeAt = Date.now();
+
+  try {
+    return await purgeExpiredTrash();
+  } catch (e) {
+    console.warn('[trash] auto purge failed:', e?.message || e);
+    return null;
+  }
+};
+
+export default { purgeTrashed, purgeExpiredTrash, maybePurgeExpiredTrash };
@@ -0,0 +1,72 @@
+// backend/utils/userTokenService.js
+// Single-use, expiring, hashed email tokens (password reset / email verify).
+
+import { createHash, randomBytes } from 'crypto';
+import UserToken from '../Models/UserTokenModel.js';
+
+const hashToken = (token = '') =>
+  createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Create a new token for (userId + purpose).
+ * Older unused tokens of the same purpose are removed, so only the
+ * latest emailed link works.
+ *
+ * Returns the raw token (only ever sent by email, never stored).
+ */
+export const createUserToken = async ({ userId, purpose, ttlMs }) => {
+  const token = randomBytes(32).toString('base64url');
+
+  await UserToken.deleteMany({ userId, purpose, usedAt: null });
+
+  await UserToken.create({
+    userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+
+  return token;
+};
+
+/**
+ * Atomically mark a token as used.
+ * Returns the token doc (with userId) or null when invalid/expired/used.
+ */
+export const consumeUserToken = async ({ token, purpose }) => {
+  const raw = String(token || '').trim();
+  if (!raw) return null;
+
+  return UserToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(raw),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  ).lean();
+};
+
+/**
+ * When was the last token of this purpose issued? (resend throttling)
+ */
+export const getLastUserTokenAt = async ({ userId, purpose }) => {
+  const last = await UserToken.findOne({ userId, purpose })
+    .sort({ createdAt: -1 })
+    .select('createdAt')
+    .lean();
+
+  return last?.createdAt || null;
+};
+
+export const deleteUserTokens = async ({ userId, purpose }) =>
+  UserToken.deleteMany({ userId, ...(purpose && { purpose }) });
+
+export default {
+  createUserToken,
+  consumeUserToken,
+  getLastUserTokenAt,
+  deleteUserTokens,
+};
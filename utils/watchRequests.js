@@ -0,0 +1,186 @@
+// backend/utils/watchRequests.js
+// Watch request helpers shared by the requests controller and the
+// title-creation paths (createMovie, TMDb import).
+// Push and email go through the outbound queue (utils/outboundQueue.js).
+
+import WatchRequest, { normalizeRequestTitle } from '../Models/WatchRequestModel.js';
+import { enqueuePush, enqueueTemplateEmails } from './outboundQueue.js';
+import { createInAppNotifications } from './notificationPreferences.js';
+
+const FRONTEND_BASE_URL = String(
+  process.env.PUBLIC_FRONTEND_URL || 'https://www.moviefrost.com'
+).replace(/\/+$/, '');
+
+// Types that also email the requesters (the answer they were waiting for)
+const EMAIL_TYPES = new Set(['watch_request_reply', 'watch_request_fulfilled']);
+
+const toAbsoluteUrl = (maybeUrl) => {
+  if (!maybeUrl) return FRONTEND_BASE_URL;
+  if (maybeUrl.startsWith('http')) return maybeUrl;
+  return `${FRONTEND_BASE_URL}${maybeUrl.startsWith('/') ? '' : '/'}${maybeUrl}`;
+};
+
+const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Everyone waiting on a request: the original requester + voters.
+ */
+export const getRequesterIds = (requestDoc) =>
+  Array.from(
+    new Set(
+      [requestDoc?.userId, ...(requestDoc?.voters || [])]
+        .filter(Boolean)
+        .map(String)
+    )
+  );
+
+/**
+ * In-app notification + web push to every requester of a request;
+ * replies and fulfilments are emailed too.
+ */
+export const notifyWatchRequesters = async (
+  requestDoc,
+  { type, title, message, link = '', requireInteraction = false }
+) => {
+  const recipients = getRequesterIds(requestDoc);
+  if (!recipients.length) return 0;
+
+  await createInAppNotifications(
+    recipients.map((recipient) => ({
+      recipient,
+      forAdmin: false,
+      type,
+      title,
+      message,
+      link,
+      meta: {
+        requestId: requestDoc._id,
+        requestedTitle: requestDoc.requestedTitle,
+      },
+    }))
+  );
+
+  await enqueuePush(
+    recipients,
+    {
+      title: `MovieFrost: ${title}`,
+      body: message,
+      url: toAbsoluteUrl(link),
+      icon: `${FRONTEND_BASE_URL}/images/MOVIEFROST.png`,
+      badge: `${FRONTEND_BASE_URL}/images/MOVIEFROST.png`,
+      tag: `${type.replace(/_/g, '-')}:${String(requestDoc._id)}`,
+      requireInteraction,
+      data: {
+        requestId: String(requestDoc._id),
+        type,
+      },
+    },
+    { type }
+  );
+
+  if (EMAIL_TYPES.has(type)) {
+    await enqueueTemplateEmails({
+      userIds: recipients,
+      template: 'watch_request_reply',
+      type,
+      data: (user) => ({
+        fullName: user.fullName,
+        requestedTitle: requestDoc.requestedTitle,
+        replyMessage: message,
+        link: toAbsoluteUrl(link),
+      }),
+    });
+  }
+
+  return recipients.length;
+};
+
+/**
+ * Close pending requests that match a newly added, published title and
+ * notify their requesters. Safe to call after any create; drafts are skipped
+ * (they are matched when published, see fulfillWatchRequestsOnPublish).
+ * Returns the number of requests fulfilled.
+ */
+export const fulfillWatchRequestsForMovie = async (movie) => {
+  if (!movie?._id || movie.isPublished === false) return 0;
+
+  const key = normalizeRequestTitle(movie.name);
+  if (!key) return 0;
+
+  // Requests created before normalizedTitle existed: narrowed by prefix,
+  // then compared on the normalized title like the others
+  const [exact, legacy] = await Promise.all([
+    WatchRequest.find({ status: 'pending', normalizedTitle: key }).select('_id').lean(),
+    WatchRequest.find({
+      status: 'pending',
+      normalizedTitle: { $in: [null, ''] },
+      requestedTitle: new RegExp(`^\\W*(the\\s+|a\\s+|an\\s+)?${escapeRegex(key.split(' ')[0])}`, 'i'),
+    })
+      .select('_id requestedTitle')
+      .lean(),
+  ]);
+
+  const matches = [
+    ...exact,
+    ...legacy.filter((r) => normalizeRequestTitle(r.requestedTitle) === key),
+  ];
+  if (!matches.length) return 0;
+
+  const link = `/movie/${String(movie.slug || movie._id)}`;
+  const now = new Date();
+  let fulfilled = 0;
+
+  for (const request of matches) {
+    // Conditional: an admin reply/reject in the meantime wins
+    // eslint-disable-next-line no-await-in-loop
+    const updated = await WatchRequest.findOneAndUpdate(
+      { _id: request._id, status: 'pending' },
+      {
+        $set: {
+          status: 'fulfilled',
+          normalizedTitle: key,
+          fulfilledMovieId: movie._id,
+          fulfilledAt: now,
+          adminReplyLink: link,
+          adminReplyMessage: `"${movie.name}" is now available on MovieFrost`,
+        },
+      },
+      { new: true }
+    ).lean();
+
+    if (!updated) continue;
+    fulfilled += 1;
+
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      await notifyWatchRequesters(updated, {
+        type: 'watch_request_fulfilled',
+        title: 'Your request is available',
+        message: updated.adminReplyMessage,
+        link,
+        requireInteraction: true,
+      });
+    } catch (e) {
+      console.warn('[watch-requests] fulfil notify:', e?.message || e);
+    }
+  }
+
+  return fulfilled;
+};
+
+/**
+ * Drafts go live later (updateMovie, bulk update, rollback, the publish
+ * scheduler): match requests on the unpublished -> published transition.
+ * `before` / `after` need isPublished; `after` also name + slug.
+ */
+export const fulfillWatchRequestsOnPublish = async ({ before, after }) => {
+  if (before?.isPublished !== false || after?.isPublished === false) return 0;
+  return fulfillWatchRequestsForMovie(after);
+};
+
+export default {
+  getRequesterIds,
+  notifyWatchRequesters,
+  fulfillWatchRequestsForMovie,
+  fulfillWatchRequestsOnPublish,
+};